@@ -0,0 +1,526 @@
+// ISO 3166-1 country data - shared by the Lambda and the wizard
+// The Lambda requires this file; the static site serves it as-is and index.html loads it
+// before script.js, where it is available as `window.StasherCountries`. Keep it free of
+// dependencies and of Node-only APIs.
+//
+// Every officially assigned alpha-2 code, with its name in each UI language (en, de, fr, es,
+// it). findCountryCode() accepts a code, a name in any of those languages or a common alias
+// ("UK", "USA", "Holland"), ignoring case, accents and punctuation, and returns null for
+// anything else - callers must reject unknown countries rather than guess one.
+//
+// isValidPostalCode() checks a postal code against the country's format, so the wizard and the
+// Lambda agree on which addresses are accepted.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StasherCountries = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    const LANGUAGES = ['en', 'de', 'fr', 'es', 'it'];
+
+    // [code, en, de, fr, es, it]
+    const COUNTRY_ROWS = [
+        ['AD', 'Andorra', 'Andorra', 'Andorre', 'Andorra', 'Andorra'],
+        ['AE', 'United Arab Emirates', 'Vereinigte Arabische Emirate', 'Émirats arabes unis', 'Emiratos Árabes Unidos', 'Emirati Arabi Uniti'],
+        ['AF', 'Afghanistan', 'Afghanistan', 'Afghanistan', 'Afganistán', 'Afghanistan'],
+        ['AG', 'Antigua and Barbuda', 'Antigua und Barbuda', 'Antigua-et-Barbuda', 'Antigua y Barbuda', 'Antigua e Barbuda'],
+        ['AI', 'Anguilla', 'Anguilla', 'Anguilla', 'Anguila', 'Anguilla'],
+        ['AL', 'Albania', 'Albanien', 'Albanie', 'Albania', 'Albania'],
+        ['AM', 'Armenia', 'Armenien', 'Arménie', 'Armenia', 'Armenia'],
+        ['AO', 'Angola', 'Angola', 'Angola', 'Angola', 'Angola'],
+        ['AQ', 'Antarctica', 'Antarktis', 'Antarctique', 'Antártida', 'Antartide'],
+        ['AR', 'Argentina', 'Argentinien', 'Argentine', 'Argentina', 'Argentina'],
+        ['AS', 'American Samoa', 'Amerikanisch-Samoa', 'Samoa américaines', 'Samoa Americana', 'Samoa Americane'],
+        ['AT', 'Austria', 'Österreich', 'Autriche', 'Austria', 'Austria'],
+        ['AU', 'Australia', 'Australien', 'Australie', 'Australia', 'Australia'],
+        ['AW', 'Aruba', 'Aruba', 'Aruba', 'Aruba', 'Aruba'],
+        ['AX', 'Åland Islands', 'Ålandinseln', 'Îles Åland', 'Islas Aland', 'Isole Åland'],
+        ['AZ', 'Azerbaijan', 'Aserbaidschan', 'Azerbaïdjan', 'Azerbaiyán', 'Azerbaigian'],
+        ['BA', 'Bosnia and Herzegovina', 'Bosnien und Herzegowina', 'Bosnie-Herzégovine', 'Bosnia y Herzegovina', 'Bosnia ed Erzegovina'],
+        ['BB', 'Barbados', 'Barbados', 'Barbade', 'Barbados', 'Barbados'],
+        ['BD', 'Bangladesh', 'Bangladesch', 'Bangladesh', 'Bangladés', 'Bangladesh'],
+        ['BE', 'Belgium', 'Belgien', 'Belgique', 'Bélgica', 'Belgio'],
+        ['BF', 'Burkina Faso', 'Burkina Faso', 'Burkina Faso', 'Burkina Faso', 'Burkina Faso'],
+        ['BG', 'Bulgaria', 'Bulgarien', 'Bulgarie', 'Bulgaria', 'Bulgaria'],
+        ['BH', 'Bahrain', 'Bahrain', 'Bahreïn', 'Baréin', 'Bahrein'],
+        ['BI', 'Burundi', 'Burundi', 'Burundi', 'Burundi', 'Burundi'],
+        ['BJ', 'Benin', 'Benin', 'Bénin', 'Benín', 'Benin'],
+        ['BL', 'Saint Barthélemy', 'St. Barthélemy', 'Saint-Barthélemy', 'San Bartolomé', 'Saint-Barthélemy'],
+        ['BM', 'Bermuda', 'Bermuda', 'Bermudes', 'Bermudas', 'Bermuda'],
+        ['BN', 'Brunei', 'Brunei Darussalam', 'Brunei', 'Brunéi', 'Brunei'],
+        ['BO', 'Bolivia', 'Bolivien', 'Bolivie', 'Bolivia', 'Bolivia'],
+        ['BQ', 'Caribbean Netherlands', 'Karibische Niederlande', 'Pays-Bas caribéens', 'Caribe neerlandés', 'Caraibi Olandesi'],
+        ['BR', 'Brazil', 'Brasilien', 'Brésil', 'Brasil', 'Brasile'],
+        ['BS', 'Bahamas', 'Bahamas', 'Bahamas', 'Bahamas', 'Bahamas'],
+        ['BT', 'Bhutan', 'Bhutan', 'Bhoutan', 'Bután', 'Bhutan'],
+        ['BV', 'Bouvet Island', 'Bouvetinsel', 'Île Bouvet', 'Isla Bouvet', 'Isola Bouvet'],
+        ['BW', 'Botswana', 'Botsuana', 'Botswana', 'Botsuana', 'Botswana'],
+        ['BY', 'Belarus', 'Belarus', 'Biélorussie', 'Bielorrusia', 'Bielorussia'],
+        ['BZ', 'Belize', 'Belize', 'Belize', 'Belice', 'Belize'],
+        ['CA', 'Canada', 'Kanada', 'Canada', 'Canadá', 'Canada'],
+        ['CC', 'Cocos (Keeling) Islands', 'Kokosinseln', 'Îles Cocos', 'Islas Cocos', 'Isole Cocos (Keeling)'],
+        ['CD', 'Democratic Republic of the Congo', 'Kongo-Kinshasa', 'Congo-Kinshasa', 'República Democrática del Congo', 'Congo - Kinshasa'],
+        ['CF', 'Central African Republic', 'Zentralafrikanische Republik', 'République centrafricaine', 'República Centroafricana', 'Repubblica Centrafricana'],
+        ['CG', 'Republic of the Congo', 'Kongo-Brazzaville', 'Congo-Brazzaville', 'Congo', 'Congo-Brazzaville'],
+        ['CH', 'Switzerland', 'Schweiz', 'Suisse', 'Suiza', 'Svizzera'],
+        ['CI', 'Ivory Coast', 'Côte d\'Ivoire', 'Côte d\'Ivoire', 'Côte d\'Ivoire', 'Costa d\'Avorio'],
+        ['CK', 'Cook Islands', 'Cookinseln', 'Îles Cook', 'Islas Cook', 'Isole Cook'],
+        ['CL', 'Chile', 'Chile', 'Chili', 'Chile', 'Cile'],
+        ['CM', 'Cameroon', 'Kamerun', 'Cameroun', 'Camerún', 'Camerun'],
+        ['CN', 'China', 'China', 'Chine', 'China', 'Cina'],
+        ['CO', 'Colombia', 'Kolumbien', 'Colombie', 'Colombia', 'Colombia'],
+        ['CR', 'Costa Rica', 'Costa Rica', 'Costa Rica', 'Costa Rica', 'Costa Rica'],
+        ['CU', 'Cuba', 'Kuba', 'Cuba', 'Cuba', 'Cuba'],
+        ['CV', 'Cape Verde', 'Cabo Verde', 'Cap-Vert', 'Cabo Verde', 'Capo Verde'],
+        ['CW', 'Curaçao', 'Curaçao', 'Curaçao', 'Curazao', 'Curaçao'],
+        ['CX', 'Christmas Island', 'Weihnachtsinsel', 'Île Christmas', 'Isla de Navidad', 'Isola Christmas'],
+        ['CY', 'Cyprus', 'Zypern', 'Chypre', 'Chipre', 'Cipro'],
+        ['CZ', 'Czech Republic', 'Tschechien', 'Tchéquie', 'Chequia', 'Cechia'],
+        ['DE', 'Germany', 'Deutschland', 'Allemagne', 'Alemania', 'Germania'],
+        ['DJ', 'Djibouti', 'Dschibuti', 'Djibouti', 'Yibuti', 'Gibuti'],
+        ['DK', 'Denmark', 'Dänemark', 'Danemark', 'Dinamarca', 'Danimarca'],
+        ['DM', 'Dominica', 'Dominica', 'Dominique', 'Dominica', 'Dominica'],
+        ['DO', 'Dominican Republic', 'Dominikanische Republik', 'République dominicaine', 'República Dominicana', 'Repubblica Dominicana'],
+        ['DZ', 'Algeria', 'Algerien', 'Algérie', 'Argelia', 'Algeria'],
+        ['EC', 'Ecuador', 'Ecuador', 'Équateur', 'Ecuador', 'Ecuador'],
+        ['EE', 'Estonia', 'Estland', 'Estonie', 'Estonia', 'Estonia'],
+        ['EG', 'Egypt', 'Ägypten', 'Égypte', 'Egipto', 'Egitto'],
+        ['EH', 'Western Sahara', 'Westsahara', 'Sahara occidental', 'Sáhara Occidental', 'Sahara Occidentale'],
+        ['ER', 'Eritrea', 'Eritrea', 'Érythrée', 'Eritrea', 'Eritrea'],
+        ['ES', 'Spain', 'Spanien', 'Espagne', 'España', 'Spagna'],
+        ['ET', 'Ethiopia', 'Äthiopien', 'Éthiopie', 'Etiopía', 'Etiopia'],
+        ['FI', 'Finland', 'Finnland', 'Finlande', 'Finlandia', 'Finlandia'],
+        ['FJ', 'Fiji', 'Fidschi', 'Fidji', 'Fiyi', 'Figi'],
+        ['FK', 'Falkland Islands', 'Falklandinseln', 'Îles Malouines', 'Islas Malvinas', 'Isole Falkland'],
+        ['FM', 'Micronesia', 'Mikronesien', 'Micronésie', 'Micronesia', 'Micronesia'],
+        ['FO', 'Faroe Islands', 'Färöer', 'Îles Féroé', 'Islas Feroe', 'Isole Fær Øer'],
+        ['FR', 'France', 'Frankreich', 'France', 'Francia', 'Francia'],
+        ['GA', 'Gabon', 'Gabun', 'Gabon', 'Gabón', 'Gabon'],
+        ['GB', 'United Kingdom', 'Vereinigtes Königreich', 'Royaume-Uni', 'Reino Unido', 'Regno Unito'],
+        ['GD', 'Grenada', 'Grenada', 'Grenade', 'Granada', 'Grenada'],
+        ['GE', 'Georgia', 'Georgien', 'Géorgie', 'Georgia', 'Georgia'],
+        ['GF', 'French Guiana', 'Französisch-Guayana', 'Guyane française', 'Guayana Francesa', 'Guyana Francese'],
+        ['GG', 'Guernsey', 'Guernsey', 'Guernesey', 'Guernesey', 'Guernsey'],
+        ['GH', 'Ghana', 'Ghana', 'Ghana', 'Ghana', 'Ghana'],
+        ['GI', 'Gibraltar', 'Gibraltar', 'Gibraltar', 'Gibraltar', 'Gibilterra'],
+        ['GL', 'Greenland', 'Grönland', 'Groenland', 'Groenlandia', 'Groenlandia'],
+        ['GM', 'Gambia', 'Gambia', 'Gambie', 'Gambia', 'Gambia'],
+        ['GN', 'Guinea', 'Guinea', 'Guinée', 'Guinea', 'Guinea'],
+        ['GP', 'Guadeloupe', 'Guadeloupe', 'Guadeloupe', 'Guadalupe', 'Guadalupa'],
+        ['GQ', 'Equatorial Guinea', 'Äquatorialguinea', 'Guinée équatoriale', 'Guinea Ecuatorial', 'Guinea Equatoriale'],
+        ['GR', 'Greece', 'Griechenland', 'Grèce', 'Grecia', 'Grecia'],
+        ['GS', 'South Georgia and the South Sandwich Islands', 'Südgeorgien und die Südlichen Sandwichinseln', 'Géorgie du Sud-et-les Îles Sandwich du Sud', 'Islas Georgia del Sur y Sandwich del Sur', 'Georgia del Sud e Sandwich Australi'],
+        ['GT', 'Guatemala', 'Guatemala', 'Guatemala', 'Guatemala', 'Guatemala'],
+        ['GU', 'Guam', 'Guam', 'Guam', 'Guam', 'Guam'],
+        ['GW', 'Guinea-Bissau', 'Guinea-Bissau', 'Guinée-Bissau', 'Guinea-Bisáu', 'Guinea-Bissau'],
+        ['GY', 'Guyana', 'Guyana', 'Guyana', 'Guyana', 'Guyana'],
+        ['HK', 'Hong Kong', 'Hongkong', 'Hong Kong', 'Hong Kong', 'Hong Kong'],
+        ['HM', 'Heard Island and McDonald Islands', 'Heard und McDonaldinseln', 'Îles Heard-et-MacDonald', 'Islas Heard y McDonald', 'Isole Heard e McDonald'],
+        ['HN', 'Honduras', 'Honduras', 'Honduras', 'Honduras', 'Honduras'],
+        ['HR', 'Croatia', 'Kroatien', 'Croatie', 'Croacia', 'Croazia'],
+        ['HT', 'Haiti', 'Haiti', 'Haïti', 'Haití', 'Haiti'],
+        ['HU', 'Hungary', 'Ungarn', 'Hongrie', 'Hungría', 'Ungheria'],
+        ['ID', 'Indonesia', 'Indonesien', 'Indonésie', 'Indonesia', 'Indonesia'],
+        ['IE', 'Ireland', 'Irland', 'Irlande', 'Irlanda', 'Irlanda'],
+        ['IL', 'Israel', 'Israel', 'Israël', 'Israel', 'Israele'],
+        ['IM', 'Isle of Man', 'Isle of Man', 'Île de Man', 'Isla de Man', 'Isola di Man'],
+        ['IN', 'India', 'Indien', 'Inde', 'India', 'India'],
+        ['IO', 'British Indian Ocean Territory', 'Britisches Territorium im Indischen Ozean', 'Territoire britannique de l\'océan Indien', 'Territorio Británico del Océano Índico', 'Territorio Britannico dell\'Oceano Indiano'],
+        ['IQ', 'Iraq', 'Irak', 'Irak', 'Irak', 'Iraq'],
+        ['IR', 'Iran', 'Iran', 'Iran', 'Irán', 'Iran'],
+        ['IS', 'Iceland', 'Island', 'Islande', 'Islandia', 'Islanda'],
+        ['IT', 'Italy', 'Italien', 'Italie', 'Italia', 'Italia'],
+        ['JE', 'Jersey', 'Jersey', 'Jersey', 'Jersey', 'Jersey'],
+        ['JM', 'Jamaica', 'Jamaika', 'Jamaïque', 'Jamaica', 'Giamaica'],
+        ['JO', 'Jordan', 'Jordanien', 'Jordanie', 'Jordania', 'Giordania'],
+        ['JP', 'Japan', 'Japan', 'Japon', 'Japón', 'Giappone'],
+        ['KE', 'Kenya', 'Kenia', 'Kenya', 'Kenia', 'Kenya'],
+        ['KG', 'Kyrgyzstan', 'Kirgisistan', 'Kirghizstan', 'Kirguistán', 'Kirghizistan'],
+        ['KH', 'Cambodia', 'Kambodscha', 'Cambodge', 'Camboya', 'Cambogia'],
+        ['KI', 'Kiribati', 'Kiribati', 'Kiribati', 'Kiribati', 'Kiribati'],
+        ['KM', 'Comoros', 'Komoren', 'Comores', 'Comoras', 'Comore'],
+        ['KN', 'Saint Kitts and Nevis', 'St. Kitts und Nevis', 'Saint-Christophe-et-Niévès', 'San Cristóbal y Nieves', 'Saint Kitts e Nevis'],
+        ['KP', 'North Korea', 'Nordkorea', 'Corée du Nord', 'Corea del Norte', 'Corea del Nord'],
+        ['KR', 'South Korea', 'Südkorea', 'Corée du Sud', 'Corea del Sur', 'Corea del Sud'],
+        ['KW', 'Kuwait', 'Kuwait', 'Koweït', 'Kuwait', 'Kuwait'],
+        ['KY', 'Cayman Islands', 'Kaimaninseln', 'Îles Caïmans', 'Islas Caimán', 'Isole Cayman'],
+        ['KZ', 'Kazakhstan', 'Kasachstan', 'Kazakhstan', 'Kazajistán', 'Kazakistan'],
+        ['LA', 'Laos', 'Laos', 'Laos', 'Laos', 'Laos'],
+        ['LB', 'Lebanon', 'Libanon', 'Liban', 'Líbano', 'Libano'],
+        ['LC', 'Saint Lucia', 'St. Lucia', 'Sainte-Lucie', 'Santa Lucía', 'Saint Lucia'],
+        ['LI', 'Liechtenstein', 'Liechtenstein', 'Liechtenstein', 'Liechtenstein', 'Liechtenstein'],
+        ['LK', 'Sri Lanka', 'Sri Lanka', 'Sri Lanka', 'Sri Lanka', 'Sri Lanka'],
+        ['LR', 'Liberia', 'Liberia', 'Liberia', 'Liberia', 'Liberia'],
+        ['LS', 'Lesotho', 'Lesotho', 'Lesotho', 'Lesoto', 'Lesotho'],
+        ['LT', 'Lithuania', 'Litauen', 'Lituanie', 'Lituania', 'Lituania'],
+        ['LU', 'Luxembourg', 'Luxemburg', 'Luxembourg', 'Luxemburgo', 'Lussemburgo'],
+        ['LV', 'Latvia', 'Lettland', 'Lettonie', 'Letonia', 'Lettonia'],
+        ['LY', 'Libya', 'Libyen', 'Libye', 'Libia', 'Libia'],
+        ['MA', 'Morocco', 'Marokko', 'Maroc', 'Marruecos', 'Marocco'],
+        ['MC', 'Monaco', 'Monaco', 'Monaco', 'Mónaco', 'Monaco'],
+        ['MD', 'Moldova', 'Republik Moldau', 'Moldavie', 'Moldavia', 'Moldavia'],
+        ['ME', 'Montenegro', 'Montenegro', 'Monténégro', 'Montenegro', 'Montenegro'],
+        ['MF', 'Saint Martin', 'St. Martin', 'Saint-Martin', 'San Martín', 'Saint Martin'],
+        ['MG', 'Madagascar', 'Madagaskar', 'Madagascar', 'Madagascar', 'Madagascar'],
+        ['MH', 'Marshall Islands', 'Marshallinseln', 'Îles Marshall', 'Islas Marshall', 'Isole Marshall'],
+        ['MK', 'North Macedonia', 'Nordmazedonien', 'Macédoine du Nord', 'Macedonia del Norte', 'Macedonia del Nord'],
+        ['ML', 'Mali', 'Mali', 'Mali', 'Mali', 'Mali'],
+        ['MM', 'Myanmar', 'Myanmar', 'Myanmar (Birmanie)', 'Myanmar (Birmania)', 'Myanmar'],
+        ['MN', 'Mongolia', 'Mongolei', 'Mongolie', 'Mongolia', 'Mongolia'],
+        ['MO', 'Macao', 'Macau', 'Macao', 'Macao', 'Macao'],
+        ['MP', 'Northern Mariana Islands', 'Nördliche Marianen', 'Îles Mariannes du Nord', 'Islas Marianas del Norte', 'Isole Marianne Settentrionali'],
+        ['MQ', 'Martinique', 'Martinique', 'Martinique', 'Martinica', 'Martinica'],
+        ['MR', 'Mauritania', 'Mauretanien', 'Mauritanie', 'Mauritania', 'Mauritania'],
+        ['MS', 'Montserrat', 'Montserrat', 'Montserrat', 'Montserrat', 'Montserrat'],
+        ['MT', 'Malta', 'Malta', 'Malte', 'Malta', 'Malta'],
+        ['MU', 'Mauritius', 'Mauritius', 'Maurice', 'Mauricio', 'Mauritius'],
+        ['MV', 'Maldives', 'Malediven', 'Maldives', 'Maldivas', 'Maldive'],
+        ['MW', 'Malawi', 'Malawi', 'Malawi', 'Malaui', 'Malawi'],
+        ['MX', 'Mexico', 'Mexiko', 'Mexique', 'México', 'Messico'],
+        ['MY', 'Malaysia', 'Malaysia', 'Malaisie', 'Malasia', 'Malaysia'],
+        ['MZ', 'Mozambique', 'Mosambik', 'Mozambique', 'Mozambique', 'Mozambico'],
+        ['NA', 'Namibia', 'Namibia', 'Namibie', 'Namibia', 'Namibia'],
+        ['NC', 'New Caledonia', 'Neukaledonien', 'Nouvelle-Calédonie', 'Nueva Caledonia', 'Nuova Caledonia'],
+        ['NE', 'Niger', 'Niger', 'Niger', 'Níger', 'Niger'],
+        ['NF', 'Norfolk Island', 'Norfolkinsel', 'Île Norfolk', 'Isla Norfolk', 'Isola Norfolk'],
+        ['NG', 'Nigeria', 'Nigeria', 'Nigeria', 'Nigeria', 'Nigeria'],
+        ['NI', 'Nicaragua', 'Nicaragua', 'Nicaragua', 'Nicaragua', 'Nicaragua'],
+        ['NL', 'Netherlands', 'Niederlande', 'Pays-Bas', 'Países Bajos', 'Paesi Bassi'],
+        ['NO', 'Norway', 'Norwegen', 'Norvège', 'Noruega', 'Norvegia'],
+        ['NP', 'Nepal', 'Nepal', 'Népal', 'Nepal', 'Nepal'],
+        ['NR', 'Nauru', 'Nauru', 'Nauru', 'Nauru', 'Nauru'],
+        ['NU', 'Niue', 'Niue', 'Niue', 'Niue', 'Niue'],
+        ['NZ', 'New Zealand', 'Neuseeland', 'Nouvelle-Zélande', 'Nueva Zelanda', 'Nuova Zelanda'],
+        ['OM', 'Oman', 'Oman', 'Oman', 'Omán', 'Oman'],
+        ['PA', 'Panama', 'Panama', 'Panama', 'Panamá', 'Panama'],
+        ['PE', 'Peru', 'Peru', 'Pérou', 'Perú', 'Perù'],
+        ['PF', 'French Polynesia', 'Französisch-Polynesien', 'Polynésie française', 'Polinesia Francesa', 'Polinesia Francese'],
+        ['PG', 'Papua New Guinea', 'Papua-Neuguinea', 'Papouasie-Nouvelle-Guinée', 'Papúa Nueva Guinea', 'Papua Nuova Guinea'],
+        ['PH', 'Philippines', 'Philippinen', 'Philippines', 'Filipinas', 'Filippine'],
+        ['PK', 'Pakistan', 'Pakistan', 'Pakistan', 'Pakistán', 'Pakistan'],
+        ['PL', 'Poland', 'Polen', 'Pologne', 'Polonia', 'Polonia'],
+        ['PM', 'Saint Pierre and Miquelon', 'St. Pierre und Miquelon', 'Saint-Pierre-et-Miquelon', 'San Pedro y Miquelón', 'Saint-Pierre e Miquelon'],
+        ['PN', 'Pitcairn Islands', 'Pitcairninseln', 'Îles Pitcairn', 'Islas Pitcairn', 'Isole Pitcairn'],
+        ['PR', 'Puerto Rico', 'Puerto Rico', 'Porto Rico', 'Puerto Rico', 'Portorico'],
+        ['PS', 'Palestine', 'Palästinensische Autonomiegebiete', 'Territoires palestiniens', 'Territorios Palestinos', 'Territori Palestinesi'],
+        ['PT', 'Portugal', 'Portugal', 'Portugal', 'Portugal', 'Portogallo'],
+        ['PW', 'Palau', 'Palau', 'Palaos', 'Palaos', 'Palau'],
+        ['PY', 'Paraguay', 'Paraguay', 'Paraguay', 'Paraguay', 'Paraguay'],
+        ['QA', 'Qatar', 'Katar', 'Qatar', 'Catar', 'Qatar'],
+        ['RE', 'Réunion', 'Réunion', 'La Réunion', 'Reunión', 'Riunione'],
+        ['RO', 'Romania', 'Rumänien', 'Roumanie', 'Rumanía', 'Romania'],
+        ['RS', 'Serbia', 'Serbien', 'Serbie', 'Serbia', 'Serbia'],
+        ['RU', 'Russia', 'Russland', 'Russie', 'Rusia', 'Russia'],
+        ['RW', 'Rwanda', 'Ruanda', 'Rwanda', 'Ruanda', 'Ruanda'],
+        ['SA', 'Saudi Arabia', 'Saudi-Arabien', 'Arabie saoudite', 'Arabia Saudí', 'Arabia Saudita'],
+        ['SB', 'Solomon Islands', 'Salomonen', 'Îles Salomon', 'Islas Salomón', 'Isole Salomone'],
+        ['SC', 'Seychelles', 'Seychellen', 'Seychelles', 'Seychelles', 'Seychelles'],
+        ['SD', 'Sudan', 'Sudan', 'Soudan', 'Sudán', 'Sudan'],
+        ['SE', 'Sweden', 'Schweden', 'Suède', 'Suecia', 'Svezia'],
+        ['SG', 'Singapore', 'Singapur', 'Singapour', 'Singapur', 'Singapore'],
+        ['SH', 'Saint Helena', 'St. Helena', 'Sainte-Hélène', 'Santa Elena', 'Sant\'Elena'],
+        ['SI', 'Slovenia', 'Slowenien', 'Slovénie', 'Eslovenia', 'Slovenia'],
+        ['SJ', 'Svalbard and Jan Mayen', 'Spitzbergen und Jan Mayen', 'Svalbard et Jan Mayen', 'Svalbard y Jan Mayen', 'Svalbard e Jan Mayen'],
+        ['SK', 'Slovakia', 'Slowakei', 'Slovaquie', 'Eslovaquia', 'Slovacchia'],
+        ['SL', 'Sierra Leone', 'Sierra Leone', 'Sierra Leone', 'Sierra Leona', 'Sierra Leone'],
+        ['SM', 'San Marino', 'San Marino', 'Saint-Marin', 'San Marino', 'San Marino'],
+        ['SN', 'Senegal', 'Senegal', 'Sénégal', 'Senegal', 'Senegal'],
+        ['SO', 'Somalia', 'Somalia', 'Somalie', 'Somalia', 'Somalia'],
+        ['SR', 'Suriname', 'Suriname', 'Suriname', 'Surinam', 'Suriname'],
+        ['SS', 'South Sudan', 'Südsudan', 'Soudan du Sud', 'Sudán del Sur', 'Sud Sudan'],
+        ['ST', 'São Tomé and Príncipe', 'São Tomé und Príncipe', 'Sao Tomé-et-Principe', 'Santo Tomé y Príncipe', 'São Tomé e Príncipe'],
+        ['SV', 'El Salvador', 'El Salvador', 'Salvador', 'El Salvador', 'El Salvador'],
+        ['SX', 'Sint Maarten', 'Sint Maarten', 'Saint-Martin (partie néerlandaise)', 'Sint Maarten', 'Sint Maarten'],
+        ['SY', 'Syria', 'Syrien', 'Syrie', 'Siria', 'Siria'],
+        ['SZ', 'Eswatini', 'Eswatini', 'Eswatini', 'Esuatini', 'Eswatini'],
+        ['TC', 'Turks and Caicos Islands', 'Turks- und Caicosinseln', 'Îles Turques-et-Caïques', 'Islas Turcas y Caicos', 'Isole Turks e Caicos'],
+        ['TD', 'Chad', 'Tschad', 'Tchad', 'Chad', 'Ciad'],
+        ['TF', 'French Southern Territories', 'Französische Süd- und Antarktisgebiete', 'Terres australes françaises', 'Territorios Australes Franceses', 'Terre Australi Francesi'],
+        ['TG', 'Togo', 'Togo', 'Togo', 'Togo', 'Togo'],
+        ['TH', 'Thailand', 'Thailand', 'Thaïlande', 'Tailandia', 'Thailandia'],
+        ['TJ', 'Tajikistan', 'Tadschikistan', 'Tadjikistan', 'Tayikistán', 'Tagikistan'],
+        ['TK', 'Tokelau', 'Tokelau', 'Tokelau', 'Tokelau', 'Tokelau'],
+        ['TL', 'Timor-Leste', 'Timor-Leste', 'Timor oriental', 'Timor-Leste', 'Timor Est'],
+        ['TM', 'Turkmenistan', 'Turkmenistan', 'Turkménistan', 'Turkmenistán', 'Turkmenistan'],
+        ['TN', 'Tunisia', 'Tunesien', 'Tunisie', 'Túnez', 'Tunisia'],
+        ['TO', 'Tonga', 'Tonga', 'Tonga', 'Tonga', 'Tonga'],
+        ['TR', 'Turkey', 'Türkei', 'Turquie', 'Turquía', 'Turchia'],
+        ['TT', 'Trinidad and Tobago', 'Trinidad und Tobago', 'Trinité-et-Tobago', 'Trinidad y Tobago', 'Trinidad e Tobago'],
+        ['TV', 'Tuvalu', 'Tuvalu', 'Tuvalu', 'Tuvalu', 'Tuvalu'],
+        ['TW', 'Taiwan', 'Taiwan', 'Taïwan', 'Taiwán', 'Taiwan'],
+        ['TZ', 'Tanzania', 'Tansania', 'Tanzanie', 'Tanzania', 'Tanzania'],
+        ['UA', 'Ukraine', 'Ukraine', 'Ukraine', 'Ucrania', 'Ucraina'],
+        ['UG', 'Uganda', 'Uganda', 'Ouganda', 'Uganda', 'Uganda'],
+        ['UM', 'United States Minor Outlying Islands', 'Amerikanische Überseeinseln', 'Îles mineures éloignées des États-Unis', 'Islas menores alejadas de EE. UU.', 'Isole Minori Esterne degli Stati Uniti'],
+        ['US', 'United States', 'Vereinigte Staaten', 'États-Unis', 'Estados Unidos', 'Stati Uniti'],
+        ['UY', 'Uruguay', 'Uruguay', 'Uruguay', 'Uruguay', 'Uruguay'],
+        ['UZ', 'Uzbekistan', 'Usbekistan', 'Ouzbékistan', 'Uzbekistán', 'Uzbekistan'],
+        ['VA', 'Vatican City', 'Vatikanstadt', 'État de la Cité du Vatican', 'Ciudad del Vaticano', 'Città del Vaticano'],
+        ['VC', 'Saint Vincent and the Grenadines', 'St. Vincent und die Grenadinen', 'Saint-Vincent-et-les Grenadines', 'San Vicente y las Granadinas', 'Saint Vincent e Grenadine'],
+        ['VE', 'Venezuela', 'Venezuela', 'Venezuela', 'Venezuela', 'Venezuela'],
+        ['VG', 'British Virgin Islands', 'Britische Jungferninseln', 'Îles Vierges britanniques', 'Islas Vírgenes Británicas', 'Isole Vergini Britanniche'],
+        ['VI', 'United States Virgin Islands', 'Amerikanische Jungferninseln', 'Îles Vierges des États-Unis', 'Islas Vírgenes de EE. UU.', 'Isole Vergini Americane'],
+        ['VN', 'Vietnam', 'Vietnam', 'Viêt Nam', 'Vietnam', 'Vietnam'],
+        ['VU', 'Vanuatu', 'Vanuatu', 'Vanuatu', 'Vanuatu', 'Vanuatu'],
+        ['WF', 'Wallis and Futuna', 'Wallis und Futuna', 'Wallis-et-Futuna', 'Wallis y Futuna', 'Wallis e Futuna'],
+        ['WS', 'Samoa', 'Samoa', 'Samoa', 'Samoa', 'Samoa'],
+        ['YE', 'Yemen', 'Jemen', 'Yémen', 'Yemen', 'Yemen'],
+        ['YT', 'Mayotte', 'Mayotte', 'Mayotte', 'Mayotte', 'Mayotte'],
+        ['ZA', 'South Africa', 'Südafrika', 'Afrique du Sud', 'Sudáfrica', 'Sudafrica'],
+        ['ZM', 'Zambia', 'Sambia', 'Zambie', 'Zambia', 'Zambia'],
+        ['ZW', 'Zimbabwe', 'Simbabwe', 'Zimbabwe', 'Zimbabue', 'Zimbabwe']
+    ];
+
+    // Other names partners type, mapped to their code. Names in the five UI languages are
+    // matched already and need no entry here.
+    const COUNTRY_ALIASES = {
+        'UK': 'GB',
+        'U.K.': 'GB',
+        'Great Britain': 'GB',
+        'Britain': 'GB',
+        'England': 'GB',
+        'Scotland': 'GB',
+        'Wales': 'GB',
+        'Northern Ireland': 'GB',
+        'USA': 'US',
+        'U.S.': 'US',
+        'U.S.A.': 'US',
+        'United States of America': 'US',
+        'America': 'US',
+        'UAE': 'AE',
+        'Holland': 'NL',
+        'The Netherlands': 'NL',
+        'Nederland': 'NL',
+        'België': 'BE',
+        'Belgique': 'BE',
+        'Schweiz': 'CH',
+        'Suisse': 'CH',
+        'Svizzera': 'CH',
+        'Österreich': 'AT',
+        'España': 'ES',
+        'Italia': 'IT',
+        'Sverige': 'SE',
+        'Norge': 'NO',
+        'Danmark': 'DK',
+        'Suomi': 'FI',
+        'Polska': 'PL',
+        'Éire': 'IE',
+        'Hellas': 'GR',
+        'Česko': 'CZ',
+        'Czechia': 'CZ',
+        'Magyarország': 'HU',
+        'Hrvatska': 'HR',
+        'Brasil': 'BR',
+        'Türkiye': 'TR',
+        'Russian Federation': 'RU',
+        'Republic of Korea': 'KR',
+        'Korea': 'KR',
+        'Viet Nam': 'VN',
+        'Burma': 'MM',
+        'Macedonia': 'MK',
+        'Swaziland': 'SZ',
+        'Cape Verde': 'CV',
+        'East Timor': 'TL',
+        'Vatican City': 'VA',
+        'Vatican': 'VA',
+        'Hong Kong SAR': 'HK',
+        'Macau': 'MO',
+        'Congo-Kinshasa': 'CD',
+        'DR Congo': 'CD',
+        'DRC': 'CD',
+        'Congo-Brazzaville': 'CG',
+        'Congo': 'CG',
+        "Côte d'Ivoire": 'CI',
+        'Palestinian Territories': 'PS',
+        'Bosnia': 'BA'
+    };
+
+    // Postal code formats: [pattern, example]. Codes are compared trimmed and uppercased.
+    // Countries missing here (and from NO_POSTAL_CODE) accept any plausible code.
+    const GB_POSTCODE = /^(GIR ?0AA|[A-Z]{1,2}\d[A-Z\d]? ?\d[A-Z]{2})$/;
+    const POSTAL_CODE_FORMATS = {
+        AD: [/^AD ?\d{3}$/, 'AD500'],
+        AR: [/^([A-Z]\d{4}[A-Z]{3}|\d{4})$/, 'C1002AAP'],
+        AT: [/^\d{4}$/, '1010'],
+        AU: [/^\d{4}$/, '2000'],
+        BE: [/^\d{4}$/, '1000'],
+        BG: [/^\d{4}$/, '1000'],
+        BR: [/^\d{5}-?\d{3}$/, '01310-100'],
+        CA: [/^[ABCEGHJ-NPRSTVXY]\d[ABCEGHJ-NPRSTV-Z] ?\d[ABCEGHJ-NPRSTV-Z]\d$/, 'K1A 0B1'],
+        CH: [/^\d{4}$/, '8001'],
+        CL: [/^\d{7}$/, '8320000'],
+        CN: [/^\d{6}$/, '100000'],
+        CO: [/^\d{6}$/, '110111'],
+        CY: [/^\d{4}$/, '1010'],
+        CZ: [/^\d{3} ?\d{2}$/, '110 00'],
+        DE: [/^\d{5}$/, '10115'],
+        DK: [/^\d{4}$/, '1050'],
+        EE: [/^\d{5}$/, '10111'],
+        EG: [/^\d{5}$/, '11511'],
+        ES: [/^\d{5}$/, '28001'],
+        FI: [/^\d{5}$/, '00100'],
+        FR: [/^\d{5}$/, '75001'],
+        GB: [GB_POSTCODE, 'SW1A 1AA'],
+        GG: [GB_POSTCODE, 'GY1 1AA'],
+        GI: [/^GX11 ?1AA$/, 'GX11 1AA'],
+        GR: [/^\d{3} ?\d{2}$/, '105 57'],
+        HR: [/^\d{5}$/, '10000'],
+        HU: [/^\d{4}$/, '1051'],
+        ID: [/^\d{5}$/, '10110'],
+        IE: [/^[A-Z]\d[\dW] ?[A-Z\d]{4}$/, 'D02 X285'],
+        IL: [/^\d{7}$/, '6100000'],
+        IM: [GB_POSTCODE, 'IM1 1AA'],
+        IN: [/^\d{3} ?\d{3}$/, '110001'],
+        IS: [/^\d{3}$/, '101'],
+        IT: [/^\d{5}$/, '00184'],
+        JE: [GB_POSTCODE, 'JE2 3AB'],
+        JP: [/^\d{3}-?\d{4}$/, '100-0001'],
+        KE: [/^\d{5}$/, '00100'],
+        KR: [/^\d{5}$/, '03051'],
+        LI: [/^94\d{2}$/, '9490'],
+        LT: [/^(LT-?)?\d{5}$/, 'LT-01100'],
+        LU: [/^(L-?)?\d{4}$/, 'L-1010'],
+        LV: [/^(LV-?)?\d{4}$/, 'LV-1050'],
+        MA: [/^\d{5}$/, '10000'],
+        MC: [/^980\d{2}$/, '98000'],
+        MT: [/^[A-Z]{3} ?\d{4}$/, 'VLT 1117'],
+        MX: [/^\d{5}$/, '06000'],
+        MY: [/^\d{5}$/, '50000'],
+        NG: [/^\d{6}$/, '100001'],
+        NL: [/^\d{4} ?[A-Z]{2}$/, '1012 AB'],
+        NO: [/^\d{4}$/, '0150'],
+        NZ: [/^\d{4}$/, '6011'],
+        PE: [/^\d{5}$/, '15001'],
+        PH: [/^\d{4}$/, '1000'],
+        PL: [/^\d{2}-\d{3}$/, '00-950'],
+        PR: [/^00\d{3}(-\d{4})?$/, '00901'],
+        PT: [/^\d{4}-\d{3}$/, '1000-001'],
+        RO: [/^\d{6}$/, '010011'],
+        RU: [/^\d{6}$/, '101000'],
+        SA: [/^\d{5}(-\d{4})?$/, '11564'],
+        SE: [/^\d{3} ?\d{2}$/, '111 52'],
+        SG: [/^\d{6}$/, '018956'],
+        SI: [/^\d{4}$/, '1000'],
+        SK: [/^\d{3} ?\d{2}$/, '811 01'],
+        SM: [/^4789\d$/, '47890'],
+        TH: [/^\d{5}$/, '10200'],
+        TR: [/^\d{5}$/, '34000'],
+        TW: [/^\d{3}(\d{2,3})?$/, '100'],
+        UA: [/^\d{5}$/, '01001'],
+        US: [/^\d{5}(-\d{4})?$/, '94105'],
+        UY: [/^\d{5}$/, '11000'],
+        VA: [/^00120$/, '00120'],
+        VN: [/^\d{6}$/, '100000'],
+        ZA: [/^\d{4}$/, '8001']
+    };
+
+    // Countries that do not use postal codes
+    const NO_POSTAL_CODE = new Set((
+        'AE AG AO AW BF BI BJ BO BS BW BZ CD CF CG CI CK CM DJ DM ER FJ GA GD GH GM GQ GY HK HM ' +
+        'KI KM KN KP LC ML MO MR MW NR NU QA RW SB SC SL SR ST SY TD TF TG TK TL TO TV UG VU YE ZW'
+    ).split(' '));
+
+    const COUNTRIES = COUNTRY_ROWS.map(([code, ...names]) => ({
+        code,
+        names: Object.fromEntries(LANGUAGES.map((language, index) => [language, names[index]]))
+    }));
+    const COUNTRIES_BY_CODE = new Map(COUNTRIES.map(country => [country.code, country]));
+
+    // "Côte d’Ivoire", "COTE D'IVOIRE" and "cote d ivoire" all become "cote d ivoire"; "U.S.A." becomes "usa"
+    function normalizeCountryName(value) {
+        return String(value)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/&/g, ' and ')
+            .replace(/\./g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    const CODES_BY_NAME = new Map();
+    COUNTRIES.forEach(country => {
+        LANGUAGES.forEach(language => CODES_BY_NAME.set(normalizeCountryName(country.names[language]), country.code));
+    });
+    Object.entries(COUNTRY_ALIASES).forEach(([alias, code]) => {
+        CODES_BY_NAME.set(normalizeCountryName(alias), code);
+    });
+
+    function isCountryCode(value) {
+        return typeof value === 'string' && COUNTRIES_BY_CODE.has(value.trim().toUpperCase());
+    }
+
+    /**
+     * The ISO code for a code, name or alias - or null if the country is not known
+     */
+    function findCountryCode(value) {
+        if (typeof value !== 'string' || value.trim() === '') {
+            return null;
+        }
+        const trimmed = value.trim();
+        if (trimmed.length === 2 && isCountryCode(trimmed)) {
+            return trimmed.toUpperCase();
+        }
+        return CODES_BY_NAME.get(normalizeCountryName(trimmed)) || null;
+    }
+
+    /**
+     * The name of a country in one of the UI languages (English if the language is not one)
+     */
+    function getCountryName(code, language) {
+        const country = COUNTRIES_BY_CODE.get(String(code || '').toUpperCase());
+        if (!country) {
+            return null;
+        }
+        return country.names[language] || country.names.en;
+    }
+
+    /**
+     * Every country as { code, name }, sorted by its name in `language`
+     */
+    function getCountryList(language) {
+        return COUNTRIES
+            .map(country => ({ code: country.code, name: getCountryName(country.code, language) }))
+            .sort((a, b) => a.name.localeCompare(b.name, language));
+    }
+
+    function usesPostalCode(code) {
+        return !NO_POSTAL_CODE.has(String(code || '').toUpperCase());
+    }
+
+    /**
+     * { pattern, example } for a country's postal codes, or null if it has no known format
+     */
+    function getPostalCodeFormat(code) {
+        const format = POSTAL_CODE_FORMATS[String(code || '').toUpperCase()];
+        return format ? { pattern: format[0], example: format[1] } : null;
+    }
+
+    /**
+     * Whether `value` is a postal code of the country. Countries without a known format accept
+     * 2 to 10 letters, digits, spaces or hyphens.
+     */
+    function isValidPostalCode(code, value) {
+        if (typeof value !== 'string') {
+            return false;
+        }
+        const normalized = value.trim().toUpperCase();
+        const format = getPostalCodeFormat(code);
+        return format ? format.pattern.test(normalized) : /^[A-Z0-9][A-Z0-9 -]{1,9}$/.test(normalized);
+    }
+
+    return {
+        LANGUAGES,
+        COUNTRIES,
+        normalizeCountryName,
+        isCountryCode,
+        findCountryCode,
+        getCountryName,
+        getCountryList,
+        usesPostalCode,
+        getPostalCodeFormat,
+        isValidPostalCode
+    };
+}));
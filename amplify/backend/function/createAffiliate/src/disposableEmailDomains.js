@@ -0,0 +1,87 @@
+// Disposable (throwaway) email domains - signups from these are rejected before Stage A
+// Curated from https://github.com/disposable-email-domains/disposable-email-domains
+// (the providers we actually see, not the full list). Add a domain here when one gets
+// through, or set DISPOSABLE_EMAIL_DOMAINS (comma-separated) to block one without a deploy.
+// Subdomains are blocked too (e.g. anything.mailinator.com).
+
+module.exports = [
+    '10minutemail.com',
+    '10minutemail.net',
+    '20minutemail.com',
+    'burnermail.io',
+    'byom.de',
+    'crazymailing.com',
+    'dispostable.com',
+    'discard.email',
+    'dropmail.me',
+    'emailfake.com',
+    'emailondeck.com',
+    'emailtemporanea.com',
+    'fakeinbox.com',
+    'fakemail.net',
+    'fakemailgenerator.com',
+    'getairmail.com',
+    'getnada.com',
+    'guerrillamail.biz',
+    'guerrillamail.com',
+    'guerrillamail.de',
+    'guerrillamail.info',
+    'guerrillamail.net',
+    'guerrillamail.org',
+    'guerrillamailblock.com',
+    'harakirimail.com',
+    'inboxbear.com',
+    'incognitomail.org',
+    'jetable.org',
+    'luxusmail.org',
+    'mail-temp.com',
+    'mail.tm',
+    'mailcatch.com',
+    'maildrop.cc',
+    'mailinator.com',
+    'mailinator.net',
+    'mailinator2.com',
+    'mailnesia.com',
+    'mailnull.com',
+    'mailpoof.com',
+    'mailsac.com',
+    'mailtemp.info',
+    'mintemail.com',
+    'moakt.com',
+    'mohmal.com',
+    'mytemp.email',
+    'mytrashmail.com',
+    'nada.email',
+    'no-spam.ws',
+    'nowmymail.com',
+    'sharklasers.com',
+    'shitmail.me',
+    'spam4.me',
+    'spambog.com',
+    'spambox.us',
+    'spamgourmet.com',
+    'spamex.com',
+    'tafmail.com',
+    'temp-mail.io',
+    'temp-mail.org',
+    'tempail.com',
+    'tempinbox.com',
+    'tempmail.dev',
+    'tempmail.net',
+    'tempmail.plus',
+    'tempmailo.com',
+    'tempr.email',
+    'throwawaymail.com',
+    'tmail.ws',
+    'tmpmail.net',
+    'tmpmail.org',
+    'trashmail.com',
+    'trashmail.de',
+    'trashmail.io',
+    'trashmail.net',
+    'wegwerfemail.de',
+    'yopmail.com',
+    'yopmail.fr',
+    'yopmail.net',
+    'zetmail.com'
+];
@@ -0,0 +1,232 @@
+// Email quality checks - run before Stage A creates an affiliate
+// The format check in validation.js lets through addresses that can never receive mail,
+// and Tapfiliate creates an affiliate for them anyway. This catches:
+//   - typos of common domains (gmial.com), returned with a suggested correction - unless the
+//     MX lookup shows the domain receives mail
+//   - disposable-email domains (disposableEmailDomains.js)
+//   - optionally, domains without MX records
+//
+// The MX lookup goes through a resolver: async (domain) => true (accepts mail), false (doesn't)
+// or null (couldn't tell - the email is accepted). createDnsMxResolver() is the real one;
+// pass any function with that shape as `resolveMx` to checkEmailQuality() to run without DNS.
+//
+// Optional env vars:
+//   EMAIL_MX_CHECK            - 'true' to look up MX records (default off)
+//   EMAIL_MX_TIMEOUT_MS       - DNS lookup timeout (default 1500)
+//   DISPOSABLE_EMAIL_DOMAINS  - extra comma-separated domains to block
+
+const dns = require('dns');
+const { logger } = require('./logger');
+const DISPOSABLE_EMAIL_DOMAINS = require('./disposableEmailDomains');
+
+// Field error codes, returned like the ones in validation.js
+const EMAIL_QUALITY_CODES = {
+    TYPO: 'email_typo',
+    DISPOSABLE: 'disposable_email',
+    NO_MX: 'email_domain_unreachable'
+};
+
+const MESSAGES = {
+    email_typo: suggestion => `email domain looks like a typo - did you mean ${suggestion}?`,
+    disposable_email: () => 'email must not use a disposable email provider',
+    email_domain_unreachable: () => 'email domain does not accept mail'
+};
+
+// Public providers most partners sign up with - a domain one or two typos away from these is
+// suggested, and partners sharing one of them are not treated as the same organisation
+const COMMON_DOMAINS = [
+    'gmail.com', 'googlemail.com', 'yahoo.com', 'yahoo.co.uk', 'yahoo.fr', 'yahoo.es', 'yahoo.it', 'yahoo.de',
+    'hotmail.com', 'hotmail.co.uk', 'hotmail.fr', 'hotmail.es', 'hotmail.it', 'hotmail.de',
+    'outlook.com', 'outlook.fr', 'outlook.es', 'outlook.it', 'outlook.de', 'live.com', 'live.co.uk', 'live.fr',
+    'msn.com', 'icloud.com', 'me.com', 'mac.com', 'aol.com', 'ymail.com', 'rocketmail.com', 'email.com',
+    'protonmail.com', 'proton.me', 'gmx.com', 'gmx.de', 'gmx.net', 'web.de', 't-online.de',
+    'orange.fr', 'free.fr', 'sfr.fr', 'laposte.net', 'wanadoo.fr', 'libero.it', 'virgilio.it', 'tiscali.it', 'alice.it',
+    'btinternet.com', 'sky.com', 'virginmedia.com', 'comcast.net', 'verizon.net', 'att.net',
+    'telefonica.net', 'movistar.es', 'zoho.com', 'yandex.com', 'mail.com'
+];
+const COMMON_DOMAIN_SET = new Set(COMMON_DOMAINS);
+
+// Misspelt top-level domains that are not real TLDs themselves
+const TLD_TYPOS = {
+    con: 'com', cmo: 'com', ocm: 'com', comm: 'com', coom: 'com', cpm: 'com', vom: 'com', xom: 'com',
+    nte: 'net', nett: 'net', ogr: 'org', orgg: 'org', couk: 'co.uk'
+};
+
+const DEFAULT_MX_TIMEOUT_MS = 1500;
+
+function getPositiveIntEnv(name, fallback) {
+    const configured = parseInt(process.env[name], 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : fallback;
+}
+
+function getEmailDomain(email) {
+    const at = String(email || '').lastIndexOf('@');
+    return at === -1 ? '' : email.slice(at + 1).trim().toLowerCase().replace(/\.$/, '');
+}
+
+// Edit distance counting a swap of neighbouring letters as one typo
+function countTypos(a, b) {
+    const rows = [];
+    for (let i = 0; i <= a.length; i++) {
+        rows.push([i]);
+    }
+    for (let j = 1; j <= b.length; j++) {
+        rows[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// A public email provider, where unrelated people share the domain
+function isPublicEmailDomain(domain) {
+    return COMMON_DOMAIN_SET.has(domain);
+}
+
+// 'hotmail.co.uk' -> { label: 'hotmail', suffix: 'co.uk' }
+function splitDomain(domain) {
+    const dot = domain.indexOf('.');
+    return { label: domain.slice(0, dot), suffix: domain.slice(dot + 1) };
+}
+
+/**
+ * The common domain `domain` is probably a typo of, or null.
+ * The label and the TLD are compared separately: the TLD may be one typo off only when the
+ * label matches (hotmail.cm), and only labels of 6+ letters get a second typo - so real
+ * domains such as hotmail.nl, orange.es or gmx.de aren't read as another provider's.
+ */
+function suggestDomain(domain) {
+    if (!domain || !domain.includes('.') || COMMON_DOMAIN_SET.has(domain)) {
+        return null;
+    }
+
+    const labels = domain.split('.');
+    const tld = labels.pop();
+    if (TLD_TYPOS[tld]) {
+        const fixed = [...labels, TLD_TYPOS[tld]].join('.');
+        return suggestDomain(fixed) || fixed;
+    }
+
+    const { label, suffix } = splitDomain(domain);
+    const maxLabelTypos = label.length >= 6 ? 2 : 1;
+    let best = null;
+    COMMON_DOMAINS.forEach(candidate => {
+        const common = splitDomain(candidate);
+        const suffixTypos = suffix === common.suffix ? 0 : countTypos(suffix, common.suffix);
+        const labelTypos = countTypos(label, common.label);
+        const plausible = suffixTypos === 0
+            ? labelTypos <= maxLabelTypos
+            : suffixTypos === 1 && labelTypos === 0;
+        const typos = labelTypos + suffixTypos;
+        if (plausible && (!best || typos < best.typos)) {
+            best = { domain: candidate, typos };
+        }
+    });
+    return best ? best.domain : null;
+}
+
+function getDisposableDomains() {
+    const extra = String(process.env.DISPOSABLE_EMAIL_DOMAINS || '')
+        .split(',')
+        .map(domain => domain.trim().toLowerCase())
+        .filter(Boolean);
+    return new Set([...DISPOSABLE_EMAIL_DOMAINS, ...extra]);
+}
+
+// The domain or any parent domain is on the list (anything.mailinator.com)
+function isDisposableDomain(domain) {
+    const disposable = getDisposableDomains();
+    const labels = domain.split('.');
+    return labels.some((label, index) => index < labels.length - 1 && disposable.has(labels.slice(index).join('.')));
+}
+
+function withTimeout(promise, timeoutMs) {
+    let timer;
+    const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve(null), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Resolver backed by DNS. A domain without MX records still accepts mail if it has an
+ * address record (RFC 5321 implicit MX). Lookup failures and timeouts resolve to null.
+ */
+function createDnsMxResolver({ timeoutMs } = {}) {
+    const lookupTimeoutMs = timeoutMs || getPositiveIntEnv('EMAIL_MX_TIMEOUT_MS', DEFAULT_MX_TIMEOUT_MS);
+
+    async function lookup(domain) {
+        try {
+            const records = await dns.promises.resolveMx(domain);
+            if (records.length > 0) return true;
+        } catch (error) {
+            if (error.code === 'ENOTFOUND') return false;
+            if (error.code !== 'ENODATA') {
+                logger.warn('[Email] MX lookup failed', { domain, code: error.code });
+                return null;
+            }
+        }
+        try {
+            const addresses = await dns.promises.resolve4(domain);
+            return addresses.length > 0;
+        } catch (error) {
+            return error.code === 'ENODATA' || error.code === 'ENOTFOUND' ? false : null;
+        }
+    }
+
+    return domain => withTimeout(lookup(domain), lookupTimeoutMs);
+}
+
+function getDefaultMxResolver() {
+    return process.env.EMAIL_MX_CHECK === 'true' ? createDnsMxResolver() : null;
+}
+
+/**
+ * Check an email that already passed the format check.
+ * Options:
+ *   resolveMx  - MX resolver (see above); defaults to DNS when EMAIL_MX_CHECK is on, else none
+ *   allowTypo  - the partner confirmed the address, so a typo suggestion doesn't reject it
+ * Returns { ok: true } or { ok: false, code, message, suggestion? } - `suggestion` is the
+ * corrected email for `email_typo`.
+ */
+async function checkEmailQuality(email, { resolveMx = getDefaultMxResolver(), allowTypo = false } = {}) {
+    const domain = getEmailDomain(email);
+    if (!domain) {
+        return { ok: true };
+    }
+
+    if (isDisposableDomain(domain)) {
+        return { ok: false, code: EMAIL_QUALITY_CODES.DISPOSABLE, message: MESSAGES.disposable_email() };
+    }
+
+    const acceptsMail = resolveMx ? await resolveMx(domain) : null;
+
+    // A domain that receives mail is a real one, however close it is to a common provider
+    const suggestedDomain = acceptsMail === true ? null : suggestDomain(domain);
+    if (suggestedDomain && !allowTypo) {
+        const suggestion = `${email.slice(0, email.lastIndexOf('@'))}@${suggestedDomain}`;
+        return { ok: false, code: EMAIL_QUALITY_CODES.TYPO, message: MESSAGES.email_typo(suggestion), suggestion };
+    }
+
+    if (acceptsMail === false) {
+        return { ok: false, code: EMAIL_QUALITY_CODES.NO_MX, message: MESSAGES.email_domain_unreachable() };
+    }
+    return { ok: true };
+}
+
+module.exports = {
+    EMAIL_QUALITY_CODES,
+    getEmailDomain,
+    isPublicEmailDomain,
+    suggestDomain,
+    isDisposableDomain,
+    createDnsMxResolver,
+    checkEmailQuality
+};
@@ -0,0 +1,174 @@
+// One-time email codes proving the partner owns the signup email
+// After Stage A the wizard asks for a 6-digit code sent to the email. The code is kept on the
+// affiliate itself (meta-data `email_verification`), only as an HMAC so Tapfiliate admins
+// can't read it, together with its expiry. The codes sent and the guesses made are counted
+// in the ledger table (signupLedger.js), where they can be incremented atomically. A correct
+// code sets `email_verified_at`, which finalize_affiliate checks when verification is enabled.
+//
+// Optional env vars:
+//   EMAIL_VERIFICATION_ENABLED - 'true' to require a verified email before enrollment (default off)
+//   EMAIL_CODE_TTL_SECONDS     - lifetime of a code (default 600)
+//   EMAIL_CODE_MAX_ATTEMPTS    - guesses allowed per code (default 5)
+//   EMAIL_CODE_MAX_SENDS       - codes sent per affiliate, resends included (default 5)
+
+const crypto = require('crypto');
+
+const EMAIL_VERIFICATION_META_KEY = 'email_verification';
+const EMAIL_VERIFIED_META_KEY = 'email_verified_at';
+
+const CODE_LENGTH = 6;
+const DEFAULT_CODE_TTL_SECONDS = 600;    // 10 minutes
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_MAX_SENDS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;      // one email per minute per affiliate
+
+// Reasons checkCode() rejects a code - also the field error codes sent to the wizard
+const CODE_ERRORS = {
+    MISSING: 'code_missing',
+    EXPIRED: 'code_expired',
+    TOO_MANY_ATTEMPTS: 'too_many_attempts',
+    MISMATCH: 'code_mismatch'
+};
+
+function getPositiveIntEnv(name, fallback) {
+    const configured = parseInt(process.env[name], 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : fallback;
+}
+
+function isEmailVerificationEnabled() {
+    return process.env.EMAIL_VERIFICATION_ENABLED === 'true';
+}
+
+function getCodeTtlSeconds() {
+    return getPositiveIntEnv('EMAIL_CODE_TTL_SECONDS', DEFAULT_CODE_TTL_SECONDS);
+}
+
+function getMaxAttempts() {
+    return getPositiveIntEnv('EMAIL_CODE_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+}
+
+function getMaxSends() {
+    return getPositiveIntEnv('EMAIL_CODE_MAX_SENDS', DEFAULT_MAX_SENDS);
+}
+
+// Bound to the affiliate so a hash copied to another affiliate is useless
+function hashCode(code, affiliateId, secret) {
+    return crypto.createHmac('sha256', secret)
+        .update(`${affiliateId}:${code}`)
+        .digest('hex');
+}
+
+/**
+ * The verification record stored on an affiliate, or null if there is none (or it is unreadable)
+ */
+function readVerificationRecord(affiliate) {
+    const raw = affiliate && affiliate.meta_data && affiliate.meta_data[EMAIL_VERIFICATION_META_KEY];
+    if (!raw) {
+        return null;
+    }
+    try {
+        const record = typeof raw === 'string' ? JSON.parse(raw) : raw;
+        return record && typeof record.hash === 'string' ? record : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+function isEmailVerified(affiliate) {
+    return !!(affiliate && affiliate.meta_data && affiliate.meta_data[EMAIL_VERIFIED_META_KEY]);
+}
+
+/**
+ * Seconds until another code may be sent after one went out at `sentAt`, 0 if one can be sent now
+ */
+function getResendWaitSeconds(sentAt, now = Date.now()) {
+    if (!sentAt) {
+        return 0;
+    }
+    const elapsed = Math.floor((now - Date.parse(sentAt)) / 1000);
+    return Math.max(0, RESEND_COOLDOWN_SECONDS - elapsed);
+}
+
+/**
+ * Create a new code for an affiliate.
+ * Returns { code, record } - send `code` to the partner, store `record` (replaces any earlier code).
+ * `record.sent_at` ties the code to its attempt counter in the ledger.
+ */
+function createChallenge(affiliateId, secret, now = Date.now()) {
+    const code = String(crypto.randomInt(0, Math.pow(10, CODE_LENGTH))).padStart(CODE_LENGTH, '0');
+    return {
+        code,
+        record: {
+            hash: hashCode(code, affiliateId, secret),
+            expires_at: new Date(now + getCodeTtlSeconds() * 1000).toISOString(),
+            sent_at: new Date(now).toISOString()
+        }
+    };
+}
+
+/**
+ * Check a code the partner entered against the stored record.
+ * `attempt` is the number of this guess as counted in the ledger (countEmailCodeAttempt), or
+ * null when no guesses are left.
+ * Returns { valid: true } or { valid: false, reason, attemptsRemaining }.
+ */
+function checkCode(record, code, affiliateId, secret, { attempt, now = Date.now() } = {}) {
+    if (!record) {
+        return { valid: false, reason: CODE_ERRORS.MISSING };
+    }
+    const maxAttempts = getMaxAttempts();
+    if (attempt === null || attempt === undefined) {
+        return { valid: false, reason: CODE_ERRORS.TOO_MANY_ATTEMPTS, attemptsRemaining: 0 };
+    }
+    if (now > Date.parse(record.expires_at)) {
+        return { valid: false, reason: CODE_ERRORS.EXPIRED };
+    }
+
+    const expected = Buffer.from(record.hash, 'hex');
+    const actual = Buffer.from(hashCode(String(code).trim(), affiliateId, secret), 'hex');
+    if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+        return { valid: true };
+    }
+
+    return {
+        valid: false,
+        reason: attempt >= maxAttempts ? CODE_ERRORS.TOO_MANY_ATTEMPTS : CODE_ERRORS.MISMATCH,
+        attemptsRemaining: Math.max(0, maxAttempts - attempt)
+    };
+}
+
+/**
+ * Subject and body of the code email
+ */
+function buildCodeEmail(code, { firstName } = {}) {
+    const minutes = Math.round(getCodeTtlSeconds() / 60);
+    return {
+        subject: `Your Stasher Partners verification code: ${code}`,
+        text: [
+            firstName ? `Hi ${firstName},` : 'Hi,',
+            '',
+            `Your verification code is ${code}. It expires in ${minutes} minutes.`,
+            '',
+            "If you didn't sign up for the Stasher Partner Program, you can ignore this email.",
+            '',
+            'Stasher Partnerships'
+        ].join('\n')
+    };
+}
+
+module.exports = {
+    EMAIL_VERIFICATION_META_KEY,
+    EMAIL_VERIFIED_META_KEY,
+    CODE_ERRORS,
+    RESEND_COOLDOWN_SECONDS,
+    isEmailVerificationEnabled,
+    getCodeTtlSeconds,
+    getMaxAttempts,
+    getMaxSends,
+    readVerificationRecord,
+    isEmailVerified,
+    getResendWaitSeconds,
+    createChallenge,
+    checkCode,
+    buildCodeEmail
+};
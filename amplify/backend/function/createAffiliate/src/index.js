@@ -2,221 +2,483 @@
 // API key must be set as environment variable: TAPFILIATE_API_KEY
 // This function replaces the Netlify serverless function with identical logic
 
-const TAPFILIATE_BASE_URL = 'https://api.tapfiliate.com/1.6/';
-const PROGRAM_ID_MAP = {
-    'USD': 'stasher-affiliates-usd',
-    'EUR': 'stasher-affiliate-program-sp',
-    'GBP': 'stasher-affiliate-program',
-    'AUD': 'jg-affiliate-program'
-};
+const { createResumeToken, verifyResumeToken } = require('./resumeToken');
+const {
+    STEP_STATUS,
+    SubmissionMismatchError,
+    isLedgerEnabled,
+    isReservedKey,
+    resolveSubmissionId,
+    openSubmission,
+    recordStep,
+    refreshSubmissionStatus,
+    getSubmission,
+    reserveEmailCodeSend,
+    countEmailCodeAttempt
+} = require('./signupLedger');
+const {
+    normalizeFieldLabel,
+    getCustomFieldKeys,
+    PARENT_RESOLUTION,
+    resolveParentId,
+    getAffiliateDisplayName,
+    findProgramEnrollment,
+    buildCustomFields,
+    buildFinalizeUpdatePayload,
+    buildAttributionMetaData,
+    setMetaDataValues
+} = require('./tapfiliate');
+const {
+    createTapfiliateClient,
+    TapfiliateConflictError,
+    TapfiliateNotFoundError
+} = require('./tapfiliateClient');
+const { getRequestPath, createRouter } = require('./router');
+const { validateFields, VALIDATION_CODES, ADDRESS_PLACEHOLDER } = require('./validation');
+const { compact } = require('./payoutFormats');
+const { findCountryCode } = require('./countries');
+const { checkEmailQuality } = require('./emailQuality');
+const {
+    EMAIL_VERIFICATION_META_KEY,
+    EMAIL_VERIFIED_META_KEY,
+    CODE_ERRORS,
+    RESEND_COOLDOWN_SECONDS,
+    isEmailVerificationEnabled,
+    getCodeTtlSeconds,
+    getMaxAttempts,
+    getMaxSends,
+    readVerificationRecord,
+    isEmailVerified,
+    getResendWaitSeconds,
+    createChallenge,
+    checkCode,
+    buildCodeEmail
+} = require('./emailVerification');
+const { getMailTransport } = require('./mailTransport');
+const { checkParentLink } = require('./referralTree');
+const { logger } = require('./logger');
+const {
+    COMMISSION_TYPES,
+    COMPANY_TYPE_LABELS,
+    ATTRIBUTION_POLICIES,
+    resolveProgramId,
+    getProgramValues,
+    getPublicConfig
+} = require('./signupConfig');
+
+/**
+ * Map custom field labels to their API keys
+ */
+function mapCustomFieldsToKeys(customFieldsObj, fieldKeyMap) {
+    if (!customFieldsObj || typeof customFieldsObj !== 'object' || !fieldKeyMap) {
+        return {};
+    }
+    
+    const mappedFields = {};
+    Object.keys(customFieldsObj).forEach(label => {
+        const apiKey = fieldKeyMap[normalizeFieldLabel(label)];
+        if (apiKey) {
+            mappedFields[apiKey] = customFieldsObj[label];
+        } else {
+            logger.warn('Custom field key not found for label', { label });
+        }
+    });
+    
+    return mappedFields;
+}
+
+// Stage A creates the affiliate before the wizard asks for the country; Stage B replaces it
+const STAGE_A_PLACEHOLDER_COUNTRY = 'GB';
 
-// Cache for custom field keys (fallback when env vars not set)
-let customFieldsCache = null;
-let cacheTimestamp = null;
-const CACHE_DURATION = 300000; // 5 minutes
+// Meta-data key holding the client-generated idempotency key of the signup that created the affiliate
+const SIGNUP_REQUEST_META_KEY = 'signup_request_id';
+
+/**
+ * Validate and normalize the idempotency_key sent by the frontend
+ * Returns null if missing, not a plausible client-generated ID, or using a reserved ledger prefix
+ */
+function validateIdempotencyKey(rawKey) {
+    if (!rawKey || typeof rawKey !== 'string') {
+        return null;
+    }
+    const key = rawKey.trim();
+    return /^[A-Za-z0-9_-]{8,128}$/.test(key) && !isReservedKey(key) ? key : null;
+}
 
-// Normalize field labels for resilient lookup (case/spacing-insensitive)
-function normalizeFieldLabel(label) {
-    return (label || '').trim().toLowerCase();
+// Emails compared the way Tapfiliate treats them - case and surrounding spaces don't count
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
 }
 
 /**
- * Fetch custom field keys from Tapfiliate API (or read from env vars).
- * Returns a map of normalized field titles to field IDs.
- *
- * Set these env vars in the Lambda console to skip the extra API call:
- *   TAPFILIATE_FIELD_KEY_COMPANY_TYPE
- *   TAPFILIATE_FIELD_KEY_COMMISSION_TYPE
- *   TAPFILIATE_FIELD_KEY_DEMO_CALL
+ * Look up an existing affiliate by email
+ * Returns the affiliate object or null if none exists (or the lookup failed)
  */
-async function getCustomFieldKeys(apiKey) {
-    // Fast path: use environment variables if all three keys are configured
-    const envCompanyType = process.env.TAPFILIATE_FIELD_KEY_COMPANY_TYPE;
-    const envCommissionType = process.env.TAPFILIATE_FIELD_KEY_COMMISSION_TYPE;
-    const envDemoCall = process.env.TAPFILIATE_FIELD_KEY_DEMO_CALL;
-
-    if (envCompanyType && envCommissionType && envDemoCall) {
-        console.log('✅ Using custom field keys from environment variables (no API call)');
-        return {
-            [normalizeFieldLabel('Company type')]: envCompanyType,
-            [normalizeFieldLabel('Commission type')]: envCommissionType,
-            [normalizeFieldLabel('Free DEMO call?')]: envDemoCall,
-            [normalizeFieldLabel('Do you want a FREE DEMO call?')]: envDemoCall
-        };
+async function findAffiliateByEmail(email, tapfiliate) {
+    try {
+        const affiliates = await tapfiliate.findAffiliatesByEmail(email);
+        return Array.isArray(affiliates) && affiliates.length > 0 ? affiliates[0] : null;
+    } catch (error) {
+        logger.error('[Idempotency] Failed to look up affiliate by email', error);
+        return null;
     }
+}
 
-    // Fallback: fetch from Tapfiliate API with caching
-    const now = Date.now();
-    const normalizedCommission = normalizeFieldLabel('Commission type');
+/**
+ * Store the idempotency key on a newly created affiliate so repeat requests can resume it
+ */
+async function storeSignupRequestId(affiliateId, idempotencyKey, tapfiliate) {
+    try {
+        await tapfiliate.setMetaData(affiliateId, SIGNUP_REQUEST_META_KEY, idempotencyKey);
+    } catch (error) {
+        logger.error('[Idempotency] Failed to store signup request ID', error);
+    }
+}
 
-    if (customFieldsCache && cacheTimestamp && (now - cacheTimestamp < CACHE_DURATION) && customFieldsCache[normalizedCommission]) {
-        console.log('✅ Using cached custom field keys');
-        return customFieldsCache;
+/**
+ * After Tapfiliate rejected a create call, check whether the email already belongs to an
+ * affiliate created by this same signup (same idempotency key).
+ * Returns { affiliate, resumable } or null if no affiliate exists for the email.
+ * Only resumable affiliates may be handed back - otherwise anyone could obtain a
+ * resume token for an existing partner by re-submitting their email.
+ */
+async function findExistingSignup(email, idempotencyKey, tapfiliate) {
+    const existing = await findAffiliateByEmail(email, tapfiliate);
+    if (!existing || !existing.id) {
+        return null;
     }
 
-    console.log('🔍 Fetching custom field keys from Tapfiliate API (set env vars to skip this)...');
+    const storedKey = existing.meta_data && existing.meta_data[SIGNUP_REQUEST_META_KEY];
+    return {
+        affiliate: existing,
+        resumable: !!idempotencyKey && storedKey === idempotencyKey
+    };
+}
 
-    try {
-        const response = await fetch(`${TAPFILIATE_BASE_URL}affiliates/custom-fields/`, {
-            method: 'GET',
-            headers: {
-                'X-Api-Key': apiKey,
-                'Content-Type': 'application/json'
-            }
-        });
+// Response returned when the email belongs to an affiliate that this signup did not create
+function emailTakenResponse(headers) {
+    const error = 'An account with this email already exists. Please log in to your dashboard instead.';
+    return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+            error,
+            code: 'email_taken',
+            fields: [{ field: 'email', code: 'already_exists', message: error }]
+        })
+    };
+}
 
-        if (!response.ok) {
-            console.error('⚠️ Failed to fetch custom fields:', response.status);
-            return null;
-        }
+// Response returned when verification is enabled and the affiliate has not confirmed their email
+function emailNotVerifiedResponse(headers) {
+    const error = 'Please verify your email address before finishing your signup.';
+    return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({
+            error,
+            code: 'email_not_verified',
+            fields: [{ field: 'email', code: 'not_verified', message: error }]
+        })
+    };
+}
 
-        const fields = await response.json();
+const GENERIC_SIGNUP_ERROR = 'Something went wrong while creating your affiliate account. Please try again later.';
+
+// HTTP status returned to the frontend for each Tapfiliate client error code
+const TAPFILIATE_ERROR_STATUS = {
+    validation_error: 422,
+    already_exists: 409,
+    not_found: 404,
+    unauthorized: 502,  // our API key is wrong - not the partner's fault
+    rate_limited: 503,
+    upstream_error: 502,
+    timeout: 504
+};
 
-        // Create a map: normalized title -> key (prefer field.key, fallback to id)
-        const fieldMap = {};
-        if (Array.isArray(fields)) {
-            fields.forEach(field => {
-                if (field.title && (field.key || field.id)) {
-                    const normalizedTitle = normalizeFieldLabel(field.title);
-                    fieldMap[normalizedTitle] = field.key || field.id;
-                }
-            });
-        }
+// Tapfiliate names fields after its own payload - map them to the request fields the wizard sends
+const TAPFILIATE_FIELD_NAMES = {
+    'firstname': 'first_name',
+    'lastname': 'last_name',
+    'email': 'email',
+    'password': 'password',
+    'address.address': 'address.address',
+    'address.postal_code': 'address.postal_code',
+    'address.state': 'address.state',
+    'address.city': 'address.city',
+    'address.country': 'address.country.code',
+    'address.country.code': 'address.country.code',
+    'company': 'company.name',
+    'company.name': 'company.name'
+};
 
-        customFieldsCache = fieldMap;
-        cacheTimestamp = now;
+// Fallback when an errors[] entry does not name its field
+const TAPFILIATE_FIELD_PATTERNS = [
+    [/e-?mail/i, 'email'],
+    [/password/i, 'password'],
+    [/first ?name/i, 'first_name'],
+    [/last ?name/i, 'last_name'],
+    [/country/i, 'address.country.code'],
+    [/postal|zip/i, 'address.postal_code']
+];
 
-        console.log('✅ Custom field keys fetched and cached:', fieldMap);
-        if (!fieldMap[normalizedCommission]) {
-            console.error('❌ "Commission type" not found in fetched custom fields. Available fields:', Object.keys(fieldMap));
-        }
-        return fieldMap;
+/**
+ * Turn the entries of Tapfiliate's `errors[]` into the same { field, code, message } list
+ * request validation returns, so the wizard can point at the input. Entries that cannot be
+ * tied to a field are left out (they still appear in `error`).
+ */
+function tapfiliateFieldErrors(error) {
+    const code = error.code === 'already_exists' ? 'already_exists' : 'rejected';
+    return (error.errors || [])
+        .map(entry => {
+            const message = entry.message || '';
+            const named = entry.field || entry.property || entry.path;
+            let field = named ? TAPFILIATE_FIELD_NAMES[String(named).toLowerCase()] || String(named) : null;
+            if (!field) {
+                const pattern = TAPFILIATE_FIELD_PATTERNS.find(([regex]) => regex.test(message));
+                field = pattern ? pattern[1] : null;
+            }
+            return field ? { field, code, message } : null;
+        })
+        .filter(Boolean);
+}
 
-    } catch (error) {
-        console.error('❌ Error fetching custom fields:', error);
+/**
+ * Map an error from the Tapfiliate client to a consistent response.
+ * Validation and conflict errors carry Tapfiliate's own message and per-field errors (the
+ * partner can fix those), everything else gets `fallbackMessage` so Tapfiliate internals
+ * never reach the page.
+ */
+function tapfiliateErrorResponse(error, headers, fallbackMessage = GENERIC_SIGNUP_ERROR) {
+    const partnerCanFix = error.code === 'validation_error' || error.code === 'already_exists';
+    return {
+        statusCode: TAPFILIATE_ERROR_STATUS[error.code] || 500,
+        headers,
+        body: JSON.stringify({
+            error: partnerCanFix ? error.message : fallbackMessage,
+            code: error.code || 'internal_error',
+            status: error.status || undefined,
+            fields: partnerCanFix ? tapfiliateFieldErrors(error) : undefined
+        })
+    };
+}
+
+// Ledger details for a failed Tapfiliate call
+function failureDetails(error) {
+    return { error: error.body || error.message, httpStatus: error.status || undefined };
+}
+
+/**
+ * The submission's parent_linked step when it is done or rejected, otherwise null.
+ * A ledger read error is logged and treated as not settled.
+ */
+async function getSettledParentLink(submissionId) {
+    try {
+        const submission = await getSubmission(submissionId);
+        const step = submission && submission.steps && submission.steps.parent_linked;
+        return step && (step.status === STEP_STATUS.DONE || step.status === STEP_STATUS.REJECTED) ? step : null;
+    } catch (ledgerError) {
+        logger.error('[Parent] Could not read the parent link from the ledger', ledgerError);
         return null;
     }
 }
 
 /**
- * Map custom field labels to their API keys
+ * Resolve the parent reference (numeric ID, referral code or email), check it against the
+ * referral tree rules (referralTree.js), link the affiliate to it via Tapfiliate's MLM
+ * endpoint and record the outcome. `programId` is the program the affiliate joins; without
+ * one the link waits for the enrollment, which calls this again.
+ * A link the ledger already records as done or rejected (e.g. by Stage A) is not sent again -
+ * a second MLM call can fail and would mark the settled step failed.
+ * Never throws - the affiliate already exists, so a failed link is left to the retry worker.
+ * Returns the resolution sent back to the wizard as `parent`:
+ * { input, parent_id, resolved_by, linked } or { input, parent_id, reason, linked: false },
+ * or undefined if no parent was given.
  */
-function mapCustomFieldsToKeys(customFieldsObj, fieldKeyMap) {
-    if (!customFieldsObj || typeof customFieldsObj !== 'object' || !fieldKeyMap) {
-        return {};
+async function linkParent(submissionId, affiliateId, affiliateData, programId, tapfiliate) {
+    const settled = await getSettledParentLink(submissionId);
+    if (settled) {
+        logger.info('[Parent] Parent link already settled - not sent again', { status: settled.status });
+        return {
+            input: affiliateData.parent_id,
+            parent_id: settled.parent_id || null,
+            linked: settled.status === STEP_STATUS.DONE,
+            reason: settled.reason
+        };
     }
-    
-    const mappedFields = {};
-    Object.keys(customFieldsObj).forEach(label => {
-        const apiKey = fieldKeyMap[normalizeFieldLabel(label)];
-        if (apiKey) {
-            mappedFields[apiKey] = customFieldsObj[label];
+
+    const resolution = await resolveParentId(affiliateData.parent_id, tapfiliate);
+    if (!resolution || !resolution.parent_id) {
+        if (resolution) {
+            logger.info('[Parent] Skipping parent set - parent not resolved', { parent: resolution.input, reason: resolution.reason });
+        }
+        if (resolution && resolution.reason === PARENT_RESOLUTION.LOOKUP_FAILED) {
+            await recordStep(submissionId, 'parent_linked', STEP_STATUS.FAILED, { error: 'Parent lookup failed' });
         } else {
-            console.warn(`⚠️ Custom field key not found for label: "${label}"`);
+            await recordStep(submissionId, 'parent_linked', STEP_STATUS.SKIPPED, { reason: resolution && resolution.reason });
         }
-    });
-    
-    return mappedFields;
-}
+        return resolution ? { ...resolution, linked: false } : undefined;
+    }
 
-// Helper function to map country names to ISO 3166-1 alpha-2 codes
-function getCountryISOCode(countryName) {
-    if (!countryName) return 'GB'; // Default to GB if no country
-    
-    const countryMap = {
-        'United Kingdom': 'GB',
-        'UK': 'GB',
-        'United States': 'US',
-        'USA': 'US',
-        'US': 'US',
-        'Canada': 'CA',
-        'Australia': 'AU',
-        'Germany': 'DE',
-        'France': 'FR',
-        'Spain': 'ES',
-        'Italy': 'IT',
-        'Netherlands': 'NL',
-        'Belgium': 'BE',
-        'Switzerland': 'CH',
-        'Austria': 'AT',
-        'Sweden': 'SE',
-        'Norway': 'NO',
-        'Denmark': 'DK',
-        'Poland': 'PL',
-        'Portugal': 'PT',
-        'Ireland': 'IE',
-        'Greece': 'GR',
-        'Finland': 'FI',
-        'Czech Republic': 'CZ',
-        'Hungary': 'HU',
-        'Romania': 'RO',
-        'Bulgaria': 'BG',
-        'Croatia': 'HR',
-        'Slovakia': 'SK',
-        'Slovenia': 'SI',
-        'Estonia': 'EE',
-        'Latvia': 'LV',
-        'Lithuania': 'LT',
-        'Luxembourg': 'LU',
-        'Malta': 'MT',
-        'Cyprus': 'CY'
-    };
-    
-    // If already a 2-letter code, return as-is (uppercase)
-    if (countryName.length === 2) {
-        return countryName.toUpperCase();
+    const parentId = resolution.parent_id;
+    if (!programId) {
+        logger.info('[Parent] Program not known yet - linking the parent after enrollment', { parent_id: parentId });
+        return { ...resolution, linked: false, reason: 'pending_enrollment' };
     }
-    
-    // Try to find in map (case-insensitive)
-    const normalized = countryName.trim();
-    for (const [key, code] of Object.entries(countryMap)) {
-        if (key.toLowerCase() === normalized.toLowerCase()) {
-            return code;
-        }
+
+    let check;
+    try {
+        check = await checkParentLink({ affiliateId, email: affiliateData.email, parentId, programId }, tapfiliate);
+    } catch (checkError) {
+        logger.error('[Parent] Could not check the parent', { parent_id: parentId, error: checkError });
+        await recordStep(submissionId, 'parent_linked', STEP_STATUS.FAILED, failureDetails(checkError));
+        return { ...resolution, linked: false, reason: 'check_failed' };
+    }
+    if (!check.ok) {
+        logger.warn('[Parent] Parent link rejected', { parent_id: parentId, reason: check.reason });
+        await recordStep(submissionId, 'parent_linked', STEP_STATUS.REJECTED, { reason: check.reason, parentId });
+        return { ...resolution, linked: false, reason: check.reason };
+    }
+
+    try {
+        logger.info('[Parent] Setting parent via Tapfiliate MLM endpoint', { parent_id: parentId });
+        await tapfiliate.setParent(affiliateId, parentId);
+        logger.info('[Parent] Parent affiliate set', { parent_id: parentId });
+        await recordStep(submissionId, 'parent_linked', STEP_STATUS.DONE, { parentId });
+        return { ...resolution, linked: true };
+    } catch (parentError) {
+        logger.error('[Parent] Failed to set parent', { parent_id: parentId, error: parentError });
+        await recordStep(submissionId, 'parent_linked', STEP_STATUS.FAILED, failureDetails(parentError));
+        return { ...resolution, linked: false };
     }
-    
-    // Default to GB if not found
-    return 'GB';
 }
 
 /**
- * Validate and normalize parent_id for Tapfiliate MLM parent endpoint
- * Returns null if invalid, otherwise returns the validated numeric string
+ * Run a Tapfiliate step whose failure must not fail the signup (update, meta-data)
+ * and record its outcome. `call` is null when there is nothing to send.
+ * Never throws - returns the error (or null) and leaves failed steps to the retry worker.
  */
-function validateParentId(rawParentId) {
-    if (!rawParentId) {
+async function runOptionalStep(submissionId, step, call) {
+    if (!call) {
+        await recordStep(submissionId, step, STEP_STATUS.SKIPPED);
         return null;
     }
-    
-    // Convert to string and trim
-    const parentId = typeof rawParentId === 'string' ? rawParentId.trim() : String(rawParentId || '').trim();
-    
-    // Check if empty or the string "null"
-    if (parentId === '' || parentId === 'null') {
+
+    try {
+        await call();
+        logger.info('Step done', { step });
+        await recordStep(submissionId, step, STEP_STATUS.DONE);
         return null;
+    } catch (error) {
+        logger.error('Step failed', { step, error });
+        await recordStep(submissionId, step, STEP_STATUS.FAILED, failureDetails(error));
+        return error;
     }
-    
-    // Must be a numeric string (digits only)
-    if (!/^[0-9]+$/.test(parentId)) {
-        return null;
+}
+
+// The attribution meta-data step, or null if the signup has no attribution to write
+function attributionCall(affiliateId, attribution, tapfiliate) {
+    const attributionMeta = buildAttributionMetaData(attribution);
+    return Object.keys(attributionMeta).length > 0
+        ? () => setMetaDataValues(affiliateId, attributionMeta, tapfiliate)
+        : null;
+}
+
+/**
+ * Send the profile update (address, company, custom fields), the website meta-data and the
+ * referral attribution meta-data, recording each step. Never throws - returns the first error, or null.
+ */
+async function applyProfileUpdate(submissionId, affiliateData, tapfiliate) {
+    const { affiliate_id, metadata } = affiliateData;
+
+    const fieldKeyMap = await getCustomFieldKeys(tapfiliate);
+    const updatePayload = buildFinalizeUpdatePayload(affiliateData, fieldKeyMap);
+    if (updatePayload.custom_fields) {
+        logger.debug('[Update] Final custom_fields payload', { custom_fields: updatePayload.custom_fields });
+    }
+
+    const [updateError, metaError, attributionError] = await Promise.all([
+        runOptionalStep(submissionId, 'updated', Object.keys(updatePayload).length > 0
+            ? () => tapfiliate.updateAffiliate(affiliate_id, updatePayload)
+            : null),
+        runOptionalStep(submissionId, 'metadata_set', (metadata && metadata.website)
+            ? () => tapfiliate.setMetaData(affiliate_id, 'website', metadata.website)
+            : null),
+        runOptionalStep(submissionId, 'attribution_set', attributionCall(affiliate_id, affiliateData.attribution, tapfiliate))
+    ]);
+    return updateError || metaError || attributionError;
+}
+
+/**
+ * Enroll the affiliate in a program and record the step.
+ * Never throws - resolves with { program } or { error }.
+ */
+async function enrollInProgram(submissionId, affiliateId, programId, tapfiliate) {
+    logger.info('[Enroll] Enrolling affiliate in program', { program_id: programId });
+    try {
+        const program = await tapfiliate.addAffiliateToProgram(programId, affiliateId);
+        await recordStep(submissionId, 'enrolled', STEP_STATUS.DONE);
+        return { program };
+    } catch (error) {
+        logger.error('[Enroll] Failed to enroll affiliate in program', { program_id: programId, error });
+        await recordStep(submissionId, 'enrolled', STEP_STATUS.FAILED, failureDetails(error));
+        return { error };
     }
-    
-    return parentId;
+}
+
+// Strip secrets from a request body before it is written to the signup ledger
+function sanitizeForLedger(affiliateData) {
+    const { password, resume_token, ...rest } = affiliateData;
+    return rest;
+}
+
+// Response returned when the submission could not be recorded - nothing was sent to Tapfiliate
+function ledgerUnavailableResponse(headers) {
+    return {
+        statusCode: 503,
+        headers,
+        body: JSON.stringify({
+            error: 'We could not save your signup right now. Please try again in a moment.'
+        })
+    };
+}
+
+// Response for a failed openSubmission(): the key belongs to another partner's submission,
+// or the submission could not be recorded - either way nothing was sent to Tapfiliate
+function openSubmissionErrorResponse(ledgerError, headers) {
+    if (ledgerError instanceof SubmissionMismatchError) {
+        return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({
+                error: 'This signup request belongs to another account. Please reload the page and try again.',
+                code: 'submission_mismatch'
+            })
+        };
+    }
+    return ledgerUnavailableResponse(headers);
 }
 
 // Centralized function to build Tapfiliate affiliate payload
 function buildTapfiliatePayload(affiliateData) {
-    const countryCode = getCountryISOCode(affiliateData.country);
+    // Validation has already rejected countries findCountryCode() does not know
+    const countryCode = affiliateData.country
+        ? findCountryCode(affiliateData.country)
+        : STAGE_A_PLACEHOLDER_COUNTRY;
     
-    // Build address object with required structure
+    // Build address object with required structure - placeholders until the partner gives an
+    // address (Stage A runs before the address step, and the step can be skipped)
     const address = {
-        address: 'n/a',
-        postal_code: 'n/a',
-        city: affiliateData.city || 'n/a',
+        address: affiliateData.street || ADDRESS_PLACEHOLDER,
+        postal_code: affiliateData.postal_code || ADDRESS_PLACEHOLDER,
+        city: affiliateData.city || ADDRESS_PLACEHOLDER,
         country: {
             code: countryCode
         }
     };
+    if (affiliateData.region) {
+        address.state = affiliateData.region;
+    }
     
     // Build company object
     const company = {
@@ -268,959 +530,1569 @@ function buildTapfiliatePayload(affiliateData) {
     return payload;
 }
 
-// AWS Lambda handler function
-exports.handler = async (event) => {
-    // Only allow POST requests
-    if (event.httpMethod !== 'POST') {
-        return {
-            statusCode: 405,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'POST, OPTIONS',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ error: 'Method not allowed' })
-        };
+function resumeTokenSecretMissingResponse(headers) {
+    logger.error('RESUME_TOKEN_SECRET is not set');
+    return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({
+            error: 'Server configuration error: resume token secret not set.'
+        })
+    };
+}
+
+/**
+ * Check the resume_token sent with finalize_affiliate / update_custom_fields.
+ * Returns an error response if the token is missing, expired or issued for another
+ * affiliate/email, otherwise null.
+ */
+function checkResumeToken(affiliateData, secret, headers) {
+    if (!secret) {
+        return resumeTokenSecretMissingResponse(headers);
     }
 
-    // CORS headers
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'POST, OPTIONS',
-        'Content-Type': 'application/json'
+    const result = verifyResumeToken(affiliateData.resume_token, {
+        affiliateId: affiliateData.affiliate_id,
+        email: affiliateData.email
+    }, secret);
+
+    if (result.valid) {
+        return null;
+    }
+
+    logger.warn('[Resume token] Rejected request', { reason: result.reason });
+    return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({
+            error: result.reason === 'expired'
+                ? 'Your signup session has expired. Please start again.'
+                : 'Invalid or missing resume token.',
+            reason: result.reason
+        })
+    };
+}
+
+
+// Response returned when the request fails its route's schema - one entry per failing field
+function validationErrorResponse(fieldErrors, headers) {
+    return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+            error: `Invalid fields: ${fieldErrors.map(fieldError => fieldError.field).join(', ')}`,
+            code: 'validation_failed',
+            fields: fieldErrors
+        })
     };
+}
 
-    // Handle preflight OPTIONS request
-    if (event.httpMethod === 'OPTIONS') {
+/**
+ * Run the email-quality checks (emailQuality.js) before an affiliate is created.
+ * A likely typo is let through once the partner has confirmed the address (`email_confirmed`).
+ * Returns a 400 response in the validation format, or null if the email can be used.
+ */
+async function checkSignupEmail(affiliateData, headers) {
+    const result = await checkEmailQuality(affiliateData.email, { allowTypo: affiliateData.email_confirmed === true });
+    if (result.ok) {
+        return null;
+    }
+
+    logger.warn('[Email] Rejected signup email', { code: result.code });
+    return validationErrorResponse([{
+        field: 'email',
+        code: result.code,
+        message: result.message,
+        suggestion: result.suggestion
+    }], headers);
+}
+
+/**
+ * POST /email-checks (mode check_email, when the partner leaves Page 3)
+ * --------------------------------------------------------------------
+ * Expects: email
+ * Does:   runs the same email-quality checks as Stage A, so the wizard can show the problem
+ *         (or a suggested correction) before moving on. Always 200 for a well-formed email.
+ */
+async function checkEmail({ data, headers }) {
+    const result = await checkEmailQuality(data.email);
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            mode: 'check_email',
+            ...result
+        })
+    };
+}
+
+/**
+ * GET /referrals/{code} (mode lookup_referral, when the wizard opens from a signup link)
+ * -------------------------------------------------------------------------------------
+ * Expects: the `?via=` / `?parent_id=` value in the path - a referral code or affiliate ID
+ * Does:   resolves it like linkParent does and returns the referring partner's public
+ *         display name, so the wizard can show who invited them (or warn about a bad link)
+ * Emails are accepted as parent_id but not here - the endpoint would tell anyone whether
+ * an email belongs to a partner.
+ */
+async function lookupReferral({ params, headers, tapfiliate }) {
+    const isEmail = String(params.code || '').includes('@');
+    const resolution = isEmail ? null : await resolveParentId(params.code, tapfiliate);
+    if (!resolution || resolution.reason === PARENT_RESOLUTION.INVALID) {
         return {
-            statusCode: 200,
+            statusCode: 400,
             headers,
-            body: ''
+            body: JSON.stringify({
+                error: 'Invalid referral code',
+                code: 'invalid_referral_code'
+            })
+        };
+    }
+    if (resolution.reason === PARENT_RESOLUTION.LOOKUP_FAILED) {
+        return {
+            statusCode: 502,
+            headers,
+            body: JSON.stringify({
+                error: 'Could not look up the referral code',
+                code: 'lookup_failed'
+            })
+        };
+    }
+    if (!resolution.parent_id) {
+        return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({
+                error: 'Referral code not found',
+                code: 'referral_not_found'
+            })
         };
     }
 
+    // The link works even if the name can't be read - the wizard then shows a generic banner
+    let displayName = null;
     try {
-        // Get API key from environment variable
-        // In AWS Amplify, set this in the Lambda function's environment variables
-        // Go to AWS Lambda Console → Your function → Configuration → Environment variables
-        const TAPFILIATE_API_KEY = process.env.TAPFILIATE_API_KEY;
-        
-        // Check if API key is set (MANDATORY - no hardcoded fallback for security)
-        if (!TAPFILIATE_API_KEY) {
-            console.error('TAPFILIATE_API_KEY is not set!');
-            return {
-                statusCode: 500,
-                headers,
-                body: JSON.stringify({ 
-                    error: 'Server configuration error: API key not set.' 
-                })
-            };
-        }
+        displayName = await getAffiliateDisplayName(resolution.parent_id, tapfiliate);
+    } catch (error) {
+        logger.warn('[Referral] Could not read the referring affiliate', { parent_id: resolution.parent_id, error });
+    }
 
-        // Parse request body (AWS Lambda event.body is a string)
-        const affiliateData = JSON.parse(event.body);
-        console.log('Received affiliate data:', JSON.stringify(affiliateData, null, 2));
-
-        const mode = affiliateData.mode || null;
-
-        /**
-         * MODE A: Create affiliate only (after Page 3)
-         * -------------------------------------------
-         * Expects: first_name, last_name, email, password
-         * Does:   creates affiliate in Tapfiliate and returns affiliate_id
-         * Does NOT: enroll in program
-         */
-        if (mode === 'create_affiliate_only') {
-            // Validate minimal required fields
-            const requiredFieldsStageA = ['first_name', 'last_name', 'email', 'password'];
-            const missingStageA = requiredFieldsStageA.filter((field) => {
-                const value = affiliateData[field];
-                return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
-            });
-
-            if (missingStageA.length > 0) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        error: `Missing required fields: ${missingStageA.join(', ')}`
-                    })
-                };
-            }
+    return {
+        statusCode: 200,
+        headers: { ...headers, 'Cache-Control': 'public, max-age=300' },
+        body: JSON.stringify({
+            success: true,
+            mode: 'lookup_referral',
+            found: true,
+            display_name: displayName
+        })
+    };
+}
 
-            // Build Tapfiliate payload with minimal data
-            const tapfiliatePayloadStageA = buildTapfiliatePayload(affiliateData);
-
-            // Fetch custom field keys and add custom fields if provided
-            const fieldKeyMap = await getCustomFieldKeys(TAPFILIATE_API_KEY);
-            if (fieldKeyMap) {
-                const customFields = {};
-                
-                // Add Company type if provided
-                if (affiliateData.company_type) {
-                    const companyTypeKey = fieldKeyMap[normalizeFieldLabel('Company type')];
-                    if (companyTypeKey) {
-                        // Map company type values to labels
-                        const companyTypeLabels = {
-                            'supply': 'I want to store bags (Supply)',
-                            'vacation-rental': 'Vacation Rental / Airbnb Host',
-                            'pms': 'PMS',
-                            'venue': 'Venue',
-                            'blog': 'Blog',
-                            'tour-operator': 'Tour Operator',
-                            'transportations': 'Transportations',
-                            'other': 'Other'
-                        };
-                        const companyTypeValue = companyTypeLabels[affiliateData.company_type] || affiliateData.company_type;
-                        customFields[companyTypeKey] = companyTypeValue;
-                    }
-                }
-                
-                // Add Commission type if provided (same pattern as company type)
-                if (affiliateData.commission_type) {
-                    const commissionKey = fieldKeyMap[normalizeFieldLabel('Commission type')];
-                    if (commissionKey) {
-                        // Validate and normalize commission type to ensure only one of the three formats is sent
-                        const validCommissionTypes = [
-                            'I want 10% commission',
-                            'I want 10% discount code',
-                            'Custom'
-                        ];
-                        // Use value directly if it's one of the valid formats, otherwise default to the first valid value
-                        const commissionTypeValue = validCommissionTypes.includes(affiliateData.commission_type) 
-                            ? affiliateData.commission_type 
-                            : validCommissionTypes[0];
-                        customFields[commissionKey] = commissionTypeValue;
-                    }
-                }
-                
-                // Add Free DEMO call if provided (same pattern as company type)
-                if (affiliateData.wantsDemoCall !== undefined && affiliateData.wantsDemoCall !== null) {
-                    const demoCallKey = fieldKeyMap[normalizeFieldLabel('Free DEMO call?')] || fieldKeyMap[normalizeFieldLabel('Do you want a FREE DEMO call?')];
-                    if (demoCallKey) {
-                        customFields[demoCallKey] = affiliateData.wantsDemoCall ? 'Yes' : 'No';
-                    }
-                }
-                
-                if (Object.keys(customFields).length > 0) {
-                    tapfiliatePayloadStageA.custom_fields = customFields;
-                    console.log('[Stage A] Final custom_fields payload:', JSON.stringify(customFields, null, 2));
-                }
-            }
+/**
+ * POST /affiliates (mode create_affiliate_only, after Page 3)
+ * -----------------------------------------------------------
+ * Expects: first_name, last_name, email, password, optional program (to check the parent link)
+ * Does:   creates affiliate in Tapfiliate and returns affiliate_id plus a resume_token
+ * Does NOT: enroll in program
+ */
+async function createAffiliate({ data: affiliateData, headers, tapfiliate, idempotencyKey }) {
+    const RESUME_TOKEN_SECRET = process.env.RESUME_TOKEN_SECRET;
+    if (!RESUME_TOKEN_SECRET) {
+        return resumeTokenSecretMissingResponse(headers);
+    }
 
-            // parent_id now sent in creation payload; keep /parent call as fallback
-            if (affiliateData.parent_id && affiliateData.parent_id !== '' && affiliateData.parent_id !== 'null') {
-                console.log('[Stage A] 🔗 Sending parent_id in creation payload:', affiliateData.parent_id);
-            } else {
-                console.log('[Stage A] 👤 Creating top-level affiliate (no parent)');
-            }
+    // Typos and throwaway addresses would create an affiliate nobody can log in to
+    const emailError = await checkSignupEmail(affiliateData, headers);
+    if (emailError) {
+        return emailError;
+    }
 
-            // Log the payload (mask sensitive data)
-            const logPayloadStageA = { ...tapfiliatePayloadStageA };
-            if (logPayloadStageA.password) {
-                logPayloadStageA.password = '***MASKED***';
-            }
-            console.log('[Stage A] Tapfiliate payload (password masked):', JSON.stringify(logPayloadStageA, null, 2));
-
-            console.log('[Stage A] Creating affiliate in Tapfiliate...');
-            console.log('[Stage A] API Endpoint:', `${TAPFILIATE_BASE_URL}affiliates/`);
-
-            const createResponseStageA = await fetch(`${TAPFILIATE_BASE_URL}affiliates/`, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'X-Api-Key': TAPFILIATE_API_KEY
-                },
-                body: JSON.stringify(tapfiliatePayloadStageA)
-            });
-
-            console.log('[Stage A] Tapfiliate response status:', createResponseStageA.status);
-
-            if (!createResponseStageA.ok) {
-                const contentType = createResponseStageA.headers.get('content-type');
-                const errorText = await createResponseStageA.text();
-
-                const trimmedError = errorText.length > 1000 ? errorText.substring(0, 1000) + '...' : errorText;
-                console.error('[Stage A] Tapfiliate API error response (trimmed):', trimmedError);
-
-                // Check if response is HTML (error page)
-                if (contentType && contentType.includes('text/html')) {
-                    console.error('[Stage A] Tapfiliate returned HTML error page instead of JSON');
-                    return {
-                        statusCode: 500,
-                        headers,
-                        body: JSON.stringify({
-                            error: 'Something went wrong while creating your affiliate account. Please try again later.',
-                            status: createResponseStageA.status
-                        })
-                    };
-                }
+    // Record the submission before any Tapfiliate call
+    const submissionIdStageA = resolveSubmissionId(idempotencyKey);
+    try {
+        await openSubmission(submissionIdStageA, {
+            email: affiliateData.email,
+            create_affiliate_only_request: sanitizeForLedger(affiliateData)
+        });
+    } catch (ledgerError) {
+        logger.error('[Stage A] Failed to record submission in ledger', ledgerError);
+        return openSubmissionErrorResponse(ledgerError, headers);
+    }
 
-                let errorMessage = 'Failed to create affiliate';
-
-                try {
-                    const errorJson = JSON.parse(errorText);
-                    if (errorJson.errors && Array.isArray(errorJson.errors)) {
-                        errorMessage = errorJson.errors.map(e => e.message || e).join(', ');
-                    } else if (errorJson.message) {
-                        errorMessage = errorJson.message;
-                    }
-                } catch (e) {
-                    errorMessage = 'Something went wrong while creating your affiliate account. Please try again later.';
-                }
+    // Build Tapfiliate payload with minimal data
+    const tapfiliatePayloadStageA = buildTapfiliatePayload(affiliateData);
 
-                return {
-                    statusCode: createResponseStageA.status,
-                    headers,
-                    body: JSON.stringify({
-                        error: errorMessage,
-                        status: createResponseStageA.status
-                    })
-                };
-            }
+    // Custom fields for company type, commission type and demo call, if the request has them
+    const customFields = buildCustomFields(await getCustomFieldKeys(tapfiliate), affiliateData);
+    if (Object.keys(customFields).length > 0) {
+        tapfiliatePayloadStageA.custom_fields = customFields;
+        logger.debug('[Stage A] Final custom_fields payload', { custom_fields: customFields });
+    }
+
+    // parent_id is not part of the creation payload - linkParent() sets it through /parent/ once the affiliate exists
+    if (affiliateData.parent_id && affiliateData.parent_id !== '' && affiliateData.parent_id !== 'null') {
+        logger.info('[Stage A] Will link parent after creation', { parent_id: affiliateData.parent_id });
+    } else {
+        logger.info('[Stage A] Creating top-level affiliate (no parent)');
+    }
+    if (affiliateData.attribution) {
+        logger.info('[Stage A] Referral attribution', { attribution: affiliateData.attribution });
+    }
 
-            const affiliateStageA = await createResponseStageA.json();
+    // The logger redacts the password and masks the email
+    logger.debug('[Stage A] Tapfiliate payload', { payload: tapfiliatePayloadStageA });
+    logger.info('[Stage A] Creating affiliate in Tapfiliate');
 
-            if (!affiliateStageA || !affiliateStageA.id) {
+    let affiliateStageA;
+    try {
+        affiliateStageA = await tapfiliate.createAffiliate(tapfiliatePayloadStageA);
+    } catch (createError) {
+        logger.error('[Stage A] Tapfiliate API error', createError);
+        await recordStep(submissionIdStageA, 'created', STEP_STATUS.FAILED, failureDetails(createError));
+
+        // Email may already exist - resume it if this same signup created it
+        if (createError instanceof TapfiliateConflictError || createError.code === 'validation_error') {
+            const existingSignup = await findExistingSignup(affiliateData.email, idempotencyKey, tapfiliate);
+            if (existingSignup && existingSignup.resumable) {
+                logger.appendContext({ affiliate_id: existingSignup.affiliate.id });
+                logger.info('[Stage A] Resuming affiliate created by the same signup request');
+                await recordStep(submissionIdStageA, 'created', STEP_STATUS.DONE, { affiliateId: existingSignup.affiliate.id });
+                await refreshSubmissionStatus(submissionIdStageA);
                 return {
-                    statusCode: 500,
+                    statusCode: 200,
                     headers,
                     body: JSON.stringify({
-                        error: 'Invalid response from Tapfiliate API'
+                        success: true,
+                        mode: 'create_affiliate_only',
+                        affiliate_id: existingSignup.affiliate.id,
+                        resumed: true,
+                        resume_token: createResumeToken({
+                            affiliateId: existingSignup.affiliate.id,
+                            email: affiliateData.email
+                        }, RESUME_TOKEN_SECRET)
                     })
                 };
             }
-
-            console.log('[Stage A] Affiliate created with ID:', affiliateStageA.id);
-
-            // Set parent affiliate if provided (for MLM functionality)
-            const parentIdStageA = validateParentId(affiliateData.parent_id);
-            if (parentIdStageA) {
-                try {
-                    console.log('[Parent] Setting parent via Tapfiliate MLM endpoint:', parentIdStageA);
-                    const setParentResponse = await fetch(
-                        `${TAPFILIATE_BASE_URL}affiliates/${affiliateStageA.id}/parent/`,
-                        {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'X-Api-Key': TAPFILIATE_API_KEY
-                            },
-                            body: JSON.stringify({
-                                via: parentIdStageA
-                            })
-                        }
-                    );
-
-                    if (!setParentResponse.ok) {
-                        const parentErrorText = await setParentResponse.text();
-                        const trimmedParentError = parentErrorText.length > 1000 ? parentErrorText.substring(0, 1000) + '...' : parentErrorText;
-                        console.error('[Parent] Failed to set parent:', setParentResponse.status, trimmedParentError);
-                        // Continue anyway - affiliate was created successfully
-                    } else {
-                        console.log('[Stage A] ✅ Parent affiliate set successfully');
-                    }
-                } catch (parentError) {
-                    console.error('[Parent] Failed to set parent:', parentError);
-                    // Continue anyway - affiliate was created successfully
-                }
-            } else if (affiliateData.parent_id) {
-                console.log('[Parent] Skipping parent set – invalid parent_id value:', affiliateData.parent_id);
+            if (existingSignup) {
+                logger.warn('[Stage A] Email already belongs to another signup - not resuming');
+                return emailTakenResponse(headers);
             }
+        }
 
-            // Return only affiliate_id (no program enrollment here)
-            return {
-                statusCode: 200,
-                headers,
-                body: JSON.stringify({
-                    success: true,
-                    mode: 'create_affiliate_only',
-                    affiliate_id: affiliateStageA.id
-                })
-            };
+        return tapfiliateErrorResponse(createError, headers);
+    }
+
+    if (!affiliateStageA || !affiliateStageA.id) {
+        await recordStep(submissionIdStageA, 'created', STEP_STATUS.FAILED, {
+            error: 'Invalid response from Tapfiliate API (no affiliate id)'
+        });
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({
+                error: 'Invalid response from Tapfiliate API'
+            })
+        };
+    }
+
+    logger.appendContext({ affiliate_id: affiliateStageA.id });
+    logger.info('[Stage A] Affiliate created');
+    await recordStep(submissionIdStageA, 'created', STEP_STATUS.DONE, { affiliateId: affiliateStageA.id });
+
+    // Remember which signup created this affiliate so repeat requests resume it
+    if (idempotencyKey) {
+        await storeSignupRequestId(affiliateStageA.id, idempotencyKey, tapfiliate);
+    }
+
+    // Set parent affiliate if provided (for MLM functionality)
+    // Stage A links the parent early when the wizard already sent the program (Page 2)
+    const parentStageA = await linkParent(submissionIdStageA, affiliateStageA.id, affiliateData,
+        affiliateData.program ? resolveProgramId(affiliateData.program) : null, tapfiliate);
+
+    await refreshSubmissionStatus(submissionIdStageA);
+
+    // Return affiliate_id plus a signed token the later stages must send back
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            mode: 'create_affiliate_only',
+            affiliate_id: affiliateStageA.id,
+            parent: parentStageA,
+            resume_token: createResumeToken({
+                affiliateId: affiliateStageA.id,
+                email: affiliateData.email
+            }, RESUME_TOKEN_SECRET)
+        })
+    };
+}
+
+/**
+ * POST /affiliates/{id}/resume-token (mode renew_resume_token)
+ * ------------------------------------------------------------
+ * Expects: email, idempotency_key
+ * Does:   issues a new resume_token after the old one expired, as long as this signup created
+ *         the affiliate (its signup_request_id meta-data is the idempotency_key) and the email is
+ *         still the affiliate's. Anything else gets 401 resume_not_allowed - the wizard then
+ *         runs Stage A again with the partner's current details.
+ */
+async function renewResumeToken({ data: affiliateData, headers, tapfiliate, idempotencyKey }) {
+    const { affiliate_id, email } = affiliateData;
+    const RESUME_TOKEN_SECRET = process.env.RESUME_TOKEN_SECRET;
+    if (!RESUME_TOKEN_SECRET) {
+        return resumeTokenSecretMissingResponse(headers);
+    }
+
+    let affiliate = null;
+    try {
+        affiliate = await tapfiliate.getAffiliate(affiliate_id);
+    } catch (error) {
+        if (!(error instanceof TapfiliateNotFoundError)) {
+            logger.error('[Resume token] Failed to load affiliate', error);
+            return tapfiliateErrorResponse(error, headers);
         }
+    }
 
-        /**
-         * MODE B: Finalize affiliate (after last page)
-         * --------------------------------------------
-         * Expects: affiliate_id, program, optional metadata (website), optional address, optional company
-         * Does:   updates affiliate with complete info, enrolls existing affiliate into program, sets website meta-data
-         */
-        if (mode === 'finalize_affiliate') {
-            const { affiliate_id, program, metadata, address, company, company_type, company_description } = affiliateData;
+    const storedKey = affiliate && affiliate.meta_data && affiliate.meta_data[SIGNUP_REQUEST_META_KEY];
+    if (!affiliate || !idempotencyKey || storedKey !== idempotencyKey ||
+        normalizeEmail(affiliate.email) !== normalizeEmail(email)) {
+        logger.warn('[Resume token] Renewal refused', { found: !!affiliate });
+        return {
+            statusCode: 401,
+            headers,
+            body: JSON.stringify({
+                error: 'This signup can no longer be resumed. Please enter your details again.',
+                code: 'resume_not_allowed'
+            })
+        };
+    }
 
-            if (!affiliate_id) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Missing affiliate_id for finalize_affiliate mode'
-                    })
-                };
-            }
+    logger.info('[Resume token] Renewed');
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            mode: 'renew_resume_token',
+            affiliate_id,
+            resume_token: createResumeToken({ affiliateId: affiliate_id, email }, RESUME_TOKEN_SECRET)
+        })
+    };
+}
 
-            const mappedProgramIdFinalize = PROGRAM_ID_MAP[program] || program;
-            if (!mappedProgramIdFinalize) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Missing or invalid program selection'
-                    })
-                };
-            }
+/**
+ * PATCH /affiliates/{id}
+ * ----------------------
+ * Expects: email, resume_token, optional address, company, company_type, company_description,
+ *          commission_type, wantsDemoCall, metadata (website)
+ * Does:   updates the affiliate's details and website meta-data
+ */
+async function updateAffiliate({ data: affiliateData, headers, tapfiliate, idempotencyKey }) {
+    const { affiliate_id } = affiliateData;
 
-            // Fetch custom field keys and build custom fields (same pattern as company type)
-            const fieldKeyMap = await getCustomFieldKeys(TAPFILIATE_API_KEY);
-            const customFields = {};
-            
-            if (fieldKeyMap) {
-                // Add Commission type if provided (same pattern as company type)
-                if (affiliateData.commission_type) {
-                    const commissionKey = fieldKeyMap[normalizeFieldLabel('Commission type')];
-                    if (commissionKey) {
-                        // Validate and normalize commission type to ensure only one of the three formats is sent
-                        const validCommissionTypes = [
-                            'I want 10% commission',
-                            'I want 10% discount code',
-                            'Custom'
-                        ];
-                        // Use value directly if it's one of the valid formats, otherwise default to the first valid value
-                        const commissionTypeValue = validCommissionTypes.includes(affiliateData.commission_type) 
-                            ? affiliateData.commission_type 
-                            : validCommissionTypes[0];
-                        customFields[commissionKey] = commissionTypeValue;
-                    }
-                }
-                
-                // Add Free DEMO call if provided (same pattern as company type)
-                if (affiliateData.wantsDemoCall !== undefined && affiliateData.wantsDemoCall !== null) {
-                    const demoCallKey = fieldKeyMap[normalizeFieldLabel('Free DEMO call?')] || fieldKeyMap[normalizeFieldLabel('Do you want a FREE DEMO call?')];
-                    if (demoCallKey) {
-                        customFields[demoCallKey] = affiliateData.wantsDemoCall ? 'Yes' : 'No';
-                    }
-                }
-            }
-            
-            // Handle company_description based on company_type (same logic as buildTapfiliatePayload)
-            let companyDescriptionToAdd = null;
-            if (company_type === 'vacation-rental') {
-                companyDescriptionToAdd = 'STR';
-            } else if (company_type && 
-                       ['pms', 'venue', 'blog', 'tour-operator', 'transportations', 'other'].includes(company_type)) {
-                // Use provided company_description if available
-                companyDescriptionToAdd = company_description || null;
-            }
-            // For 'supply' or no company_type, companyDescriptionToAdd remains null
-            
-            // Update affiliate with complete information if provided
-            const updatePayload = {};
-            // DO NOT include parent_id in update payload - use dedicated /parent/ endpoint instead
-            if (address) {
-                updatePayload.address = address;
-            }
-            if (company) {
-                // Create a copy of company object and add description if needed
-                const companyToUpdate = { ...company };
-                if (companyDescriptionToAdd) {
-                    companyToUpdate.description = companyDescriptionToAdd;
-                }
-                updatePayload.company = companyToUpdate;
-            } else if (companyDescriptionToAdd) {
-                // If no company object but we have description, create one
-                updatePayload.company = {
-                    name: 'n/a',
-                    description: companyDescriptionToAdd
-                };
-            }
-            if (Object.keys(customFields).length > 0) {
-                updatePayload.custom_fields = customFields;
-                console.log('[Stage B] Final custom_fields payload:', JSON.stringify(customFields, null, 2));
-            }
+    const tokenError = checkResumeToken(affiliateData, process.env.RESUME_TOKEN_SECRET, headers);
+    if (tokenError) {
+        return tokenError;
+    }
 
-            // Run update, meta-data, and enrollment in parallel — they are independent
-            console.log('[Stage B] Running update, meta-data, and enrollment in parallel...');
-
-            const updatePromise = Object.keys(updatePayload).length > 0
-                ? fetch(`${TAPFILIATE_BASE_URL}affiliates/${affiliate_id}/`, {
-                    method: 'PATCH',
-                    headers: { 'Content-Type': 'application/json', 'X-Api-Key': TAPFILIATE_API_KEY },
-                    body: JSON.stringify(updatePayload)
-                }).then(async r => {
-                    if (!r.ok) console.error('[Stage B] ⚠️ Failed to update affiliate:', await r.text());
-                    else console.log('[Stage B] ✅ Affiliate updated with complete info');
-                }).catch(e => console.error('[Stage B] Error updating affiliate:', e))
-                : Promise.resolve();
-
-            const metaPromise = (metadata && metadata.website)
-                ? fetch(`${TAPFILIATE_BASE_URL}affiliates/${affiliate_id}/meta-data/website/`, {
-                    method: 'PUT',
-                    headers: { 'Content-Type': 'application/json', 'X-Api-Key': TAPFILIATE_API_KEY },
-                    body: JSON.stringify({ value: metadata.website })
-                }).then(async r => {
-                    if (!r.ok) {
-                        const t = await r.text();
-                        console.error('[Stage B] Failed to set website meta data:', t.substring(0, 1000));
-                    } else {
-                        console.log('[Stage B] ✅ Website meta data set');
-                    }
-                }).catch(e => console.error('[Stage B] Error setting website meta data:', e))
-                : Promise.resolve();
-
-            const enrollmentPayloadFinalize = { affiliate: { id: affiliate_id }, approved: null };
-            console.log('[Stage B] Enrollment endpoint:', `${TAPFILIATE_BASE_URL}programs/${mappedProgramIdFinalize}/affiliates/?send_welcome_email=false`);
-
-            const addToProgramResponseFinalize = fetch(
-                `${TAPFILIATE_BASE_URL}programs/${mappedProgramIdFinalize}/affiliates/?send_welcome_email=false`,
-                {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json', 'X-Api-Key': TAPFILIATE_API_KEY },
-                    body: JSON.stringify(enrollmentPayloadFinalize)
-                }
-            );
+    // Record the submission before any Tapfiliate call
+    const submissionId = resolveSubmissionId(idempotencyKey, affiliate_id);
+    try {
+        await openSubmission(submissionId, {
+            email: affiliateData.email,
+            affiliate_id: String(affiliate_id),
+            update_affiliate_request: sanitizeForLedger(affiliateData)
+        });
+    } catch (ledgerError) {
+        logger.error('[Update] Failed to record submission in ledger', ledgerError);
+        return openSubmissionErrorResponse(ledgerError, headers);
+    }
+    await recordStep(submissionId, 'created', STEP_STATUS.DONE, { affiliateId: affiliate_id });
 
-            const [, , addToProgramResponseFinalizeResolved] = await Promise.all([updatePromise, metaPromise, addToProgramResponseFinalize]);
+    const updateError = await applyProfileUpdate(submissionId, affiliateData, tapfiliate);
+    await refreshSubmissionStatus(submissionId);
 
-            console.log('[Stage B] Enrollment response status:', addToProgramResponseFinalizeResolved.status);
+    if (updateError) {
+        return tapfiliateErrorResponse(updateError, headers, 'Failed to update affiliate details');
+    }
 
-            if (!addToProgramResponseFinalizeResolved.ok) {
-                const contentTypeFinalize = addToProgramResponseFinalizeResolved.headers.get('content-type');
-                const errorTextFinalize = await addToProgramResponseFinalizeResolved.text();
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            affiliate_id
+        })
+    };
+}
 
-                const trimmedErrorFinalize = errorTextFinalize.length > 1000 ? errorTextFinalize.substring(0, 1000) + '...' : errorTextFinalize;
-                console.error('[Stage B] Failed to enroll affiliate in program (trimmed):', trimmedErrorFinalize);
+/**
+ * POST /affiliates/{id}/enrollments
+ * ---------------------------------
+ * Expects: email, resume_token, program, optional parent_id
+ * Does:   enrolls the affiliate in the program, then links its parent
+ */
+async function enrollAffiliate({ data: affiliateData, headers, tapfiliate, idempotencyKey }) {
+    const { affiliate_id, program } = affiliateData;
 
-                if (contentTypeFinalize && contentTypeFinalize.includes('text/html')) {
-                    console.error('[Stage B] Tapfiliate returned HTML error page instead of JSON');
-                    return {
-                        statusCode: 500,
-                        headers,
-                        body: JSON.stringify({
-                            error: 'Something went wrong while creating your affiliate account. Please try again later.',
-                            status: addToProgramResponseFinalizeResolved.status
-                        })
-                    };
-                }
+    const tokenError = checkResumeToken(affiliateData, process.env.RESUME_TOKEN_SECRET, headers);
+    if (tokenError) {
+        return tokenError;
+    }
 
-                return {
-                    statusCode: addToProgramResponseFinalizeResolved.status || 500,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Affiliate created but failed to enroll in program.',
-                        status: addToProgramResponseFinalizeResolved.status
-                    })
-                };
-            }
+    const verificationError = await requireVerifiedEmail(affiliate_id, headers, tapfiliate);
+    if (verificationError) {
+        return verificationError;
+    }
 
-            const programResultFinalize = await addToProgramResponseFinalizeResolved.json();
-
-            // Set parent affiliate AFTER successful enrollment (for MLM functionality)
-            const parentIdFinalize = validateParentId(affiliateData.parent_id);
-            if (parentIdFinalize) {
-                try {
-                    console.log('[Parent] Setting parent via Tapfiliate MLM endpoint:', parentIdFinalize);
-                    const setParentResponseFinalize = await fetch(
-                        `${TAPFILIATE_BASE_URL}affiliates/${affiliate_id}/parent/`,
-                        {
-                            method: 'POST',
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'X-Api-Key': TAPFILIATE_API_KEY
-                            },
-                            body: JSON.stringify({
-                                via: parentIdFinalize
-                            })
-                        }
-                    );
-
-                    if (!setParentResponseFinalize.ok) {
-                        const parentErrorTextFinalize = await setParentResponseFinalize.text();
-                        const trimmedParentErrorFinalize = parentErrorTextFinalize.length > 1000 ? parentErrorTextFinalize.substring(0, 1000) + '...' : parentErrorTextFinalize;
-                        console.error('[Parent] Failed to set parent:', setParentResponseFinalize.status, trimmedParentErrorFinalize);
-                        // Continue anyway - affiliate is enrolled successfully
-                    } else {
-                        console.log('[Stage B] ✅ Parent affiliate set successfully');
-                    }
-                } catch (parentErrorFinalize) {
-                    console.error('[Parent] Failed to set parent:', parentErrorFinalize);
-                    // Continue anyway - affiliate is enrolled successfully
-                }
-            } else if (affiliateData.parent_id) {
-                console.log('[Parent] Skipping parent set – invalid parent_id value:', affiliateData.parent_id);
-            }
+    const mappedProgramId = resolveProgramId(program);
+
+    // Record the submission before any Tapfiliate call
+    const submissionId = resolveSubmissionId(idempotencyKey, affiliate_id);
+    try {
+        await openSubmission(submissionId, {
+            email: affiliateData.email,
+            affiliate_id: String(affiliate_id),
+            program_id: mappedProgramId,
+            enrollment_request: sanitizeForLedger(affiliateData)
+        });
+    } catch (ledgerError) {
+        logger.error('[Enroll] Failed to record submission in ledger', ledgerError);
+        return openSubmissionErrorResponse(ledgerError, headers);
+    }
+    await recordStep(submissionId, 'created', STEP_STATUS.DONE, { affiliateId: affiliate_id });
+
+    const enrollment = await enrollInProgram(submissionId, affiliate_id, mappedProgramId, tapfiliate);
+    if (enrollment.error) {
+        return tapfiliateErrorResponse(enrollment.error, headers, 'Affiliate created but failed to enroll in program.');
+    }
+
+    // Set parent affiliate AFTER successful enrollment (for MLM functionality)
+    const parent = await linkParent(submissionId, affiliate_id, affiliateData, mappedProgramId, tapfiliate);
+
+    await refreshSubmissionStatus(submissionId);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            affiliate_id,
+            program: enrollment.program,
+            parent
+        })
+    };
+}
+
+/**
+ * Mode finalize_affiliate (after last page) - PATCH /affiliates/{id} and
+ * POST /affiliates/{id}/enrollments in one call, kept for the compatibility shim
+ * --------------------------------------------------------------------------------
+ * Expects: affiliate_id, email, resume_token, program, optional metadata (website), optional address, optional company
+ * Does:   updates affiliate with complete info, enrolls existing affiliate into program, sets website meta-data
+ */
+async function finalizeAffiliate({ data: affiliateData, headers, tapfiliate, idempotencyKey }) {
+    const { affiliate_id, program } = affiliateData;
+
+    const tokenErrorFinalize = checkResumeToken(affiliateData, process.env.RESUME_TOKEN_SECRET, headers);
+    if (tokenErrorFinalize) {
+        return tokenErrorFinalize;
+    }
+
+    const verificationErrorFinalize = await requireVerifiedEmail(affiliate_id, headers, tapfiliate);
+    if (verificationErrorFinalize) {
+        return verificationErrorFinalize;
+    }
+
+    const mappedProgramIdFinalize = resolveProgramId(program);
+
+    // Record the submission before any Tapfiliate call
+    const submissionIdFinalize = resolveSubmissionId(idempotencyKey, affiliate_id);
+    try {
+        await openSubmission(submissionIdFinalize, {
+            email: affiliateData.email,
+            affiliate_id: String(affiliate_id),
+            program_id: mappedProgramIdFinalize,
+            finalize_affiliate_request: sanitizeForLedger(affiliateData)
+        });
+    } catch (ledgerError) {
+        logger.error('[Stage B] Failed to record submission in ledger', ledgerError);
+        return openSubmissionErrorResponse(ledgerError, headers);
+    }
+    // Stage A created the affiliate (possibly without a ledger record of its own)
+    await recordStep(submissionIdFinalize, 'created', STEP_STATUS.DONE, { affiliateId: affiliate_id });
+
+    // Run update, meta-data, and enrollment in parallel — they are independent
+    logger.info('[Stage B] Running update, meta-data, and enrollment in parallel');
+    const [, enrollmentFinalize] = await Promise.all([
+        applyProfileUpdate(submissionIdFinalize, affiliateData, tapfiliate),
+        enrollInProgram(submissionIdFinalize, affiliate_id, mappedProgramIdFinalize, tapfiliate)
+    ]);
+
+    if (enrollmentFinalize.error) {
+        return tapfiliateErrorResponse(enrollmentFinalize.error, headers, 'Affiliate created but failed to enroll in program.');
+    }
+
+    // Set parent affiliate AFTER successful enrollment (for MLM functionality)
+    const parentFinalize = await linkParent(submissionIdFinalize, affiliate_id, affiliateData, mappedProgramIdFinalize, tapfiliate);
+
+    await refreshSubmissionStatus(submissionIdFinalize);
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            mode: 'finalize_affiliate',
+            affiliate_id,
+            program: enrollmentFinalize.program,
+            parent: parentFinalize
+        })
+    };
+}
+
+/**
+ * PUT /affiliates/{id}/custom-fields (mode update_custom_fields, after Page 4)
+ * ----------------------------------------------------------------------------
+ * Expects: email, resume_token, commission_type (optional)
+ * Does:   updates only custom fields for existing affiliate
+ */
+async function updateCustomFields({ data: affiliateData, headers, tapfiliate, idempotencyKey }) {
+    const { affiliate_id } = affiliateData;
+
+    const tokenErrorStageC = checkResumeToken(affiliateData, process.env.RESUME_TOKEN_SECRET, headers);
+    if (tokenErrorStageC) {
+        return tokenErrorStageC;
+    }
+
+    // Record the request before any Tapfiliate call (finalize_affiliate tracks the 'updated' step)
+    const submissionIdStageC = resolveSubmissionId(idempotencyKey, affiliate_id);
+    try {
+        await openSubmission(submissionIdStageC, {
+            email: affiliateData.email,
+            affiliate_id: String(affiliate_id),
+            update_custom_fields_request: sanitizeForLedger(affiliateData)
+        });
+    } catch (ledgerError) {
+        logger.error('[Stage C] Failed to record submission in ledger', ledgerError);
+        return openSubmissionErrorResponse(ledgerError, headers);
+    }
+
+    const response = await applyCustomFieldsUpdate(affiliateData, headers, tapfiliate);
+    // No step is recorded here - put back the status the steps say, e.g. after a call
+    // made once the signup was already complete
+    await refreshSubmissionStatus(submissionIdStageC);
+    return response;
+}
+
+// The Tapfiliate part of update_custom_fields
+async function applyCustomFieldsUpdate(affiliateData, headers, tapfiliate) {
+    const { affiliate_id, commission_type } = affiliateData;
+
+    // Fetch custom field keys and build custom fields - this stage only sets the commission type
+    const fieldKeyMap = await getCustomFieldKeys(tapfiliate);
+    const customFields = buildCustomFields(fieldKeyMap, { commission_type });
+
+    logger.debug('[Stage C] Commission type received', { commission_type });
+    if (!fieldKeyMap) {
+        logger.error('[Stage C] Custom field keys unavailable - cannot set custom fields');
+    } else if (commission_type && Object.keys(customFields).length === 0) {
+        // The label must match exactly (case, spacing) after normalizeFieldLabel
+        logger.error('[Stage C] Custom field "Commission type" not found in Tapfiliate', {
+            available_fields: Object.keys(fieldKeyMap)
+        });
+    }
+
+    // Only update if we have custom fields to update
+    if (Object.keys(customFields).length > 0) {
+        const updatePayload = {
+            custom_fields: customFields
+        };
 
+        try {
+            logger.debug('[Stage C] Updating affiliate custom fields', { payload: updatePayload });
+            await tapfiliate.updateAffiliate(affiliate_id, updatePayload);
+            logger.info('[Stage C] Custom fields updated');
             return {
                 statusCode: 200,
                 headers,
                 body: JSON.stringify({
                     success: true,
-                    mode: 'finalize_affiliate',
-                    affiliate_id,
-                    program: programResultFinalize
+                    mode: 'update_custom_fields',
+                    affiliate_id
                 })
             };
+        } catch (updateError) {
+            logger.error('[Stage C] Failed to update custom fields', updateError);
+            return tapfiliateErrorResponse(updateError, headers, 'Failed to update commission type');
         }
+    } else {
+        // No custom fields to update
+        logger.warn('[Stage C] No custom fields to update');
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({
+                success: true,
+                mode: 'update_custom_fields',
+                affiliate_id,
+                message: 'No custom fields to update'
+            })
+        };
+    }
+}
 
-        /**
-         * MODE C: Update custom fields only (after Page 4)
-         * ------------------------------------------------
-         * Expects: affiliate_id, commission_type (optional)
-         * Does:   updates only custom fields for existing affiliate
-         */
-        if (mode === 'update_custom_fields') {
-            const { affiliate_id, commission_type } = affiliateData;
+/**
+ * GET /submissions/{key}?email=... (mode submission_status, confirmation page)
+ * ----------------------------------------------------------------------------
+ * Expects: the signup's idempotency key in the path, email
+ * Does:   reads the signup ledger so the confirmation page can show the real outcome,
+ *         including after the partner closed the tab mid-submission. No record is not a
+ *         failure - the signup may still have gone through - so it gets its own code.
+ */
+async function getSubmissionStatus({ params, query, headers }) {
+    const submissionKey = validateIdempotencyKey(params.key);
+    if (!submissionKey) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({
+                error: 'Invalid idempotency key',
+                code: 'invalid_key'
+            })
+        };
+    }
 
-            if (!affiliate_id) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Missing affiliate_id for update_custom_fields mode'
-                    })
-                };
-            }
+    if (!isLedgerEnabled()) {
+        return {
+            statusCode: 503,
+            headers,
+            body: JSON.stringify({
+                error: 'Signup status is not available',
+                code: 'ledger_disabled'
+            })
+        };
+    }
 
-            // Fetch custom field keys and build custom fields
-            const fieldKeyMap = await getCustomFieldKeys(TAPFILIATE_API_KEY);
-            const customFields = {};
-            
-            console.log('[Stage C] 🔍 DEBUG: Commission type received:', commission_type);
-            console.log('[Stage C] 🔍 DEBUG: Affiliate ID:', affiliate_id);
-            
-            if (fieldKeyMap) {
-                // DEBUG: Log all available custom fields
-                console.log('[Stage C] 🔍 DEBUG: All available custom fields in Tapfiliate:');
-                Object.keys(fieldKeyMap).forEach(fieldName => {
-                    console.log(`[Stage C]   - "${fieldName}" -> ID: ${fieldKeyMap[fieldName]}`);
-                });
-                
-                // Add Commission type if provided
-                if (commission_type) {
-                    const commissionKey = fieldKeyMap[normalizeFieldLabel('Commission type')];
-                    console.log('[Stage C] 🔍 DEBUG: Looking for field "Commission type"');
-                    console.log('[Stage C] 🔍 DEBUG: Field key found:', commissionKey ? `YES (ID: ${commissionKey})` : 'NO - FIELD NOT FOUND!');
-                    
-                    if (commissionKey) {
-                        // Validate and normalize commission type to ensure only one of the three formats is sent
-                        const validCommissionTypes = [
-                            'I want 10% commission',
-                            'I want 10% discount code',
-                            'Custom'
-                        ];
-                        const commissionTypeValue = validCommissionTypes.includes(commission_type) 
-                            ? commission_type 
-                            : validCommissionTypes[0];
-                        
-                        console.log('[Stage C] ✅ DEBUG: Setting commission type value:', commissionTypeValue);
-                        customFields[commissionKey] = commissionTypeValue;
-                    } else {
-                        console.error('[Stage C] ❌ DEBUG: Commission type field "Commission type" NOT FOUND in Tapfiliate!');
-                        console.error('[Stage C] ❌ DEBUG: Available field names:', Object.keys(fieldKeyMap));
-                        console.error('[Stage C] ❌ DEBUG: Check if field name matches exactly (case-sensitive, spacing, etc.)');
-                    }
-                } else {
-                    console.log('[Stage C] ⚠️ DEBUG: No commission_type value provided');
-                }
-            } else {
-                console.error('[Stage C] ❌ DEBUG: fieldKeyMap is null - cannot fetch custom fields');
-            }
-            
-            // Only update if we have custom fields to update
-            console.log('[Stage C] 🔍 DEBUG: Custom fields to send:', Object.keys(customFields).length > 0 ? customFields : 'NONE');
-            
-            if (Object.keys(customFields).length > 0) {
-                const updatePayload = {
-                    custom_fields: customFields
-                };
+    let submission;
+    try {
+        submission = await getSubmission(resolveSubmissionId(submissionKey));
+    } catch (ledgerError) {
+        logger.error('[Status] Failed to read submission from ledger', ledgerError);
+        return ledgerUnavailableResponse(headers);
+    }
 
-                console.log('[Stage C] 📤 DEBUG: Sending update payload to Tapfiliate:');
-                console.log('[Stage C] 📤 DEBUG: Endpoint:', `${TAPFILIATE_BASE_URL}affiliates/${affiliate_id}/`);
-                console.log('[Stage C] 📤 DEBUG: Payload:', JSON.stringify(updatePayload, null, 2));
-
-                try {
-                    console.log('[Stage C] Updating affiliate custom fields...');
-                    const updateResponse = await fetch(`${TAPFILIATE_BASE_URL}affiliates/${affiliate_id}/`, {
-                        method: 'PATCH',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-Api-Key': TAPFILIATE_API_KEY
-                        },
-                        body: JSON.stringify(updatePayload)
-                    });
-
-                    const responseText = await updateResponse.text();
-                    console.log('[Stage C] 📥 DEBUG: Tapfiliate response status:', updateResponse.status);
-                    console.log('[Stage C] 📥 DEBUG: Tapfiliate response body:', responseText);
-
-                    if (!updateResponse.ok) {
-                        const trimmedError = responseText.length > 1000 ? responseText.substring(0, 1000) + '...' : responseText;
-                        console.error('[Stage C] ⚠️ Failed to update custom fields (trimmed):', trimmedError);
-                        return {
-                            statusCode: updateResponse.status,
-                            headers,
-                            body: JSON.stringify({
-                                error: 'Failed to update commission type',
-                                status: updateResponse.status
-                            })
-                        };
-                    } else {
-                        console.log('[Stage C] ✅ Custom fields updated successfully');
-                        console.log('[Stage C] ✅ DEBUG: Full response:', responseText);
-                        return {
-                            statusCode: 200,
-                            headers,
-                            body: JSON.stringify({
-                                success: true,
-                                mode: 'update_custom_fields',
-                                affiliate_id
-                            })
-                        };
-                    }
-                } catch (updateError) {
-                    console.error('[Stage C] ❌ DEBUG: Error updating custom fields:', updateError);
-                    console.error('[Stage C] ❌ DEBUG: Error stack:', updateError.stack);
-                    return {
-                        statusCode: 500,
-                        headers,
-                        body: JSON.stringify({
-                            error: 'Internal server error while updating custom fields',
-                            message: updateError.message
-                        })
-                    };
-                }
-            } else {
-                // No custom fields to update
-                console.warn('[Stage C] ⚠️ DEBUG: No custom fields to update - empty customFields object');
-                return {
-                    statusCode: 200,
-                    headers,
-                    body: JSON.stringify({
-                        success: true,
-                        mode: 'update_custom_fields',
-                        affiliate_id,
-                        message: 'No custom fields to update'
-                    })
-                };
-            }
-        }
+    // The key alone is not enough - the email must match the recorded submission too
+    if (!submission || normalizeEmail(submission.email) !== normalizeEmail(query.email)) {
+        return {
+            statusCode: 404,
+            headers,
+            body: JSON.stringify({
+                error: 'No record of this submission',
+                code: 'submission_unknown'
+            })
+        };
+    }
 
-        /**
-         * LEGACY / DEFAULT MODE (no mode field)
-         * -------------------------------------
-         * Keeps existing behavior: create affiliate + enroll in program
-         */
-        const mappedProgramId = PROGRAM_ID_MAP[affiliateData.program] || affiliateData.program;
-        if (!mappedProgramId) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({
-                    error: 'Missing or invalid program selection'
-                })
-            };
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            mode: 'submission_status',
+            status: submission.status,
+            updated_at: submission.updated_at
+        })
+    };
+}
+
+// Meta-data keys written by set_payout_details, per payout method. Saving one method clears
+// the other's keys so stale bank details are not left behind.
+const PAYOUT_METHOD_KEYS = {
+    paypal: { paypal_email: 'paypal_email' },
+    bank_transfer: { account_holder: 'bank_account_holder', iban: 'bank_iban', swift: 'bank_swift' }
+};
+// Required per method (swift is optional - SEPA transfers only need the IBAN)
+const PAYOUT_REQUIRED_FIELDS = {
+    paypal: ['paypal_email'],
+    bank_transfer: ['account_holder', 'iban']
+};
+const TAX_META_KEYS = { vat_number: 'vat_number', company_registration_number: 'company_registration_number' };
+
+// IBAN, SWIFT and VAT numbers are stored compact and uppercase, the way finance pastes them
+const COMPACTED_PAYOUT_FIELDS = ['iban', 'swift', 'vat_number'];
+
+// Meta-data key -> value for a payout request
+function buildPayoutMetaData(affiliateData) {
+    const method = affiliateData.payout_method;
+    const metaData = { payout_method: method };
+
+    Object.entries(PAYOUT_METHOD_KEYS).forEach(([candidate, keys]) => {
+        Object.entries(keys).forEach(([field, key]) => {
+            const value = candidate === method ? affiliateData[field] : '';
+            metaData[key] = COMPACTED_PAYOUT_FIELDS.includes(field) ? compact(value) : String(value || '').trim();
+        });
+    });
+    Object.entries(TAX_META_KEYS).forEach(([field, key]) => {
+        if (affiliateData[field]) {
+            metaData[key] = COMPACTED_PAYOUT_FIELDS.includes(field) ? compact(affiliateData[field]) : affiliateData[field].trim();
         }
+    });
+    return metaData;
+}
+
+/**
+ * PUT /affiliates/{id}/payout-details (mode set_payout_details, from the confirmation page)
+ * -----------------------------------------------------------------------------------------
+ * Expects: email, resume_token, payout_method ('paypal' with paypal_email, or 'bank_transfer'
+ *          with account_holder, iban and optional swift), optional country, vat_number and
+ *          company_registration_number
+ * Does:   writes the payout and tax details to the affiliate's meta-data
+ *
+ * Not recorded in the signup ledger: the signup is complete by then, and the ledger must not
+ * hold bank details. A failure is returned to the partner, who can send the form again.
+ */
+async function setPayoutDetails({ data: affiliateData, headers, tapfiliate }) {
+    const { affiliate_id, payout_method } = affiliateData;
+
+    const tokenErrorPayout = checkResumeToken(affiliateData, process.env.RESUME_TOKEN_SECRET, headers);
+    if (tokenErrorPayout) {
+        return tokenErrorPayout;
+    }
+
+    const missingFields = PAYOUT_REQUIRED_FIELDS[payout_method]
+        .filter(field => typeof affiliateData[field] !== 'string' || affiliateData[field].trim() === '')
+        .map(field => ({ field, code: VALIDATION_CODES.REQUIRED, message: `${field} is required for ${payout_method}` }));
+    if (missingFields.length > 0) {
+        return validationErrorResponse(missingFields, headers);
+    }
+
+    const metaData = buildPayoutMetaData(affiliateData);
+    logger.info('[Payout] Saving payout details', { payout_method, keys: Object.keys(metaData) });
+    try {
+        await Promise.all(Object.entries(metaData).map(([key, value]) => tapfiliate.setMetaData(affiliate_id, key, value)));
+    } catch (error) {
+        logger.error('[Payout] Failed to save payout details', error);
+        return tapfiliateErrorResponse(error, headers, 'We could not save your payout details. Please try again.');
+    }
+
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            mode: 'set_payout_details',
+            affiliate_id,
+            payout_method
+        })
+    };
+}
 
-        // Validate required fields (using frontend field names)
-        const requiredFields = ['first_name', 'last_name', 'email', 'password', 'city', 'country', 'company'];
-        const missing = requiredFields.filter((field) => {
-            const value = affiliateData[field];
-            return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+/**
+ * Refuse enrollment while EMAIL_VERIFICATION_ENABLED is on and the affiliate has not
+ * confirmed their email. Returns an error response, or null if enrollment may go ahead.
+ */
+async function requireVerifiedEmail(affiliateId, headers, tapfiliate) {
+    if (!isEmailVerificationEnabled()) {
+        return null;
+    }
+
+    let affiliate;
+    try {
+        affiliate = await tapfiliate.getAffiliate(affiliateId);
+    } catch (error) {
+        logger.error('[Email verification] Failed to load affiliate', error);
+        return tapfiliateErrorResponse(error, headers);
+    }
+    if (isEmailVerified(affiliate)) {
+        return null;
+    }
+
+    logger.warn('[Email verification] Enrollment refused - email not verified');
+    return emailNotVerifiedResponse(headers);
+}
+
+/**
+ * POST /affiliates/{id}/email-verification (mode send_email_code, between Page 3 and 4)
+ * -------------------------------------------------------------------------------------
+ * Expects: email, resume_token
+ * Does:   stores a new 6-digit code on the affiliate (replacing any earlier one) and emails it
+ *         through the configured mail transport; at most one email per minute and
+ *         EMAIL_CODE_MAX_SENDS per affiliate, counted in the ledger
+ */
+async function sendEmailCode({ data: affiliateData, headers, tapfiliate, mailer }) {
+    const { affiliate_id, email } = affiliateData;
+    const RESUME_TOKEN_SECRET = process.env.RESUME_TOKEN_SECRET;
+
+    const tokenErrorSend = checkResumeToken(affiliateData, RESUME_TOKEN_SECRET, headers);
+    if (tokenErrorSend) {
+        return tokenErrorSend;
+    }
+
+    if (!mailer) {
+        logger.error('[Email verification] No mail transport configured (MAIL_TRANSPORT)');
+        return {
+            statusCode: 503,
+            headers,
+            body: JSON.stringify({
+                error: 'We could not send a verification code right now. Please try again later.',
+                code: 'mail_unavailable'
+            })
+        };
+    }
+
+    let affiliate;
+    try {
+        affiliate = await tapfiliate.getAffiliate(affiliate_id);
+    } catch (error) {
+        logger.error('[Email verification] Failed to load affiliate', error);
+        return tapfiliateErrorResponse(error, headers);
+    }
+
+    if (isEmailVerified(affiliate)) {
+        return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, mode: 'send_email_code', affiliate_id, verified: true })
+        };
+    }
+
+    let reservation;
+    try {
+        reservation = await reserveEmailCodeSend(affiliate_id, {
+            maxSends: getMaxSends(),
+            cooldownSeconds: RESEND_COOLDOWN_SECONDS
         });
+    } catch (ledgerError) {
+        logger.error('[Email verification] Failed to count code email in ledger', ledgerError);
+        return ledgerUnavailableResponse(headers);
+    }
 
-        if (missing.length > 0) {
-            return {
-                statusCode: 400,
-                headers,
-                body: JSON.stringify({
-                    error: `Missing required fields: ${missing.join(', ')}`
-                })
-            };
+    if (!reservation.allowed && reservation.reason === 'limit') {
+        logger.warn('[Email verification] Code email limit reached');
+        return {
+            statusCode: 429,
+            headers,
+            body: JSON.stringify({
+                error: 'Too many verification codes were requested for this signup. Please contact us to finish it.',
+                code: 'code_limit_reached'
+            })
+        };
+    }
+    if (!reservation.allowed) {
+        const waitSeconds = getResendWaitSeconds(reservation.lastSentAt) || RESEND_COOLDOWN_SECONDS;
+        return {
+            statusCode: 429,
+            headers: { ...headers, 'Retry-After': String(waitSeconds) },
+            body: JSON.stringify({
+                error: 'A code was sent less than a minute ago. Please check your inbox or try again shortly.',
+                code: 'code_recently_sent',
+                retry_after: waitSeconds
+            })
+        };
+    }
+
+    const { code, record } = createChallenge(affiliate_id, RESUME_TOKEN_SECRET, Date.parse(reservation.sentAt));
+    try {
+        await tapfiliate.setMetaData(affiliate_id, EMAIL_VERIFICATION_META_KEY, JSON.stringify(record));
+    } catch (error) {
+        logger.error('[Email verification] Failed to store code', error);
+        return tapfiliateErrorResponse(error, headers, 'We could not send a verification code. Please try again.');
+    }
+
+    try {
+        await mailer.send({ to: email, ...buildCodeEmail(code, { firstName: affiliate && affiliate.firstname }) });
+    } catch (error) {
+        logger.error('[Email verification] Failed to send code', error);
+        return {
+            statusCode: 502,
+            headers,
+            body: JSON.stringify({
+                error: 'We could not send a verification code. Please try again.',
+                code: 'mail_failed'
+            })
+        };
+    }
+
+    logger.info('[Email verification] Code sent', { transport: mailer.name });
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            mode: 'send_email_code',
+            affiliate_id,
+            verified: false,
+            expires_in: getCodeTtlSeconds()
+        })
+    };
+}
+
+/**
+ * POST /affiliates/{id}/email-verification/confirm (mode verify_email_code)
+ * -------------------------------------------------------------------------
+ * Expects: email, resume_token, code
+ * Does:   checks the code against the stored one (expiry, attempts) and on success sets
+ *         `email_verified_at` on the affiliate. Every guess is counted in the ledger first,
+ *         so parallel requests can't get past EMAIL_CODE_MAX_ATTEMPTS.
+ */
+async function verifyEmailCode({ data: affiliateData, headers, tapfiliate }) {
+    const { affiliate_id } = affiliateData;
+    const RESUME_TOKEN_SECRET = process.env.RESUME_TOKEN_SECRET;
+
+    const tokenErrorVerify = checkResumeToken(affiliateData, RESUME_TOKEN_SECRET, headers);
+    if (tokenErrorVerify) {
+        return tokenErrorVerify;
+    }
+
+    let affiliate;
+    try {
+        affiliate = await tapfiliate.getAffiliate(affiliate_id);
+    } catch (error) {
+        logger.error('[Email verification] Failed to load affiliate', error);
+        return tapfiliateErrorResponse(error, headers);
+    }
+
+    const verifiedResponse = {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, mode: 'verify_email_code', affiliate_id, verified: true })
+    };
+    if (isEmailVerified(affiliate)) {
+        return verifiedResponse;
+    }
+
+    const record = readVerificationRecord(affiliate);
+    let attempt = null;
+    if (record) {
+        try {
+            attempt = await countEmailCodeAttempt(affiliate_id, record.sent_at, getMaxAttempts());
+        } catch (ledgerError) {
+            // An uncounted guess would let the partner retry blindly - refuse
+            logger.error('[Email verification] Failed to count attempt', ledgerError);
+            return ledgerUnavailableResponse(headers);
         }
+    }
 
-        // DO NOT send onboarding_fields - Company Type, Commission Type, and Number of Properties
-        // are collected in the form for validation only, but NOT sent to Tapfiliate API
-        // Explicitly DO NOT include:
-        // - company_type (collected in form but not sent to API)
-        // - commission_type (collected in form but not sent to API)
-        // - number_of_properties (collected in form but not sent to API)
-
-        // Build Tapfiliate payload using centralized function
-        const tapfiliatePayload = buildTapfiliatePayload(affiliateData);
-
-        // Fetch custom field keys and add custom fields if provided
-        const fieldKeyMap = await getCustomFieldKeys(TAPFILIATE_API_KEY);
-        if (fieldKeyMap) {
-            const customFields = {};
-            
-            // Add Company type if provided
-            if (affiliateData.company_type) {
-                const companyTypeKey = fieldKeyMap[normalizeFieldLabel('Company type')];
-                if (companyTypeKey) {
-                    // Map company type values to labels
-                    const companyTypeLabels = {
-                        'supply': 'I want to store bags (Supply)',
-                        'vacation-rental': 'Vacation Rental / Airbnb Host',
-                        'pms': 'PMS',
-                        'venue': 'Venue',
-                        'blog': 'Blog',
-                        'tour-operator': 'Tour Operator',
-                        'transportations': 'Transportations',
-                        'other': 'Other'
-                    };
-                    const companyTypeValue = companyTypeLabels[affiliateData.company_type] || affiliateData.company_type;
-                    customFields[companyTypeKey] = companyTypeValue;
-                }
-            }
-            
-            // Add Commission type if provided (same pattern as company type)
-            if (affiliateData.commission_type) {
-                const commissionKey = fieldKeyMap[normalizeFieldLabel('Commission type')];
-                if (commissionKey) {
-                    // Validate and normalize commission type to ensure only one of the three formats is sent
-                    const validCommissionTypes = [
-                        'I want 10% commission',
-                        'I want 10% discount code',
-                        'Custom'
-                    ];
-                    // Use value directly if it's one of the valid formats, otherwise default to the first valid value
-                    const commissionTypeValue = validCommissionTypes.includes(affiliateData.commission_type) 
-                        ? affiliateData.commission_type 
-                        : validCommissionTypes[0];
-                    customFields[commissionKey] = commissionTypeValue;
-                }
-            }
-            
-            // Add Free DEMO call if provided (same pattern as company type)
-            if (affiliateData.wantsDemoCall !== undefined && affiliateData.wantsDemoCall !== null) {
-                const demoCallKey = fieldKeyMap[normalizeFieldLabel('Free DEMO call?')] || fieldKeyMap[normalizeFieldLabel('Do you want a FREE DEMO call?')];
-                if (demoCallKey) {
-                    customFields[demoCallKey] = affiliateData.wantsDemoCall ? 'Yes' : 'No';
-                }
-            }
-            
-            if (Object.keys(customFields).length > 0) {
-                tapfiliatePayload.custom_fields = customFields;
-                console.log('Final custom_fields payload:', JSON.stringify(customFields, null, 2));
+    const result = checkCode(record, affiliateData.code, affiliate_id, RESUME_TOKEN_SECRET, { attempt });
+    if (!result.valid) {
+        logger.warn('[Email verification] Code rejected', { reason: result.reason, attempts_remaining: result.attemptsRemaining });
+        const message = result.reason === CODE_ERRORS.MISMATCH
+            ? 'code is not correct'
+            : 'code is no longer valid - request a new one';
+        return validationErrorResponse([{
+            field: 'code',
+            code: result.reason,
+            message,
+            attempts_remaining: result.attemptsRemaining
+        }], headers);
+    }
+
+    try {
+        await tapfiliate.setMetaData(affiliate_id, EMAIL_VERIFIED_META_KEY, new Date().toISOString());
+    } catch (error) {
+        logger.error('[Email verification] Failed to mark email as verified', error);
+        return tapfiliateErrorResponse(error, headers);
+    }
+    // The code can't be used twice; a failure here only leaves a spent record behind
+    try {
+        await tapfiliate.setMetaData(affiliate_id, EMAIL_VERIFICATION_META_KEY, '');
+    } catch (error) {
+        logger.warn('[Email verification] Failed to clear used code', { code: error.code });
+    }
+
+    logger.info('[Email verification] Email verified');
+    return verifiedResponse;
+}
+
+/**
+ * GET /config
+ * -----------
+ * Does:   returns the programs, company types and commission types the wizard renders
+ *         (see signupConfig.js)
+ */
+async function getConfig({ headers }) {
+    return {
+        statusCode: 200,
+        headers: { ...headers, 'Cache-Control': 'public, max-age=300' },
+        body: JSON.stringify({
+            success: true,
+            ...getPublicConfig(),
+            // The wizard adds the code step between Page 3 and 4 when this is on
+            email_verification: isEmailVerificationEnabled()
+        })
+    };
+}
+
+/**
+ * Legacy create + enroll (POST with no `mode`)
+ * --------------------------------------------
+ * Keeps existing behavior: create affiliate + enroll in program
+ */
+async function legacyCreateAndEnroll({ data: affiliateData, headers, tapfiliate, idempotencyKey }) {
+    const mappedProgramId = resolveProgramId(affiliateData.program);
+
+    // Creates and enrolls in one call, so there is never a verified email to check
+    if (isEmailVerificationEnabled()) {
+        logger.warn('[Email verification] Legacy signup refused - verification is enabled');
+        return emailNotVerifiedResponse(headers);
+    }
+
+    const emailError = await checkSignupEmail(affiliateData, headers);
+    if (emailError) {
+        return emailError;
+    }
+
+    // Record the submission before any Tapfiliate call
+    const submissionId = resolveSubmissionId(idempotencyKey);
+    try {
+        await openSubmission(submissionId, {
+            email: affiliateData.email,
+            program_id: mappedProgramId,
+            legacy_request: sanitizeForLedger(affiliateData)
+        });
+    } catch (ledgerError) {
+        logger.error('Failed to record submission in ledger', ledgerError);
+        return openSubmissionErrorResponse(ledgerError, headers);
+    }
+    // Legacy mode has no separate update call - everything goes into the create payload
+    await recordStep(submissionId, 'updated', STEP_STATUS.SKIPPED);
+
+    // DO NOT send onboarding_fields - company type and commission type go in as custom fields
+    // below; number_of_properties is collected in the form but not sent to Tapfiliate
+
+    // Build Tapfiliate payload using centralized function
+    const tapfiliatePayload = buildTapfiliatePayload(affiliateData);
+
+    // Custom fields for company type, commission type and demo call, if the request has them
+    const customFields = buildCustomFields(await getCustomFieldKeys(tapfiliate), affiliateData);
+    if (Object.keys(customFields).length > 0) {
+        tapfiliatePayload.custom_fields = customFields;
+        logger.debug('Final custom_fields payload', { custom_fields: customFields });
+    }
+
+    // Note: parent_id cannot be set during creation - must use separate API call after creation
+    if (affiliateData.parent_id && affiliateData.parent_id !== '' && affiliateData.parent_id !== 'null') {
+        logger.info('Will set parent after affiliate creation', { parent_id: affiliateData.parent_id });
+    } else {
+        logger.info('Creating top-level affiliate (no parent)');
+    }
+
+    // The logger redacts the password and masks the email
+    logger.debug('Tapfiliate payload', { payload: tapfiliatePayload, program_id: mappedProgramId });
+
+    // Step 1: Create affiliate in Tapfiliate
+    logger.info('Creating affiliate in Tapfiliate');
+
+    let affiliate = null;
+    // True when a repeat legacy request picks up the affiliate its first attempt created
+    let resumedLegacy = false;
+
+    try {
+        affiliate = await tapfiliate.createAffiliate(tapfiliatePayload);
+    } catch (createError) {
+        logger.error('Tapfiliate API error', createError);
+        await recordStep(submissionId, 'created', STEP_STATUS.FAILED, failureDetails(createError));
+
+        // Email may already exist - resume it if this same signup created it
+        if (createError instanceof TapfiliateConflictError || createError.code === 'validation_error') {
+            const existingSignup = await findExistingSignup(affiliateData.email, idempotencyKey, tapfiliate);
+            if (existingSignup && existingSignup.resumable) {
+                logger.appendContext({ affiliate_id: existingSignup.affiliate.id });
+                logger.info('Resuming affiliate created by the same signup request');
+                affiliate = existingSignup.affiliate;
+                resumedLegacy = true;
+            } else if (existingSignup) {
+                logger.warn('Email already belongs to another signup - not resuming');
+                return emailTakenResponse(headers);
             }
         }
 
-        // Note: parent_id cannot be set during creation - must use separate API call after creation
-        if (affiliateData.parent_id && affiliateData.parent_id !== '' && affiliateData.parent_id !== 'null') {
-            console.log('🔗 Will set parent after affiliate creation:', affiliateData.parent_id);
-        } else {
-            console.log('👤 Creating top-level affiliate (no parent)');
+        if (!resumedLegacy) {
+            return tapfiliateErrorResponse(createError, headers);
         }
+    }
 
-        // Log the payload (mask sensitive data)
-        const logPayload = { ...tapfiliatePayload };
-        if (logPayload.password) {
-            logPayload.password = '***MASKED***';
-        }
-        console.log('Tapfiliate payload (password masked):', JSON.stringify(logPayload, null, 2));
-        console.log('Program ID (for enrollment):', mappedProgramId);
-
-        // Step 1: Create affiliate in Tapfiliate
-        console.log('Creating affiliate in Tapfiliate...');
-        console.log('API Endpoint:', `${TAPFILIATE_BASE_URL}affiliates/`);
-        console.log('API Key present:', !!TAPFILIATE_API_KEY);
-        
-        const createResponse = await fetch(`${TAPFILIATE_BASE_URL}affiliates/`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'X-Api-Key': TAPFILIATE_API_KEY
-            },
-            body: JSON.stringify(tapfiliatePayload)
+    if (!affiliate || !affiliate.id) {
+        await recordStep(submissionId, 'created', STEP_STATUS.FAILED, {
+            error: 'Invalid response from Tapfiliate API (no affiliate id)'
         });
-        
-        console.log('Tapfiliate response status:', createResponse.status);
-
-        if (!createResponse.ok) {
-            const contentType = createResponse.headers.get('content-type');
-            const errorText = await createResponse.text();
-            
-            // Log error details (trim long responses)
-            const trimmedError = errorText.length > 1000 ? errorText.substring(0, 1000) + '...' : errorText;
-            console.error('Tapfiliate API error response (trimmed):', trimmedError);
-            console.error('Response status:', createResponse.status);
-            console.error('Response content-type:', contentType);
-            
-            // Check if response is HTML (error page)
-            if (contentType && contentType.includes('text/html')) {
-                console.error('Tapfiliate returned HTML error page instead of JSON');
-                return {
-                    statusCode: 500,
-                    headers,
-                    body: JSON.stringify({ 
-                        error: 'Something went wrong while creating your affiliate account. Please try again later.',
-                        status: createResponse.status
-                    })
-                };
-            }
-            
-            let errorMessage = 'Failed to create affiliate';
-            
-            try {
-                const errorJson = JSON.parse(errorText);
-                if (errorJson.errors && Array.isArray(errorJson.errors)) {
-                    errorMessage = errorJson.errors.map(e => e.message || e).join(', ');
-                } else if (errorJson.message) {
-                    errorMessage = errorJson.message;
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ 
+                error: 'Invalid response from Tapfiliate API' 
+            })
+        };
+    }
+
+    logger.appendContext({ affiliate_id: affiliate.id });
+    await recordStep(submissionId, 'created', STEP_STATUS.DONE, { affiliateId: affiliate.id });
+
+    // Remember which signup created this affiliate so repeat requests resume it
+    if (idempotencyKey && !resumedLegacy) {
+        await storeSignupRequestId(affiliate.id, idempotencyKey, tapfiliate);
+    }
+
+    // A resumed signup may already be enrolled - don't enroll twice
+    const existingEnrollment = resumedLegacy
+        ? await findProgramEnrollment(affiliate.id, mappedProgramId, tapfiliate)
+        : null;
+
+    // Step 1.5 + Step 2: Set website and attribution meta-data and enroll in program in parallel
+    logger.info('Running meta-data and enrollment in parallel');
+
+    const legacyMetaPromise = Promise.all([
+        runOptionalStep(submissionId, 'metadata_set', (affiliateData.metadata && affiliateData.metadata.website)
+            ? () => tapfiliate.setMetaData(affiliate.id, 'website', affiliateData.metadata.website)
+            : null),
+        runOptionalStep(submissionId, 'attribution_set', attributionCall(affiliate.id, affiliateData.attribution, tapfiliate))
+    ]);
+
+    const legacyEnrollPromise = existingEnrollment
+        ? Promise.resolve({ program: existingEnrollment })
+        : tapfiliate.addAffiliateToProgram(mappedProgramId, affiliate.id)
+            .then(program => ({ program }), error => ({ error }));
+
+    if (existingEnrollment) {
+        logger.info('Affiliate already enrolled in program - skipping enrollment', { program_id: mappedProgramId });
+    } else {
+        logger.info('Enrolling affiliate in program', { program_id: mappedProgramId });
+    }
+
+    const [, enrollment] = await Promise.all([legacyMetaPromise, legacyEnrollPromise]);
+
+    if (enrollment.error) {
+        const enrollError = enrollment.error;
+        logger.error('Failed to enroll affiliate in program', { program_id: mappedProgramId, error: enrollError });
+        await recordStep(submissionId, 'enrolled', STEP_STATUS.FAILED, failureDetails(enrollError));
+        return tapfiliateErrorResponse(enrollError, headers, 'Affiliate created but failed to enroll in program.');
+    }
+
+    const programResult = enrollment.program;
+    await recordStep(submissionId, 'enrolled', STEP_STATUS.DONE);
+
+    // Set parent affiliate AFTER successful enrollment (for MLM functionality)
+    const parent = await linkParent(submissionId, affiliate.id, affiliateData, mappedProgramId, tapfiliate);
+
+    await refreshSubmissionStatus(submissionId);
+
+    // Success - affiliate created and added to program (should be in Pending status)
+    return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+            success: true,
+            affiliate: affiliate,
+            program: programResult,
+            parent,
+            resumed: resumedLegacy,
+            // Lets the confirmation page send payout details (set_payout_details)
+            resume_token: process.env.RESUME_TOKEN_SECRET
+                ? createResumeToken({ affiliateId: affiliate.id, email: affiliateData.email }, process.env.RESUME_TOKEN_SECRET)
+                : undefined
+        })
+    };
+}
+
+// Request schemas (see validation.js) - `body` and `query` rules per route
+const NAME_RULE = { type: 'string', required: true, maxLength: 100 };
+const EMAIL_RULE = { type: 'string', required: true, format: 'email', maxLength: 254 };
+const AFFILIATE_ID_RULE = { type: 'id', required: true, maxLength: 64 };
+
+const COMMON_FIELDS = {
+    idempotency_key: { type: 'string', format: 'idempotency_key' },
+    resume_token: { type: 'string', maxLength: 2048 }
+};
+
+// Numeric affiliate ID, referral code or email - resolved by linkParent
+const PARENT_ID_RULE = { type: 'id', maxLength: 254 };
+
+// The referral visit the wizard attributes the signup to (see ATTRIBUTION_POLICY in signupConfig.js).
+// Stage A records it in the signup ledger; the profile update writes it to meta-data.
+const CAMPAIGN_RULE = { type: 'string', maxLength: 200 };
+const ATTRIBUTION_RULE = {
+    type: 'object',
+    properties: {
+        parent_id: PARENT_ID_RULE,
+        policy: { type: 'string', enum: ATTRIBUTION_POLICIES },
+        landed_at: { type: 'string', format: 'date_time', maxLength: 40 },
+        landing_page: { type: 'string', maxLength: 2048 },
+        referrer: { type: 'string', maxLength: 2048 },
+        utm_source: CAMPAIGN_RULE,
+        utm_medium: CAMPAIGN_RULE,
+        utm_campaign: CAMPAIGN_RULE,
+        utm_term: CAMPAIGN_RULE,
+        utm_content: CAMPAIGN_RULE,
+        gclid: { type: 'string', maxLength: 512 },
+        fbclid: { type: 'string', maxLength: 512 }
+    }
+};
+
+const PROFILE_FIELDS = {
+    company_type: { type: 'string', enum: Object.keys(COMPANY_TYPE_LABELS) },
+    company_description: { type: 'string', maxLength: 500 },
+    commission_type: { type: 'string', enum: COMMISSION_TYPES },
+    wantsDemoCall: { type: 'boolean' },
+    parent_id: PARENT_ID_RULE,
+    metadata: {
+        type: 'object',
+        properties: {
+            website: { type: 'string', maxLength: 2048 }
+        }
+    },
+    attribution: ATTRIBUTION_RULE
+};
+
+// Stage A / legacy create: flat city, country and company name
+const CREATE_FIELDS = {
+    ...COMMON_FIELDS,
+    ...PROFILE_FIELDS,
+    first_name: NAME_RULE,
+    last_name: NAME_RULE,
+    email: EMAIL_RULE,
+    // The partner kept an email the typo check flagged
+    email_confirmed: { type: 'boolean' },
+    password: { type: 'string', required: true, minLength: 8, maxLength: 128 },
+    street: { type: 'string', maxLength: 200 },
+    postal_code: { type: 'string', format: 'postal_code', maxLength: 20 },
+    region: { type: 'string', maxLength: 100 },
+    city: { type: 'string', maxLength: 100 },
+    country: { type: 'string', format: 'country', maxLength: 100 },
+    company: { type: 'string', maxLength: 200 }
+};
+
+// Later stages: the affiliate is identified by its ID plus email and resume token
+const AFFILIATE_FIELDS = {
+    ...COMMON_FIELDS,
+    affiliate_id: AFFILIATE_ID_RULE,
+    email: EMAIL_RULE
+};
+
+const UPDATE_FIELDS = {
+    ...AFFILIATE_FIELDS,
+    ...PROFILE_FIELDS,
+    // Both objects go into the Tapfiliate PATCH as they are - undeclared keys are rejected
+    address: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            address: { type: 'string', maxLength: 200 },
+            postal_code: { type: 'string', format: 'postal_code', maxLength: 20 },
+            state: { type: 'string', maxLength: 100 },
+            city: { type: 'string', maxLength: 100 },
+            country: {
+                type: 'object',
+                additionalProperties: false,
+                properties: {
+                    code: { type: 'string', required: true, format: 'country_code' }
                 }
-            } catch (e) {
-                // If not JSON, it might be HTML or plain text
-                errorMessage = 'Something went wrong while creating your affiliate account. Please try again later.';
             }
+        }
+    },
+    company: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+            name: { type: 'string', maxLength: 200 },
+            description: { type: 'string', maxLength: 500 }
+        }
+    }
+};
+
+const PROGRAM_RULE = {
+    type: 'string',
+    required: true,
+    enum: getProgramValues()
+};
+
+const ENROLLMENT_FIELDS = {
+    ...AFFILIATE_FIELDS,
+    program: PROGRAM_RULE,
+    parent_id: PROFILE_FIELDS.parent_id
+};
+
+// Stage A may send the program chosen on Page 2 - only used to check the parent link
+const CREATE_AFFILIATE_SCHEMA = { body: { ...CREATE_FIELDS, program: { ...PROGRAM_RULE, required: false } } };
+const UPDATE_AFFILIATE_SCHEMA = { body: UPDATE_FIELDS };
+const ENROLLMENT_SCHEMA = { body: ENROLLMENT_FIELDS };
+const FINALIZE_SCHEMA = { body: { ...UPDATE_FIELDS, program: PROGRAM_RULE } };
+const PAYOUT_DETAILS_SCHEMA = {
+    body: {
+        ...AFFILIATE_FIELDS,
+        payout_method: { type: 'string', required: true, enum: Object.keys(PAYOUT_METHOD_KEYS) },
+        paypal_email: { type: 'string', format: 'email', maxLength: 254 },
+        account_holder: { type: 'string', maxLength: 100 },
+        iban: { type: 'string', format: 'iban', maxLength: 50 },
+        swift: { type: 'string', format: 'swift', maxLength: 20 },
+        // Partner's country - EU VAT numbers must carry its prefix
+        country: { type: 'string', format: 'country_code' },
+        vat_number: { type: 'string', format: 'vat_number', maxLength: 30 },
+        company_registration_number: { type: 'string', maxLength: 40 }
+    }
+};
+const CUSTOM_FIELDS_SCHEMA = {
+    body: {
+        ...AFFILIATE_FIELDS,
+        commission_type: PROFILE_FIELDS.commission_type
+    }
+};
+const LEGACY_SCHEMA = {
+    body: {
+        ...CREATE_FIELDS,
+        program: PROGRAM_RULE,
+        city: { ...CREATE_FIELDS.city, required: true },
+        country: { ...CREATE_FIELDS.country, required: true },
+        company: { ...CREATE_FIELDS.company, required: true }
+    }
+};
+const SUBMISSION_STATUS_SCHEMA = { query: { email: EMAIL_RULE } };
+const EMAIL_CHECK_SCHEMA = { body: { email: EMAIL_RULE } };
+const SEND_EMAIL_CODE_SCHEMA = { body: AFFILIATE_FIELDS };
+const RENEW_RESUME_TOKEN_SCHEMA = {
+    body: {
+        ...AFFILIATE_FIELDS,
+        idempotency_key: { ...COMMON_FIELDS.idempotency_key, required: true }
+    }
+};
+const VERIFY_EMAIL_CODE_SCHEMA = {
+    body: {
+        ...AFFILIATE_FIELDS,
+        code: { type: 'string', required: true, format: 'one_time_code' }
+    }
+};
+
+/**
+ * Compatibility shim for the single-endpoint API: script.js still POSTs every stage to the
+ * base path with a `mode` field. Each mode maps to the route that replaced it, with the
+ * IDs it used to send in the body moved to path/query parameters.
+ * Remove once the frontend calls the routes directly.
+ */
+const MODE_ROUTES = {
+    create_affiliate_only: {
+        handler: createAffiliate,
+        schema: CREATE_AFFILIATE_SCHEMA
+    },
+    renew_resume_token: {
+        handler: renewResumeToken,
+        schema: RENEW_RESUME_TOKEN_SCHEMA
+    },
+    finalize_affiliate: {
+        handler: finalizeAffiliate,
+        schema: FINALIZE_SCHEMA
+    },
+    update_custom_fields: {
+        handler: updateCustomFields,
+        schema: CUSTOM_FIELDS_SCHEMA
+    },
+    set_payout_details: {
+        handler: setPayoutDetails,
+        schema: PAYOUT_DETAILS_SCHEMA
+    },
+    check_email: {
+        handler: checkEmail,
+        schema: EMAIL_CHECK_SCHEMA
+    },
+    send_email_code: {
+        handler: sendEmailCode,
+        schema: SEND_EMAIL_CODE_SCHEMA
+    },
+    verify_email_code: {
+        handler: verifyEmailCode,
+        schema: VERIFY_EMAIL_CODE_SCHEMA
+    },
+    lookup_referral: {
+        handler: lookupReferral,
+        schema: { body: { referral_code: { type: 'string', required: true, maxLength: 64 } } },
+        toRequest: data => ({ params: { code: data.referral_code } })
+    },
+    submission_status: {
+        handler: getSubmissionStatus,
+        schema: {
+            body: {
+                idempotency_key: { ...COMMON_FIELDS.idempotency_key, required: true },
+                email: EMAIL_RULE
+            }
+        },
+        toRequest: data => ({ params: { key: data.idempotency_key }, query: { email: data.email } })
+    }
+};
+
+const LEGACY_ROUTE = { handler: legacyCreateAndEnroll, schema: LEGACY_SCHEMA };
+
+async function runRoute(route, request) {
+    const schema = route.schema || {};
+    const fieldErrors = [
+        ...validateFields(schema.body, request.data),
+        ...validateFields(schema.query, request.query)
+    ];
+    if (fieldErrors.length > 0) {
+        logger.warn('[Validation] Rejected request', { fields: fieldErrors.map(({ field, code }) => ({ field, code })) });
+        return validationErrorResponse(fieldErrors, request.headers);
+    }
+    return route.handler(request);
+}
+
+async function dispatchMode(request) {
+    const mode = request.data.mode || null;
+    logger.appendContext({ mode: mode || 'legacy' });
+
+    if (!mode) {
+        return runRoute(LEGACY_ROUTE, request);
+    }
+
+    const target = MODE_ROUTES[mode];
+    if (!target) {
+        logger.warn('[Router] Unknown mode');
+        return {
+            statusCode: 400,
+            headers: request.headers,
+            body: JSON.stringify({
+                error: `Unknown mode: ${mode}`,
+                code: 'unknown_mode'
+            })
+        };
+    }
+
+    const overrides = target.toRequest ? target.toRequest(request.data) : {};
+    return runRoute(target, { ...request, ...overrides });
+}
+
+const matchRoute = createRouter([
+    { method: 'POST', path: '/', handler: dispatchMode },
+    { method: 'POST', path: '/affiliates', schema: CREATE_AFFILIATE_SCHEMA, handler: createAffiliate },
+    { method: 'POST', path: '/email-checks', schema: EMAIL_CHECK_SCHEMA, handler: checkEmail },
+    { method: 'POST', path: '/affiliates/{id}/resume-token', schema: RENEW_RESUME_TOKEN_SCHEMA, handler: renewResumeToken },
+    { method: 'PATCH', path: '/affiliates/{id}', schema: UPDATE_AFFILIATE_SCHEMA, handler: updateAffiliate },
+    { method: 'POST', path: '/affiliates/{id}/enrollments', schema: ENROLLMENT_SCHEMA, handler: enrollAffiliate },
+    { method: 'PUT', path: '/affiliates/{id}/custom-fields', schema: CUSTOM_FIELDS_SCHEMA, handler: updateCustomFields },
+    { method: 'PUT', path: '/affiliates/{id}/payout-details', schema: PAYOUT_DETAILS_SCHEMA, handler: setPayoutDetails },
+    { method: 'POST', path: '/affiliates/{id}/email-verification', schema: SEND_EMAIL_CODE_SCHEMA, handler: sendEmailCode },
+    { method: 'POST', path: '/affiliates/{id}/email-verification/confirm', schema: VERIFY_EMAIL_CODE_SCHEMA, handler: verifyEmailCode },
+    { method: 'GET', path: '/referrals/{code}', handler: lookupReferral },
+    { method: 'GET', path: '/submissions/{key}', schema: SUBMISSION_STATUS_SCHEMA, handler: getSubmissionStatus },
+    { method: 'GET', path: '/config', handler: getConfig }
+]);
+
+// Parse the JSON body (AWS Lambda event.body is a string). Returns null if it is not a JSON object.
+function parseRequestBody(event) {
+    if (!event.body) {
+        return {};
+    }
+    try {
+        const raw = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+        const parsed = JSON.parse(raw);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// AWS Lambda handler function
+exports.handler = async (event, context) => {
+    logger.resetContext({
+        request_id: (context && context.awsRequestId) || (event.requestContext && event.requestContext.requestId)
+    });
 
+    // CORS headers
+    const headers = {
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, OPTIONS',
+        'Content-Type': 'application/json'
+    };
+
+    // Handle preflight OPTIONS request
+    if (event.httpMethod === 'OPTIONS') {
+        return {
+            statusCode: 200,
+            headers,
+            body: ''
+        };
+    }
+
+    try {
+        const { path, decoded } = getRequestPath(event);
+        const match = matchRoute(event.httpMethod, path, { decoded });
+        logger.appendContext({ method: event.httpMethod, path });
+
+        if (match.error === 'not_found') {
             return {
-                statusCode: createResponse.status,
+                statusCode: 404,
                 headers,
-                body: JSON.stringify({ 
-                    error: errorMessage,
-                    status: createResponse.status
-                })
+                body: JSON.stringify({ error: `No route for ${path}`, code: 'route_not_found' })
+            };
+        }
+        if (match.error === 'method_not_allowed') {
+            return {
+                statusCode: 405,
+                headers: { ...headers, Allow: [...match.allowed, 'OPTIONS'].join(', ') },
+                body: JSON.stringify({ error: 'Method not allowed', code: 'method_not_allowed' })
+            };
+        }
+        if (match.error === 'invalid_path') {
+            return {
+                statusCode: 400,
+                headers,
+                body: JSON.stringify({ error: 'Path contains an invalid URL escape', code: 'invalid_path' })
             };
         }
 
-        const affiliate = await createResponse.json();
+        // Get API key from environment variable
+        // In AWS Amplify, set this in the Lambda function's environment variables
+        // Go to AWS Lambda Console → Your function → Configuration → Environment variables
+        const TAPFILIATE_API_KEY = process.env.TAPFILIATE_API_KEY;
 
-        if (!affiliate || !affiliate.id) {
+        // Check if API key is set (MANDATORY - no hardcoded fallback for security)
+        if (!TAPFILIATE_API_KEY) {
+            logger.error('TAPFILIATE_API_KEY is not set');
             return {
                 statusCode: 500,
                 headers,
-                body: JSON.stringify({ 
-                    error: 'Invalid response from Tapfiliate API' 
+                body: JSON.stringify({
+                    error: 'Server configuration error: API key not set.'
                 })
             };
         }
 
-        // Step 1.5 + Step 2: Set website meta-data and enroll in program in parallel
-        console.log('Running meta-data and enrollment in parallel...');
-
-        const legacyMetaPromise = (affiliateData.metadata && affiliateData.metadata.website)
-            ? fetch(`${TAPFILIATE_BASE_URL}affiliates/${affiliate.id}/meta-data/website/`, {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json', 'X-Api-Key': TAPFILIATE_API_KEY },
-                body: JSON.stringify({ value: affiliateData.metadata.website })
-            }).then(async r => {
-                console.log('Website meta data response status:', r.status);
-                if (!r.ok) {
-                    const t = await r.text();
-                    console.error('Failed to set website meta data:', t.substring(0, 1000));
-                }
-            }).catch(e => console.error('Error setting website meta data:', e))
-            : Promise.resolve();
-
-        const enrollmentPayload = { affiliate: { id: affiliate.id }, approved: null };
-        console.log('Enrollment endpoint:', `${TAPFILIATE_BASE_URL}programs/${mappedProgramId}/affiliates/?send_welcome_email=false`);
-
-        const legacyEnrollPromise = fetch(
-            `${TAPFILIATE_BASE_URL}programs/${mappedProgramId}/affiliates/?send_welcome_email=false`,
-            {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json', 'X-Api-Key': TAPFILIATE_API_KEY },
-                body: JSON.stringify(enrollmentPayload)
-            }
-        );
-
-        const [, addToProgramResponse] = await Promise.all([legacyMetaPromise, legacyEnrollPromise]);
-
-        console.log('Enrollment response status:', addToProgramResponse.status);
-
-        if (!addToProgramResponse.ok) {
-            const contentType = addToProgramResponse.headers.get('content-type');
-            const errorText = await addToProgramResponse.text();
-            
-            // Log error details (trim long responses)
-            const trimmedError = errorText.length > 1000 ? errorText.substring(0, 1000) + '...' : errorText;
-            console.error('Failed to enroll affiliate in program (trimmed):', trimmedError);
-            console.error('Response status:', addToProgramResponse.status);
-            console.error('Response content-type:', contentType);
-            
-            // Check if response is HTML (error page)
-            if (contentType && contentType.includes('text/html')) {
-                console.error('Tapfiliate returned HTML error page instead of JSON');
-                return {
-                    statusCode: 500,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Something went wrong while creating your affiliate account. Please try again later.',
-                        status: addToProgramResponse.status
-                    })
-                };
-            }
-            
+        const affiliateData = parseRequestBody(event);
+        if (!affiliateData) {
             return {
-                statusCode: addToProgramResponse.status || 500,
+                statusCode: 400,
                 headers,
-                body: JSON.stringify({
-                    error: 'Affiliate created but failed to enroll in program.',
-                    status: addToProgramResponse.status
-                })
+                body: JSON.stringify({ error: 'Request body must be a JSON object', code: 'invalid_json' })
             };
         }
 
-        const programResult = await addToProgramResponse.json();
-
-        // Set parent affiliate AFTER successful enrollment (for MLM functionality)
-        const parentId = validateParentId(affiliateData.parent_id);
-        if (parentId) {
-            try {
-                console.log('[Parent] Setting parent via Tapfiliate MLM endpoint:', parentId);
-                const setParentResponse = await fetch(
-                    `${TAPFILIATE_BASE_URL}affiliates/${affiliate.id}/parent/`,
-                    {
-                        method: 'POST',
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'X-Api-Key': TAPFILIATE_API_KEY
-                        },
-                        body: JSON.stringify({
-                            via: parentId
-                        })
-                    }
-                );
-
-                if (!setParentResponse.ok) {
-                    const parentErrorText = await setParentResponse.text();
-                    const trimmedParentError = parentErrorText.length > 1000 ? parentErrorText.substring(0, 1000) + '...' : parentErrorText;
-                    console.error('[Parent] Failed to set parent:', setParentResponse.status, trimmedParentError);
-                    // Continue anyway - affiliate is enrolled successfully
-                } else {
-                    console.log('✅ Parent affiliate set successfully');
-                }
-            } catch (parentError) {
-                console.error('[Parent] Failed to set parent:', parentError);
-                // Continue anyway - affiliate is enrolled successfully
-            }
-        } else if (affiliateData.parent_id) {
-            console.log('[Parent] Skipping parent set – invalid parent_id value:', affiliateData.parent_id);
+        // Path parameters win over IDs sent in the body
+        if (match.params.id) {
+            affiliateData.affiliate_id = match.params.id;
         }
-
-        // Success - affiliate created and added to program (should be in Pending status)
-        return {
-            statusCode: 200,
+        logger.appendContext({ affiliate_id: affiliateData.affiliate_id });
+        // Only field names - values are logged (redacted) where they are used
+        logger.info('Request received', { fields: Object.keys(affiliateData) });
+
+        return await runRoute(match.route, {
+            data: affiliateData,
+            params: match.params,
+            query: event.queryStringParameters || {},
             headers,
-            body: JSON.stringify({
-                success: true,
-                affiliate: affiliate,
-                program: programResult
-            })
-        };
+            tapfiliate: createTapfiliateClient({ apiKey: TAPFILIATE_API_KEY }),
+            // Sends verification codes - null when MAIL_TRANSPORT is not set (see mailTransport.js)
+            mailer: getMailTransport(),
+            // Client-generated key that identifies one signup across retries, reloads and double-clicks
+            idempotencyKey: validateIdempotencyKey(affiliateData.idempotency_key)
+        });
 
     } catch (error) {
-        console.error('Lambda function error:', error);
+        logger.error('Lambda function error', error);
         return {
             statusCode: 500,
-            headers: {
-                'Access-Control-Allow-Origin': '*',
-                'Access-Control-Allow-Headers': 'Content-Type',
-                'Access-Control-Allow-Methods': 'POST, OPTIONS',
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ 
+            headers,
+            body: JSON.stringify({
                 error: 'Internal server error',
                 message: error.message
             })
@@ -1228,4 +2100,3 @@ exports.handler = async (event) => {
     }
 };
 
-
@@ -0,0 +1,135 @@
+// Structured logger for the Lambda
+// Every entry is one JSON line, so CloudWatch Logs Insights can filter on its fields:
+//   { "level": "info", "time": "...", "message": "[Stage A] Affiliate created",
+//     "request_id": "...", "mode": "create_affiliate_only", "affiliate_id": "123", ... }
+//
+// Everything logged goes through redact() first: passwords, tokens, keys and IBANs are replaced
+// entirely and email addresses are masked (j***@example.com), including inside free text
+// such as Tapfiliate error bodies. Never build messages from raw values - pass them as
+// fields instead.
+//
+// The request context (request_id, mode, affiliate_id) is module state: a Lambda container
+// handles one invocation at a time, so the handler resets it at the start of each request.
+// LOG_LEVEL (debug, info, warn, error) sets the minimum level written, default info.
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const CONSOLE_METHODS = { debug: 'log', info: 'log', warn: 'warn', error: 'error' };
+
+const REDACTED = '[REDACTED]';
+// Keys whose values are never logged, wherever they appear
+const SECRET_KEY_PATTERN = /password|passwd|token|secret|api[-_]?key|authorization|cookie|iban/i;
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+const MAX_DEPTH = 6;
+
+let context = {};
+
+function getMinLevel() {
+    return LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] || LEVELS.info;
+}
+
+/**
+ * Mask every email address in a string, keeping the first character and the domain
+ */
+function maskEmails(text) {
+    return text.replace(EMAIL_PATTERN, '$1***@$2');
+}
+
+// Errors carry their useful details in non-enumerable or custom properties
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.code,
+        status: error.status,
+        method: error.method,
+        path: error.path,
+        body: error.body,
+        stack: getMinLevel() <= LEVELS.debug ? error.stack : undefined
+    };
+}
+
+/**
+ * Return a copy of `value` that is safe to log: secret keys redacted, emails masked
+ */
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return maskEmails(value);
+    }
+    if (value === null || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (value instanceof Error) {
+        return redact(serializeError(value), depth + 1);
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+
+    const safe = {};
+    Object.entries(value).forEach(([key, item]) => {
+        if (item === undefined) return;
+        safe[key] = SECRET_KEY_PATTERN.test(key) && item !== null && item !== '' ? REDACTED : redact(item, depth + 1);
+    });
+    return safe;
+}
+
+function write(level, message, fields) {
+    if (LEVELS[level] < getMinLevel()) {
+        return;
+    }
+
+    const entry = redact({
+        level,
+        time: new Date().toISOString(),
+        message,
+        ...context,
+        ...(fields instanceof Error ? { error: fields } : fields)
+    });
+
+    let line;
+    try {
+        line = JSON.stringify(entry);
+    } catch (error) {
+        line = JSON.stringify({ level, time: entry.time, message: entry.message, ...redact(context), log_error: error.message });
+    }
+    console[CONSOLE_METHODS[level]](line);
+}
+
+/**
+ * Start a new request context - call once at the start of each invocation
+ */
+function resetContext(fields = {}) {
+    context = {};
+    appendContext(fields);
+}
+
+/**
+ * Add fields to every later entry of this request, e.g. { affiliate_id } once it is known
+ */
+function appendContext(fields = {}) {
+    Object.entries(fields).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') return;
+        context[key] = typeof value === 'number' ? String(value) : value;
+    });
+}
+
+const logger = {
+    debug: (message, fields) => write('debug', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    error: (message, fields) => write('error', message, fields),
+    resetContext,
+    appendContext
+};
+
+module.exports = {
+    logger,
+    redact,
+    maskEmails
+};
@@ -0,0 +1,101 @@
+// Outgoing email (verification codes)
+// Handlers get a transport as `mailer` and only call `mailer.send({ to, subject, text })`,
+// which resolves once the message is accepted and throws if it wasn't. Any object with
+// that method works - hand your own to setMailTransport() to send through another provider
+// or to capture messages locally. The configured one is created once per container.
+//
+// MAIL_TRANSPORT picks the built-in one:
+//   ses - Amazon SES (the role needs ses:SendEmail); MAIL_FROM must be a verified sender
+//   log - writes the message to the log instead of sending it. Local development only:
+//         the code ends up in the logs
+// Not set: no transport - anything that needs to send email is rejected.
+
+const { logger } = require('./logger');
+
+let sesClient = null;
+// undefined until the first request - null means no transport is configured
+let mailTransport;
+
+// The AWS SDK v3 ships with the Lambda Node.js runtime - load it lazily like the ledger does
+function getSesClient() {
+    if (!sesClient) {
+        const { SESv2Client } = require('@aws-sdk/client-sesv2');
+        sesClient = new SESv2Client({});
+    }
+    return sesClient;
+}
+
+function createSesTransport({ from }) {
+    return {
+        name: 'ses',
+        async send({ to, subject, text }) {
+            const { SendEmailCommand } = require('@aws-sdk/client-sesv2');
+            await getSesClient().send(new SendEmailCommand({
+                FromEmailAddress: from,
+                Destination: { ToAddresses: [to] },
+                Content: {
+                    Simple: {
+                        Subject: { Data: subject, Charset: 'UTF-8' },
+                        Body: { Text: { Data: text, Charset: 'UTF-8' } }
+                    }
+                }
+            }));
+        }
+    };
+}
+
+function createLogTransport() {
+    return {
+        name: 'log',
+        async send({ to, subject, text }) {
+            logger.warn('[Mail] MAIL_TRANSPORT=log - message not sent', { to, subject, text });
+        }
+    };
+}
+
+/**
+ * The transport configured by MAIL_TRANSPORT / MAIL_FROM, or null if email is not set up
+ */
+function createMailTransport() {
+    const transport = process.env.MAIL_TRANSPORT;
+    if (transport === 'ses') {
+        if (!process.env.MAIL_FROM) {
+            logger.error('MAIL_TRANSPORT is ses but MAIL_FROM is not set');
+            return null;
+        }
+        return createSesTransport({ from: process.env.MAIL_FROM });
+    }
+    if (transport === 'log') {
+        return createLogTransport();
+    }
+    if (transport) {
+        logger.error('Unknown MAIL_TRANSPORT', { transport });
+    }
+    return null;
+}
+
+/**
+ * The configured transport, created on first use and kept for the container's lifetime
+ */
+function getMailTransport() {
+    if (mailTransport === undefined) {
+        mailTransport = createMailTransport();
+    }
+    return mailTransport;
+}
+
+/**
+ * Use `transport` instead of the configured one (tests capture the messages with it);
+ * undefined goes back to MAIL_TRANSPORT on the next request
+ */
+function setMailTransport(transport) {
+    mailTransport = transport;
+}
+
+module.exports = {
+    createMailTransport,
+    getMailTransport,
+    setMailTransport,
+    createSesTransport,
+    createLogTransport
+};
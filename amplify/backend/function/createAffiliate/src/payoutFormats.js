@@ -0,0 +1,134 @@
+// Payout and tax ID formats - shared by the Lambda and the wizard
+// Loaded the same way as countries.js: required by the Lambda, served as-is to the browser
+// where it is available as `window.StasherPayoutFormats`. Keep it free of dependencies.
+//
+// These are format checks only (length, structure, IBAN checksum) - they catch typos, not
+// closed accounts or unregistered VAT numbers.
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StasherPayoutFormats = factory();
+    }
+}(typeof self !== 'undefined' ? self : this, function () {
+    // IBAN length per country (ISO 13616 registry)
+    const IBAN_LENGTHS = {
+        AD: 24, AE: 23, AL: 28, AT: 20, AZ: 28, BA: 20, BE: 16, BG: 22, BH: 22, BR: 29,
+        CH: 21, CR: 22, CY: 28, CZ: 24, DE: 22, DK: 18, DO: 28, EE: 20, EG: 29, ES: 24,
+        FI: 18, FO: 18, FR: 27, GB: 22, GE: 22, GI: 23, GL: 18, GR: 27, GT: 28, HR: 21,
+        HU: 28, IE: 22, IL: 23, IS: 26, IT: 27, JO: 30, KW: 30, KZ: 20, LB: 28, LC: 32,
+        LI: 21, LT: 20, LU: 20, LV: 21, MC: 27, MD: 24, ME: 22, MK: 19, MR: 27, MT: 31,
+        MU: 30, NL: 18, NO: 15, PK: 24, PL: 28, PS: 29, PT: 25, QA: 29, RO: 24, RS: 22,
+        SA: 24, SC: 31, SE: 24, SI: 19, SK: 24, SM: 27, TL: 23, TN: 24, TR: 26, UA: 29,
+        VA: 22, VG: 24, XK: 20
+    };
+
+    // VAT numbers after the country prefix. Greece uses EL, Northern Ireland XI; GB numbers
+    // are accepted too since UK partners often have one.
+    const VAT_PATTERNS = {
+        AT: /^U\d{8}$/,
+        BE: /^[01]\d{9}$/,
+        BG: /^\d{9,10}$/,
+        CY: /^\d{8}[A-Z]$/,
+        CZ: /^\d{8,10}$/,
+        DE: /^\d{9}$/,
+        DK: /^\d{8}$/,
+        EE: /^\d{9}$/,
+        EL: /^\d{9}$/,
+        ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+        FI: /^\d{8}$/,
+        FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+        HR: /^\d{11}$/,
+        HU: /^\d{8}$/,
+        IE: /^(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+        IT: /^\d{11}$/,
+        LT: /^(\d{9}|\d{12})$/,
+        LU: /^\d{8}$/,
+        LV: /^\d{11}$/,
+        MT: /^\d{8}$/,
+        NL: /^\d{9}B\d{2}$/,
+        PL: /^\d{10}$/,
+        PT: /^\d{9}$/,
+        RO: /^\d{2,10}$/,
+        SE: /^\d{12}$/,
+        SI: /^\d{8}$/,
+        SK: /^\d{10}$/,
+        XI: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+        GB: /^(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/
+    };
+
+    // The VAT prefix of a country whose prefix is not its ISO code
+    const VAT_PREFIX_OVERRIDES = { GR: 'EL' };
+
+    const SWIFT_PATTERN = /^[A-Z]{4}[A-Z]{2}[A-Z0-9]{2}([A-Z0-9]{3})?$/;
+
+    // Spaces, dots and dashes are how people group these numbers - drop them before checking
+    function compact(value) {
+        return String(value || '').replace(/[\s.-]/g, '').toUpperCase();
+    }
+
+    /**
+     * Whether `value` is an IBAN: known length for its country and a valid mod-97 checksum
+     */
+    function isValidIban(value) {
+        const iban = compact(value);
+        if (!/^[A-Z]{2}\d{2}[A-Z0-9]{10,30}$/.test(iban)) {
+            return false;
+        }
+        const expectedLength = IBAN_LENGTHS[iban.slice(0, 2)];
+        if (expectedLength ? iban.length !== expectedLength : iban.length > 34) {
+            return false;
+        }
+
+        // Move the first four characters to the end, letters become 10-35, then mod 97 must be 1
+        const rearranged = iban.slice(4) + iban.slice(0, 4);
+        let remainder = 0;
+        for (const char of rearranged) {
+            const digits = /\d/.test(char) ? char : String(char.charCodeAt(0) - 55);
+            for (const digit of digits) {
+                remainder = (remainder * 10 + Number(digit)) % 97;
+            }
+        }
+        return remainder === 1;
+    }
+
+    function isValidSwift(value) {
+        return SWIFT_PATTERN.test(compact(value));
+    }
+
+    /**
+     * Whether `value` is a VAT number. A number with an EU (or GB/XI) prefix must match that
+     * country's format. If `countryCode` is an EU country the prefix is required; other
+     * countries' tax IDs only need to look like one (4 to 20 letters and digits).
+     */
+    function isValidVatNumber(value, countryCode) {
+        const vat = compact(value);
+        const prefix = vat.slice(0, 2);
+        if (VAT_PATTERNS[prefix]) {
+            return VAT_PATTERNS[prefix].test(vat.slice(2));
+        }
+        const country = String(countryCode || '').toUpperCase();
+        if (VAT_PATTERNS[VAT_PREFIX_OVERRIDES[country] || country]) {
+            return false;
+        }
+        return /^[A-Z0-9]{4,20}$/.test(vat);
+    }
+
+    /**
+     * The VAT prefix expected for a country, or null outside the EU VAT area
+     */
+    function getVatPrefix(countryCode) {
+        const country = String(countryCode || '').toUpperCase();
+        const prefix = VAT_PREFIX_OVERRIDES[country] || country;
+        return VAT_PATTERNS[prefix] ? prefix : null;
+    }
+
+    return {
+        compact,
+        isValidIban,
+        isValidSwift,
+        isValidVatNumber,
+        getVatPrefix
+    };
+}));
@@ -0,0 +1,129 @@
+// Referral tree rules - checked before every parent link
+// The /parent/ call (Stage A, enrollment, finalize_affiliate, legacy mode and the retry worker)
+// only runs once checkParentLink() accepts the parent. The parent must:
+//   - exist, and be neither the new affiliate nor one of its descendants
+//   - not share the affiliate's email (domain) - partners signing up through their own link
+//     under another address. Public providers (gmail.com...) don't count as a shared domain
+//   - be approved in the program the affiliate joins (same-program rule)
+//   - leave the affiliate at most REFERRAL_MAX_DEPTH levels below the top of its tree
+//
+// Optional env vars:
+//   REFERRAL_MAX_DEPTH - parents allowed above an affiliate (default 3)
+
+const { TapfiliateNotFoundError } = require('./tapfiliateClient');
+const { getEmailDomain, isPublicEmailDomain } = require('./emailQuality');
+
+const DEFAULT_MAX_DEPTH = 3;
+
+// Why a parent link was refused - recorded on the ledger step and returned to the wizard
+const PARENT_REJECTIONS = {
+    NOT_FOUND: 'parent_not_found',
+    SELF: 'self_referral',
+    SAME_EMAIL_DOMAIN: 'same_email_domain',
+    OTHER_PROGRAM: 'parent_in_other_program',
+    NOT_APPROVED: 'parent_not_approved',
+    MAX_DEPTH: 'max_depth_exceeded',
+    CYCLE: 'referral_cycle'
+};
+
+function getPositiveIntEnv(name, fallback) {
+    const configured = parseInt(process.env[name], 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : fallback;
+}
+
+function getMaxDepth() {
+    return getPositiveIntEnv('REFERRAL_MAX_DEPTH', DEFAULT_MAX_DEPTH);
+}
+
+// Tapfiliate returns the parent as `parent_id`, or as a `parent` object on some endpoints
+function getParentIdOf(affiliate) {
+    const parentId = affiliate && (affiliate.parent_id || (affiliate.parent && affiliate.parent.id));
+    return parentId ? String(parentId) : null;
+}
+
+// The affiliate, or null if Tapfiliate doesn't know it
+async function findAffiliate(affiliateId, tapfiliate) {
+    try {
+        return await tapfiliate.getAffiliate(affiliateId);
+    } catch (error) {
+        if (error instanceof TapfiliateNotFoundError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+function isSameOrganisation(email, parentEmail) {
+    const normalize = value => String(value || '').trim().toLowerCase();
+    if (!normalize(email) || !normalize(parentEmail)) {
+        return false;
+    }
+    if (normalize(email) === normalize(parentEmail)) {
+        return true;
+    }
+    const domain = getEmailDomain(normalize(email));
+    return !!domain && domain === getEmailDomain(normalize(parentEmail)) && !isPublicEmailDomain(domain);
+}
+
+/**
+ * Walk up from the parent. Returns a rejection reason if the affiliate would end up more than
+ * `maxDepth` levels deep or inside its own tree, otherwise null.
+ */
+async function checkTreeDepth(affiliateId, parent, tapfiliate) {
+    const maxDepth = getMaxDepth();
+    const seen = new Set([String(parent.id)]);
+    let levels = 1;
+    let current = parent;
+
+    while (getParentIdOf(current)) {
+        const ancestorId = getParentIdOf(current);
+        if (ancestorId === String(affiliateId) || seen.has(ancestorId)) {
+            return PARENT_REJECTIONS.CYCLE;
+        }
+        levels += 1;
+        if (levels > maxDepth) {
+            return PARENT_REJECTIONS.MAX_DEPTH;
+        }
+        seen.add(ancestorId);
+        current = await findAffiliate(ancestorId, tapfiliate);
+    }
+    return null;
+}
+
+/**
+ * Check a resolved parent before linking it.
+ * `email` is the new affiliate's email, `programId` the Tapfiliate program it joins.
+ * Returns { ok: true } or { ok: false, reason } (see PARENT_REJECTIONS).
+ * Throws the client's error if Tapfiliate can't be reached - the link is then retried later.
+ */
+async function checkParentLink({ affiliateId, email, parentId, programId }, tapfiliate) {
+    if (String(parentId) === String(affiliateId)) {
+        return { ok: false, reason: PARENT_REJECTIONS.SELF };
+    }
+
+    const parent = await findAffiliate(parentId, tapfiliate);
+    if (!parent) {
+        return { ok: false, reason: PARENT_REJECTIONS.NOT_FOUND };
+    }
+    if (isSameOrganisation(email, parent.email)) {
+        return { ok: false, reason: PARENT_REJECTIONS.SAME_EMAIL_DOMAIN };
+    }
+
+    const enrollments = await tapfiliate.listAffiliatePrograms(parentId);
+    const enrollment = Array.isArray(enrollments)
+        && enrollments.find(entry => entry && entry.program && entry.program.id === programId);
+    if (!enrollment) {
+        return { ok: false, reason: PARENT_REJECTIONS.OTHER_PROGRAM };
+    }
+    if (enrollment.approved !== true) {
+        return { ok: false, reason: PARENT_REJECTIONS.NOT_APPROVED };
+    }
+
+    const depthRejection = await checkTreeDepth(affiliateId, { ...parent, id: parent.id || parentId }, tapfiliate);
+    return depthRejection ? { ok: false, reason: depthRejection } : { ok: true };
+}
+
+module.exports = {
+    PARENT_REJECTIONS,
+    checkParentLink
+};
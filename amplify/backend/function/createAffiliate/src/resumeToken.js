@@ -0,0 +1,95 @@
+// Signed resume tokens for the multi-stage signup flow
+// Stage A (create_affiliate_only) issues a token bound to the new affiliate ID and email.
+// Later stages must send it back so nobody can PATCH an affiliate they did not create.
+
+const crypto = require('crypto');
+
+const DEFAULT_TTL_SECONDS = 3600; // 1 hour - long enough to finish the wizard
+
+function base64UrlEncode(value) {
+    return Buffer.from(value).toString('base64')
+        .replace(/=+$/, '')
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_');
+}
+
+function base64UrlDecode(value) {
+    const padded = value.replace(/-/g, '+').replace(/_/g, '/');
+    return Buffer.from(padded, 'base64').toString('utf8');
+}
+
+// Emails are hashed so the token payload does not expose them in plain text
+function hashEmail(email) {
+    return crypto.createHash('sha256')
+        .update(String(email || '').trim().toLowerCase())
+        .digest('hex');
+}
+
+function sign(encodedPayload, secret) {
+    return base64UrlEncode(crypto.createHmac('sha256', secret).update(encodedPayload).digest());
+}
+
+function getTokenTtlSeconds() {
+    const configured = parseInt(process.env.RESUME_TOKEN_TTL_SECONDS, 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : DEFAULT_TTL_SECONDS;
+}
+
+/**
+ * Create a signed token bound to an affiliate ID and email.
+ * Format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ */
+function createResumeToken({ affiliateId, email }, secret, now = Date.now()) {
+    const payload = {
+        aid: String(affiliateId),
+        eh: hashEmail(email),
+        exp: Math.floor(now / 1000) + getTokenTtlSeconds()
+    };
+    const encodedPayload = base64UrlEncode(JSON.stringify(payload));
+    return `${encodedPayload}.${sign(encodedPayload, secret)}`;
+}
+
+/**
+ * Verify a resume token against the affiliate ID and email of the current request.
+ * Returns { valid: true } or { valid: false, reason } where reason is one of
+ * 'missing', 'malformed', 'bad_signature', 'expired', 'mismatch'.
+ */
+function verifyResumeToken(token, { affiliateId, email }, secret, now = Date.now()) {
+    if (!token || typeof token !== 'string') {
+        return { valid: false, reason: 'missing' };
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 2 || !parts[0] || !parts[1]) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    const [encodedPayload, signature] = parts;
+    const expectedSignature = sign(encodedPayload, secret);
+    const signatureBuffer = Buffer.from(signature);
+    const expectedBuffer = Buffer.from(expectedSignature);
+    if (signatureBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(signatureBuffer, expectedBuffer)) {
+        return { valid: false, reason: 'bad_signature' };
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(base64UrlDecode(encodedPayload));
+    } catch (e) {
+        return { valid: false, reason: 'malformed' };
+    }
+
+    if (!payload || typeof payload.exp !== 'number' || payload.exp <= Math.floor(now / 1000)) {
+        return { valid: false, reason: 'expired' };
+    }
+
+    if (payload.aid !== String(affiliateId) || payload.eh !== hashEmail(email)) {
+        return { valid: false, reason: 'mismatch' };
+    }
+
+    return { valid: true };
+}
+
+module.exports = {
+    createResumeToken,
+    verifyResumeToken
+};
@@ -0,0 +1,330 @@
+// Signup retry worker
+// Picks up ledger submissions whose affiliate exists but a later Tapfiliate step failed
+// (status `incomplete`) and replays only the missing steps from the stored request.
+// Steps already done or skipped are never sent again.
+//
+// Runs as its own Lambda entry point (handler: retryWorker.handler, e.g. on an EventBridge
+// schedule) or from the command line with the same env vars as the signup Lambda:
+//   node src/retryWorker.js                  # one pass over all due submissions
+//   node src/retryWorker.js <submission_id>  # retry a single submission right now
+
+const {
+    getCustomFieldKeys,
+    PARENT_RESOLUTION,
+    resolveParentId,
+    findProgramEnrollment,
+    buildFinalizeUpdatePayload,
+    buildAttributionMetaData,
+    setMetaDataValues
+} = require('./tapfiliate');
+const { createTapfiliateClient } = require('./tapfiliateClient');
+const { checkParentLink } = require('./referralTree');
+const { resolveProgramId } = require('./signupConfig');
+const { logger } = require('./logger');
+const {
+    STEP_STATUS,
+    SUBMISSION_STATUS,
+    isLedgerEnabled,
+    getSubmission,
+    recordStep,
+    refreshSubmissionStatus,
+    listRetryableSubmissions,
+    recordRetryAttempt
+} = require('./signupLedger');
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const DEFAULT_BASE_DELAY_SECONDS = 300; // 5 minutes, then 10, 20, 40...
+const MAX_DELAY_SECONDS = 86400;        // never wait more than a day between attempts
+const DEFAULT_BATCH_SIZE = 25;
+
+function getPositiveIntEnv(name, fallback) {
+    const configured = parseInt(process.env[name], 10);
+    return Number.isInteger(configured) && configured > 0 ? configured : fallback;
+}
+
+/**
+ * Exponential backoff: delay before the next attempt after `attempts` failed ones
+ */
+function getRetryDelaySeconds(attempts) {
+    const baseDelay = getPositiveIntEnv('RETRY_BASE_DELAY_SECONDS', DEFAULT_BASE_DELAY_SECONDS);
+    return Math.min(baseDelay * Math.pow(2, Math.max(attempts - 1, 0)), MAX_DELAY_SECONDS);
+}
+
+// The request that carries the data for the later steps - finalize_affiliate, legacy,
+// or the PATCH /affiliates/{id} and POST /affiliates/{id}/enrollments requests combined
+function getReplayRequest(submission) {
+    if (submission.finalize_affiliate_request || submission.legacy_request) {
+        return submission.finalize_affiliate_request || submission.legacy_request;
+    }
+    if (submission.update_affiliate_request || submission.enrollment_request) {
+        return { ...submission.update_affiliate_request, ...submission.enrollment_request };
+    }
+    return null;
+}
+
+// The request that carries the profile update - legacy mode sends everything in the create call
+function getUpdateRequest(submission) {
+    return submission.finalize_affiliate_request || submission.update_affiliate_request || null;
+}
+
+function needsReplay(submission, step) {
+    const entry = submission.steps && submission.steps[step];
+    return !entry || entry.status === STEP_STATUS.FAILED || entry.status === STEP_STATUS.PENDING;
+}
+
+/**
+ * Run one Tapfiliate call and turn the result into a step outcome
+ */
+async function runStep(call) {
+    try {
+        await call();
+        return { status: STEP_STATUS.DONE };
+    } catch (error) {
+        return { status: STEP_STATUS.FAILED, error: error.body || error.message, httpStatus: error.status || undefined };
+    }
+}
+
+async function replayUpdate(affiliateId, submission, tapfiliate) {
+    const updateRequest = getUpdateRequest(submission);
+    if (!updateRequest) {
+        return { status: STEP_STATUS.SKIPPED };
+    }
+
+    const fieldKeyMap = await getCustomFieldKeys(tapfiliate);
+    const updatePayload = buildFinalizeUpdatePayload(updateRequest, fieldKeyMap);
+    if (Object.keys(updatePayload).length === 0) {
+        return { status: STEP_STATUS.SKIPPED };
+    }
+
+    return runStep(() => tapfiliate.updateAffiliate(affiliateId, updatePayload));
+}
+
+async function replayMetadata(affiliateId, request, tapfiliate) {
+    const website = request.metadata && request.metadata.website;
+    if (!website) {
+        return { status: STEP_STATUS.SKIPPED };
+    }
+
+    return runStep(() => tapfiliate.setMetaData(affiliateId, 'website', website));
+}
+
+// Stage A sent the attribution first - later requests from older wizards may not carry it
+async function replayAttribution(affiliateId, request, submission, tapfiliate) {
+    const stageARequest = submission.create_affiliate_only_request || {};
+    const attributionMeta = buildAttributionMetaData(request.attribution || stageARequest.attribution);
+    if (Object.keys(attributionMeta).length === 0) {
+        return { status: STEP_STATUS.SKIPPED };
+    }
+
+    return runStep(() => setMetaDataValues(affiliateId, attributionMeta, tapfiliate));
+}
+
+async function replayEnrollment(affiliateId, programId, tapfiliate) {
+    // The failed call may have gone through on Tapfiliate's side - don't enroll twice
+    const existingEnrollment = await findProgramEnrollment(affiliateId, programId, tapfiliate);
+    if (existingEnrollment) {
+        return { status: STEP_STATUS.DONE };
+    }
+
+    return runStep(() => tapfiliate.addAffiliateToProgram(programId, affiliateId));
+}
+
+// The parent is checked against the referral tree rules again - the tree may have changed
+async function replayParent(affiliateId, request, submission, tapfiliate) {
+    const resolution = await resolveParentId(request.parent_id, tapfiliate);
+    if (resolution && resolution.reason === PARENT_RESOLUTION.LOOKUP_FAILED) {
+        return { status: STEP_STATUS.FAILED, error: 'Parent lookup failed' };
+    }
+    if (!resolution || !resolution.parent_id) {
+        return { status: STEP_STATUS.SKIPPED, reason: resolution && resolution.reason };
+    }
+
+    // Stage A only knows the program the wizard sent - without one the link waits for enrollment
+    const programId = submission.program_id || (request.program ? resolveProgramId(request.program) : null);
+    if (!programId) {
+        return { status: STEP_STATUS.PENDING };
+    }
+
+    let check;
+    try {
+        check = await checkParentLink({
+            affiliateId,
+            email: request.email || submission.email,
+            parentId: resolution.parent_id,
+            programId
+        }, tapfiliate);
+    } catch (error) {
+        return { status: STEP_STATUS.FAILED, error: error.body || error.message, httpStatus: error.status || undefined };
+    }
+    if (!check.ok) {
+        return { status: STEP_STATUS.REJECTED, reason: check.reason, parentId: resolution.parent_id };
+    }
+
+    const outcome = await runStep(() => tapfiliate.setParent(affiliateId, resolution.parent_id));
+    return { ...outcome, parentId: resolution.parent_id };
+}
+
+async function applyStep(submissionId, step, outcome) {
+    if (outcome.status === STEP_STATUS.FAILED) {
+        logger.error('[Retry] Step failed again', { step, status: outcome.httpStatus, error: outcome.error });
+    } else {
+        logger.info('[Retry] Step replayed', { step, outcome: outcome.status, reason: outcome.reason });
+    }
+    await recordStep(submissionId, step, outcome.status, {
+        error: outcome.error,
+        httpStatus: outcome.httpStatus,
+        reason: outcome.reason,
+        parentId: outcome.parentId
+    });
+    return outcome.status;
+}
+
+/**
+ * Replay the missing steps of one submission, in the order the handler runs them.
+ * The parent is only linked once the affiliate is enrolled, as in the handler.
+ * Returns the submission's overall status afterwards.
+ */
+async function replaySubmission(submission, tapfiliate) {
+    const submissionId = submission.submission_id;
+    const affiliateId = submission.affiliate_id;
+    // Stage A stores its request too - enough to link a parent before the wizard is finished
+    const request = getReplayRequest(submission) || submission.create_affiliate_only_request || {};
+
+    logger.resetContext({ mode: 'retry', submission_id: submissionId, affiliate_id: affiliateId });
+
+    if (!affiliateId) {
+        logger.error('[Retry] Submission has no affiliate_id - cannot replay, needs manual follow-up');
+        return SUBMISSION_STATUS.FAILED;
+    }
+
+    logger.info('[Retry] Replaying submission');
+
+    if (needsReplay(submission, 'updated') && getReplayRequest(submission)) {
+        await applyStep(submissionId, 'updated', await replayUpdate(affiliateId, submission, tapfiliate));
+    }
+
+    if (needsReplay(submission, 'metadata_set') && getReplayRequest(submission)) {
+        await applyStep(submissionId, 'metadata_set', await replayMetadata(affiliateId, request, tapfiliate));
+    }
+
+    if (needsReplay(submission, 'attribution_set') && getReplayRequest(submission)) {
+        await applyStep(submissionId, 'attribution_set', await replayAttribution(affiliateId, request, submission, tapfiliate));
+    }
+
+    let enrolled = !needsReplay(submission, 'enrolled');
+    // Without a program the wizard has not been finished yet - leave enrollment to finalize_affiliate
+    if (!enrolled && submission.program_id) {
+        const status = await applyStep(submissionId, 'enrolled', await replayEnrollment(affiliateId, submission.program_id, tapfiliate));
+        enrolled = status === STEP_STATUS.DONE;
+    }
+
+    const parentAlreadyFailed = submission.steps && submission.steps.parent_linked
+        && submission.steps.parent_linked.status === STEP_STATUS.FAILED;
+    if (needsReplay(submission, 'parent_linked') && (enrolled || parentAlreadyFailed)) {
+        await applyStep(submissionId, 'parent_linked', await replayParent(affiliateId, request, submission, tapfiliate));
+    }
+
+    return refreshSubmissionStatus(submissionId);
+}
+
+/**
+ * Count a failed attempt: schedule the next one with backoff, or give up after RETRY_MAX_ATTEMPTS.
+ * Returns 'retry_scheduled' or 'exhausted'.
+ */
+async function scheduleNextAttempt(submission, now) {
+    const maxAttempts = getPositiveIntEnv('RETRY_MAX_ATTEMPTS', DEFAULT_MAX_ATTEMPTS);
+    const attempts = (submission.retry_attempts || 0) + 1;
+
+    if (attempts >= maxAttempts) {
+        logger.error('[Retry] Giving up - needs manual follow-up', { submission_id: submission.submission_id, attempts });
+        await recordRetryAttempt(submission.submission_id, { attempts, exhausted: true });
+        return 'exhausted';
+    }
+
+    const nextRetryAt = new Date(now.getTime() + getRetryDelaySeconds(attempts) * 1000);
+    logger.info('[Retry] Submission still incomplete', { submission_id: submission.submission_id, attempts, max_attempts: maxAttempts, next_retry_at: nextRetryAt });
+    await recordRetryAttempt(submission.submission_id, { attempts, nextRetryAt });
+    return 'retry_scheduled';
+}
+
+/**
+ * Retry one submission and update its attempt count and backoff.
+ * Returns 'complete', 'retry_scheduled', 'exhausted' or the submission's status otherwise.
+ */
+async function retrySubmission(submission, tapfiliate, now = new Date()) {
+    const status = await replaySubmission(submission, tapfiliate);
+
+    if (status !== SUBMISSION_STATUS.INCOMPLETE) {
+        await recordRetryAttempt(submission.submission_id, { attempts: (submission.retry_attempts || 0) + 1 });
+        return status;
+    }
+
+    return scheduleNextAttempt(submission, now);
+}
+
+/**
+ * One pass of the worker: retry every due submission (or just `submissionId` if given)
+ * Returns a summary of outcomes, e.g. { processed: 3, complete: 2, retry_scheduled: 1 }
+ */
+async function runRetryPass({ submissionId } = {}) {
+    logger.resetContext({ mode: 'retry' });
+    const TAPFILIATE_API_KEY = process.env.TAPFILIATE_API_KEY;
+    if (!TAPFILIATE_API_KEY) {
+        throw new Error('TAPFILIATE_API_KEY is not set');
+    }
+    if (!isLedgerEnabled()) {
+        throw new Error('SIGNUP_LEDGER_TABLE is not set - nothing to retry');
+    }
+    const tapfiliate = createTapfiliateClient({ apiKey: TAPFILIATE_API_KEY });
+
+    let submissions;
+    if (submissionId) {
+        const submission = await getSubmission(submissionId);
+        if (!submission) {
+            throw new Error(`Submission ${submissionId} not found`);
+        }
+        submissions = [submission];
+    } else {
+        submissions = await listRetryableSubmissions(getPositiveIntEnv('RETRY_BATCH_SIZE', DEFAULT_BATCH_SIZE));
+    }
+
+    logger.info('[Retry] Submissions to retry', { count: submissions.length });
+
+    const summary = { processed: 0 };
+    // One at a time - keeps us well inside Tapfiliate's rate limits
+    for (const submission of submissions) {
+        let outcome;
+        try {
+            outcome = await retrySubmission(submission, tapfiliate);
+        } catch (error) {
+            logger.error('[Retry] Error retrying submission', { submission_id: submission.submission_id, error });
+            // A submission that keeps throwing backs off and gives up like one that keeps failing
+            outcome = await scheduleNextAttempt(submission, new Date()) === 'exhausted' ? 'exhausted' : 'error';
+        }
+        summary.processed += 1;
+        summary[outcome] = (summary[outcome] || 0) + 1;
+    }
+
+    logger.info('[Retry] Pass finished', { summary });
+    return summary;
+}
+
+// Lambda entry point (scheduled) - an optional `submission_id` in the event retries just that one
+exports.handler = async (event) => {
+    return runRetryPass({ submissionId: event && event.submission_id });
+};
+
+exports.runRetryPass = runRetryPass;
+exports.getRetryDelaySeconds = getRetryDelaySeconds;
+
+// CLI entry point
+if (require.main === module) {
+    runRetryPass({ submissionId: process.argv[2] })
+        .then(summary => {
+            process.exitCode = summary.error ? 1 : 0;
+        })
+        .catch(error => {
+            logger.error('[Retry] Pass failed', error);
+            process.exitCode = 1;
+        });
+}
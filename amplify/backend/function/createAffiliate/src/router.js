@@ -0,0 +1,104 @@
+// Minimal path router for the API Gateway proxy integration
+// Routes are declared as { method, path, schema, handler } where `path` may contain
+// `{param}` segments, e.g. '/affiliates/{id}/enrollments'.
+//
+// API Gateway sends the part after the proxy resource in `pathParameters.proxy`, already
+// URL-decoded; without it (the base resource, or a direct invocation) `event.path` is used
+// with API_BASE_PATH (default '/create-affiliate') stripped, and its parameters are decoded here.
+
+const DEFAULT_BASE_PATH = '/create-affiliate';
+
+function normalizePath(path) {
+    const trimmed = String(path || '').replace(/\/+$/, '');
+    return trimmed.startsWith('/') ? trimmed || '/' : `/${trimmed}`;
+}
+
+/**
+ * Work out the route path of a request, relative to the API's base path.
+ * Returns { path, decoded } - `decoded` is true when API Gateway already URL-decoded it.
+ */
+function getRequestPath(event) {
+    const proxyPath = event.pathParameters && event.pathParameters.proxy;
+    if (proxyPath) {
+        return { path: normalizePath(proxyPath), decoded: true };
+    }
+
+    const basePath = normalizePath(process.env.API_BASE_PATH || DEFAULT_BASE_PATH);
+    let path = normalizePath(event.path || '/');
+    if (basePath !== '/' && (path === basePath || path.startsWith(`${basePath}/`))) {
+        path = normalizePath(path.slice(basePath.length));
+    }
+    return { path, decoded: false };
+}
+
+// A path parameter as the handler sees it, or null for a malformed escape (e.g. '%E0%A4%A')
+function decodeParam(value) {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return null;
+    }
+}
+
+// Turn '/affiliates/{id}' into a regex and the list of its parameter names
+function compilePath(path) {
+    const paramNames = [];
+    const pattern = normalizePath(path)
+        .split('/')
+        .map(segment => {
+            const param = segment.match(/^\{(\w+)\}$/);
+            if (param) {
+                paramNames.push(param[1]);
+                return '([^/]+)';
+            }
+            return segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        })
+        .join('/');
+    return { regex: new RegExp(`^${pattern}$`), paramNames };
+}
+
+/**
+ * Build a matcher for a route table.
+ * The returned function resolves (method, path, { decoded }) to one of:
+ *   { route, params }                          - matched
+ *   { error: 'not_found' }                     - no route has this path
+ *   { error: 'method_not_allowed', allowed }   - the path exists for other methods only
+ *   { error: 'invalid_path' }                  - a path parameter is not valid URL encoding
+ * Pass `decoded: true` when the path is already URL-decoded so parameters are used as they are.
+ */
+function createRouter(routes) {
+    const compiled = routes.map(route => ({ route, ...compilePath(route.path) }));
+
+    return function matchRoute(method, path, { decoded = false } = {}) {
+        const allowed = [];
+
+        for (const { route, regex, paramNames } of compiled) {
+            const match = path.match(regex);
+            if (!match) continue;
+
+            if (route.method !== method) {
+                allowed.push(route.method);
+                continue;
+            }
+
+            const params = {};
+            for (let index = 0; index < paramNames.length; index++) {
+                const value = decoded ? match[index + 1] : decodeParam(match[index + 1]);
+                if (value === null) {
+                    return { error: 'invalid_path' };
+                }
+                params[paramNames[index]] = value;
+            }
+            return { route, params };
+        }
+
+        return allowed.length > 0
+            ? { error: 'method_not_allowed', allowed }
+            : { error: 'not_found' };
+    };
+}
+
+module.exports = {
+    getRequestPath,
+    createRouter
+};
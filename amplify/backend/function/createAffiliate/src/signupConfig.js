@@ -0,0 +1,243 @@
+// Signup configuration - programs, company types and commission types
+// The Lambda owns this list: request validation, the Tapfiliate payloads and the wizard
+// (via GET /config) all read it, so adding a program or a type is a change here only.
+// Labels are in English; the wizard translates the ones it has translations for.
+//
+// Programs form a registry that can be replaced without a code change: set PROGRAM_REGISTRY
+// to a JSON array of entries shaped like DEFAULT_PROGRAMS. An invalid value is logged and
+// the defaults are used instead.
+//
+// Referral attribution - the wizard keeps the referral link (and UTM parameters) a partner
+// arrived with, and sends the one these settings pick with Stage A:
+//   ATTRIBUTION_WINDOW_DAYS - how long a visit through a link counts (default 30)
+//   ATTRIBUTION_POLICY      - 'last_touch' (default: the latest visit wins) or 'first_touch'
+
+const { logger } = require('./logger');
+
+const EUROZONE_COUNTRIES = [
+    'AT', 'BE', 'CY', 'DE', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR',
+    'IE', 'IT', 'LT', 'LU', 'LV', 'MT', 'NL', 'PT', 'SI', 'SK'
+];
+
+// One Tapfiliate program per payout currency. The wizard sends the currency, the Lambda
+// enrolls in `program_id`.
+//   icon                  - symbol shown in the program box
+//   flag                  - optional emoji shown next to it
+//   recommended_countries - ISO 3166-1 alpha-2 codes the program is suggested for
+//   active                - inactive programs are not offered and new signups cannot pick them
+const DEFAULT_PROGRAMS = [
+    {
+        currency: 'GBP',
+        program_id: 'stasher-affiliate-program',
+        name: 'British Pound',
+        icon: '£',
+        flag: '🇬🇧',
+        recommended_countries: ['GB', 'GG', 'JE', 'IM', 'GI'],
+        active: true
+    },
+    {
+        currency: 'EUR',
+        program_id: 'stasher-affiliate-program-sp',
+        name: 'Euro',
+        icon: '€',
+        flag: '🇪🇺',
+        recommended_countries: EUROZONE_COUNTRIES,
+        active: true
+    },
+    {
+        currency: 'USD',
+        program_id: 'stasher-affiliates-usd',
+        name: 'US Dollar',
+        icon: '$',
+        flag: '🇺🇸',
+        recommended_countries: ['US', 'PR'],
+        active: true
+    },
+    {
+        currency: 'AUD',
+        program_id: 'jg-affiliate-program',
+        name: 'Australian Dollar',
+        icon: 'A$',
+        flag: '🇦🇺',
+        recommended_countries: ['AU'],
+        active: true
+    }
+];
+
+// `label` is also the value of the "Company type" custom field in Tapfiliate.
+// `hidden` types are still accepted but not offered in the wizard; `redirect_url` sends the
+// partner to another signup instead of continuing the wizard.
+const COMPANY_TYPES = [
+    {
+        value: 'vacation-rental',
+        label: 'Vacation Rental / Airbnb Host',
+        description: 'Short-term rental property management and Airbnb Hosts.'
+    },
+    { value: 'venue', label: 'Venue', description: 'Museums, Stadiums, Theatres, Musical Events, etc.' },
+    { value: 'blog', label: 'Blog', description: 'Travel blog or content creator' },
+    { value: 'pms', label: 'PMS', description: 'Property Management System provider' },
+    { value: 'other', label: 'Other', description: 'Other business type' },
+    {
+        value: 'supply',
+        label: 'I want to store bags (Supply)',
+        description: 'Store bags and earn money for every bag you store.',
+        redirect_url: 'https://hosts.stasher.com/signup'
+    },
+    { value: 'tour-operator', label: 'Tour Operator', hidden: true },
+    { value: 'transportations', label: 'Transportations', hidden: true }
+];
+
+// Values accepted by the "Commission type" custom field
+const COMMISSION_TYPES = [
+    'I want 10% commission',
+    'I want 10% discount code',
+    'Custom'
+];
+
+const ATTRIBUTION_POLICIES = ['first_touch', 'last_touch'];
+const DEFAULT_ATTRIBUTION_WINDOW_DAYS = 30;
+const DEFAULT_ATTRIBUTION_POLICY = 'last_touch';
+
+// "Company type" custom field label for each company_type sent by the wizard
+const COMPANY_TYPE_LABELS = Object.fromEntries(COMPANY_TYPES.map(type => [type.value, type.label]));
+
+// Check one registry entry - returns a list of problems, empty if it is usable
+function checkProgramEntry(entry, index) {
+    const problems = [];
+    if (!entry || typeof entry !== 'object') {
+        return [`entry ${index} is not an object`];
+    }
+    if (typeof entry.currency !== 'string' || !/^[A-Z]{3}$/.test(entry.currency)) {
+        problems.push(`entry ${index}: currency must be a 3-letter code`);
+    }
+    if (typeof entry.program_id !== 'string' || entry.program_id.trim() === '') {
+        problems.push(`entry ${index}: program_id is required`);
+    }
+    if (entry.recommended_countries !== undefined && !Array.isArray(entry.recommended_countries)) {
+        problems.push(`entry ${index}: recommended_countries must be an array`);
+    }
+    return problems;
+}
+
+function normalizeProgramEntry(entry) {
+    return {
+        currency: entry.currency,
+        program_id: entry.program_id.trim(),
+        name: entry.name || entry.currency,
+        icon: entry.icon || entry.currency,
+        flag: entry.flag || null,
+        recommended_countries: (entry.recommended_countries || []).map(code => String(code).toUpperCase()),
+        active: entry.active !== false
+    };
+}
+
+let registryCache = { raw: undefined, programs: null };
+
+/**
+ * The program registry - PROGRAM_REGISTRY if it is set and valid, otherwise DEFAULT_PROGRAMS
+ */
+function getPrograms() {
+    const raw = process.env.PROGRAM_REGISTRY;
+    if (registryCache.programs && registryCache.raw === raw) {
+        return registryCache.programs;
+    }
+
+    let programs = DEFAULT_PROGRAMS.map(normalizeProgramEntry);
+    if (raw) {
+        try {
+            const entries = JSON.parse(raw);
+            const problems = Array.isArray(entries)
+                ? entries.flatMap(checkProgramEntry)
+                : ['PROGRAM_REGISTRY must be a JSON array'];
+            const currencies = Array.isArray(entries) ? entries.map(entry => entry && entry.currency) : [];
+            if (new Set(currencies).size !== currencies.length) {
+                problems.push('currencies must be unique');
+            }
+
+            if (problems.length > 0) {
+                logger.error('[Config] Invalid PROGRAM_REGISTRY - using the default programs', { problems });
+            } else {
+                programs = entries.map(normalizeProgramEntry);
+            }
+        } catch (error) {
+            logger.error('[Config] PROGRAM_REGISTRY is not valid JSON - using the default programs', error);
+        }
+    }
+
+    registryCache = { raw, programs };
+    return programs;
+}
+
+function getActivePrograms() {
+    return getPrograms().filter(program => program.active);
+}
+
+/**
+ * Map the `program` sent by a client - a currency, or a program ID from older clients -
+ * to the Tapfiliate program ID. Returns null for unknown or inactive programs.
+ */
+function resolveProgramId(program) {
+    const entry = getActivePrograms().find(candidate => candidate.currency === program || candidate.program_id === program);
+    return entry ? entry.program_id : null;
+}
+
+// Every value a client may send as `program`
+function getProgramValues() {
+    const programs = getActivePrograms();
+    return [...programs.map(program => program.currency), ...programs.map(program => program.program_id)];
+}
+
+/**
+ * Attribution window and policy from ATTRIBUTION_WINDOW_DAYS / ATTRIBUTION_POLICY, with
+ * invalid values logged and replaced by the defaults
+ */
+function getAttributionSettings() {
+    const rawWindow = process.env.ATTRIBUTION_WINDOW_DAYS;
+    const windowDays = parseInt(rawWindow, 10);
+    const rawPolicy = process.env.ATTRIBUTION_POLICY;
+
+    if (rawWindow && !(Number.isInteger(windowDays) && windowDays > 0)) {
+        logger.error('[Config] Invalid ATTRIBUTION_WINDOW_DAYS - using the default', { value: rawWindow });
+    }
+    if (rawPolicy && !ATTRIBUTION_POLICIES.includes(rawPolicy)) {
+        logger.error('[Config] Invalid ATTRIBUTION_POLICY - using the default', { value: rawPolicy });
+    }
+    return {
+        window_days: Number.isInteger(windowDays) && windowDays > 0 ? windowDays : DEFAULT_ATTRIBUTION_WINDOW_DAYS,
+        policy: ATTRIBUTION_POLICIES.includes(rawPolicy) ? rawPolicy : DEFAULT_ATTRIBUTION_POLICY
+    };
+}
+
+/**
+ * The configuration served to the wizard by GET /config - active programs only
+ */
+function getPublicConfig() {
+    return {
+        programs: getActivePrograms().map(({ currency, name, icon, flag, recommended_countries }) => ({
+            currency,
+            name,
+            icon,
+            flag,
+            recommended_countries
+        })),
+        company_types: COMPANY_TYPES
+            .filter(type => !type.hidden)
+            .map(({ value, label, description, redirect_url }) => ({ value, label, description, redirect_url })),
+        commission_types: COMMISSION_TYPES.map(value => ({ value, label: value })),
+        attribution: getAttributionSettings()
+    };
+}
+
+module.exports = {
+    DEFAULT_PROGRAMS,
+    COMPANY_TYPES,
+    COMMISSION_TYPES,
+    COMPANY_TYPE_LABELS,
+    ATTRIBUTION_POLICIES,
+    getAttributionSettings,
+    getPrograms,
+    getActivePrograms,
+    resolveProgramId,
+    getProgramValues,
+    getPublicConfig
+};
@@ -0,0 +1,492 @@
+// Durable signup ledger (DynamoDB)
+// Every submission is written here BEFORE any Tapfiliate call, and each Tapfiliate step
+// records its outcome, so failed or partial signups can be found and completed later.
+//
+// Table: SIGNUP_LEDGER_TABLE env var, partition key `submission_id` (string).
+// Without it new submissions are refused, unless SIGNUP_LEDGER_DISABLED=true (local development
+// only) turns the ledger off - then calls are no-ops.
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Tapfiliate steps tracked per submission, in the order they normally run
+const LEDGER_STEPS = ['created', 'updated', 'metadata_set', 'attribution_set', 'enrolled', 'parent_linked'];
+
+const STEP_STATUS = {
+    PENDING: 'pending',
+    DONE: 'done',
+    FAILED: 'failed',
+    SKIPPED: 'skipped',
+    // Not sent on purpose - e.g. a parent link that breaks the referral tree rules
+    REJECTED: 'rejected'
+};
+
+// Overall submission status, derived from the step statuses
+const SUBMISSION_STATUS = {
+    IN_PROGRESS: 'in_progress',   // wizard not finished yet (e.g. only Stage A ran)
+    COMPLETE: 'complete',         // every step done or skipped
+    INCOMPLETE: 'incomplete',     // affiliate exists but a later step failed - retryable
+    FAILED: 'failed',             // affiliate could not be created - needs manual follow-up
+    RETRIES_EXHAUSTED: 'retries_exhausted' // retry worker gave up - needs manual follow-up
+};
+
+// Client idempotency keys are stored under their own prefix, so they can never name a record the
+// server keys itself (`affiliate-<id>` submissions, `email-code-<id>` counters)
+const CLIENT_KEY_PREFIX = 'client-';
+const AFFILIATE_KEY_PREFIX = 'affiliate-';
+const EMAIL_CODE_KEY_PREFIX = 'email-code-';
+const RESERVED_KEY_PREFIXES = [AFFILIATE_KEY_PREFIX, EMAIL_CODE_KEY_PREFIX];
+
+/**
+ * Raised by openSubmission() when the key belongs to a submission of another email or affiliate
+ */
+class SubmissionMismatchError extends Error {
+    constructor(submissionId) {
+        super('Submission belongs to another email or affiliate');
+        this.name = this.constructor.name;
+        this.code = 'submission_mismatch';
+        this.submissionId = submissionId;
+    }
+}
+
+let documentClient = null;
+let commands = null;
+
+function isLedgerEnabled() {
+    return !!process.env.SIGNUP_LEDGER_TABLE;
+}
+
+// Running without a ledger must be asked for - a missing table in production fails closed
+function isLedgerExplicitlyDisabled() {
+    return process.env.SIGNUP_LEDGER_DISABLED === 'true';
+}
+
+// Throws unless the ledger is configured or explicitly disabled
+function assertLedgerConfigured() {
+    if (!isLedgerEnabled() && !isLedgerExplicitlyDisabled()) {
+        throw new Error('SIGNUP_LEDGER_TABLE is not set (set SIGNUP_LEDGER_DISABLED=true to run without a ledger locally)');
+    }
+}
+
+// The AWS SDK v3 ships with the Lambda Node.js runtime - load it lazily so the
+// handler still runs locally without it when the ledger is disabled
+function getDocumentClient() {
+    if (!documentClient) {
+        const { DynamoDBClient } = require('@aws-sdk/client-dynamodb');
+        const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+        documentClient = DynamoDBDocumentClient.from(new DynamoDBClient({}), {
+            marshallOptions: { removeUndefinedValues: true }
+        });
+    }
+    return documentClient;
+}
+
+function getCommands() {
+    return commands || require('@aws-sdk/lib-dynamodb');
+}
+
+/**
+ * Swap the DynamoDB document client and command classes (tests run against an in-memory table)
+ */
+function setDocumentClient(client, commandClasses) {
+    documentClient = client;
+    commands = commandClasses || null;
+}
+
+/**
+ * True when a client key starts with a prefix the server uses for its own records
+ */
+function isReservedKey(key) {
+    return RESERVED_KEY_PREFIXES.some(prefix => String(key).startsWith(prefix));
+}
+
+/**
+ * Pick the ledger key for a request: the prefixed client idempotency key when present,
+ * otherwise one derived from the affiliate ID, otherwise a fresh UUID
+ */
+function resolveSubmissionId(idempotencyKey, affiliateId) {
+    if (idempotencyKey) return `${CLIENT_KEY_PREFIX}${idempotencyKey}`;
+    if (affiliateId) return `${AFFILIATE_KEY_PREFIX}${affiliateId}`;
+    return crypto.randomUUID();
+}
+
+// Emails are stored and compared the way Tapfiliate treats them - case and surrounding spaces don't count
+function normalizeEmail(email) {
+    return String(email).trim().toLowerCase();
+}
+
+function initialSteps() {
+    const steps = {};
+    LEDGER_STEPS.forEach(step => {
+        steps[step] = { status: STEP_STATUS.PENDING };
+    });
+    return steps;
+}
+
+/**
+ * Record (or re-open) a submission before any Tapfiliate call is made.
+ * `fields` holds everything needed to replay the Tapfiliate calls later
+ * (never the password): email, affiliate_id, program_id and the sanitized request body per mode.
+ * The status is only set on a new submission - a re-opened one keeps its status until
+ * refreshSubmissionStatus() derives it from the steps again.
+ * A re-opened submission must carry the email and affiliate_id it was recorded with (when both
+ * sides have one), otherwise SubmissionMismatchError is thrown and nothing is written.
+ * Throws if the ledger is not configured or the write fails - callers must not continue.
+ */
+async function openSubmission(submissionId, fields) {
+    assertLedgerConfigured();
+    if (!isLedgerEnabled()) {
+        logger.warn('[Ledger] Ledger disabled (SIGNUP_LEDGER_DISABLED) - submission not recorded', { submission_id: submissionId });
+        return;
+    }
+
+    const now = new Date().toISOString();
+    const setExpressions = [
+        'created_at = if_not_exists(created_at, :now)',
+        'updated_at = :now',
+        'steps = if_not_exists(steps, :steps)',
+        '#status = if_not_exists(#status, :status)'
+    ];
+    const names = { '#status': 'status' };
+    const values = {
+        ':now': now,
+        ':steps': initialSteps(),
+        ':status': SUBMISSION_STATUS.IN_PROGRESS
+    };
+
+    const recorded = { ...fields };
+    if (recorded.email !== undefined && recorded.email !== null) {
+        recorded.email = normalizeEmail(recorded.email);
+    }
+    Object.entries(recorded).forEach(([key, value]) => {
+        if (value === undefined || value === null) return;
+        setExpressions.push(`#f_${key} = :f_${key}`);
+        names[`#f_${key}`] = key;
+        values[`:f_${key}`] = value;
+    });
+
+    // The key alone proves nothing - an existing submission must belong to the same partner
+    const ownerChecks = ['email', 'affiliate_id']
+        .filter(key => values[`:f_${key}`] !== undefined)
+        .map(key => `(attribute_not_exists(#f_${key}) OR #f_${key} = :f_${key})`);
+    let condition;
+    if (ownerChecks.length > 0) {
+        condition = `attribute_not_exists(#submission_id) OR (${ownerChecks.join(' AND ')})`;
+        names['#submission_id'] = 'submission_id';
+    }
+
+    const { UpdateCommand } = getCommands();
+    try {
+        await getDocumentClient().send(new UpdateCommand({
+            TableName: process.env.SIGNUP_LEDGER_TABLE,
+            Key: { submission_id: submissionId },
+            UpdateExpression: `SET ${setExpressions.join(', ')}`,
+            ConditionExpression: condition,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values
+        }));
+    } catch (error) {
+        if (isConditionFailed(error)) {
+            logger.warn('[Ledger] Submission key used by another email or affiliate', { submission_id: submissionId });
+            throw new SubmissionMismatchError(submissionId);
+        }
+        throw error;
+    }
+
+    logger.info('[Ledger] Submission recorded', { submission_id: submissionId });
+}
+
+/**
+ * Record the outcome of one Tapfiliate step (`details`: error, httpStatus, reason, parentId,
+ * affiliateId). Never throws - the partner's signup must not fail because the ledger could
+ * not be updated.
+ * A failed step also flags the whole submission straight away, so early returns
+ * in the handler cannot leave a failure looking like work in progress.
+ */
+async function recordStep(submissionId, step, status, details = {}) {
+    if (!isLedgerEnabled()) return;
+
+    const entry = { status, at: new Date().toISOString() };
+    if (details.error) {
+        entry.error = String(details.error).substring(0, 1000);
+    }
+    if (details.httpStatus) {
+        entry.http_status = details.httpStatus;
+    }
+    if (details.reason) {
+        entry.reason = details.reason;
+    }
+    if (details.parentId) {
+        entry.parent_id = String(details.parentId);
+    }
+
+    const setExpressions = ['steps.#step = :entry', 'updated_at = :now'];
+    const names = { '#step': step };
+    const values = { ':entry': entry, ':now': entry.at };
+    if (status === STEP_STATUS.FAILED) {
+        setExpressions.push('#status = :status');
+        names['#status'] = 'status';
+        values[':status'] = step === 'created' ? SUBMISSION_STATUS.FAILED : SUBMISSION_STATUS.INCOMPLETE;
+    }
+    if (details.affiliateId) {
+        setExpressions.push('affiliate_id = :affiliateId');
+        values[':affiliateId'] = String(details.affiliateId);
+    }
+
+    try {
+        const { UpdateCommand } = getCommands();
+        await getDocumentClient().send(new UpdateCommand({
+            TableName: process.env.SIGNUP_LEDGER_TABLE,
+            Key: { submission_id: submissionId },
+            UpdateExpression: `SET ${setExpressions.join(', ')}`,
+            ExpressionAttributeNames: names,
+            ExpressionAttributeValues: values
+        }));
+    } catch (error) {
+        logger.error('[Ledger] Failed to record step', { submission_id: submissionId, step, error });
+    }
+}
+
+/**
+ * Derive the overall status from the step statuses
+ */
+function deriveSubmissionStatus(steps) {
+    const statuses = LEDGER_STEPS.map(step => (steps && steps[step] ? steps[step].status : STEP_STATUS.PENDING));
+    if (statuses[0] === STEP_STATUS.FAILED) {
+        return SUBMISSION_STATUS.FAILED;
+    }
+    if (statuses.includes(STEP_STATUS.FAILED)) {
+        return SUBMISSION_STATUS.INCOMPLETE;
+    }
+    if (statuses.includes(STEP_STATUS.PENDING)) {
+        return SUBMISSION_STATUS.IN_PROGRESS;
+    }
+    return SUBMISSION_STATUS.COMPLETE;
+}
+
+/**
+ * Re-read the submission and store its derived overall status. Never throws.
+ */
+async function refreshSubmissionStatus(submissionId) {
+    if (!isLedgerEnabled()) return null;
+
+    try {
+        const submission = await getSubmission(submissionId);
+        if (!submission) return null;
+
+        // The steps can't tell the worker already gave up - only a new failure-free run can
+        const derived = deriveSubmissionStatus(submission.steps);
+        const status = submission.status === SUBMISSION_STATUS.RETRIES_EXHAUSTED && derived === SUBMISSION_STATUS.INCOMPLETE
+            ? SUBMISSION_STATUS.RETRIES_EXHAUSTED
+            : derived;
+        const { UpdateCommand } = getCommands();
+        await getDocumentClient().send(new UpdateCommand({
+            TableName: process.env.SIGNUP_LEDGER_TABLE,
+            Key: { submission_id: submissionId },
+            UpdateExpression: 'SET #status = :status, updated_at = :now',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: { ':status': status, ':now': new Date().toISOString() }
+        }));
+
+        if (status !== SUBMISSION_STATUS.COMPLETE && status !== SUBMISSION_STATUS.IN_PROGRESS) {
+            logger.warn('[Ledger] Submission will need follow-up', { submission_id: submissionId, status });
+        }
+        return status;
+    } catch (error) {
+        logger.error('[Ledger] Failed to refresh status', { submission_id: submissionId, error });
+        return null;
+    }
+}
+
+async function getSubmission(submissionId) {
+    if (!isLedgerEnabled()) return null;
+
+    const { GetCommand } = getCommands();
+    const result = await getDocumentClient().send(new GetCommand({
+        TableName: process.env.SIGNUP_LEDGER_TABLE,
+        Key: { submission_id: submissionId }
+    }));
+    return result.Item || null;
+}
+
+/**
+ * List submissions the retry worker should pick up: status `incomplete` and
+ * `next_retry_at` (if any) not in the future. Scans the table page by page -
+ * the ledger only holds signups, so this stays small.
+ */
+async function listRetryableSubmissions(limit, now = new Date()) {
+    if (!isLedgerEnabled()) return [];
+
+    const { ScanCommand } = getCommands();
+    const submissions = [];
+    let exclusiveStartKey;
+
+    do {
+        const result = await getDocumentClient().send(new ScanCommand({
+            TableName: process.env.SIGNUP_LEDGER_TABLE,
+            FilterExpression: '#status = :incomplete AND (attribute_not_exists(next_retry_at) OR next_retry_at <= :now)',
+            ExpressionAttributeNames: { '#status': 'status' },
+            ExpressionAttributeValues: {
+                ':incomplete': SUBMISSION_STATUS.INCOMPLETE,
+                ':now': now.toISOString()
+            },
+            ExclusiveStartKey: exclusiveStartKey
+        }));
+        submissions.push(...(result.Items || []));
+        exclusiveStartKey = result.LastEvaluatedKey;
+    } while (exclusiveStartKey && submissions.length < limit);
+
+    return submissions.slice(0, limit);
+}
+
+// Email verification counters share the table, one item per affiliate (no `status`, so the
+// retry worker never picks them up). Counting with a conditional update means parallel
+// requests can't all read the same count and get through.
+
+function emailCodeKey(affiliateId) {
+    return { submission_id: `${EMAIL_CODE_KEY_PREFIX}${affiliateId}` };
+}
+
+function isConditionFailed(error) {
+    return !!error && error.name === 'ConditionalCheckFailedException';
+}
+
+/**
+ * Count one more code email for an affiliate, unless it already got `maxSends` or the last one
+ * went out less than `cooldownSeconds` ago. Starts the attempt count for the new code.
+ * Returns { allowed: true, sentAt } - use `sentAt` as the code's sent_at - or
+ * { allowed: false, reason: 'limit' | 'cooldown', lastSentAt }.
+ * Throws if the ledger is not configured or can't be written. With the ledger disabled
+ * (local development) every send is allowed.
+ */
+async function reserveEmailCodeSend(affiliateId, { maxSends, cooldownSeconds }, now = Date.now()) {
+    const sentAt = new Date(now).toISOString();
+    assertLedgerConfigured();
+    if (!isLedgerEnabled()) return { allowed: true, sentAt };
+
+    const { UpdateCommand, GetCommand } = getCommands();
+    try {
+        await getDocumentClient().send(new UpdateCommand({
+            TableName: process.env.SIGNUP_LEDGER_TABLE,
+            Key: emailCodeKey(affiliateId),
+            UpdateExpression: 'SET sends = if_not_exists(sends, :zero) + :one, attempts = :zero, ' +
+                'code_sent_at = :now, affiliate_id = :affiliateId, updated_at = :now',
+            ConditionExpression: '(attribute_not_exists(sends) OR sends < :maxSends) AND ' +
+                '(attribute_not_exists(code_sent_at) OR code_sent_at <= :cooldownStart)',
+            ExpressionAttributeValues: {
+                ':zero': 0,
+                ':one': 1,
+                ':now': sentAt,
+                ':affiliateId': String(affiliateId),
+                ':maxSends': maxSends,
+                ':cooldownStart': new Date(now - cooldownSeconds * 1000).toISOString()
+            }
+        }));
+        return { allowed: true, sentAt };
+    } catch (error) {
+        if (!isConditionFailed(error)) throw error;
+    }
+
+    const result = await getDocumentClient().send(new GetCommand({
+        TableName: process.env.SIGNUP_LEDGER_TABLE,
+        Key: emailCodeKey(affiliateId),
+        ConsistentRead: true
+    }));
+    const item = result.Item || {};
+    return {
+        allowed: false,
+        reason: item.sends >= maxSends ? 'limit' : 'cooldown',
+        lastSentAt: item.code_sent_at || null
+    };
+}
+
+/**
+ * Count one guess at the code sent at `codeSentAt`.
+ * Returns the number of this guess (1-based), or null when `maxAttempts` guesses were made
+ * already or the counter belongs to another code. Throws if the ledger is not configured or
+ * can't be written. With the ledger disabled (local development) guesses are not limited.
+ */
+async function countEmailCodeAttempt(affiliateId, codeSentAt, maxAttempts) {
+    assertLedgerConfigured();
+    if (!isLedgerEnabled()) {
+        logger.warn('[Ledger] Ledger disabled (SIGNUP_LEDGER_DISABLED) - code guesses are not limited');
+        return 1;
+    }
+
+    const { UpdateCommand } = getCommands();
+    try {
+        const result = await getDocumentClient().send(new UpdateCommand({
+            TableName: process.env.SIGNUP_LEDGER_TABLE,
+            Key: emailCodeKey(affiliateId),
+            UpdateExpression: 'SET attempts = attempts + :one, updated_at = :now',
+            ConditionExpression: 'code_sent_at = :sentAt AND attempts < :maxAttempts',
+            ExpressionAttributeValues: {
+                ':one': 1,
+                ':now': new Date().toISOString(),
+                ':sentAt': String(codeSentAt),
+                ':maxAttempts': maxAttempts
+            },
+            ReturnValues: 'UPDATED_NEW'
+        }));
+        return result.Attributes.attempts;
+    } catch (error) {
+        if (isConditionFailed(error)) return null;
+        throw error;
+    }
+}
+
+/**
+ * Store the outcome of a retry attempt: the attempt count, when to try next,
+ * and (once the worker gives up) the retries_exhausted status
+ */
+async function recordRetryAttempt(submissionId, { attempts, nextRetryAt, exhausted }) {
+    if (!isLedgerEnabled()) return;
+
+    const now = new Date().toISOString();
+    const setExpressions = ['retry_attempts = :attempts', 'last_retry_at = :now', 'updated_at = :now'];
+    const names = {};
+    const values = { ':attempts': attempts, ':now': now };
+
+    if (nextRetryAt) {
+        setExpressions.push('next_retry_at = :next');
+        values[':next'] = nextRetryAt.toISOString();
+    }
+    if (exhausted) {
+        setExpressions.push('#status = :status');
+        names['#status'] = 'status';
+        values[':status'] = SUBMISSION_STATUS.RETRIES_EXHAUSTED;
+    }
+
+    try {
+        const { UpdateCommand } = getCommands();
+        await getDocumentClient().send(new UpdateCommand({
+            TableName: process.env.SIGNUP_LEDGER_TABLE,
+            Key: { submission_id: submissionId },
+            UpdateExpression: `SET ${setExpressions.join(', ')}`,
+            ExpressionAttributeNames: Object.keys(names).length > 0 ? names : undefined,
+            ExpressionAttributeValues: values
+        }));
+    } catch (error) {
+        logger.error('[Ledger] Failed to record retry attempt', { submission_id: submissionId, error });
+    }
+}
+
+module.exports = {
+    LEDGER_STEPS,
+    STEP_STATUS,
+    SUBMISSION_STATUS,
+    SubmissionMismatchError,
+    isLedgerEnabled,
+    isReservedKey,
+    resolveSubmissionId,
+    openSubmission,
+    recordStep,
+    refreshSubmissionStatus,
+    deriveSubmissionStatus,
+    getSubmission,
+    listRetryableSubmissions,
+    recordRetryAttempt,
+    reserveEmailCodeSend,
+    countEmailCodeAttempt,
+    setDocumentClient
+};
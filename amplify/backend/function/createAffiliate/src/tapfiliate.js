@@ -0,0 +1,415 @@
+// Shared Tapfiliate helpers
+// Used by the signup handler (index.js) and the retry worker (retryWorker.js),
+// so a replayed step sends exactly what the original request would have sent.
+// All HTTP calls go through the client from tapfiliateClient.js.
+
+const { logger } = require('./logger');
+const { COMMISSION_TYPES, COMPANY_TYPE_LABELS } = require('./signupConfig');
+const { TapfiliateNotFoundError } = require('./tapfiliateClient');
+
+// Cache for custom field keys (fallback when env vars not set)
+let customFieldsCache = null;
+let cacheTimestamp = null;
+const CACHE_DURATION = 300000; // 5 minutes
+
+// Normalize field labels for resilient lookup (case/spacing-insensitive)
+function normalizeFieldLabel(label) {
+    return (label || '').trim().toLowerCase();
+}
+
+/**
+ * Fetch custom field keys from Tapfiliate API (or read from env vars).
+ * Returns a map of normalized field titles to field IDs.
+ *
+ * Set these env vars in the Lambda console to skip the extra API call:
+ *   TAPFILIATE_FIELD_KEY_COMPANY_TYPE
+ *   TAPFILIATE_FIELD_KEY_COMMISSION_TYPE
+ *   TAPFILIATE_FIELD_KEY_DEMO_CALL
+ */
+async function getCustomFieldKeys(tapfiliate) {
+    // Fast path: use environment variables if all three keys are configured
+    const envCompanyType = process.env.TAPFILIATE_FIELD_KEY_COMPANY_TYPE;
+    const envCommissionType = process.env.TAPFILIATE_FIELD_KEY_COMMISSION_TYPE;
+    const envDemoCall = process.env.TAPFILIATE_FIELD_KEY_DEMO_CALL;
+
+    if (envCompanyType && envCommissionType && envDemoCall) {
+        logger.debug('Using custom field keys from environment variables (no API call)');
+        return {
+            [normalizeFieldLabel('Company type')]: envCompanyType,
+            [normalizeFieldLabel('Commission type')]: envCommissionType,
+            [normalizeFieldLabel('Free DEMO call?')]: envDemoCall,
+            [normalizeFieldLabel('Do you want a FREE DEMO call?')]: envDemoCall
+        };
+    }
+
+    // Fallback: fetch from Tapfiliate API with caching
+    const now = Date.now();
+    const normalizedCommission = normalizeFieldLabel('Commission type');
+
+    if (customFieldsCache && cacheTimestamp && (now - cacheTimestamp < CACHE_DURATION) && customFieldsCache[normalizedCommission]) {
+        logger.debug('Using cached custom field keys');
+        return customFieldsCache;
+    }
+
+    logger.info('Fetching custom field keys from Tapfiliate API (set env vars to skip this)');
+
+    try {
+        const fields = await tapfiliate.listCustomFields();
+
+        // Create a map: normalized title -> key (prefer field.key, fallback to id)
+        const fieldMap = {};
+        if (Array.isArray(fields)) {
+            fields.forEach(field => {
+                if (field.title && (field.key || field.id)) {
+                    const normalizedTitle = normalizeFieldLabel(field.title);
+                    fieldMap[normalizedTitle] = field.key || field.id;
+                }
+            });
+        }
+
+        customFieldsCache = fieldMap;
+        cacheTimestamp = now;
+
+        logger.info('Custom field keys fetched and cached', { custom_field_keys: fieldMap });
+        if (!fieldMap[normalizedCommission]) {
+            logger.error('"Commission type" not found in fetched custom fields', { available_fields: Object.keys(fieldMap) });
+        }
+        return fieldMap;
+
+    } catch (error) {
+        logger.error('Failed to fetch custom fields', error);
+        return null;
+    }
+}
+
+/**
+ * Validate and normalize parent_id for Tapfiliate MLM parent endpoint
+ * Returns null if invalid, otherwise returns the validated numeric string
+ */
+function validateParentId(rawParentId) {
+    if (!rawParentId) {
+        return null;
+    }
+    
+    // Convert to string and trim
+    const parentId = typeof rawParentId === 'string' ? rawParentId.trim() : String(rawParentId || '').trim();
+    
+    // Check if empty or the string "null"
+    if (parentId === '' || parentId === 'null') {
+        return null;
+    }
+    
+    // Must be a numeric string (digits only)
+    if (!/^[0-9]+$/.test(parentId)) {
+        return null;
+    }
+    
+    return parentId;
+}
+
+// How a parent reference was resolved (`resolved_by`), or why it wasn't (`reason`)
+const PARENT_RESOLUTION = {
+    ID: 'id',
+    REFERRAL_CODE: 'referral_code',
+    EMAIL: 'email',
+    INVALID: 'invalid',
+    NOT_FOUND: 'not_found',
+    LOOKUP_FAILED: 'lookup_failed'
+};
+
+// Referral code / email -> parent affiliate ID, and affiliate ID -> public display name.
+// Misses are cached for less time so a recruiter who signs up just after sharing their
+// link isn't missed for long.
+const parentCache = new Map();
+const PARENT_CACHE_DURATION = 600000;       // 10 minutes
+const PARENT_MISS_CACHE_DURATION = 60000;   // 1 minute
+const PARENT_CACHE_MAX_ENTRIES = 500;
+
+// Tapfiliate referral codes and affiliate IDs: letters, digits, dashes, underscores and dots
+const REFERRAL_CODE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,63}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function readParentCache(key) {
+    const entry = parentCache.get(key);
+    if (!entry) {
+        return undefined;
+    }
+    if (Date.now() > entry.expiresAt) {
+        parentCache.delete(key);
+        return undefined;
+    }
+    return entry.value;
+}
+
+// `value` is null for a miss (e.g. a reference that matched no affiliate)
+function writeParentCache(key, value) {
+    if (parentCache.size >= PARENT_CACHE_MAX_ENTRIES) {
+        // Maps keep insertion order - drop the oldest entry
+        parentCache.delete(parentCache.keys().next().value);
+    }
+    parentCache.set(key, {
+        value,
+        expiresAt: Date.now() + (value ? PARENT_CACHE_DURATION : PARENT_MISS_CACHE_DURATION)
+    });
+}
+
+// Look up a referral code, falling back to an affiliate ID (Tapfiliate IDs are slugs like "marysmith")
+async function findParentByCode(code, tapfiliate) {
+    const byCode = await tapfiliate.findAffiliatesByReferralCode(code);
+    if (Array.isArray(byCode) && byCode.length > 0 && byCode[0].id) {
+        return { parentId: String(byCode[0].id), resolvedBy: PARENT_RESOLUTION.REFERRAL_CODE };
+    }
+    try {
+        const affiliate = await tapfiliate.getAffiliate(code);
+        return affiliate && affiliate.id ? { parentId: String(affiliate.id), resolvedBy: PARENT_RESOLUTION.ID } : null;
+    } catch (error) {
+        if (error instanceof TapfiliateNotFoundError) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function findParentByEmail(email, tapfiliate) {
+    const affiliates = await tapfiliate.findAffiliatesByEmail(email);
+    const match = Array.isArray(affiliates) && affiliates.find(affiliate => affiliate.id);
+    return match ? { parentId: String(match.id), resolvedBy: PARENT_RESOLUTION.EMAIL } : null;
+}
+
+/**
+ * Resolve the `parent_id` the wizard sends (`?via=` / `?parent_id=`) to a parent affiliate ID.
+ * Accepts a numeric affiliate ID (used as is), a referral code or affiliate ID slug, or an email.
+ * Returns { input, parent_id, resolved_by } or { input, parent_id: null, reason } (see
+ * PARENT_RESOLUTION), or null if no parent was given. Never throws - a failed lookup is
+ * `lookup_failed` and is not cached.
+ */
+async function resolveParentId(rawParentId, tapfiliate) {
+    const input = rawParentId === undefined || rawParentId === null ? '' : String(rawParentId).trim();
+    if (input === '' || input === 'null') {
+        return null;
+    }
+
+    const numericId = validateParentId(input);
+    if (numericId) {
+        return { input, parent_id: numericId, resolved_by: PARENT_RESOLUTION.ID };
+    }
+
+    const isEmail = EMAIL_PATTERN.test(input);
+    if (!isEmail && !REFERRAL_CODE_PATTERN.test(input)) {
+        return { input, parent_id: null, reason: PARENT_RESOLUTION.INVALID };
+    }
+
+    const cacheKey = `${isEmail ? 'email' : 'code'}:${input.toLowerCase()}`;
+    const cached = readParentCache(cacheKey);
+    if (cached !== undefined) {
+        logger.debug('[Parent] Using cached parent lookup', { parent: input });
+        return cached
+            ? { input, parent_id: cached.parentId, resolved_by: cached.resolvedBy }
+            : { input, parent_id: null, reason: PARENT_RESOLUTION.NOT_FOUND };
+    }
+
+    try {
+        const match = isEmail ? await findParentByEmail(input, tapfiliate) : await findParentByCode(input, tapfiliate);
+        writeParentCache(cacheKey, match);
+        if (!match) {
+            logger.info('[Parent] No affiliate found for parent reference', { parent: input });
+            return { input, parent_id: null, reason: PARENT_RESOLUTION.NOT_FOUND };
+        }
+        logger.info('[Parent] Parent reference resolved', { parent: input, parent_id: match.parentId, resolved_by: match.resolvedBy });
+        return { input, parent_id: match.parentId, resolved_by: match.resolvedBy };
+    } catch (error) {
+        logger.error('[Parent] Parent lookup failed', { parent: input, error });
+        return { input, parent_id: null, reason: PARENT_RESOLUTION.LOOKUP_FAILED };
+    }
+}
+
+/**
+ * The name shown to partners invited by this affiliate: the company name, or the first name
+ * and last initial ("Mary S.") - never the email. Null if the affiliate has neither.
+ */
+function getPublicDisplayName(affiliate) {
+    const companyName = affiliate && affiliate.company && String(affiliate.company.name || '').trim();
+    if (companyName && companyName.toLowerCase() !== 'n/a') {
+        return companyName;
+    }
+    const firstName = affiliate && String(affiliate.firstname || '').trim();
+    const lastName = affiliate && String(affiliate.lastname || '').trim();
+    if (!firstName) {
+        return null;
+    }
+    return lastName ? `${firstName} ${lastName.charAt(0).toUpperCase()}.` : firstName;
+}
+
+/**
+ * Public display name of a (parent) affiliate, cached like the parent lookups.
+ * Resolves to null if the affiliate has no usable name; throws if Tapfiliate can't be reached.
+ */
+async function getAffiliateDisplayName(affiliateId, tapfiliate) {
+    const cacheKey = `name:${affiliateId}`;
+    const cached = readParentCache(cacheKey);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const displayName = getPublicDisplayName(await tapfiliate.getAffiliate(affiliateId));
+    writeParentCache(cacheKey, displayName);
+    return displayName;
+}
+
+// Referral attribution field -> meta-data key, so partner acquisition can be reported per campaign
+const ATTRIBUTION_META_KEYS = {
+    utm_source: 'utm_source',
+    utm_medium: 'utm_medium',
+    utm_campaign: 'utm_campaign',
+    utm_term: 'utm_term',
+    utm_content: 'utm_content',
+    gclid: 'gclid',
+    fbclid: 'fbclid',
+    referrer: 'referrer',
+    landing_page: 'landing_page',
+    landed_at: 'landed_at',
+    policy: 'attribution_policy'
+};
+
+/**
+ * Meta-data for the referral attribution the wizard sent - only the values it has.
+ * Returns an empty object if there is nothing to write.
+ */
+function buildAttributionMetaData(attribution) {
+    const metaData = {};
+    if (!attribution || typeof attribution !== 'object') {
+        return metaData;
+    }
+    Object.entries(ATTRIBUTION_META_KEYS).forEach(([field, key]) => {
+        const value = typeof attribution[field] === 'string' ? attribution[field].trim() : '';
+        if (value) {
+            metaData[key] = value;
+        }
+    });
+    return metaData;
+}
+
+/**
+ * Write several meta-data keys. Tapfiliate's bulk PUT replaces all meta-data (payout details,
+ * email verification...), so each key gets its own PUT. Throws on the first failure.
+ */
+async function setMetaDataValues(affiliateId, metaData, tapfiliate) {
+    await Promise.all(Object.entries(metaData).map(([key, value]) => tapfiliate.setMetaData(affiliateId, key, value)));
+}
+
+/**
+ * Check whether an affiliate is already enrolled in a program
+ * Returns the enrollment object or null
+ */
+async function findProgramEnrollment(affiliateId, programId, tapfiliate) {
+    try {
+        const enrollments = await tapfiliate.listAffiliatePrograms(affiliateId);
+        if (!Array.isArray(enrollments)) {
+            return null;
+        }
+        return enrollments.find(entry => entry && entry.program && entry.program.id === programId) || null;
+    } catch (error) {
+        logger.error('[Idempotency] Error checking program enrollment', { program_id: programId, error });
+        return null;
+    }
+}
+
+/**
+ * Custom fields for the values a request carries (company_type, commission_type, wantsDemoCall),
+ * keyed by the Tapfiliate field keys from getCustomFieldKeys(). Company and commission types
+ * come from the registry in signupConfig.js. Fields Tapfiliate doesn't have are left out;
+ * without a key map the result is empty.
+ */
+function buildCustomFields(fieldKeyMap, affiliateData) {
+    const customFields = {};
+    if (!fieldKeyMap) {
+        return customFields;
+    }
+
+    if (affiliateData.company_type) {
+        const companyTypeKey = fieldKeyMap[normalizeFieldLabel('Company type')];
+        if (companyTypeKey) {
+            customFields[companyTypeKey] = COMPANY_TYPE_LABELS[affiliateData.company_type] || affiliateData.company_type;
+        }
+    }
+
+    if (affiliateData.commission_type) {
+        const commissionKey = fieldKeyMap[normalizeFieldLabel('Commission type')];
+        if (commissionKey) {
+            // Only one of the registered formats may be sent - anything else falls back to the first
+            customFields[commissionKey] = COMMISSION_TYPES.includes(affiliateData.commission_type)
+                ? affiliateData.commission_type
+                : COMMISSION_TYPES[0];
+        }
+    }
+
+    // The field was renamed in Tapfiliate - either title works
+    if (affiliateData.wantsDemoCall !== undefined && affiliateData.wantsDemoCall !== null) {
+        const demoCallKey = fieldKeyMap[normalizeFieldLabel('Free DEMO call?')] || fieldKeyMap[normalizeFieldLabel('Do you want a FREE DEMO call?')];
+        if (demoCallKey) {
+            customFields[demoCallKey] = affiliateData.wantsDemoCall ? 'Yes' : 'No';
+        }
+    }
+
+    return customFields;
+}
+
+/**
+ * Build the PATCH payload sent by finalize_affiliate (address, company, custom fields)
+ * Returns an empty object if there is nothing to update
+ */
+function buildFinalizeUpdatePayload(affiliateData, fieldKeyMap) {
+    const { address, company, company_type, company_description, commission_type, wantsDemoCall } = affiliateData;
+    // The company type custom field is set at creation - finalize only updates these two
+    const customFields = buildCustomFields(fieldKeyMap, { commission_type, wantsDemoCall });
+
+    // Handle company_description based on company_type (same logic as buildTapfiliatePayload)
+    let companyDescriptionToAdd = null;
+    if (company_type === 'vacation-rental') {
+        companyDescriptionToAdd = 'STR';
+    } else if (company_type && 
+               ['pms', 'venue', 'blog', 'tour-operator', 'transportations', 'other'].includes(company_type)) {
+        // Use provided company_description if available
+        companyDescriptionToAdd = company_description || null;
+    }
+    // For 'supply' or no company_type, companyDescriptionToAdd remains null
+    
+    const updatePayload = {};
+    // DO NOT include parent_id in update payload - use dedicated /parent/ endpoint instead
+    if (address) {
+        updatePayload.address = address;
+    }
+    if (company) {
+        // Create a copy of company object and add description if needed
+        const companyToUpdate = { ...company };
+        if (companyDescriptionToAdd) {
+            companyToUpdate.description = companyDescriptionToAdd;
+        }
+        updatePayload.company = companyToUpdate;
+    } else if (companyDescriptionToAdd) {
+        // If no company object but we have description, create one
+        updatePayload.company = {
+            name: 'n/a',
+            description: companyDescriptionToAdd
+        };
+    }
+    if (Object.keys(customFields).length > 0) {
+        updatePayload.custom_fields = customFields;
+    }
+
+    return updatePayload;
+}
+
+module.exports = {
+    normalizeFieldLabel,
+    getCustomFieldKeys,
+    PARENT_RESOLUTION,
+    validateParentId,
+    resolveParentId,
+    getAffiliateDisplayName,
+    findProgramEnrollment,
+    buildCustomFields,
+    buildFinalizeUpdatePayload,
+    buildAttributionMetaData,
+    setMetaDataValues
+};
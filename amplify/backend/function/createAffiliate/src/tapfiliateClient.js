@@ -0,0 +1,312 @@
+// Tapfiliate REST API client
+// One place for the base URL, the X-Api-Key header, per-request timeouts, retries of
+// 429/5xx responses with backoff, and turning Tapfiliate's `errors[]` payloads into typed errors.
+//
+// Optional env vars:
+//   TAPFILIATE_TIMEOUT_MS   - per-request timeout (default 8000)
+//   TAPFILIATE_MAX_RETRIES  - retries after the first attempt (default 2)
+
+const { logger } = require('./logger');
+
+const TAPFILIATE_BASE_URL = 'https://api.tapfiliate.com/1.6/';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_MAX_RETRIES = 2;
+const RETRY_BASE_DELAY_MS = 300;    // 300ms, 600ms, 1200ms...
+const MAX_RETRY_DELAY_MS = 5000;    // keep well inside the Lambda timeout
+const MAX_ERROR_LENGTH = 1000;
+
+// Methods that are safe to send twice if we never saw the response (timeout / network error)
+const IDEMPOTENT_METHODS = ['GET', 'PUT', 'PATCH', 'DELETE'];
+
+function trimErrorText(text) {
+    const value = String(text || '');
+    return value.length > MAX_ERROR_LENGTH ? value.substring(0, MAX_ERROR_LENGTH) + '...' : value;
+}
+
+/**
+ * Base class for every error raised by the client.
+ * `code` is stable and machine-readable, `status` is Tapfiliate's HTTP status (if any),
+ * `errors` holds Tapfiliate's `errors[]` entries and `body` the trimmed raw response.
+ */
+class TapfiliateError extends Error {
+    constructor(message, { code = 'tapfiliate_error', status = null, errors = [], body = '', method = null, path = null } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+        this.status = status;
+        this.errors = errors;
+        this.body = body;
+        this.method = method;
+        this.path = path;
+    }
+}
+
+// 400/422 - Tapfiliate rejected the data we sent (e.g. weak password, invalid email)
+class TapfiliateValidationError extends TapfiliateError {
+    constructor(message, details) {
+        super(message, { ...details, code: 'validation_error' });
+    }
+}
+
+// 409, or a 400/422 saying the resource already exists (e.g. email already registered)
+class TapfiliateConflictError extends TapfiliateError {
+    constructor(message, details) {
+        super(message, { ...details, code: 'already_exists' });
+    }
+}
+
+// 404 - affiliate, program or meta-data key does not exist
+class TapfiliateNotFoundError extends TapfiliateError {
+    constructor(message, details) {
+        super(message, { ...details, code: 'not_found' });
+    }
+}
+
+// 401/403 - our API key is missing, wrong or lacks permissions
+class TapfiliateAuthError extends TapfiliateError {
+    constructor(message, details) {
+        super(message, { ...details, code: 'unauthorized' });
+    }
+}
+
+// 429 - retried automatically; raised once retries are used up
+class TapfiliateRateLimitError extends TapfiliateError {
+    constructor(message, details) {
+        super(message, { ...details, code: 'rate_limited' });
+    }
+}
+
+// 5xx, HTML error pages, unreadable responses and network failures
+class TapfiliateUpstreamError extends TapfiliateError {
+    constructor(message, details) {
+        super(message, { ...details, code: 'upstream_error' });
+    }
+}
+
+// No response within the configured timeout
+class TapfiliateTimeoutError extends TapfiliateError {
+    constructor(message, details) {
+        super(message, { ...details, code: 'timeout' });
+    }
+}
+
+function getPositiveIntEnv(name, fallback, allowZero = false) {
+    const configured = parseInt(process.env[name], 10);
+    const valid = Number.isInteger(configured) && (configured > 0 || (allowZero && configured === 0));
+    return valid ? configured : fallback;
+}
+
+/**
+ * Normalize Tapfiliate's error payloads: `{ errors: [{ message }] }`, `{ errors: ['...'] }` or `{ message }`
+ */
+function parseErrorEntries(text) {
+    try {
+        const json = JSON.parse(text);
+        if (json && Array.isArray(json.errors)) {
+            return json.errors.map(entry => (typeof entry === 'string' ? { message: entry } : entry));
+        }
+        if (json && json.message) {
+            return [{ message: json.message }];
+        }
+    } catch (e) {
+        // Not JSON - handled by the caller
+    }
+    return [];
+}
+
+/**
+ * Build the typed error for a non-2xx Tapfiliate response
+ */
+function createTapfiliateError(status, text, contentType, context) {
+    const details = { ...context, status, body: trimErrorText(text) };
+
+    if (contentType && contentType.includes('text/html')) {
+        return new TapfiliateUpstreamError(`Tapfiliate returned an HTML error page (status ${status})`, details);
+    }
+
+    const errors = parseErrorEntries(text);
+    details.errors = errors;
+    const message = errors.map(entry => entry.message || JSON.stringify(entry)).join(', ')
+        || `Tapfiliate request failed with status ${status}`;
+
+    if (status === 401 || status === 403) {
+        return new TapfiliateAuthError(message, details);
+    }
+    if (status === 404) {
+        return new TapfiliateNotFoundError(message, details);
+    }
+    if (status === 409 || ((status === 400 || status === 422) && /already (exists|in use|registered|taken)/i.test(message))) {
+        return new TapfiliateConflictError(message, details);
+    }
+    if (status === 400 || status === 422) {
+        return new TapfiliateValidationError(message, details);
+    }
+    if (status === 429) {
+        return new TapfiliateRateLimitError(message, details);
+    }
+    if (status >= 500) {
+        return new TapfiliateUpstreamError(message, details);
+    }
+    return new TapfiliateError(message, details);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Create a client bound to one API key.
+ * Options (mainly for the retry worker and local testing): timeoutMs, maxRetries, baseUrl.
+ */
+function createTapfiliateClient({ apiKey, timeoutMs, maxRetries, baseUrl = TAPFILIATE_BASE_URL } = {}) {
+    const requestTimeoutMs = timeoutMs || getPositiveIntEnv('TAPFILIATE_TIMEOUT_MS', DEFAULT_TIMEOUT_MS);
+    const retryLimit = maxRetries !== undefined ? maxRetries : getPositiveIntEnv('TAPFILIATE_MAX_RETRIES', DEFAULT_MAX_RETRIES, true);
+
+    // One HTTP attempt - resolves with the parsed JSON body (or null), throws a TapfiliateError
+    async function send(method, path, url, body) {
+        const context = { method, path };
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), requestTimeoutMs);
+
+        try {
+            const response = await fetch(url, {
+                method,
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Api-Key': apiKey
+                },
+                body: body === undefined ? undefined : JSON.stringify(body),
+                signal: controller.signal
+            });
+
+            const contentType = response.headers.get('content-type');
+            const text = await response.text();
+
+            if (!response.ok) {
+                const error = createTapfiliateError(response.status, text, contentType, context);
+                error.retryAfterMs = parseInt(response.headers.get('retry-after'), 10) * 1000 || null;
+                throw error;
+            }
+
+            if (!text) {
+                return null;
+            }
+            if (contentType && contentType.includes('text/html')) {
+                throw new TapfiliateUpstreamError('Tapfiliate returned an HTML page instead of JSON', { ...context, status: response.status, body: trimErrorText(text) });
+            }
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw new TapfiliateUpstreamError('Invalid JSON response from Tapfiliate', { ...context, status: response.status, body: trimErrorText(text) });
+            }
+        } catch (error) {
+            if (error instanceof TapfiliateError) {
+                throw error;
+            }
+            if (error.name === 'AbortError') {
+                throw new TapfiliateTimeoutError(`Tapfiliate did not respond within ${requestTimeoutMs}ms`, context);
+            }
+            throw new TapfiliateUpstreamError(`Could not reach Tapfiliate: ${error.message}`, context);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // 429 never reached Tapfiliate's handlers, 5xx only repeats safe calls;
+    // timeouts and network errors are only retried for idempotent methods
+    function isRetryable(error, method, idempotent) {
+        if (error instanceof TapfiliateRateLimitError) {
+            return true;
+        }
+        const safeToRepeat = idempotent || IDEMPOTENT_METHODS.includes(method);
+        if (error instanceof TapfiliateUpstreamError && error.status >= 500) {
+            return safeToRepeat;
+        }
+        if (error instanceof TapfiliateTimeoutError || (error instanceof TapfiliateUpstreamError && !error.status)) {
+            return safeToRepeat;
+        }
+        return false;
+    }
+
+    function retryDelayMs(error, attempt) {
+        const backoff = RETRY_BASE_DELAY_MS * Math.pow(2, attempt) + Math.floor(Math.random() * 100);
+        return Math.min(error.retryAfterMs || backoff, MAX_RETRY_DELAY_MS);
+    }
+
+    /**
+     * Send a request with retries.
+     * `idempotent: true` marks a POST that is safe to repeat (enrollment, parent link).
+     */
+    async function request(method, path, { body, query, idempotent = false } = {}) {
+        const queryString = query ? `?${new URLSearchParams(query).toString()}` : '';
+        const url = `${baseUrl}${path}${queryString}`;
+
+        for (let attempt = 0; ; attempt += 1) {
+            try {
+                return await send(method, path, url, body);
+            } catch (error) {
+                if (attempt >= retryLimit || !isRetryable(error, method, idempotent)) {
+                    throw error;
+                }
+                const delay = retryDelayMs(error, attempt);
+                logger.warn('[Tapfiliate] Request failed - retrying', {
+                    tapfiliate_method: method,
+                    tapfiliate_path: path,
+                    code: error.code,
+                    status: error.status,
+                    retry: attempt + 1,
+                    max_retries: retryLimit,
+                    delay_ms: delay
+                });
+                await sleep(delay);
+            }
+        }
+    }
+
+    return {
+        // Affiliates
+        createAffiliate: payload => request('POST', 'affiliates/', { body: payload }),
+        getAffiliate: affiliateId => request('GET', `affiliates/${encodeURIComponent(affiliateId)}/`),
+        updateAffiliate: (affiliateId, payload) => request('PATCH', `affiliates/${encodeURIComponent(affiliateId)}/`, { body: payload }),
+        findAffiliatesByEmail: email => request('GET', 'affiliates/', { query: { email } }),
+        findAffiliatesByReferralCode: referralCode => request('GET', 'affiliates/', { query: { referral_code: referralCode } }),
+
+        // Programs
+        listAffiliatePrograms: affiliateId => request('GET', `affiliates/${encodeURIComponent(affiliateId)}/programs/`),
+        addAffiliateToProgram: (programId, affiliateId) => request('POST', `programs/${encodeURIComponent(programId)}/affiliates/`, {
+            query: { send_welcome_email: 'false' },
+            body: { affiliate: { id: affiliateId }, approved: null },
+            idempotent: true
+        }),
+
+        // Parents (MLM)
+        setParent: (affiliateId, parentId) => request('POST', `affiliates/${encodeURIComponent(affiliateId)}/parent/`, {
+            body: { via: parentId },
+            idempotent: true
+        }),
+
+        // Meta-data
+        setMetaData: (affiliateId, key, value) => request('PUT', `affiliates/${encodeURIComponent(affiliateId)}/meta-data/${encodeURIComponent(key)}/`, {
+            body: { value }
+        }),
+
+        // Custom fields
+        listCustomFields: () => request('GET', 'affiliates/custom-fields/')
+    };
+}
+
+module.exports = {
+    TAPFILIATE_BASE_URL,
+    createTapfiliateClient,
+    createTapfiliateError,
+    trimErrorText,
+    TapfiliateError,
+    TapfiliateValidationError,
+    TapfiliateConflictError,
+    TapfiliateNotFoundError,
+    TapfiliateAuthError,
+    TapfiliateRateLimitError,
+    TapfiliateUpstreamError,
+    TapfiliateTimeoutError
+};
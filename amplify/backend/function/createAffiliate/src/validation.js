@@ -0,0 +1,169 @@
+// Request validation
+// Each route declares a schema mapping field names to rules, e.g.
+//   { email: { type: 'string', required: true, format: 'email', maxLength: 254 } }
+// Supported rule keys: required, type ('string', 'boolean', 'object', 'id'), minLength,
+// maxLength, format, enum, properties (nested schema for objects), additionalProperties (false
+// rejects keys an object's `properties` don't declare).
+// Formats that depend on a sibling field (postal_code needs the country) receive the object
+// the field belongs to.
+// validateFields() returns one error per failing field so the frontend can highlight inputs.
+
+const { isCountryCode, findCountryCode, usesPostalCode, isValidPostalCode } = require('./countries');
+const { isValidIban, isValidSwift, isValidVatNumber } = require('./payoutFormats');
+const { isReservedKey } = require('./signupLedger');
+
+// Machine-readable error codes returned per field
+const VALIDATION_CODES = {
+    REQUIRED: 'required',
+    INVALID_TYPE: 'invalid_type',
+    INVALID_FORMAT: 'invalid_format',
+    TOO_SHORT: 'too_short',
+    TOO_LONG: 'too_long',
+    NOT_ALLOWED: 'not_allowed',
+    INVALID_COUNTRY: 'invalid_country',
+    INVALID_POSTAL_CODE: 'invalid_postal_code',
+    UNKNOWN_FIELD: 'unknown_field'
+};
+
+// Sent instead of a street and postal code when the partner skips the address step
+const ADDRESS_PLACEHOLDER = 'n/a';
+
+// The country code next to a postal code: { country: { code } } in `address`, a name or code in flat bodies
+function siblingCountryCode(parent) {
+    const country = parent && parent.country;
+    if (country && typeof country === 'object') {
+        return isCountryCode(country.code) ? country.code.trim().toUpperCase() : null;
+    }
+    return typeof country === 'string' ? findCountryCode(country) : null;
+}
+
+// Format checks - return an error code, or null if the value is fine
+const FORMATS = {
+    email: value => (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value.trim()) ? null : VALIDATION_CODES.INVALID_FORMAT),
+    // Client-generated, and never one of the prefixes the ledger keys its own records with
+    idempotency_key: value => (/^[A-Za-z0-9_-]{8,128}$/.test(value.trim()) && !isReservedKey(value.trim())
+        ? null
+        : VALIDATION_CODES.INVALID_FORMAT),
+    // ISO 8601 timestamp, e.g. 2024-05-01T09:30:00.000Z
+    date_time: value => (/^\d{4}-\d{2}-\d{2}T/.test(value.trim()) && !Number.isNaN(Date.parse(value)) ? null : VALIDATION_CODES.INVALID_FORMAT),
+    // The 6-digit email verification code
+    one_time_code: value => (/^\d{6}$/.test(value.trim()) ? null : VALIDATION_CODES.INVALID_FORMAT),
+    // Two-letter ISO code only (address.country.code)
+    country_code: value => (isCountryCode(value) ? null : VALIDATION_CODES.INVALID_COUNTRY),
+    // ISO code, or a country name or alias that is mapped to a code before it is sent to Tapfiliate
+    country: value => (findCountryCode(value) ? null : VALIDATION_CODES.INVALID_COUNTRY),
+    // Checked against the country's format once the country is known (an invalid country is reported on its own)
+    postal_code: (value, parent) => {
+        if (value.trim().toLowerCase() === ADDRESS_PLACEHOLDER) return null;
+        const countryCode = siblingCountryCode(parent);
+        if (!countryCode) return null;
+        if (!usesPostalCode(countryCode) || !isValidPostalCode(countryCode, value)) {
+            return VALIDATION_CODES.INVALID_POSTAL_CODE;
+        }
+        return null;
+    },
+    iban: value => (isValidIban(value) ? null : VALIDATION_CODES.INVALID_FORMAT),
+    swift: value => (isValidSwift(value) ? null : VALIDATION_CODES.INVALID_FORMAT),
+    // An EU partner's VAT number must carry their country's prefix
+    vat_number: (value, parent) => (isValidVatNumber(value, siblingCountryCode(parent)) ? null : VALIDATION_CODES.INVALID_FORMAT)
+};
+
+const MESSAGES = {
+    required: field => `${field} is required`,
+    invalid_type: (field, rule) => `${field} must be ${rule.type === 'id' ? 'a string or number' : `a ${rule.type}`}`,
+    invalid_format: field => `${field} has an invalid format`,
+    too_short: (field, rule) => `${field} must be at least ${rule.minLength} characters`,
+    too_long: (field, rule) => `${field} must be at most ${rule.maxLength} characters`,
+    not_allowed: (field, rule) => `${field} must be one of: ${rule.enum.join(', ')}`,
+    invalid_country: field => `${field} must be a valid ISO 3166-1 country`,
+    invalid_postal_code: field => `${field} is not a valid postal code for the country`,
+    unknown_field: field => `${field} is not an allowed field`
+};
+
+function isMissing(value) {
+    return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function hasType(value, type) {
+    switch (type) {
+        case 'string': return typeof value === 'string';
+        case 'boolean': return typeof value === 'boolean';
+        case 'object': return typeof value === 'object' && value !== null && !Array.isArray(value);
+        case 'id': return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+        default: return true;
+    }
+}
+
+// Check one value against its rule - returns an error code or null
+function checkValue(value, rule, parent) {
+    if (rule.type && !hasType(value, rule.type)) {
+        return VALIDATION_CODES.INVALID_TYPE;
+    }
+
+    const text = typeof value === 'number' ? String(value) : value;
+    if (typeof text === 'string') {
+        if (rule.minLength && text.trim().length < rule.minLength) {
+            return VALIDATION_CODES.TOO_SHORT;
+        }
+        if (rule.maxLength && text.length > rule.maxLength) {
+            return VALIDATION_CODES.TOO_LONG;
+        }
+        if (rule.format) {
+            const formatError = FORMATS[rule.format](text, parent);
+            if (formatError) return formatError;
+        }
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return VALIDATION_CODES.NOT_ALLOWED;
+    }
+    return null;
+}
+
+/**
+ * Validate `data` against a schema.
+ * Returns a list of { field, code, message } - empty if everything is valid.
+ * Nested fields are reported with dotted paths, e.g. 'address.country.code'.
+ */
+function validateFields(schema, data, prefix = '') {
+    const errors = [];
+    const source = data || {};
+
+    Object.entries(schema || {}).forEach(([name, rule]) => {
+        const field = prefix + name;
+        const value = source[name];
+
+        if (isMissing(value)) {
+            if (rule.required) {
+                errors.push({ field, code: VALIDATION_CODES.REQUIRED, message: MESSAGES.required(field) });
+            }
+            return;
+        }
+
+        const code = checkValue(value, rule, source);
+        if (code) {
+            errors.push({ field, code, message: MESSAGES[code](field, rule) });
+            return;
+        }
+
+        if (rule.properties) {
+            errors.push(...validateFields(rule.properties, value, `${field}.`));
+        }
+        if (rule.additionalProperties === false) {
+            Object.keys(value)
+                .filter(key => !Object.prototype.hasOwnProperty.call(rule.properties || {}, key))
+                .forEach(key => {
+                    const unknownField = `${field}.${key}`;
+                    errors.push({ field: unknownField, code: VALIDATION_CODES.UNKNOWN_FIELD, message: MESSAGES.unknown_field(unknownField) });
+                });
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    VALIDATION_CODES,
+    ADDRESS_PLACEHOLDER,
+    validateFields
+};
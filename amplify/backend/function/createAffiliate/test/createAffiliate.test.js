@@ -0,0 +1,60 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./helpers/lambda');
+const { useMemoryLedger } = require('./helpers/memoryTable');
+const { reply, stubTapfiliate } = require('./helpers/tapfiliateStub');
+
+const SIGNUP = {
+    mode: 'create_affiliate_only',
+    first_name: 'Jo',
+    last_name: 'Bloggs',
+    email: 'jo@example.com',
+    password: 'correct-horse-1'
+};
+
+let table;
+let tapfiliate;
+
+beforeEach(() => {
+    table = useMemoryLedger();
+    tapfiliate = stubTapfiliate([
+        { method: 'POST', path: /^affiliates\/$/, reply: () => reply(200, { id: 'aff1', email: 'jo@example.com' }) },
+        { method: 'PUT', path: /^affiliates\/aff1\/meta-data\//, reply: () => reply(200, {}) }
+    ]);
+});
+
+afterEach(() => {
+    tapfiliate.restore();
+});
+
+test('keys using a reserved ledger prefix are rejected before anything is recorded', async () => {
+    for (const key of ['affiliate-123456', 'email-code-123456']) {
+        const response = await invoke({ ...SIGNUP, idempotency_key: key });
+
+        assert.equal(response.statusCode, 400);
+        assert.deepEqual(response.json.fields.map(field => [field.field, field.code]), [['idempotency_key', 'invalid_format']]);
+    }
+    assert.equal(table.items.size, 0);
+    assert.equal(tapfiliate.calls.length, 0);
+});
+
+test('the client key is recorded under the client- prefix', async () => {
+    const response = await invoke({ ...SIGNUP, idempotency_key: 'abcdefgh-1234' });
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual([...table.items.keys()], ['client-abcdefgh-1234']);
+    assert.equal(table.items.get('client-abcdefgh-1234').steps.created.status, 'done');
+});
+
+test("a key recorded for another email is refused before Tapfiliate is called", async () => {
+    await invoke({ ...SIGNUP, idempotency_key: 'abcdefgh-1234' });
+    tapfiliate.calls.length = 0;
+
+    const response = await invoke({ ...SIGNUP, email: 'mallory@example.com', idempotency_key: 'abcdefgh-1234' });
+
+    assert.equal(response.statusCode, 409);
+    assert.equal(response.json.code, 'submission_mismatch');
+    assert.equal(tapfiliate.calls.length, 0);
+    assert.equal(table.items.get('client-abcdefgh-1234').email, 'jo@example.com');
+});
@@ -0,0 +1,80 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EMAIL_QUALITY_CODES, suggestDomain, checkEmailQuality } = require('../src/emailQuality');
+
+// MX resolver stub: `answers` maps a domain to true / false / null, anything else is null
+function resolverFor(answers) {
+    const looked = [];
+    const resolveMx = async domain => {
+        looked.push(domain);
+        return domain in answers ? answers[domain] : null;
+    };
+    return { resolveMx, looked };
+}
+
+test('typos of common providers are suggested', () => {
+    assert.equal(suggestDomain('gmial.com'), 'gmail.com');
+    assert.equal(suggestDomain('gmaill.com'), 'gmail.com');
+    assert.equal(suggestDomain('outlok.com'), 'outlook.com');
+    assert.equal(suggestDomain('hotmial.co.uk'), 'hotmail.co.uk');
+    assert.equal(suggestDomain('yahooo.fr'), 'yahoo.fr');
+    assert.equal(suggestDomain('gmail.con'), 'gmail.com');
+    assert.equal(suggestDomain('hotmail.cm'), 'hotmail.com');
+});
+
+test('only names of 6+ letters get a second typo', () => {
+    assert.equal(suggestDomain('hotnial.com'), 'hotmail.com');
+    assert.equal(suggestDomain('gnial.com'), null);
+});
+
+test('a typo in the TLD is only suggested when the name matches', () => {
+    assert.equal(suggestDomain('hotmial.cm'), null);
+});
+
+test('real domains close to a common provider are left alone', () => {
+    ['ymail.com', 'hotmail.nl', 'orange.es', 't-online.at', 'proton.ch', 'gmx.at', 'email.com', 'gmail.com', 'stays.example']
+        .forEach(domain => assert.equal(suggestDomain(domain), null, domain));
+});
+
+test('a typo is reported with the corrected address', async () => {
+    const result = await checkEmailQuality('jo.bloggs@gmial.com', { resolveMx: null });
+    assert.equal(result.ok, false);
+    assert.equal(result.code, EMAIL_QUALITY_CODES.TYPO);
+    assert.equal(result.suggestion, 'jo.bloggs@gmail.com');
+});
+
+test('a domain that receives mail never gets a suggestion', async () => {
+    const { resolveMx, looked } = resolverFor({ 'gmial.com': true });
+    assert.deepEqual(await checkEmailQuality('jo@gmial.com', { resolveMx }), { ok: true });
+    assert.deepEqual(looked, ['gmial.com']);
+});
+
+test('a typo is still suggested when the lookup fails or finds no MX', async () => {
+    const failed = await checkEmailQuality('jo@gmial.com', resolverFor({ 'gmial.com': null }));
+    assert.equal(failed.code, EMAIL_QUALITY_CODES.TYPO);
+
+    const noMx = await checkEmailQuality('jo@gmial.com', resolverFor({ 'gmial.com': false }));
+    assert.equal(noMx.code, EMAIL_QUALITY_CODES.TYPO);
+});
+
+test('a confirmed address skips the suggestion but not the MX check', async () => {
+    const { resolveMx } = resolverFor({ 'gmial.com': false });
+    const result = await checkEmailQuality('jo@gmial.com', { resolveMx, allowTypo: true });
+    assert.equal(result.code, EMAIL_QUALITY_CODES.NO_MX);
+
+    assert.deepEqual(await checkEmailQuality('jo@gmial.com', { resolveMx: null, allowTypo: true }), { ok: true });
+});
+
+test('domains without mail are rejected, unknown lookups are let through', async () => {
+    const { resolveMx } = resolverFor({ 'stays.example': false });
+    assert.equal((await checkEmailQuality('jo@stays.example', { resolveMx })).code, EMAIL_QUALITY_CODES.NO_MX);
+    assert.deepEqual(await checkEmailQuality('jo@rooms.example', { resolveMx }), { ok: true });
+});
+
+test('disposable providers are rejected before any lookup', async () => {
+    const { resolveMx, looked } = resolverFor({});
+    const result = await checkEmailQuality('jo@inbox.mailinator.com', { resolveMx });
+    assert.equal(result.code, EMAIL_QUALITY_CODES.DISPOSABLE);
+    assert.deepEqual(looked, []);
+});
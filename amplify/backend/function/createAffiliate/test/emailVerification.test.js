@@ -0,0 +1,135 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./helpers/lambda');
+const { useMemoryLedger } = require('./helpers/memoryTable');
+const { reply, stubTapfiliate } = require('./helpers/tapfiliateStub');
+const { CODE_ERRORS, createChallenge, checkCode } = require('../src/emailVerification');
+const { reserveEmailCodeSend, countEmailCodeAttempt } = require('../src/signupLedger');
+const { setMailTransport } = require('../src/mailTransport');
+const { createResumeToken } = require('../src/resumeToken');
+
+const SECRET = 'test-resume-secret';
+const NOW = Date.parse('2026-05-01T09:00:00.000Z');
+const MINUTE = 60 * 1000;
+
+let table;
+
+beforeEach(() => {
+    table = useMemoryLedger();
+});
+
+afterEach(() => {
+    delete process.env.EMAIL_CODE_MAX_ATTEMPTS;
+    delete process.env.EMAIL_CODE_TTL_SECONDS;
+});
+
+test('the right code is accepted, a wrong one reports the guesses left', () => {
+    const { code, record } = createChallenge('aff1', SECRET, NOW);
+    const wrong = code === '000000' ? '000001' : '000000';
+
+    assert.deepEqual(checkCode(record, code, 'aff1', SECRET, { attempt: 1, now: NOW }), { valid: true });
+    assert.deepEqual(checkCode(record, wrong, 'aff1', SECRET, { attempt: 2, now: NOW }),
+        { valid: false, reason: CODE_ERRORS.MISMATCH, attemptsRemaining: 3 });
+    // The hash is bound to the affiliate
+    assert.equal(checkCode(record, code, 'aff2', SECRET, { attempt: 1, now: NOW }).valid, false);
+});
+
+test('the last guess locks the code and no guesses left rejects even the right code', () => {
+    process.env.EMAIL_CODE_MAX_ATTEMPTS = '3';
+    const { code, record } = createChallenge('aff1', SECRET, NOW);
+    const wrong = code === '000000' ? '000001' : '000000';
+
+    assert.equal(checkCode(record, wrong, 'aff1', SECRET, { attempt: 3, now: NOW }).reason, CODE_ERRORS.TOO_MANY_ATTEMPTS);
+    assert.deepEqual(checkCode(record, code, 'aff1', SECRET, { attempt: null, now: NOW }),
+        { valid: false, reason: CODE_ERRORS.TOO_MANY_ATTEMPTS, attemptsRemaining: 0 });
+});
+
+test('a code expires after EMAIL_CODE_TTL_SECONDS', () => {
+    process.env.EMAIL_CODE_TTL_SECONDS = '300';
+    const { code, record } = createChallenge('aff1', SECRET, NOW);
+
+    assert.equal(record.expires_at, new Date(NOW + 5 * MINUTE).toISOString());
+    assert.equal(checkCode(record, code, 'aff1', SECRET, { attempt: 1, now: NOW + 5 * MINUTE }).valid, true);
+    assert.deepEqual(checkCode(record, code, 'aff1', SECRET, { attempt: 1, now: NOW + 5 * MINUTE + 1 }),
+        { valid: false, reason: CODE_ERRORS.EXPIRED });
+});
+
+test('sends are limited by the cooldown and the per-affiliate cap', async () => {
+    const limits = { maxSends: 2, cooldownSeconds: 60 };
+
+    assert.deepEqual(await reserveEmailCodeSend('aff1', limits, NOW), { allowed: true, sentAt: new Date(NOW).toISOString() });
+    assert.deepEqual(await reserveEmailCodeSend('aff1', limits, NOW + 30 * 1000),
+        { allowed: false, reason: 'cooldown', lastSentAt: new Date(NOW).toISOString() });
+    assert.equal((await reserveEmailCodeSend('aff1', limits, NOW + MINUTE)).allowed, true);
+    assert.equal((await reserveEmailCodeSend('aff1', limits, NOW + 10 * MINUTE)).reason, 'limit');
+    assert.equal(table.items.get('email-code-aff1').sends, 2);
+});
+
+test('parallel guesses cannot get past the attempt cap', async () => {
+    const { sentAt } = await reserveEmailCodeSend('aff1', { maxSends: 5, cooldownSeconds: 60 }, NOW);
+
+    const attempts = await Promise.all(Array.from({ length: 10 }, () => countEmailCodeAttempt('aff1', sentAt, 3)));
+
+    assert.deepEqual(attempts.filter(attempt => attempt !== null).sort(), [1, 2, 3]);
+    assert.equal(attempts.filter(attempt => attempt === null).length, 7);
+});
+
+test('a new code gets fresh guesses and the old code none', async () => {
+    const limits = { maxSends: 5, cooldownSeconds: 60 };
+    const first = await reserveEmailCodeSend('aff1', limits, NOW);
+    await countEmailCodeAttempt('aff1', first.sentAt, 3);
+    await countEmailCodeAttempt('aff1', first.sentAt, 3);
+
+    const second = await reserveEmailCodeSend('aff1', limits, NOW + 2 * MINUTE);
+
+    assert.equal(await countEmailCodeAttempt('aff1', first.sentAt, 3), null);
+    assert.equal(await countEmailCodeAttempt('aff1', second.sentAt, 3), 1);
+});
+
+test('the handler sends a code, counts wrong guesses and refuses expired codes', async t => {
+    process.env.EMAIL_CODE_MAX_ATTEMPTS = '2';
+    const sent = [];
+    setMailTransport({ name: 'capture', send: async message => sent.push(message) });
+    t.after(() => setMailTransport(undefined));
+
+    const metaData = {};
+    const tapfiliate = stubTapfiliate([
+        { method: 'GET', path: /^affiliates\/aff1\/$/, reply: () => reply(200, { id: 'aff1', firstname: 'Jo', meta_data: { ...metaData } }) },
+        {
+            method: 'PUT',
+            path: /^affiliates\/aff1\/meta-data\/[^/]+\/$/,
+            reply: (url, options) => {
+                const key = decodeURIComponent(String(url).split('/meta-data/')[1].split('/')[0]);
+                metaData[key] = JSON.parse(options.body).value;
+                return reply(200, {});
+            }
+        }
+    ]);
+    t.after(() => tapfiliate.restore());
+
+    const base = {
+        affiliate_id: 'aff1',
+        email: 'jo@example.com',
+        resume_token: createResumeToken({ affiliateId: 'aff1', email: 'jo@example.com' }, SECRET)
+    };
+    const verify = code => invoke({ ...base, mode: 'verify_email_code', code });
+
+    assert.equal((await invoke({ ...base, mode: 'send_email_code' })).statusCode, 200);
+    const code = sent[0].text.match(/code is (\d{6})/)[1];
+    const wrong = code === '000000' ? '000001' : '000000';
+
+    const mismatch = await verify(wrong);
+    assert.equal(mismatch.statusCode, 400);
+    assert.deepEqual(mismatch.json.fields.map(field => [field.code, field.attempts_remaining]), [[CODE_ERRORS.MISMATCH, 1]]);
+
+    // The stored code is past its expiry - even the right code is refused
+    const record = JSON.parse(metaData.email_verification);
+    metaData.email_verification = JSON.stringify({ ...record, expires_at: new Date(Date.now() - 1000).toISOString() });
+    assert.equal((await verify(code)).json.fields[0].code, CODE_ERRORS.EXPIRED);
+
+    // Both guesses are used up now
+    metaData.email_verification = JSON.stringify(record);
+    assert.equal((await verify(code)).json.fields[0].code, CODE_ERRORS.TOO_MANY_ATTEMPTS);
+    assert.equal(metaData.email_verified_at, undefined);
+});
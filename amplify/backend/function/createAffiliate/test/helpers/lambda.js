@@ -0,0 +1,22 @@
+// Calls the Lambda handler the way API Gateway does, with the env vars it needs.
+// Require this before src/index.js so the env is in place when the modules load.
+
+process.env.TAPFILIATE_API_KEY = 'test-api-key';
+process.env.RESUME_TOKEN_SECRET = 'test-resume-secret';
+process.env.TAPFILIATE_MAX_RETRIES = '0';
+process.env.TAPFILIATE_FIELD_KEY_COMPANY_TYPE = 'company_type';
+process.env.TAPFILIATE_FIELD_KEY_COMMISSION_TYPE = 'commission_type';
+process.env.TAPFILIATE_FIELD_KEY_DEMO_CALL = 'demo_call';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { handler } = require('../../src/index');
+
+/**
+ * POST a shim-mode body (or pass `event` fields for a route) and parse the JSON response
+ */
+async function invoke(body, event = {}) {
+    const response = await handler({ httpMethod: 'POST', body: JSON.stringify(body), ...event }, {});
+    return { ...response, json: response.body ? JSON.parse(response.body) : null };
+}
+
+module.exports = { invoke };
@@ -0,0 +1,252 @@
+// In-memory stand-in for the DynamoDB document client used by src/signupLedger.js
+// Evaluates the expression subset the ledger writes - SET with if_not_exists() and +/-,
+// nested paths, conditions and filters with attribute_(not_)exists, comparisons, AND, OR, NOT -
+// and, like DynamoDB, rejects names or values an expression does not use.
+
+const { setDocumentClient } = require('../../src/signupLedger');
+
+class Command {
+    constructor(input) {
+        this.input = input;
+    }
+}
+class GetCommand extends Command {}
+class UpdateCommand extends Command {}
+class ScanCommand extends Command {}
+
+function conditionFailed() {
+    const error = new Error('The conditional request failed');
+    error.name = 'ConditionalCheckFailedException';
+    return error;
+}
+
+function tokenize(expression) {
+    const pattern = /\s*(<=|>=|<>|[=<>(),+-]|[:#]?[A-Za-z0-9_]+(?:\.[#A-Za-z0-9_]+)*)/y;
+    const tokens = [];
+    let index = 0;
+    for (;;) {
+        pattern.lastIndex = index;
+        const match = pattern.exec(expression);
+        if (!match) break;
+        tokens.push(match[1]);
+        index = pattern.lastIndex;
+    }
+    if (expression.slice(index).trim() !== '') {
+        throw new Error(`Cannot parse expression: ${expression}`);
+    }
+    return tokens;
+}
+
+// Reads one expression's tokens against an item, tracking the names and values it used
+function createReader(expression, item, input, used) {
+    const tokens = tokenize(expression);
+    let position = 0;
+
+    const peek = () => tokens[position];
+    const next = () => tokens[position++];
+    const expect = token => {
+        if (next() !== token) throw new Error(`Expected ${token} in: ${expression}`);
+    };
+
+    function pathParts(path) {
+        return path.split('.').map(part => {
+            if (!part.startsWith('#')) return part;
+            used.add(part);
+            const name = (input.ExpressionAttributeNames || {})[part];
+            if (name === undefined) throw new Error(`Unknown name ${part}`);
+            return name;
+        });
+    }
+
+    function readPath(path) {
+        return pathParts(path).reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), item);
+    }
+
+    function operand() {
+        const token = next();
+        if (token.startsWith(':')) {
+            used.add(token);
+            const values = input.ExpressionAttributeValues || {};
+            if (!(token in values)) throw new Error(`Unknown value ${token}`);
+            return values[token];
+        }
+        if (token === 'if_not_exists') {
+            expect('(');
+            const existing = readPath(next());
+            expect(',');
+            const fallback = operand();
+            expect(')');
+            return existing === undefined ? fallback : existing;
+        }
+        return readPath(token);
+    }
+
+    function comparison() {
+        const token = peek();
+        if (token === 'attribute_exists' || token === 'attribute_not_exists') {
+            next();
+            expect('(');
+            const exists = readPath(next()) !== undefined;
+            expect(')');
+            return token === 'attribute_exists' ? exists : !exists;
+        }
+        const left = operand();
+        const operator = next();
+        const right = operand();
+        if (left === undefined || right === undefined) return operator === '<>';
+        switch (operator) {
+        case '=': return left === right;
+        case '<>': return left !== right;
+        case '<': return left < right;
+        case '<=': return left <= right;
+        case '>': return left > right;
+        case '>=': return left >= right;
+        default: throw new Error(`Unknown operator ${operator}`);
+        }
+    }
+
+    function unary() {
+        if (peek() === 'NOT') {
+            next();
+            return !unary();
+        }
+        if (peek() === '(') {
+            next();
+            const result = or();
+            expect(')');
+            return result;
+        }
+        return comparison();
+    }
+
+    function and() {
+        let result = unary();
+        while (peek() === 'AND') {
+            next();
+            result = unary() && result;
+        }
+        return result;
+    }
+
+    function or() {
+        let result = and();
+        while (peek() === 'OR') {
+            next();
+            result = and() || result;
+        }
+        return result;
+    }
+
+    function condition() {
+        const result = or();
+        if (position < tokens.length) throw new Error(`Unexpected ${peek()} in: ${expression}`);
+        return result;
+    }
+
+    // SET a = b, c.#d = if_not_exists(c, :v) + :one - values are read before anything is written
+    function assignments() {
+        if (next() !== 'SET') throw new Error(`Only SET is supported: ${expression}`);
+        const result = [];
+        do {
+            const parts = pathParts(next());
+            expect('=');
+            let value = operand();
+            while (peek() === '+' || peek() === '-') {
+                const operator = next();
+                const other = operand();
+                if (typeof value !== 'number' || typeof other !== 'number') {
+                    throw new Error(`Arithmetic on a missing or non-number attribute: ${expression}`);
+                }
+                value = operator === '+' ? value + other : value - other;
+            }
+            result.push({ parts, value });
+        } while (peek() === ',' && next());
+        if (position < tokens.length) throw new Error(`Unexpected ${peek()} in: ${expression}`);
+        return result;
+    }
+
+    return { condition, assignments };
+}
+
+function checkAllUsed(input, used) {
+    const declared = [
+        ...Object.keys(input.ExpressionAttributeNames || {}),
+        ...Object.keys(input.ExpressionAttributeValues || {})
+    ];
+    const unused = declared.filter(key => !used.has(key));
+    if (unused.length > 0) {
+        throw new Error(`Unused in expressions: ${unused.join(', ')}`);
+    }
+}
+
+function matches(expression, item, input, used) {
+    return !expression || createReader(expression, item, input, used).condition();
+}
+
+/**
+ * Create an empty table. `items` maps submission_id to the stored item; `sent` lists every command.
+ */
+function createMemoryTable() {
+    const items = new Map();
+    const sent = [];
+
+    const client = {
+        async send(command) {
+            sent.push(command);
+            const { input } = command;
+            const used = new Set();
+
+            if (command instanceof GetCommand) {
+                const item = items.get(input.Key.submission_id);
+                return { Item: item ? structuredClone(item) : undefined };
+            }
+
+            if (command instanceof ScanCommand) {
+                const found = [...items.values()].filter(item => matches(input.FilterExpression, item, input, used));
+                checkAllUsed(input, used);
+                return { Items: structuredClone(found) };
+            }
+
+            if (command instanceof UpdateCommand) {
+                const id = input.Key.submission_id;
+                const current = items.get(id) || { submission_id: id };
+                const exists = items.has(id);
+                // A missing item still has its key for attribute_not_exists(submission_id)
+                const passes = matches(input.ConditionExpression, exists ? current : {}, input, used);
+                const changes = createReader(input.UpdateExpression, current, input, used).assignments();
+                checkAllUsed(input, used);
+                if (!passes) throw conditionFailed();
+
+                const updated = structuredClone(current);
+                changes.forEach(({ parts, value }) => {
+                    const parent = parts.slice(0, -1).reduce((target, part) => {
+                        if (!target[part] || typeof target[part] !== 'object') {
+                            throw new Error(`Document path ${parts.join('.')} does not exist`);
+                        }
+                        return target[part];
+                    }, updated);
+                    parent[parts[parts.length - 1]] = structuredClone(value);
+                });
+                items.set(id, updated);
+                return { Attributes: structuredClone(updated) };
+            }
+
+            throw new Error(`Unsupported command ${command.constructor.name}`);
+        }
+    };
+
+    return { items, sent, client, commands: { GetCommand, UpdateCommand, ScanCommand } };
+}
+
+/**
+ * Point the signup ledger at a fresh in-memory table and return it
+ */
+function useMemoryLedger() {
+    process.env.SIGNUP_LEDGER_TABLE = 'signup-ledger-test';
+    delete process.env.SIGNUP_LEDGER_DISABLED;
+    const table = createMemoryTable();
+    setDocumentClient(table.client, table.commands);
+    return table;
+}
+
+module.exports = { createMemoryTable, useMemoryLedger };
@@ -0,0 +1,45 @@
+// Stand-in for the Tapfiliate API: replaces global fetch with a list of routes
+// ({ method, path: RegExp, reply(url, options) }, path without the query string) and records
+// every call.
+// Unmatched calls answer 404, like an unknown Tapfiliate resource.
+
+const { TAPFILIATE_BASE_URL } = require('../../src/tapfiliateClient');
+
+/**
+ * Build a fetch Response-like object
+ */
+function reply(status, body) {
+    const text = typeof body === 'string' ? body : JSON.stringify(body);
+    return {
+        ok: status >= 200 && status < 300,
+        status,
+        headers: { get: name => (name.toLowerCase() === 'content-type' ? 'application/json' : null) },
+        text: async () => text,
+        json: async () => JSON.parse(text)
+    };
+}
+
+/**
+ * Install the stub. Returns { calls, restore }; each call is { method, path, query, body }.
+ */
+function stubTapfiliate(routes = []) {
+    const originalFetch = global.fetch;
+    const calls = [];
+
+    global.fetch = async (url, options = {}) => {
+        const method = options.method || 'GET';
+        const [path, query = ''] = String(url).replace(TAPFILIATE_BASE_URL, '').split('?');
+        calls.push({ method, path, query, body: options.body ? JSON.parse(options.body) : undefined });
+        const route = routes.find(candidate => candidate.method === method && candidate.path.test(path));
+        return route ? route.reply(url, options) : reply(404, { errors: [{ message: `Not stubbed: ${method} ${path}` }] });
+    };
+
+    return {
+        calls,
+        restore() {
+            global.fetch = originalFetch;
+        }
+    };
+}
+
+module.exports = { reply, stubTapfiliate };
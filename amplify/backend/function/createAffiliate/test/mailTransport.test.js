@@ -0,0 +1,30 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getMailTransport, setMailTransport } = require('../src/mailTransport');
+
+afterEach(() => {
+    delete process.env.MAIL_TRANSPORT;
+    setMailTransport(undefined);
+});
+
+test('the configured transport is created once and reused', () => {
+    process.env.MAIL_TRANSPORT = 'log';
+    const transport = getMailTransport();
+
+    assert.equal(transport.name, 'log');
+    assert.equal(getMailTransport(), transport);
+});
+
+test('no transport is configured without MAIL_TRANSPORT', () => {
+    assert.equal(getMailTransport(), null);
+    process.env.MAIL_TRANSPORT = 'log';
+    // Kept for the container's lifetime, like a configured one
+    assert.equal(getMailTransport(), null);
+});
+
+test('ses without MAIL_FROM is not a usable transport', () => {
+    process.env.MAIL_TRANSPORT = 'ses';
+    delete process.env.MAIL_FROM;
+    assert.equal(getMailTransport(), null);
+});
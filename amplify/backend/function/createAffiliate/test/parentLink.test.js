@@ -0,0 +1,112 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./helpers/lambda');
+const { useMemoryLedger } = require('./helpers/memoryTable');
+const { reply, stubTapfiliate } = require('./helpers/tapfiliateStub');
+const { resolveProgramId } = require('../src/signupConfig');
+
+const KEY = 'abcdefgh-1234';
+const PROGRAM_ID = resolveProgramId('GBP');
+const SIGNUP = {
+    mode: 'create_affiliate_only',
+    idempotency_key: KEY,
+    first_name: 'Jo',
+    last_name: 'Bloggs',
+    email: 'jo@example.com',
+    password: 'correct-horse-1',
+    parent_id: '42'
+};
+
+let table;
+let tapfiliate;
+let parentEmail;
+let parentLinkStatus;
+
+beforeEach(() => {
+    table = useMemoryLedger();
+    parentEmail = 'mary@stays.example';
+    parentLinkStatus = 200;
+    tapfiliate = stubTapfiliate([
+        { method: 'POST', path: /^affiliates\/$/, reply: () => reply(200, { id: 'aff1', email: 'jo@example.com' }) },
+        { method: 'PUT', path: /^affiliates\/aff1\/meta-data\//, reply: () => reply(200, {}) },
+        { method: 'GET', path: /^affiliates\/42\/$/, reply: () => reply(200, { id: '42', email: parentEmail }) },
+        { method: 'GET', path: /^affiliates\/42\/programs\/$/, reply: () => reply(200, [{ program: { id: PROGRAM_ID }, approved: true }]) },
+        { method: 'POST', path: /^affiliates\/aff1\/parent\/$/, reply: () => reply(parentLinkStatus, parentLinkStatus === 200 ? {} : { errors: [{ message: 'Parent already set' }] }) },
+        { method: 'POST', path: /^programs\/[^/]+\/affiliates\/$/, reply: () => reply(200, { id: PROGRAM_ID }) }
+    ]);
+});
+
+afterEach(() => {
+    tapfiliate.restore();
+});
+
+function parentCalls() {
+    return tapfiliate.calls.filter(call => call.path.startsWith('affiliates/42/') || call.path.endsWith('/parent/'));
+}
+
+async function enroll(resumeToken) {
+    return invoke({
+        affiliate_id: 'aff1',
+        email: 'jo@example.com',
+        resume_token: resumeToken,
+        program: 'GBP',
+        parent_id: '42',
+        idempotency_key: KEY
+    }, { path: '/affiliates/aff1/enrollments' });
+}
+
+test('a parent Stage A linked is not linked again on enrollment', async () => {
+    const stageA = await invoke({ ...SIGNUP, program: 'GBP' });
+    assert.equal(stageA.json.parent.linked, true);
+    assert.equal(table.items.get(`client-${KEY}`).steps.parent_linked.status, 'done');
+
+    // A second /parent/ call would fail now - it must not be made
+    parentLinkStatus = 400;
+    tapfiliate.calls.length = 0;
+    const response = await enroll(stageA.json.resume_token);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(parentCalls(), []);
+    assert.equal(response.json.parent.linked, true);
+    assert.equal(response.json.parent.parent_id, '42');
+    const submission = table.items.get(`client-${KEY}`);
+    assert.equal(submission.steps.parent_linked.status, 'done');
+    assert.notEqual(submission.status, 'failed');
+    assert.notEqual(submission.status, 'incomplete');
+});
+
+test('a parent Stage A rejected is not checked or linked again on enrollment', async () => {
+    parentEmail = 'mary@example.com';
+    const stageA = await invoke({ ...SIGNUP, program: 'GBP' });
+    assert.equal(stageA.json.parent.reason, 'same_email_domain');
+    assert.equal(table.items.get(`client-${KEY}`).steps.parent_linked.status, 'rejected');
+
+    tapfiliate.calls.length = 0;
+    const response = await enroll(stageA.json.resume_token);
+
+    assert.equal(response.statusCode, 200);
+    assert.deepEqual(parentCalls(), []);
+    assert.equal(response.json.parent.linked, false);
+    assert.equal(response.json.parent.reason, 'same_email_domain');
+    const step = table.items.get(`client-${KEY}`).steps.parent_linked;
+    assert.equal(step.status, 'rejected');
+    assert.equal(step.reason, 'same_email_domain');
+});
+
+test('a parent left for the enrollment is linked by it', async () => {
+    const stageA = await invoke(SIGNUP);
+    assert.equal(stageA.json.parent.reason, 'pending_enrollment');
+    assert.deepEqual(parentCalls(), []);
+
+    const response = await enroll(stageA.json.resume_token);
+
+    assert.equal(response.statusCode, 200);
+    assert.equal(response.json.parent.linked, true);
+    assert.deepEqual(parentCalls().map(call => `${call.method} ${call.path}`), [
+        'GET affiliates/42/',
+        'GET affiliates/42/programs/',
+        'POST affiliates/aff1/parent/'
+    ]);
+    assert.equal(table.items.get(`client-${KEY}`).steps.parent_linked.status, 'done');
+});
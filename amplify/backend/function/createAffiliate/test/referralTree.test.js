@@ -0,0 +1,95 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { PARENT_REJECTIONS, checkParentLink } = require('../src/referralTree');
+const { TapfiliateNotFoundError, TapfiliateUpstreamError } = require('../src/tapfiliateClient');
+
+const PROGRAM_ID = 'stasher-affiliate-program';
+
+/**
+ * A Tapfiliate client over a fixed set of affiliates: { id: { email, parent_id, programs } }
+ */
+function fakeTapfiliate(affiliates) {
+    const find = affiliateId => {
+        const affiliate = affiliates[affiliateId];
+        if (!affiliate) throw new TapfiliateNotFoundError('Affiliate not found', { status: 404 });
+        return affiliate;
+    };
+    return {
+        getAffiliate: async affiliateId => ({ id: affiliateId, ...find(affiliateId) }),
+        listAffiliatePrograms: async affiliateId => find(affiliateId).programs || []
+    };
+}
+
+const approvedIn = programId => [{ program: { id: programId }, approved: true }];
+
+function check(parentId, affiliates, email = 'jo@example.com') {
+    return checkParentLink({ affiliateId: 'new1', email, parentId, programId: PROGRAM_ID }, fakeTapfiliate(affiliates));
+}
+
+afterEach(() => {
+    delete process.env.REFERRAL_MAX_DEPTH;
+});
+
+test('an approved parent in the same program is accepted', async () => {
+    const result = await check('p1', { p1: { email: 'mary@stays.example', programs: approvedIn(PROGRAM_ID) } });
+    assert.deepEqual(result, { ok: true });
+});
+
+test('a partner cannot be their own parent', async () => {
+    const result = await check('new1', {});
+    assert.deepEqual(result, { ok: false, reason: PARENT_REJECTIONS.SELF });
+});
+
+test('an unknown parent is rejected', async () => {
+    const result = await check('p404', {});
+    assert.deepEqual(result, { ok: false, reason: PARENT_REJECTIONS.NOT_FOUND });
+});
+
+test('a parent with the same email or company domain is rejected, a shared public provider is not', async () => {
+    const programs = approvedIn(PROGRAM_ID);
+
+    assert.equal((await check('p1', { p1: { email: 'JO@example.com', programs } })).reason, PARENT_REJECTIONS.SAME_EMAIL_DOMAIN);
+    assert.equal((await check('p1', { p1: { email: 'mary@example.com', programs } })).reason, PARENT_REJECTIONS.SAME_EMAIL_DOMAIN);
+    assert.deepEqual(await check('p1', { p1: { email: 'mary@gmail.com', programs } }, 'jo@gmail.com'), { ok: true });
+});
+
+test('a parent outside the program, or not approved in it, is rejected', async () => {
+    const otherProgram = await check('p1', { p1: { email: 'mary@stays.example', programs: approvedIn('other-program') } });
+    assert.equal(otherProgram.reason, PARENT_REJECTIONS.OTHER_PROGRAM);
+
+    const pending = await check('p1', { p1: { email: 'mary@stays.example', programs: [{ program: { id: PROGRAM_ID }, approved: false }] } });
+    assert.equal(pending.reason, PARENT_REJECTIONS.NOT_APPROVED);
+});
+
+test('a parent that would put the partner more than REFERRAL_MAX_DEPTH levels deep is rejected', async () => {
+    process.env.REFERRAL_MAX_DEPTH = '2';
+    const programs = approvedIn(PROGRAM_ID);
+    const affiliates = {
+        p1: { email: 'a@one.example', parent_id: 'p2', programs },
+        p2: { email: 'b@two.example', parent_id: 'p3' },
+        p3: { email: 'c@three.example' }
+    };
+
+    assert.equal((await check('p1', affiliates)).reason, PARENT_REJECTIONS.MAX_DEPTH);
+    assert.deepEqual(await check('p2', { ...affiliates, p2: { ...affiliates.p2, programs } }), { ok: true });
+});
+
+test('a parent inside the partner\'s own tree is rejected', async () => {
+    const result = await check('p1', {
+        p1: { email: 'a@one.example', parent_id: 'new1', programs: approvedIn(PROGRAM_ID) }
+    });
+    assert.equal(result.reason, PARENT_REJECTIONS.CYCLE);
+});
+
+test('Tapfiliate errors are thrown so the link is retried later', async () => {
+    const tapfiliate = {
+        getAffiliate: async () => {
+            throw new TapfiliateUpstreamError('Tapfiliate is down', { status: 503 });
+        }
+    };
+    await assert.rejects(
+        checkParentLink({ affiliateId: 'new1', email: 'jo@example.com', parentId: 'p1', programId: PROGRAM_ID }, tapfiliate),
+        TapfiliateUpstreamError
+    );
+});
@@ -0,0 +1,143 @@
+const { test, before, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useMemoryLedger } = require('./helpers/memoryTable');
+const { reply, stubTapfiliate } = require('./helpers/tapfiliateStub');
+const { runRetryPass, getRetryDelaySeconds } = require('../src/retryWorker');
+
+const MINUTE = 60 * 1000;
+
+let table;
+let tapfiliate;
+let enrollStatus;
+
+before(() => {
+    process.env.TAPFILIATE_API_KEY = 'test-api-key';
+    process.env.TAPFILIATE_MAX_RETRIES = '0';
+    process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+});
+
+beforeEach(() => {
+    table = useMemoryLedger();
+    enrollStatus = 500;
+    tapfiliate = stubTapfiliate([
+        { method: 'GET', path: /^affiliates\/aff1\/programs\/$/, reply: () => reply(200, []) },
+        { method: 'POST', path: /^programs\/[^/]+\/affiliates\/$/, reply: () => reply(enrollStatus, enrollStatus === 200 ? { id: 'program' } : 'Server error') }
+    ]);
+});
+
+afterEach(() => {
+    tapfiliate.restore();
+    delete process.env.RETRY_MAX_ATTEMPTS;
+});
+
+// A signup whose enrollment failed - everything else went through
+function addIncompleteSubmission(fields = {}) {
+    const steps = {
+        created: { status: 'done' },
+        updated: { status: 'done' },
+        metadata_set: { status: 'done' },
+        attribution_set: { status: 'done' },
+        enrolled: { status: 'failed' },
+        parent_linked: { status: 'skipped' }
+    };
+    table.items.set('client-abcdefgh-1234', {
+        submission_id: 'client-abcdefgh-1234',
+        status: 'incomplete',
+        affiliate_id: 'aff1',
+        email: 'jo@example.com',
+        program_id: 'stasher-affiliate-program',
+        steps,
+        ...fields
+    });
+}
+
+function assertNextRetryIn(item, startedAt, delayMs) {
+    const nextRetryAt = Date.parse(item.next_retry_at);
+    assert.ok(nextRetryAt >= startedAt + delayMs && nextRetryAt <= Date.now() + delayMs, `next_retry_at ${item.next_retry_at}`);
+}
+
+test('the delay doubles after every failed attempt and stays under a day', () => {
+    assert.deepEqual([1, 2, 3, 4].map(getRetryDelaySeconds), [300, 600, 1200, 2400]);
+    assert.equal(getRetryDelaySeconds(20), 86400);
+});
+
+test('a step that fails again schedules the next attempt with backoff', async () => {
+    addIncompleteSubmission({ retry_attempts: 1 });
+    const startedAt = Date.now();
+
+    const summary = await runRetryPass();
+
+    assert.deepEqual(summary, { processed: 1, retry_scheduled: 1 });
+    const item = table.items.get('client-abcdefgh-1234');
+    assert.equal(item.retry_attempts, 2);
+    assert.equal(item.status, 'incomplete');
+    assertNextRetryIn(item, startedAt, 10 * MINUTE);
+
+    // Not due yet - the next pass leaves it alone
+    assert.deepEqual(await runRetryPass(), { processed: 0 });
+});
+
+test('the worker gives up after RETRY_MAX_ATTEMPTS', async () => {
+    process.env.RETRY_MAX_ATTEMPTS = '3';
+    addIncompleteSubmission({ retry_attempts: 2 });
+
+    const summary = await runRetryPass();
+
+    assert.deepEqual(summary, { processed: 1, exhausted: 1 });
+    const item = table.items.get('client-abcdefgh-1234');
+    assert.equal(item.retry_attempts, 3);
+    assert.equal(item.status, 'retries_exhausted');
+    assert.deepEqual(await runRetryPass(), { processed: 0 });
+});
+
+test('a replayed step completes the submission', async () => {
+    enrollStatus = 200;
+    addIncompleteSubmission();
+
+    assert.deepEqual(await runRetryPass(), { processed: 1, complete: 1 });
+    const item = table.items.get('client-abcdefgh-1234');
+    assert.equal(item.status, 'complete');
+    assert.equal(item.steps.enrolled.status, 'done');
+    assert.equal(item.retry_attempts, 1);
+});
+
+// A record the worker can't replay (here: reading its request throws) must not be retried on every pass
+function serveUnreadableSubmission() {
+    const send = table.client.send;
+    table.client.send = async command => {
+        const result = await send(command);
+        if (command.constructor.name !== 'ScanCommand') return result;
+        return {
+            Items: result.Items.map(item => Object.defineProperty({ ...item }, 'finalize_affiliate_request', {
+                get() {
+                    throw new Error('Unreadable request');
+                }
+            }))
+        };
+    };
+}
+
+test('a submission whose replay throws backs off like a failed one', async () => {
+    addIncompleteSubmission();
+    serveUnreadableSubmission();
+    const startedAt = Date.now();
+
+    assert.deepEqual(await runRetryPass(), { processed: 1, error: 1 });
+    const item = table.items.get('client-abcdefgh-1234');
+    assert.equal(item.retry_attempts, 1);
+    assert.equal(item.status, 'incomplete');
+    assertNextRetryIn(item, startedAt, 5 * MINUTE);
+    assert.deepEqual(await runRetryPass(), { processed: 0 });
+});
+
+test('a submission whose replay keeps throwing is given up after RETRY_MAX_ATTEMPTS', async () => {
+    process.env.RETRY_MAX_ATTEMPTS = '3';
+    addIncompleteSubmission({ retry_attempts: 2 });
+    serveUnreadableSubmission();
+
+    assert.deepEqual(await runRetryPass(), { processed: 1, exhausted: 1 });
+    const item = table.items.get('client-abcdefgh-1234');
+    assert.equal(item.retry_attempts, 3);
+    assert.equal(item.status, 'retries_exhausted');
+});
@@ -0,0 +1,64 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { useMemoryLedger } = require('./helpers/memoryTable');
+const {
+    SubmissionMismatchError,
+    isReservedKey,
+    resolveSubmissionId,
+    openSubmission
+} = require('../src/signupLedger');
+
+let table;
+
+beforeEach(() => {
+    process.env.LOG_LEVEL = 'error';
+    table = useMemoryLedger();
+});
+
+test('client keys get their own prefix and cannot reach server-made records', () => {
+    assert.equal(resolveSubmissionId('abcdefgh-123'), 'client-abcdefgh-123');
+    assert.equal(resolveSubmissionId('affiliate-123', '123'), 'client-affiliate-123');
+    assert.equal(resolveSubmissionId(null, '123'), 'affiliate-123');
+    assert.match(resolveSubmissionId(null, null), /^[0-9a-f-]{36}$/);
+});
+
+test('the affiliate- and email-code- prefixes are reserved', () => {
+    assert.equal(isReservedKey('affiliate-123'), true);
+    assert.equal(isReservedKey('email-code-123'), true);
+    assert.equal(isReservedKey('client-123abcde'), false);
+    assert.equal(isReservedKey('3f2b0c4e-affiliate-1'), false);
+});
+
+test('a submission can be re-opened by the partner it was recorded for', async () => {
+    await openSubmission('client-key-12345', { email: 'Jo@Example.com' });
+    await openSubmission('client-key-12345', { email: 'jo@example.com ', affiliate_id: 'aff1' });
+    await openSubmission('client-key-12345', { email: 'jo@example.com', affiliate_id: 'aff1' });
+
+    const item = table.items.get('client-key-12345');
+    assert.equal(item.email, 'jo@example.com');
+    assert.equal(item.affiliate_id, 'aff1');
+    assert.equal(item.status, 'in_progress');
+});
+
+test('another email cannot re-open a submission', async () => {
+    await openSubmission('client-key-12345', { email: 'jo@example.com', create_affiliate_only_request: { first_name: 'Jo' } });
+
+    await assert.rejects(
+        openSubmission('client-key-12345', { email: 'mallory@example.com', create_affiliate_only_request: { first_name: 'M' } }),
+        SubmissionMismatchError
+    );
+    const item = table.items.get('client-key-12345');
+    assert.equal(item.email, 'jo@example.com');
+    assert.deepEqual(item.create_affiliate_only_request, { first_name: 'Jo' });
+});
+
+test('another affiliate cannot re-open a submission', async () => {
+    await openSubmission('client-key-12345', { email: 'jo@example.com', affiliate_id: 'aff1' });
+
+    await assert.rejects(
+        openSubmission('client-key-12345', { email: 'jo@example.com', affiliate_id: 'aff2' }),
+        SubmissionMismatchError
+    );
+    assert.equal(table.items.get('client-key-12345').affiliate_id, 'aff1');
+});
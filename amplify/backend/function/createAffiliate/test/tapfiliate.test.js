@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeFieldLabel, buildCustomFields, buildFinalizeUpdatePayload } = require('../src/tapfiliate');
+const { COMMISSION_TYPES } = require('../src/signupConfig');
+
+const FIELD_KEYS = {
+    [normalizeFieldLabel('Company type')]: 'company_type_key',
+    [normalizeFieldLabel('Commission type')]: 'commission_type_key',
+    [normalizeFieldLabel('Free DEMO call?')]: 'demo_call_key'
+};
+
+test('creation sets company type, commission type and demo call custom fields', () => {
+    const customFields = buildCustomFields(FIELD_KEYS, {
+        company_type: 'vacation-rental',
+        commission_type: COMMISSION_TYPES[1],
+        wantsDemoCall: false
+    });
+
+    assert.deepEqual(Object.keys(customFields).sort(), ['commission_type_key', 'company_type_key', 'demo_call_key']);
+    assert.equal(customFields.commission_type_key, COMMISSION_TYPES[1]);
+    assert.equal(customFields.demo_call_key, 'No');
+});
+
+test('the finalize PATCH updates commission type and demo call but never the company type', () => {
+    const payload = buildFinalizeUpdatePayload({
+        company_type: 'vacation-rental',
+        commission_type: COMMISSION_TYPES[0],
+        wantsDemoCall: true,
+        company: { name: 'Stays Ltd' }
+    }, FIELD_KEYS);
+
+    assert.deepEqual(payload.custom_fields, { commission_type_key: COMMISSION_TYPES[0], demo_call_key: 'Yes' });
+    assert.deepEqual(payload.company, { name: 'Stays Ltd', description: 'STR' });
+});
+
+test('a finalize request with only a company type sends no custom fields', () => {
+    const payload = buildFinalizeUpdatePayload({ company_type: 'supply' }, FIELD_KEYS);
+    assert.equal(payload.custom_fields, undefined);
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { invoke } = require('./helpers/lambda');
+const { stubTapfiliate } = require('./helpers/tapfiliateStub');
+const { VALIDATION_CODES, validateFields } = require('../src/validation');
+
+const ADDRESS_RULE = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        city: { type: 'string' },
+        country: {
+            type: 'object',
+            additionalProperties: false,
+            properties: { code: { type: 'string' } }
+        }
+    }
+};
+
+test('undeclared keys are reported with their dotted path', () => {
+    const errors = validateFields({ address: ADDRESS_RULE }, {
+        address: { city: 'Leeds', id: 'x', country: { code: 'GB', name: 'UK' } }
+    });
+
+    assert.deepEqual(errors.map(({ field, code }) => [field, code]), [
+        ['address.country.name', VALIDATION_CODES.UNKNOWN_FIELD],
+        ['address.id', VALIDATION_CODES.UNKNOWN_FIELD]
+    ]);
+    assert.equal(errors[1].message, 'address.id is not an allowed field');
+});
+
+test('objects without additionalProperties: false keep accepting any key', () => {
+    const rule = { metadata: { type: 'object', properties: { website: { type: 'string' } } } };
+    assert.deepEqual(validateFields(rule, { metadata: { website: 'stays.example', source: 'ad' } }), []);
+});
+
+test('finalize rejects unknown address and company keys before calling Tapfiliate', async t => {
+    const tapfiliate = stubTapfiliate([]);
+    t.after(() => tapfiliate.restore());
+
+    const response = await invoke({
+        mode: 'finalize_affiliate',
+        affiliate_id: 'aff1',
+        email: 'jo@example.com',
+        program: 'GBP',
+        address: { city: 'Leeds', country: { code: 'GB' }, approved: true },
+        company: { name: 'Stays Ltd', vat_exempt: true }
+    });
+
+    assert.equal(response.statusCode, 400);
+    assert.deepEqual(response.json.fields.map(({ field, code }) => [field, code]), [
+        ['address.approved', VALIDATION_CODES.UNKNOWN_FIELD],
+        ['company.vat_exempt', VALIDATION_CODES.UNKNOWN_FIELD]
+    ]);
+    assert.equal(tapfiliate.calls.length, 0);
+});
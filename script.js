@@ -11,29 +11,146 @@ function getURLParameter(name) {
     return urlParams.get(name);
 }
 
-/**
- * Capture parent_id from URL on page load
- * Supports both 'via' (Tapfiliate convention) and 'parent_id' parameters
- * Runs automatically when page loads
- */
-function captureParentId() {
+// Referral attribution - every visit through a link with a parent or campaign parameters is a
+// "touch", kept in localStorage so a partner who browses away and signs up days later is still
+// attributed. The first and the last touch are stored; the policy and window from /config
+// (signupConfig.attribution) pick the one sent with Stage A. The Lambda writes it to the
+// affiliate's meta-data with the profile update, so signups can be reported per campaign.
+const ATTRIBUTION_STORAGE_KEY = 'stasher_referral_attribution_v1';
+// UTM tags plus Google Ads and Meta click IDs
+const CAMPAIGN_PARAMETERS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'gclid', 'fbclid'];
+// Used until /config has loaded (or if it can't be)
+const DEFAULT_ATTRIBUTION_SETTINGS = { window_days: 30, policy: 'last_touch' };
+
+function getAttributionSettings() {
+    return (signupConfig && signupConfig.attribution) || DEFAULT_ATTRIBUTION_SETTINGS;
+}
+
+// Returns { first, last } - either may be missing
+function loadAttributionTouches() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(ATTRIBUTION_STORAGE_KEY) || 'null');
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch (error) {
+        console.warn('Could not load referral attribution:', error);
+        return {};
+    }
+}
+
+function isTouchInWindow(touch) {
+    if (!touch || !touch.landed_at) return false;
+    const ageMs = Date.now() - Date.parse(touch.landed_at);
+    return ageMs >= 0 && ageMs <= getAttributionSettings().window_days * 24 * 60 * 60 * 1000;
+}
+
+// The page that linked here, unless it is this site itself
+function getExternalReferrer() {
+    try {
+        return document.referrer && new URL(document.referrer).host !== window.location.host
+            ? document.referrer
+            : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+// The touch from the current URL, or null if it carries no parent or campaign parameters.
+// A referrer alone is not a touch - browsing back from a search engine must not replace
+// the referral link the partner arrived with.
+function readTouchFromUrl() {
     // Try 'via' first (Tapfiliate convention), then fallback to 'parent_id'
     const parentId = getURLParameter('via') || getURLParameter('parent_id');
-    const parentIdField = document.getElementById('parent_id');
+    const touch = {
+        parent_id: parentId ? parentId.trim() : null,
+        landed_at: new Date().toISOString(),
+        landing_page: window.location.pathname
+    };
+    CAMPAIGN_PARAMETERS.forEach(name => {
+        const value = getURLParameter(name);
+        if (value) touch[name] = value.trim();
+    });
+    const referrer = getExternalReferrer();
+    if (referrer) {
+        touch.referrer = referrer;
+    }
+    const hasCampaign = CAMPAIGN_PARAMETERS.some(name => touch[name]);
+    return touch.parent_id || hasCampaign ? touch : null;
+}
 
-    if (parentId && parentIdField) {
-        parentIdField.value = parentId;
-        console.log('✅ Parent ID captured from URL:', parentId);
-    } else {
-        console.log('ℹ️ No parent ID in URL - direct signup');
+/**
+ * Store the touch from the current URL. The first touch is only replaced once it has
+ * fallen out of the attribution window.
+ */
+function captureAttributionTouch() {
+    const touch = readTouchFromUrl();
+    if (!touch) {
+        console.log('ℹ️ No referral parameters in URL');
+        return;
+    }
+
+    const touches = loadAttributionTouches();
+    try {
+        localStorage.setItem(ATTRIBUTION_STORAGE_KEY, JSON.stringify({
+            first: isTouchInWindow(touches.first) ? touches.first : touch,
+            last: touch
+        }));
+    } catch (error) {
+        console.warn('Could not persist referral attribution:', error);
+    }
+    if (touch.parent_id) {
+        console.log('✅ Parent ID captured from URL:', touch.parent_id);
     }
 }
 
-// Run on page load
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', captureParentId);
-} else {
-    captureParentId();
+/**
+ * The attribution for this signup: the touch picked by the policy, falling back to the other
+ * one if it has expired. Once Stage A has sent it (formState.attribution) it no longer changes.
+ */
+function getActiveAttribution() {
+    if (formState.attribution) {
+        return formState.attribution;
+    }
+    const { policy } = getAttributionSettings();
+    const touches = loadAttributionTouches();
+    const preferred = policy === 'first_touch' ? [touches.first, touches.last] : [touches.last, touches.first];
+    const touch = preferred.find(isTouchInWindow);
+    return touch ? { ...touch, policy } : null;
+}
+
+/**
+ * Fill the hidden parent_id field from the active attribution.
+ * Returns true if the parent changed.
+ */
+function applyAttribution() {
+    const parentIdField = document.getElementById('parent_id');
+    if (!parentIdField) return false;
+
+    const attribution = getActiveAttribution();
+    const parentId = (attribution && attribution.parent_id) || '';
+    const changed = parentIdField.value !== parentId;
+    parentIdField.value = parentId;
+    return changed;
+}
+
+// Run on page load (DOMContentLoaded) - before the referral lookup, which reads parent_id
+function captureParentId() {
+    captureAttributionTouch();
+    applyAttribution();
+}
+
+/**
+ * Log how the Lambda resolved the captured parent (the `parent` field of signup responses):
+ * { input, parent_id, resolved_by, linked } or { input, parent_id: null, reason, linked: false }
+ */
+function logParentResolution(parent) {
+    if (!parent) return;
+    if (parent.linked) {
+        console.log(`✅ Parent "${parent.input}" linked (affiliate ${parent.parent_id}, by ${parent.resolved_by})`);
+    } else if (parent.reason === 'pending_enrollment') {
+        console.log(`ℹ️ Parent "${parent.input}" will be linked after enrollment`);
+    } else {
+        console.warn(`⚠️ Parent "${parent.input}" not linked:`, parent.reason || 'link failed');
+    }
 }
 
 // ========================================
@@ -50,47 +167,138 @@ const formState = {
     firstName: '',
     lastName: '',
     email: '',
+    // Email the partner chose to keep after the typo check suggested another one
+    emailConfirmed: '',
+    // Set once the one-time code step has confirmed the email (only when the config requires it)
+    emailVerified: false,
     password: '',
     commissionType: '',
     city: '',
     country: '',
+    // Postal address - optional, but only skipped when the partner says so
+    streetAddress: '',
+    postalCode: '',
+    region: '',
+    skipAddress: false,
     companyName: '',
     companyWebsite: '',
     numberOfProperties: '',
     companyDescription: '',
-    wantsDemoCall: false
+    wantsDemoCall: false,
+    // Idempotency key for this signup — survives reloads so the backend can resume instead of duplicating
+    signupRequestId: null,
+    // Referral attribution sent with Stage A — kept so every later stage links the same parent
+    attribution: null
 };
 
-const SIGNUP_FLOW_STORAGE_KEY = 'stasher_signup_flow_state_v1';
+// Wizard progress kept in sessionStorage so a reload does not lose it.
+// Secrets never leave memory: the password is dropped, and once Stage A has created the
+// affiliate its ID and resume token stand in for it.
+const SIGNUP_FLOW_STORAGE_KEY = 'stasher_signup_flow_state_v2';
+const SIGNUP_FLOW_SCHEMA_VERSION = 2;
+const SIGNUP_FLOW_MAX_AGE_MS = 60 * 60 * 1000; // 1 hour — the lifetime of a Stage A resume token
+// Earlier versions stored the whole formState, password included
+const LEGACY_SIGNUP_FLOW_STORAGE_KEYS = ['stasher_signup_flow_state_v1'];
+const SIGNUP_FLOW_SECRET_FIELDS = ['password'];
 
 function persistSignupFlowState() {
+    const state = { ...formState };
+    SIGNUP_FLOW_SECRET_FIELDS.forEach(field => {
+        delete state[field];
+    });
+
     try {
         sessionStorage.setItem(SIGNUP_FLOW_STORAGE_KEY, JSON.stringify({
-            ...formState,
-            isInFlow: true
+            version: SIGNUP_FLOW_SCHEMA_VERSION,
+            expiresAt: Date.now() + SIGNUP_FLOW_MAX_AGE_MS,
+            isInFlow: true,
+            state,
+            stageA: createdAffiliateId ? { affiliateId: createdAffiliateId, resumeToken, email: stageAEmail } : null
         }));
     } catch (error) {
         console.warn('Could not persist signup flow state:', error);
     }
 }
 
+// Returns { state, stageA } or null if nothing valid is stored
 function loadSignupFlowState() {
     try {
+        LEGACY_SIGNUP_FLOW_STORAGE_KEYS.forEach(key => sessionStorage.removeItem(key));
+
         const raw = sessionStorage.getItem(SIGNUP_FLOW_STORAGE_KEY);
         if (!raw) return null;
-        const savedState = JSON.parse(raw);
-        if (!savedState || !savedState.isInFlow) return null;
-        const currentPage = Number(savedState.currentPage);
+        const saved = JSON.parse(raw);
+        if (!saved || !saved.isInFlow || saved.version !== SIGNUP_FLOW_SCHEMA_VERSION || !saved.state) {
+            return null;
+        }
+        if (!saved.expiresAt || Date.now() > saved.expiresAt) {
+            clearSignupFlowState();
+            return null;
+        }
+        const currentPage = Number(saved.state.currentPage);
         if (!Number.isInteger(currentPage) || currentPage < 1 || currentPage > 5) {
             return null;
         }
-        return savedState;
+        return saved;
     } catch (error) {
         console.warn('Could not load signup flow state:', error);
         return null;
     }
 }
 
+// Outcome of the final submission — kept in localStorage so it survives closing the tab
+const SUBMISSION_OUTCOME_STORAGE_KEY = 'stasher_signup_submission_v1';
+const SUBMISSION_OUTCOME_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+function saveSubmissionOutcome(status, errorMessage) {
+    try {
+        localStorage.setItem(SUBMISSION_OUTCOME_STORAGE_KEY, JSON.stringify({
+            status,
+            error: errorMessage || null,
+            email: formState.email,
+            signupRequestId: formState.signupRequestId,
+            updatedAt: Date.now()
+        }));
+    } catch (error) {
+        console.warn('Could not persist submission outcome:', error);
+    }
+}
+
+function loadSubmissionOutcome() {
+    try {
+        const raw = localStorage.getItem(SUBMISSION_OUTCOME_STORAGE_KEY);
+        if (!raw) return null;
+        const outcome = JSON.parse(raw);
+        if (!outcome || !outcome.status || !outcome.signupRequestId) return null;
+        if (!outcome.updatedAt || Date.now() - outcome.updatedAt > SUBMISSION_OUTCOME_MAX_AGE_MS) {
+            clearSubmissionOutcome();
+            return null;
+        }
+        return outcome;
+    } catch (error) {
+        console.warn('Could not load submission outcome:', error);
+        return null;
+    }
+}
+
+function clearSubmissionOutcome() {
+    try {
+        localStorage.removeItem(SUBMISSION_OUTCOME_STORAGE_KEY);
+    } catch (error) {
+        console.warn('Could not clear submission outcome:', error);
+    }
+}
+
+// Generate (once per signup) the idempotency key sent with every affiliate creation request
+function ensureSignupRequestId() {
+    if (!formState.signupRequestId) {
+        formState.signupRequestId = (window.crypto && typeof window.crypto.randomUUID === 'function')
+            ? window.crypto.randomUUID()
+            : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+    }
+    return formState.signupRequestId;
+}
+
 function clearSignupFlowState() {
     try {
         sessionStorage.removeItem(SIGNUP_FLOW_STORAGE_KEY);
@@ -125,17 +333,25 @@ function syncFormUiFromState() {
         acceptTerms.checked = !!formState.acceptTerms;
     }
 
+    const skipAddress = document.getElementById('skipAddress');
+    if (skipAddress) {
+        skipAddress.checked = !!formState.skipAddress;
+    }
+
     const fieldValues = {
         city: formState.city,
-        country: formState.country,
+        country: getCountryName(formState.country, formState.language),
         companyName: formState.companyName,
         companyWebsite: formState.companyWebsite,
         numberOfProperties: formState.numberOfProperties,
         city2: formState.city,
-        country2: formState.country,
+        country2: getCountryName(formState.country, formState.language),
         companyName2: formState.companyName,
         companyWebsite2: formState.companyWebsite,
-        companyDescription: formState.companyDescription
+        companyDescription: formState.companyDescription,
+        streetAddress: formState.streetAddress,
+        postalCode: formState.postalCode,
+        region: formState.region
     };
 
     Object.entries(fieldValues).forEach(([fieldId, value]) => {
@@ -154,10 +370,26 @@ function syncFormUiFromState() {
 }
 
 function restoreSignupFlow() {
-    const savedState = loadSignupFlowState();
-    if (!savedState) return false;
+    const saved = loadSignupFlowState();
+    if (!saved) return false;
+
+    Object.assign(formState, saved.state, { password: '' });
+    // Saved before countries were stored as codes
+    formState.country = findCountryCode(formState.country) || '';
+    // The parent sent with Stage A, even if the link's attribution has expired since
+    applyAttribution();
+    if (saved.stageA && saved.stageA.affiliateId) {
+        createdAffiliateId = saved.stageA.affiliateId;
+        resumeToken = saved.stageA.resumeToken || null;
+        // Saved before the Stage A email was stored - the token was issued for the email at the time
+        stageAEmail = saved.stageA.email || formState.email;
+    }
 
-    Object.assign(formState, savedState);
+    // Without a Stage A affiliate the password is still needed — ask for it again on page 3
+    const needsPassword = !isStageAEmail(formState.email) && formState.currentPage > 3;
+    if (needsPassword) {
+        formState.currentPage = 3;
+    }
     syncFormUiFromState();
 
     const landingPage = document.getElementById('landingPage');
@@ -177,150 +409,55 @@ function restoreSignupFlow() {
     showPage(formState.currentPage);
     updateProgressBar(formState.currentPage);
     updateContinueButton(formState.currentPage);
+
+    if (needsPassword) {
+        const passwordInput = document.getElementById('password');
+        if (passwordInput) {
+            showFieldError(passwordInput, getValidationMessage('passwordReenter'));
+        }
+    }
     return true;
 }
 
 // Affiliate ID created after Page 3 (Stage A)
 let createdAffiliateId = null;
+// Signed token returned by Stage A — must be sent back with every later stage
+let resumeToken = null;
+// Email Stage A created the affiliate with — the resume token is bound to it
+let stageAEmail = null;
 // Promise for Stage A — allows Stage B to await it if the user submits quickly
 let stageAPromise = null;
+// True while a Stage A request is in flight — prevents double-clicks from firing it twice
+let stageAInFlight = false;
+// Field errors returned by a rejected Stage A — shown instead of sending the legacy fallback
+let stageAFieldErrors = [];
 
 // Backend API Endpoint
 // This points to your AWS API Gateway endpoint
 const BACKEND_API_URL = 'https://wpnp6ab1ge.execute-api.eu-north-1.amazonaws.com/prod/create-affiliate';
 
-// Map program currency to Tapfiliate Program ID
-// These are the actual program IDs from your Tapfiliate dashboard
-const PROGRAM_ID_MAP = {
-    'USD': 'stasher-affiliates-usd',
-    'EUR': 'stasher-affiliate-program-sp',
-    'GBP': 'stasher-affiliate-program',
-    'AUD': 'jg-affiliate-program'
-};
-
-// Country name to ISO 3166-1 alpha-2 code mapping
-const COUNTRY_ISO_MAP = {
-    'United States': 'US',
-    'United Kingdom': 'GB',
-    'Canada': 'CA',
-    'Australia': 'AU',
-    'Germany': 'DE',
-    'France': 'FR',
-    'Spain': 'ES',
-    'Italy': 'IT',
-    'Netherlands': 'NL',
-    'Belgium': 'BE',
-    'Switzerland': 'CH',
-    'Austria': 'AT',
-    'Sweden': 'SE',
-    'Norway': 'NO',
-    'Denmark': 'DK',
-    'Finland': 'FI',
-    'Poland': 'PL',
-    'Portugal': 'PT',
-    'Greece': 'GR',
-    'Ireland': 'IE',
-    'Czech Republic': 'CZ',
-    'Hungary': 'HU',
-    'Romania': 'RO',
-    'Bulgaria': 'BG',
-    'Croatia': 'HR',
-    'Slovakia': 'SK',
-    'Slovenia': 'SI',
-    'Estonia': 'EE',
-    'Latvia': 'LV',
-    'Lithuania': 'LT',
-    'Luxembourg': 'LU',
-    'Malta': 'MT',
-    'Cyprus': 'CY',
-    'Japan': 'JP',
-    'South Korea': 'KR',
-    'China': 'CN',
-    'India': 'IN',
-    'Singapore': 'SG',
-    'Hong Kong': 'HK',
-    'Taiwan': 'TW',
-    'Thailand': 'TH',
-    'Malaysia': 'MY',
-    'Indonesia': 'ID',
-    'Philippines': 'PH',
-    'Vietnam': 'VN',
-    'New Zealand': 'NZ',
-    'South Africa': 'ZA',
-    'Brazil': 'BR',
-    'Mexico': 'MX',
-    'Argentina': 'AR',
-    'Chile': 'CL',
-    'Colombia': 'CO',
-    'Peru': 'PE',
-    'Uruguay': 'UY',
-    'Paraguay': 'PY',
-    'Ecuador': 'EC',
-    'Venezuela': 'VE',
-    'Costa Rica': 'CR',
-    'Panama': 'PA',
-    'Guatemala': 'GT',
-    'Honduras': 'HN',
-    'El Salvador': 'SV',
-    'Nicaragua': 'NI',
-    'Dominican Republic': 'DO',
-    'Jamaica': 'JM',
-    'Trinidad and Tobago': 'TT',
-    'Barbados': 'BB',
-    'Bahamas': 'BS',
-    'Belize': 'BZ',
-    'Guyana': 'GY',
-    'Suriname': 'SR',
-    'Bolivia': 'BO',
-    'Russia': 'RU',
-    'Ukraine': 'UA',
-    'Turkey': 'TR',
-    'Israel': 'IL',
-    'United Arab Emirates': 'AE',
-    'Saudi Arabia': 'SA',
-    'Qatar': 'QA',
-    'Kuwait': 'KW',
-    'Oman': 'OM',
-    'Bahrain': 'BH',
-    'Jordan': 'JO',
-    'Lebanon': 'LB',
-    'Egypt': 'EG',
-    'Morocco': 'MA',
-    'Tunisia': 'TN',
-    'Algeria': 'DZ',
-    'Kenya': 'KE',
-    'Nigeria': 'NG',
-    'Ghana': 'GH',
-    'Senegal': 'SN',
-    'Ivory Coast': 'CI',
-    'Tanzania': 'TZ',
-    'Uganda': 'UG',
-    'Ethiopia': 'ET',
-    'Rwanda': 'RW',
-    'Mauritius': 'MU'
-};
-
-// Helper function to get ISO country code
-function getCountryISOCode(countryName) {
-    return COUNTRY_ISO_MAP[countryName] || countryName.substring(0, 2).toUpperCase();
-}
-
-// Country List
-const countries = [
-    'United States', 'United Kingdom', 'Canada', 'Australia', 'Germany', 'France', 'Spain', 'Italy',
-    'Netherlands', 'Belgium', 'Switzerland', 'Austria', 'Sweden', 'Norway', 'Denmark', 'Finland',
-    'Poland', 'Portugal', 'Greece', 'Ireland', 'Czech Republic', 'Hungary', 'Romania', 'Bulgaria',
-    'Croatia', 'Slovakia', 'Slovenia', 'Estonia', 'Latvia', 'Lithuania', 'Luxembourg', 'Malta',
-    'Cyprus', 'Japan', 'South Korea', 'China', 'India', 'Singapore', 'Hong Kong', 'Taiwan',
-    'Thailand', 'Malaysia', 'Indonesia', 'Philippines', 'Vietnam', 'New Zealand', 'South Africa',
-    'Brazil', 'Mexico', 'Argentina', 'Chile', 'Colombia', 'Peru', 'Uruguay', 'Paraguay',
-    'Ecuador', 'Venezuela', 'Costa Rica', 'Panama', 'Guatemala', 'Honduras', 'El Salvador',
-    'Nicaragua', 'Dominican Republic', 'Jamaica', 'Trinidad and Tobago', 'Barbados', 'Bahamas',
-    'Belize', 'Guyana', 'Suriname', 'Bolivia', 'Russia', 'Ukraine', 'Turkey', 'Israel',
-    'United Arab Emirates', 'Saudi Arabia', 'Qatar', 'Kuwait', 'Oman', 'Bahrain', 'Jordan',
-    'Lebanon', 'Egypt', 'Morocco', 'Tunisia', 'Algeria', 'Kenya', 'Nigeria', 'Ghana',
-    'Senegal', 'Ivory Coast', 'Tanzania', 'Uganda', 'Ethiopia', 'Rwanda', 'Mauritius'
-];
+// Programs, company types and commission types - owned by the Lambda (signupConfig.js).
+// The wizard sends the chosen currency as `program`; the Lambda maps it to the Tapfiliate program.
+const SIGNUP_CONFIG_URL = `${BACKEND_API_URL}/config`;
+
+// Countries come from countries.js (window.StasherCountries), shared with the Lambda.
+// formState.country holds the ISO 3166-1 alpha-2 code; inputs show the name in the UI language.
+const {
+    COUNTRIES,
+    normalizeCountryName,
+    findCountryCode,
+    getCountryName,
+    getCountryList,
+    usesPostalCode,
+    getPostalCodeFormat,
+    isValidPostalCode
+} = window.StasherCountries;
+
+// IBAN, SWIFT and VAT checks come from payoutFormats.js (window.StasherPayoutFormats), also shared with the Lambda
+const { isValidIban, isValidSwift, isValidVatNumber, getVatPrefix } = window.StasherPayoutFormats;
+
+// Sent instead of a street and postal code when the partner skips the address step
+const ADDRESS_PLACEHOLDER = 'n/a';
 
 // Translation dictionaries
 const TEXT_TRANSLATIONS_DE = {
@@ -454,6 +591,27 @@ const TEXT_TRANSLATIONS_DE = {
     "Email": "E-Mail",
     "Company Name": "Firmenname",
     "Location": "Standort",
+    "Postal address": "Postanschrift",
+    "We use it to pay you and to issue your invoices.": "Wir benötigen sie für Ihre Auszahlungen und Rechnungen.",
+    "Street address *": "Straße und Hausnummer *",
+    "Postal code *": "Postleitzahl *",
+    "Skip for now – I'll add my address later": "Jetzt überspringen – ich ergänze meine Adresse später",
+    "Address": "Adresse",
+    "Skipped": "Übersprungen",
+    "Invited by": "Eingeladen von",
+    "A Stasher partner": "Ein Stasher-Partner",
+    "Check your inbox": "Prüfen Sie Ihren Posteingang",
+    "Verification code *": "Bestätigungscode *",
+    "Send a new code": "Neuen Code senden",
+    "Verify": "Bestätigen",
+    "Get ready for your first payout": "Bereit für Ihre erste Auszahlung",
+    "Tell us how you'd like to be paid so your first commission isn't held up.": "Teilen Sie uns mit, wie Sie bezahlt werden möchten, damit Ihre erste Provision nicht aufgehalten wird.",
+    "Payout method": "Auszahlungsmethode",
+    "Bank transfer": "Banküberweisung",
+    "PayPal email *": "PayPal-E-Mail *",
+    "Account holder *": "Kontoinhaber *",
+    "I'm invoicing as a business": "Ich stelle Rechnungen als Unternehmen aus",
+    "Save payout details": "Auszahlungsdaten speichern",
     "Website": "Website",
     "Description": "Beschreibung",
     "Final Step – Almost There!": "Letzter Schritt – fast geschafft!",
@@ -468,6 +626,12 @@ const TEXT_TRANSLATIONS_DE = {
     "This email contains your unique referral link and instructions for adding it to your guest communications.": "Diese E-Mail enthält Ihren individuellen Empfehlungslink und Anweisungen für Ihre Gästekommunikation.",
     "Go to dashboard": "Zum Dashboard",
     "Return home": "Zurück zur Startseite",
+    "Finishing your registration...": "Ihre Registrierung wird abgeschlossen...",
+    "This only takes a few seconds. You'll receive your confirmation email as soon as it's done.": "Das dauert nur wenige Sekunden. Sie erhalten Ihre Bestätigungs-E-Mail, sobald alles abgeschlossen ist.",
+    "We couldn't complete your registration": "Wir konnten Ihre Registrierung nicht abschließen",
+    "Try again": "Erneut versuchen",
+    "Recommended": "Empfohlen",
+    "We couldn't confirm your registration. Please try again.": "Wir konnten Ihre Registrierung nicht bestätigen. Bitte versuchen Sie es erneut.",
     "Helping hospitality partners create effortless luggage storage experiences for their guests.": "Wir helfen Hospitality-Partnern, ihren Gästen mühelose Gepäckaufbewahrung zu bieten.",
     "How it works": "So funktioniert es",
     "Get started": "Jetzt starten",
@@ -489,6 +653,7 @@ const PLACEHOLDER_TRANSLATIONS_DE = {
     "Enter a secure password": "Geben Sie ein sicheres Passwort ein",
     "e.g. London, New York, Paris": "z. B. London, New York, Paris",
     "Start typing to find your country": "Beginnen Sie zu tippen, um Ihr Land zu finden",
+    "e.g. 221B Baker Street": "z. B. Hauptstraße 1",
     "Enter your company name": "Geben Sie Ihren Firmennamen ein",
     "https://www.example.com": "https://www.beispiel.com",
     "e.g. 5, 10, 20": "z. B. 5, 10, 20",
@@ -625,6 +790,27 @@ const TEXT_TRANSLATIONS_FR = {
     "Email": "E-mail",
     "Company Name": "Nom de l'entreprise",
     "Location": "Emplacement",
+    "Postal address": "Adresse postale",
+    "We use it to pay you and to issue your invoices.": "Elle nous sert à vous payer et à émettre vos factures.",
+    "Street address *": "Adresse *",
+    "Postal code *": "Code postal *",
+    "Skip for now – I'll add my address later": "Passer pour l\'instant – j\'ajouterai mon adresse plus tard",
+    "Address": "Adresse",
+    "Skipped": "Ignorée",
+    "Invited by": "Invité par",
+    "A Stasher partner": "Un partenaire Stasher",
+    "Check your inbox": "Vérifiez votre boîte de réception",
+    "Verification code *": "Code de vérification *",
+    "Send a new code": "Envoyer un nouveau code",
+    "Verify": "Vérifier",
+    "Get ready for your first payout": "Préparez votre premier paiement",
+    "Tell us how you'd like to be paid so your first commission isn't held up.": "Indiquez-nous comment vous souhaitez être payé pour que votre première commission ne soit pas retardée.",
+    "Payout method": "Mode de paiement",
+    "Bank transfer": "Virement bancaire",
+    "PayPal email *": "E-mail PayPal *",
+    "Account holder *": "Titulaire du compte *",
+    "I'm invoicing as a business": "Je facture en tant qu'entreprise",
+    "Save payout details": "Enregistrer les informations de paiement",
     "Website": "Site Web",
     "Description": "Description",
     "Final Step – Almost There!": "Étape finale – presque terminé !",
@@ -639,6 +825,12 @@ const TEXT_TRANSLATIONS_FR = {
     "This email contains your unique referral link and instructions for adding it to your guest communications.": "Cet e-mail contient votre lien de parrainage unique et les instructions pour l'ajouter à vos communications avec les invités.",
     "Go to dashboard": "Aller au tableau de bord",
     "Return home": "Retour à l'accueil",
+    "Finishing your registration...": "Finalisation de votre inscription...",
+    "This only takes a few seconds. You'll receive your confirmation email as soon as it's done.": "Cela ne prend que quelques secondes. Vous recevrez votre e-mail de confirmation dès que ce sera terminé.",
+    "We couldn't complete your registration": "Nous n'avons pas pu finaliser votre inscription",
+    "Try again": "Réessayer",
+    "Recommended": "Recommandé",
+    "We couldn't confirm your registration. Please try again.": "Nous n'avons pas pu confirmer votre inscription. Veuillez réessayer.",
     "Helping hospitality partners create effortless luggage storage experiences for their guests.": "Aider les partenaires hôteliers à créer des expériences de stockage de bagages sans effort pour leurs invités.",
     "How it works": "Comment ça marche",
     "Get started": "Commencer",
@@ -660,6 +852,7 @@ const PLACEHOLDER_TRANSLATIONS_FR = {
     "Enter a secure password": "Entrez un mot de passe sécurisé",
     "e.g. London, New York, Paris": "ex. Londres, New York, Paris",
     "Start typing to find your country": "Commencez à taper pour trouver votre pays",
+    "e.g. 221B Baker Street": "ex. 12 rue de Rivoli",
     "Enter your company name": "Entrez le nom de votre entreprise",
     "https://www.example.com": "https://www.exemple.com",
     "e.g. 5, 10, 20": "ex. 5, 10, 20",
@@ -796,6 +989,27 @@ const TEXT_TRANSLATIONS_ES = {
     "Email": "Correo electrónico",
     "Company Name": "Nombre de la empresa",
     "Location": "Ubicación",
+    "Postal address": "Dirección postal",
+    "We use it to pay you and to issue your invoices.": "La usamos para pagarte y emitir tus facturas.",
+    "Street address *": "Dirección *",
+    "Postal code *": "Código postal *",
+    "Skip for now – I'll add my address later": "Omitir por ahora – añadiré mi dirección más tarde",
+    "Address": "Dirección",
+    "Skipped": "Omitida",
+    "Invited by": "Invitado por",
+    "A Stasher partner": "Un partner de Stasher",
+    "Check your inbox": "Revisa tu bandeja de entrada",
+    "Verification code *": "Código de verificación *",
+    "Send a new code": "Enviar un código nuevo",
+    "Verify": "Verificar",
+    "Get ready for your first payout": "Prepárate para tu primer pago",
+    "Tell us how you'd like to be paid so your first commission isn't held up.": "Dinos cómo quieres cobrar para que tu primera comisión no se retrase.",
+    "Payout method": "Método de pago",
+    "Bank transfer": "Transferencia bancaria",
+    "PayPal email *": "Correo de PayPal *",
+    "Account holder *": "Titular de la cuenta *",
+    "I'm invoicing as a business": "Facturo como empresa",
+    "Save payout details": "Guardar datos de pago",
     "Website": "Sitio web",
     "Description": "Descripción",
     "Final Step – Almost There!": "¡Paso final - casi terminado!",
@@ -810,6 +1024,12 @@ const TEXT_TRANSLATIONS_ES = {
     "This email contains your unique referral link and instructions for adding it to your guest communications.": "Este correo electrónico contiene tu enlace de referencia único e instrucciones para agregarlo a tus comunicaciones con los huéspedes.",
     "Go to dashboard": "Ir al panel",
     "Return home": "Volver al inicio",
+    "Finishing your registration...": "Finalizando tu registro...",
+    "This only takes a few seconds. You'll receive your confirmation email as soon as it's done.": "Solo tardará unos segundos. Recibirás tu correo electrónico de confirmación en cuanto esté listo.",
+    "We couldn't complete your registration": "No pudimos completar tu registro",
+    "Try again": "Intentar de nuevo",
+    "Recommended": "Recomendado",
+    "We couldn't confirm your registration. Please try again.": "No pudimos confirmar tu registro. Por favor, inténtalo de nuevo.",
     "Helping hospitality partners create effortless luggage storage experiences for their guests.": "Ayudando a los socios de hostelería a crear experiencias de almacenamiento de equipaje sin esfuerzo para sus huéspedes.",
     "How it works": "Cómo funciona",
     "Get started": "Comenzar",
@@ -954,6 +1174,27 @@ const TEXT_TRANSLATIONS_IT = {
     "Email": "Email",
     "Company Name": "Nome dell'azienda",
     "Location": "Ubicazione",
+    "Postal address": "Indirizzo postale",
+    "We use it to pay you and to issue your invoices.": "Ci serve per pagarti ed emettere le tue fatture.",
+    "Street address *": "Indirizzo *",
+    "Postal code *": "CAP *",
+    "Skip for now – I'll add my address later": "Salta per ora – aggiungerò il mio indirizzo più tardi",
+    "Address": "Indirizzo",
+    "Skipped": "Saltato",
+    "Invited by": "Invitato da",
+    "A Stasher partner": "Un partner Stasher",
+    "Check your inbox": "Controlla la tua casella di posta",
+    "Verification code *": "Codice di verifica *",
+    "Send a new code": "Invia un nuovo codice",
+    "Verify": "Verifica",
+    "Get ready for your first payout": "Preparati al tuo primo pagamento",
+    "Tell us how you'd like to be paid so your first commission isn't held up.": "Dicci come preferisci essere pagato, così la tua prima commissione non verrà trattenuta.",
+    "Payout method": "Metodo di pagamento",
+    "Bank transfer": "Bonifico bancario",
+    "PayPal email *": "Email PayPal *",
+    "Account holder *": "Intestatario del conto *",
+    "I'm invoicing as a business": "Fatturo come azienda",
+    "Save payout details": "Salva i dati di pagamento",
     "Website": "Sito web",
     "Description": "Descrizione",
     "Final Step – Almost There!": "Passo finale – quasi fatto!",
@@ -968,6 +1209,12 @@ const TEXT_TRANSLATIONS_IT = {
     "This email contains your unique referral link and instructions for adding it to your guest communications.": "Questa email contiene il tuo link di riferimento unico e le istruzioni per aggiungerlo alle tue comunicazioni con gli ospiti.",
     "Go to dashboard": "Vai alla dashboard",
     "Return home": "Torna alla home",
+    "Finishing your registration...": "Stiamo completando la tua registrazione...",
+    "This only takes a few seconds. You'll receive your confirmation email as soon as it's done.": "Ci vorranno solo pochi secondi. Riceverai l'email di conferma non appena sarà completata.",
+    "We couldn't complete your registration": "Non siamo riusciti a completare la tua registrazione",
+    "Try again": "Riprova",
+    "Recommended": "Consigliato",
+    "We couldn't confirm your registration. Please try again.": "Non siamo riusciti a confermare la tua registrazione. Riprova.",
     "Helping hospitality partners create effortless luggage storage experiences for their guests.": "Aiutare i partner dell'ospitalità a creare esperienze di deposito bagagli senza sforzo per i loro ospiti.",
     "How it works": "Come funziona",
     "Get started": "Inizia",
@@ -989,6 +1236,7 @@ const PLACEHOLDER_TRANSLATIONS_ES = {
     "Enter a secure password": "Ingresa una contraseña segura",
     "e.g. London, New York, Paris": "ej. Londres, Nueva York, París",
     "Start typing to find your country": "Comienza a escribir para encontrar tu país",
+    "e.g. 221B Baker Street": "ej. Calle Mayor 1",
     "Enter your company name": "Ingresa el nombre de tu empresa",
     "https://www.example.com": "https://www.ejemplo.com",
     "e.g. 5, 10, 20": "ej. 5, 10, 20",
@@ -1002,6 +1250,7 @@ const PLACEHOLDER_TRANSLATIONS_IT = {
     "Enter a secure password": "Inserisci una password sicura",
     "e.g. London, New York, Paris": "es. Londra, New York, Parigi",
     "Start typing to find your country": "Inizia a digitare per trovare il tuo paese",
+    "e.g. 221B Baker Street": "es. Via Roma 1",
     "Enter your company name": "Inserisci il nome della tua azienda",
     "https://www.example.com": "https://www.esempio.com",
     "e.g. 5, 10, 20": "es. 5, 10, 20",
@@ -1064,6 +1313,34 @@ const HTML_TRANSLATIONS = [
         fr: 'Description de l\'entreprise <span class="optional">(optionnel)</span>',
         es: 'Descripción de la empresa <span class="optional">(opcional)</span>',
         it: 'Descrizione dell\'azienda <span class="optional">(opzionale)</span>'
+    },
+    {
+        selector: 'label[for="region"]',
+        de: 'Region / Bundesland <span class="optional">(optional)</span>',
+        fr: 'Région / État <span class="optional">(optionnel)</span>',
+        es: 'Región / Estado <span class="optional">(opcional)</span>',
+        it: 'Regione / Stato <span class="optional">(opzionale)</span>'
+    },
+    {
+        selector: 'label[for="swift"]',
+        de: 'SWIFT / BIC <span class="optional">(optional)</span>',
+        fr: 'SWIFT / BIC <span class="optional">(optionnel)</span>',
+        es: 'SWIFT / BIC <span class="optional">(opcional)</span>',
+        it: 'SWIFT / BIC <span class="optional">(opzionale)</span>'
+    },
+    {
+        selector: 'label[for="vatNumber"]',
+        de: 'USt-IdNr. <span class="optional">(optional)</span>',
+        fr: 'Numéro de TVA <span class="optional">(optionnel)</span>',
+        es: 'Número de IVA <span class="optional">(opcional)</span>',
+        it: 'Partita IVA <span class="optional">(opzionale)</span>'
+    },
+    {
+        selector: 'label[for="companyRegistrationNumber"]',
+        de: 'Handelsregisternummer <span class="optional">(optional)</span>',
+        fr: 'Numéro d\'immatriculation (SIREN/RCS) <span class="optional">(optionnel)</span>',
+        es: 'Número de registro mercantil <span class="optional">(opcional)</span>',
+        it: 'Numero di iscrizione al registro delle imprese <span class="optional">(opzionale)</span>'
     }
 ];
 
@@ -1074,6 +1351,300 @@ const VALIDATION_TRANSLATIONS = {
         fr: 'Veuillez sélectionner un pays dans la liste',
         es: 'Por favor selecciona un país de la lista',
         it: 'Si prega di selezionare un paese dall\'elenco'
+    },
+    emailTaken: {
+        en: 'An account with this email already exists. Use another email or log in to your dashboard.',
+        de: 'Mit dieser E-Mail-Adresse existiert bereits ein Konto. Verwenden Sie eine andere E-Mail-Adresse oder melden Sie sich in Ihrem Dashboard an.',
+        fr: 'Un compte existe déjà avec cette adresse e-mail. Utilisez une autre adresse ou connectez-vous à votre tableau de bord.',
+        es: 'Ya existe una cuenta con este correo electrónico. Usa otro correo o inicia sesión en tu panel.',
+        it: 'Esiste già un account con questa email. Usa un\'altra email o accedi alla tua dashboard.'
+    },
+    emailInvalid: {
+        en: 'Please enter a valid email address',
+        de: 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+        fr: 'Veuillez saisir une adresse e-mail valide',
+        es: 'Por favor introduce un correo electrónico válido',
+        it: 'Si prega di inserire un indirizzo email valido'
+    },
+    passwordTooShort: {
+        en: 'Your password must be at least 8 characters',
+        de: 'Ihr Passwort muss mindestens 8 Zeichen lang sein',
+        fr: 'Votre mot de passe doit contenir au moins 8 caractères',
+        es: 'Tu contraseña debe tener al menos 8 caracteres',
+        it: 'La password deve contenere almeno 8 caratteri'
+    },
+    passwordRejected: {
+        en: 'This password was not accepted. Please choose a stronger password',
+        de: 'Dieses Passwort wurde nicht akzeptiert. Bitte wählen Sie ein sichereres Passwort',
+        fr: 'Ce mot de passe n\'a pas été accepté. Veuillez choisir un mot de passe plus sûr',
+        es: 'Esta contraseña no fue aceptada. Por favor elige una contraseña más segura',
+        it: 'Questa password non è stata accettata. Si prega di scegliere una password più sicura'
+    },
+    fieldRequired: {
+        en: 'This field is required',
+        de: 'Dieses Feld ist erforderlich',
+        fr: 'Ce champ est obligatoire',
+        es: 'Este campo es obligatorio',
+        it: 'Questo campo è obbligatorio'
+    },
+    fieldTooLong: {
+        en: 'This value is too long',
+        de: 'Dieser Wert ist zu lang',
+        fr: 'Cette valeur est trop longue',
+        es: 'Este valor es demasiado largo',
+        it: 'Questo valore è troppo lungo'
+    },
+    passwordReenter: {
+        en: 'For your security we don\'t keep your password. Please enter it again to continue',
+        de: 'Zu Ihrer Sicherheit speichern wir Ihr Passwort nicht. Bitte geben Sie es erneut ein, um fortzufahren',
+        fr: 'Pour votre sécurité, nous ne conservons pas votre mot de passe. Veuillez le saisir à nouveau pour continuer',
+        es: 'Por tu seguridad no guardamos tu contraseña. Por favor introdúcela de nuevo para continuar',
+        it: 'Per la tua sicurezza non conserviamo la password. Si prega di inserirla di nuovo per continuare'
+    },
+    programsLoading: {
+        en: 'Loading currencies…',
+        de: 'Währungen werden geladen…',
+        fr: 'Chargement des devises…',
+        es: 'Cargando monedas…',
+        it: 'Caricamento delle valute…'
+    },
+    programsUnavailable: {
+        en: 'We couldn\'t load the available currencies. Please check your connection and try again',
+        de: 'Die verfügbaren Währungen konnten nicht geladen werden. Bitte prüfen Sie Ihre Verbindung und versuchen Sie es erneut',
+        fr: 'Impossible de charger les devises disponibles. Veuillez vérifier votre connexion et réessayer',
+        es: 'No pudimos cargar las monedas disponibles. Por favor revisa tu conexión e inténtalo de nuevo',
+        it: 'Non è stato possibile caricare le valute disponibili. Si prega di controllare la connessione e riprovare'
+    },
+    postalCodeExample: {
+        en: 'e.g. {example}',
+        de: 'z. B. {example}',
+        fr: 'ex. {example}',
+        es: 'ej. {example}',
+        it: 'es. {example}'
+    },
+    postalCodeInvalid: {
+        en: 'Please enter a valid postal code for this country',
+        de: 'Bitte geben Sie eine gültige Postleitzahl für dieses Land ein',
+        fr: 'Veuillez saisir un code postal valide pour ce pays',
+        es: 'Introduce un código postal válido para este país',
+        it: 'Inserisci un CAP valido per questo paese'
+    },
+    countryMatches: {
+        en: '{count} countries found',
+        de: '{count} Länder gefunden',
+        fr: '{count} pays trouvés',
+        es: '{count} países encontrados',
+        it: '{count} paesi trovati'
+    },
+    noCountryMatches: {
+        en: 'No matching countries',
+        de: 'Keine passenden Länder',
+        fr: 'Aucun pays correspondant',
+        es: 'Ningún país coincide',
+        it: 'Nessun paese corrispondente'
+    },
+    programCountryMismatch: {
+        en: 'Partners in {country} are usually paid in {recommended}, but you chose {chosen}. Your currency can\'t be changed after signup',
+        de: 'Partner in {country} werden normalerweise in {recommended} bezahlt, Sie haben jedoch {chosen} gewählt. Die Währung kann nach der Anmeldung nicht mehr geändert werden',
+        fr: 'Les partenaires en {country} sont généralement payés en {recommended}, mais vous avez choisi {chosen}. La devise ne peut plus être modifiée après l\'inscription',
+        es: 'Los socios en {country} suelen cobrar en {recommended}, pero elegiste {chosen}. La moneda no se puede cambiar después del registro',
+        it: 'I partner in {country} vengono solitamente pagati in {recommended}, ma hai scelto {chosen}. La valuta non può essere modificata dopo la registrazione'
+    },
+    switchProgram: {
+        en: 'Switch to {currency}',
+        de: 'Zu {currency} wechseln',
+        fr: 'Passer en {currency}',
+        es: 'Cambiar a {currency}',
+        it: 'Passa a {currency}'
+    },
+    keepProgram: {
+        en: 'Keep {currency}',
+        de: '{currency} beibehalten',
+        fr: 'Conserver {currency}',
+        es: 'Mantener {currency}',
+        it: 'Mantieni {currency}'
+    },
+    programRetired: {
+        en: 'This currency is no longer available. Please choose another one',
+        de: 'Diese Währung ist nicht mehr verfügbar. Bitte wählen Sie eine andere',
+        fr: 'Cette devise n\'est plus disponible. Veuillez en choisir une autre',
+        es: 'Esta moneda ya no está disponible. Por favor elige otra',
+        it: 'Questa valuta non è più disponibile. Si prega di sceglierne un\'altra'
+    },
+    ibanInvalid: {
+        en: 'Please enter a valid IBAN',
+        de: 'Bitte geben Sie eine gültige IBAN ein',
+        fr: 'Veuillez saisir un IBAN valide',
+        es: 'Introduce un IBAN válido',
+        it: 'Inserisci un IBAN valido'
+    },
+    swiftInvalid: {
+        en: 'Please enter a valid SWIFT / BIC code (8 or 11 characters)',
+        de: 'Bitte geben Sie einen gültigen SWIFT-/BIC-Code ein (8 oder 11 Zeichen)',
+        fr: 'Veuillez saisir un code SWIFT / BIC valide (8 ou 11 caractères)',
+        es: 'Introduce un código SWIFT / BIC válido (8 u 11 caracteres)',
+        it: 'Inserisci un codice SWIFT / BIC valido (8 o 11 caratteri)'
+    },
+    vatInvalid: {
+        en: 'Please enter a valid VAT number, including the country prefix',
+        de: 'Bitte geben Sie eine gültige USt-IdNr. mit Länderkennung ein',
+        fr: 'Veuillez saisir un numéro de TVA valide, avec le préfixe du pays',
+        es: 'Introduce un número de IVA válido, con el prefijo del país',
+        it: 'Inserisci una partita IVA valida, con il prefisso del paese'
+    },
+    vatPrefixHint: {
+        en: 'Starts with {prefix}',
+        de: 'Beginnt mit {prefix}',
+        fr: 'Commence par {prefix}',
+        es: 'Empieza por {prefix}',
+        it: 'Inizia con {prefix}'
+    },
+    payoutSaved: {
+        en: 'Thanks! Your payout details have been saved',
+        de: 'Danke! Ihre Auszahlungsdaten wurden gespeichert',
+        fr: 'Merci ! Vos informations de paiement ont été enregistrées',
+        es: '¡Gracias! Tus datos de pago se han guardado',
+        it: 'Grazie! I tuoi dati di pagamento sono stati salvati'
+    },
+    payoutFailed: {
+        en: 'We couldn\'t save your payout details. Please try again or email partnerships@stasher.com',
+        de: 'Ihre Auszahlungsdaten konnten nicht gespeichert werden. Bitte versuchen Sie es erneut oder schreiben Sie an partnerships@stasher.com',
+        fr: 'Impossible d\'enregistrer vos informations de paiement. Veuillez réessayer ou écrire à partnerships@stasher.com',
+        es: 'No pudimos guardar tus datos de pago. Inténtalo de nuevo o escribe a partnerships@stasher.com',
+        it: 'Non è stato possibile salvare i dati di pagamento. Riprova o scrivi a partnerships@stasher.com'
+    },
+    emailTypo: {
+        en: 'Did you mean {suggestion}?',
+        de: 'Meinten Sie {suggestion}?',
+        fr: 'Vouliez-vous dire {suggestion} ?',
+        es: '¿Quisiste decir {suggestion}?',
+        it: 'Intendevi {suggestion}?'
+    },
+    useSuggestedEmail: {
+        en: 'Use {suggestion}',
+        de: '{suggestion} verwenden',
+        fr: 'Utiliser {suggestion}',
+        es: 'Usar {suggestion}',
+        it: 'Usa {suggestion}'
+    },
+    keepEmail: {
+        en: 'No, my email is correct',
+        de: 'Nein, meine E-Mail-Adresse ist korrekt',
+        fr: 'Non, mon adresse e-mail est correcte',
+        es: 'No, mi correo es correcto',
+        it: 'No, la mia email è corretta'
+    },
+    emailDisposable: {
+        en: 'Please use a permanent email address - temporary inboxes can\'t receive your partner emails',
+        de: 'Bitte verwenden Sie eine dauerhafte E-Mail-Adresse – temporäre Postfächer können Ihre Partner-E-Mails nicht empfangen',
+        fr: 'Veuillez utiliser une adresse e-mail permanente – les boîtes temporaires ne peuvent pas recevoir vos e-mails partenaire',
+        es: 'Usa una dirección de correo permanente: los buzones temporales no pueden recibir tus correos de socio',
+        it: 'Usa un indirizzo email permanente: le caselle temporanee non possono ricevere le tue email da partner'
+    },
+    emailDomainUnreachable: {
+        en: 'This email domain can\'t receive mail. Please check the address',
+        de: 'Diese E-Mail-Domain kann keine E-Mails empfangen. Bitte überprüfen Sie die Adresse',
+        fr: 'Ce domaine ne peut pas recevoir d\'e-mails. Veuillez vérifier l\'adresse',
+        es: 'Este dominio no puede recibir correos. Por favor revisa la dirección',
+        it: 'Questo dominio non può ricevere email. Si prega di controllare l\'indirizzo'
+    },
+    invitedBy: {
+        en: 'You were invited by {name}',
+        de: 'Sie wurden von {name} eingeladen',
+        fr: 'Vous avez été invité par {name}',
+        es: 'Te ha invitado {name}',
+        it: 'Sei stato invitato da {name}'
+    },
+    invitedByPartner: {
+        en: 'You were invited by a Stasher partner',
+        de: 'Sie wurden von einem Stasher-Partner eingeladen',
+        fr: 'Vous avez été invité par un partenaire Stasher',
+        es: 'Te ha invitado un partner de Stasher',
+        it: 'Sei stato invitato da un partner Stasher'
+    },
+    referralNotFound: {
+        en: 'We couldn\'t find the partner behind this invite link, so your account won\'t be linked to them. You can still sign up - or ask them for a new link.',
+        de: 'Wir konnten den Partner hinter diesem Einladungslink nicht finden, daher wird Ihr Konto nicht mit ihm verknüpft. Sie können sich trotzdem anmelden - oder ihn um einen neuen Link bitten.',
+        fr: 'Nous n\'avons pas trouvé le partenaire associé à ce lien d\'invitation, votre compte ne lui sera donc pas rattaché. Vous pouvez quand même vous inscrire - ou lui demander un nouveau lien.',
+        es: 'No encontramos al partner de este enlace de invitación, así que tu cuenta no quedará vinculada a él. Puedes registrarte igualmente o pedirle un enlace nuevo.',
+        it: 'Non abbiamo trovato il partner di questo link di invito, quindi il tuo account non sarà collegato a lui. Puoi comunque registrarti oppure chiedergli un nuovo link.'
+    },
+    emailNotVerified: {
+        en: 'Please verify your email address to finish your signup',
+        de: 'Bitte bestätigen Sie Ihre E-Mail-Adresse, um die Anmeldung abzuschließen',
+        fr: 'Veuillez vérifier votre adresse e-mail pour terminer votre inscription',
+        es: 'Verifica tu correo electrónico para completar el registro',
+        it: 'Verifica il tuo indirizzo email per completare la registrazione'
+    },
+    codeSentTo: {
+        en: 'We sent a 6-digit code to {email}. Enter it below to confirm it\'s your email.',
+        de: 'Wir haben einen 6-stelligen Code an {email} gesendet. Geben Sie ihn unten ein, um Ihre E-Mail-Adresse zu bestätigen.',
+        fr: 'Nous avons envoyé un code à 6 chiffres à {email}. Saisissez-le ci-dessous pour confirmer votre adresse e-mail.',
+        es: 'Hemos enviado un código de 6 dígitos a {email}. Introdúcelo abajo para confirmar tu correo.',
+        it: 'Abbiamo inviato un codice di 6 cifre a {email}. Inseriscilo qui sotto per confermare la tua email.'
+    },
+    codeMismatch: {
+        en: 'That code isn\'t right. {remaining} attempts left',
+        de: 'Dieser Code ist nicht korrekt. Noch {remaining} Versuche',
+        fr: 'Ce code est incorrect. Encore {remaining} tentatives',
+        es: 'Ese código no es correcto. Quedan {remaining} intentos',
+        it: 'Il codice non è corretto. Tentativi rimasti: {remaining}'
+    },
+    codeExpired: {
+        en: 'This code is no longer valid. Please send a new code',
+        de: 'Dieser Code ist nicht mehr gültig. Bitte fordern Sie einen neuen Code an',
+        fr: 'Ce code n\'est plus valide. Veuillez demander un nouveau code',
+        es: 'Este código ya no es válido. Solicita un código nuevo',
+        it: 'Questo codice non è più valido. Richiedi un nuovo codice'
+    },
+    codeInvalid: {
+        en: 'Please enter the 6-digit code from the email',
+        de: 'Bitte geben Sie den 6-stelligen Code aus der E-Mail ein',
+        fr: 'Veuillez saisir le code à 6 chiffres reçu par e-mail',
+        es: 'Introduce el código de 6 dígitos del correo',
+        it: 'Inserisci il codice di 6 cifre ricevuto via email'
+    },
+    codeResent: {
+        en: 'A new code is on its way',
+        de: 'Ein neuer Code ist unterwegs',
+        fr: 'Un nouveau code est en route',
+        es: 'Un código nuevo está en camino',
+        it: 'Un nuovo codice è in arrivo'
+    },
+    codeRecentlySent: {
+        en: 'We sent you a code less than a minute ago. Please check your inbox and spam folder',
+        de: 'Wir haben Ihnen vor weniger als einer Minute einen Code gesendet. Bitte prüfen Sie Ihren Posteingang und Spam-Ordner',
+        fr: 'Nous vous avons envoyé un code il y a moins d\'une minute. Vérifiez votre boîte de réception et vos spams',
+        es: 'Te enviamos un código hace menos de un minuto. Revisa tu bandeja de entrada y la carpeta de spam',
+        it: 'Ti abbiamo inviato un codice meno di un minuto fa. Controlla la posta in arrivo e lo spam'
+    },
+    codeSendFailed: {
+        en: 'We couldn\'t send a verification code. Please try again in a moment',
+        de: 'Der Bestätigungscode konnte nicht gesendet werden. Bitte versuchen Sie es gleich noch einmal',
+        fr: 'Impossible d\'envoyer le code de vérification. Veuillez réessayer dans un instant',
+        es: 'No pudimos enviar el código de verificación. Inténtalo de nuevo en un momento',
+        it: 'Non è stato possibile inviare il codice di verifica. Riprova tra un momento'
+    },
+    codeLimitReached: {
+        en: 'You have requested too many codes. Please use the last code we sent or contact us to finish your signup',
+        de: 'Sie haben zu viele Codes angefordert. Bitte verwenden Sie den zuletzt gesendeten Code oder kontaktieren Sie uns, um Ihre Anmeldung abzuschließen',
+        fr: 'Vous avez demandé trop de codes. Utilisez le dernier code envoyé ou contactez-nous pour finaliser votre inscription',
+        es: 'Has solicitado demasiados códigos. Usa el último código que te enviamos o contáctanos para completar tu registro',
+        it: 'Hai richiesto troppi codici. Usa l\'ultimo codice che ti abbiamo inviato o contattaci per completare la registrazione'
+    },
+    codeVerifyFailed: {
+        en: 'We couldn\'t check your code. Please try again',
+        de: 'Ihr Code konnte nicht geprüft werden. Bitte versuchen Sie es erneut',
+        fr: 'Impossible de vérifier votre code. Veuillez réessayer',
+        es: 'No pudimos comprobar tu código. Inténtalo de nuevo',
+        it: 'Non è stato possibile verificare il codice. Riprova'
+    },
+    fieldInvalid: {
+        en: 'Please check this value',
+        de: 'Bitte überprüfen Sie diesen Wert',
+        fr: 'Veuillez vérifier cette valeur',
+        es: 'Por favor revisa este valor',
+        it: 'Si prega di controllare questo valore'
     }
 };
 
@@ -1084,11 +1655,13 @@ const htmlTranslationRegistry = [];
 // Initialize
 document.addEventListener('DOMContentLoaded', function() {
     initializeLandingPage();
+    captureParentId();
     initializeForm();
-    populateCountries();
     setupEventListeners();
     setupProgressBarNavigation();
     initI18n();
+    loadSignupConfig();
+    lookupReferral();
 });
 
 // Initialize Landing Page
@@ -1198,6 +1771,7 @@ function showSignupForm() {
     
     // Start on Page 1 (Company Type)
     formState.currentPage = 1;
+    ensureSignupRequestId();
     showPage(1);
     updateProgressBar(1);
     updateContinueButton(1);
@@ -1237,6 +1811,7 @@ function redirectToPage2WithCompanyType(companyType) {
     
     // Skip to Page 2 (Program Selection)
     formState.currentPage = 2;
+    ensureSignupRequestId();
     showPage(2);
     updateProgressBar(2);
     updateContinueButton(2);
@@ -1286,6 +1861,10 @@ function goBackToLandingPage() {
 
 // Initialize Form
 function initializeForm() {
+    if (restoreSubmissionOutcome()) {
+        return;
+    }
+
     if (restoreSignupFlow()) {
         return;
     }
@@ -1296,132 +1875,1407 @@ function initializeForm() {
     updateContinueButton(1);
 }
 
-// Populate Country Lists
-function populateCountries() {
-    const datalist = document.getElementById('countryOptions');
-    if (!datalist) return;
-    datalist.innerHTML = '';
-    countries.forEach(country => {
-        const option = document.createElement('option');
-        option.value = country;
-        datalist.appendChild(option);
-    });
+// ========================================
+// SIGNUP CONFIGURATION (GET /config)
+// ========================================
+// Programs, company types and commission types come from the Lambda. The currency boxes exist
+// only in the program registry; the company-type boxes and commission options in index.html
+// are the fallback until the config loads (or if it cannot be loaded).
+
+let signupConfig = null;
+
+// Loading / error message in the empty currency grid, with a retry button on failure
+function showCurrencyGridStatus(messageKey, canRetry) {
+    const grid = document.getElementById('currencyGrid');
+    if (!grid) return;
+
+    grid.innerHTML = '';
+    const status = document.createElement('div');
+    status.className = 'currency-grid-status';
+    const message = document.createElement('p');
+    message.textContent = getValidationMessage(messageKey);
+    status.appendChild(message);
+
+    if (canRetry) {
+        const retryButton = document.createElement('button');
+        retryButton.type = 'button';
+        retryButton.className = 'btn-back';
+        setTranslatableText(retryButton, 'Try again');
+        retryButton.addEventListener('click', loadSignupConfig);
+        status.appendChild(retryButton);
+    }
+    grid.appendChild(status);
 }
 
-function setupCountryInputs() {
-    const countryInputs = [document.getElementById('country'), document.getElementById('country2')];
-    countryInputs.forEach(input => {
-        setupCountryInput(input);
-    });
+async function loadSignupConfig() {
+    showCurrencyGridStatus('programsLoading', false);
+    try {
+        const response = await fetch(SIGNUP_CONFIG_URL, { method: 'GET' });
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const config = await response.json();
+        if (!config || !Array.isArray(config.programs) || !Array.isArray(config.company_types) || !Array.isArray(config.commission_types)) {
+            throw new Error('Unexpected config response');
+        }
+        signupConfig = config;
+        renderSignupConfig(config);
+        // The configured attribution policy may pick another touch than the defaults did
+        if (applyAttribution()) {
+            referralLookup = null;
+            renderReferralBanner();
+            lookupReferral();
+        }
+    } catch (error) {
+        console.warn('Could not load signup config - keeping the built-in options:', error);
+        showCurrencyGridStatus('programsUnavailable', true);
+    }
 }
 
-function setupCountryInput(input) {
-    if (!input) return;
-    ['input', 'change', 'blur'].forEach(eventType => {
-        input.addEventListener(eventType, function() {
-            validateCountryInput(input);
-            updateContinueButton(4);
-        });
+function renderSignupConfig(config) {
+    renderCurrencyBoxes(config.programs);
+    renderCompanyTypeBoxes(config.company_types);
+    renderCommissionOptions(config.commission_types);
+    updateContinueButton(formState.currentPage);
+}
+
+// Set the English text of an element rendered after initI18n, keeping language switching working
+function setTranslatableText(el, englishText) {
+    el.dataset.i18nEn = englishText;
+    el.textContent = getTranslatedTextValue(englishText);
+
+    // A re-used element may be registered under its old text
+    Object.values(textTranslationRegistry).forEach(elements => {
+        const index = elements.indexOf(el);
+        if (index !== -1) elements.splice(index, 1);
     });
-    validateCountryInput(input);
+    if (textTranslationRegistry[englishText]) {
+        textTranslationRegistry[englishText].push(el);
+    }
 }
 
-function validateCountryInput(input) {
-    if (!input) return false;
-    const value = input.value.trim();
-    if (value === '') {
-        input.setCustomValidity(getValidationMessage('selectCountry'));
-        // Update formState based on which input this is
-        if (input.id === 'country') {
-            formState.country = '';
-        } else if (input.id === 'country2') {
-            formState.country = '';
-        }
-        updateContinueButton(4);
-        return false;
+function renderCurrencyBoxes(programs) {
+    const grid = document.getElementById('currencyGrid');
+    if (!grid) return;
+    if (programs.length === 0) {
+        showCurrencyGridStatus('programsUnavailable', true);
+        return;
     }
-    if (countries.includes(value)) {
-        input.setCustomValidity('');
-        // Update formState based on which input this is
-        if (input.id === 'country' || input.id === 'country2') {
-            formState.country = value;
-        }
-        updateContinueButton(4);
-        return true;
-    } else {
-        input.setCustomValidity(getValidationMessage('selectCountry'));
-        // Update formState based on which input this is
-        if (input.id === 'country') {
-            formState.country = '';
-        } else if (input.id === 'country2') {
-            formState.country = '';
+
+    // A restored choice may have been retired since
+    if (formState.program && !programs.some(program => program.currency === formState.program)) {
+        formState.program = null;
+        if (loadSignupFlowState()) {
+            persistSignupFlowState();
         }
-        updateContinueButton(4);
-        return false;
     }
-}
 
-// Setup Event Listeners
-function setupEventListeners() {
-    // Language Select
-    const languageSelect = document.getElementById('languageSelect');
-    const currentLanguageFlag = document.getElementById('currentLanguageFlag');
-    
-    // Update flag when language changes
-    languageSelect.addEventListener('change', function(e) {
-        formState.language = e.target.value;
-        const selectedOption = e.target.options[e.target.selectedIndex];
-        const flag = selectedOption.getAttribute('data-flag');
-        if (flag && currentLanguageFlag) {
-            currentLanguageFlag.textContent = flag;
+    grid.innerHTML = '';
+    programs.forEach(program => {
+        const box = document.createElement('div');
+        box.className = 'currency-box';
+        box.dataset.currency = program.currency;
+        box.classList.toggle('selected', formState.program === program.currency);
+
+        const icon = document.createElement('div');
+        icon.className = 'currency-icon';
+        if (program.flag) {
+            const flag = document.createElement('span');
+            flag.className = 'currency-flag';
+            flag.setAttribute('aria-hidden', 'true');
+            flag.textContent = program.flag;
+            icon.appendChild(flag);
         }
-        applyTranslations(formState.language);
-    });
-    
-    // Initialize flag on page load
-    const initialOption = languageSelect.options[languageSelect.selectedIndex];
-    const initialFlag = initialOption.getAttribute('data-flag');
-    if (initialFlag && currentLanguageFlag) {
-        currentLanguageFlag.textContent = initialFlag;
-    }
+        icon.appendChild(document.createTextNode(program.icon || program.currency));
 
-    // Page 2: Program Selection (now second step)
-    document.querySelectorAll('.currency-box').forEach(box => {
-        box.addEventListener('click', function() {
-            document.querySelectorAll('.currency-box').forEach(b => b.classList.remove('selected'));
-            this.classList.add('selected');
-            formState.program = this.dataset.currency;
-            updateContinueButton(2);
-            
-            // Auto-advance to next page
-            setTimeout(() => {
-                if (validatePage2()) {
-                    nextPage();
-                }
-            }, 300);
-        });
-    });
+        const badge = document.createElement('span');
+        badge.className = 'currency-badge';
+        setTranslatableText(badge, 'Recommended');
 
-    // Terms Checkbox (moved to page 3)
-    document.getElementById('acceptTerms').addEventListener('change', function(e) {
-        formState.acceptTerms = e.target.checked;
-        updateContinueButton(3);
+        const name = document.createElement('div');
+        name.className = 'currency-name';
+        setTranslatableText(name, program.name || program.currency);
+
+        box.append(badge, icon, name);
+        grid.appendChild(box);
     });
 
-    // Terms & Conditions Modal
-    const termsLink = document.getElementById('termsLink');
-    const termsModal = document.getElementById('termsModal');
-    const termsModalClose = document.getElementById('termsModalClose');
-    const termsModalOverlay = document.getElementById('termsModalOverlay');
+    applyProgramRecommendation();
+}
 
-    if (termsLink) {
-        termsLink.addEventListener('click', function(e) {
-            e.preventDefault();
-            openTermsModal();
-        });
-    }
+function renderCompanyTypeBoxes(companyTypes) {
+    const grid = document.querySelector('.company-type-grid');
+    if (!grid || companyTypes.length === 0) return;
 
-    if (termsModalClose) {
+    // Keep the existing boxes (and their icons); new types get the "Other" icon
+    const existingBoxes = {};
+    grid.querySelectorAll('.company-type-box').forEach(box => {
+        existingBoxes[box.dataset.type] = box;
+    });
+    const fallbackIcon = existingBoxes.other && existingBoxes.other.querySelector('.company-icon');
+
+    grid.innerHTML = '';
+    companyTypes.forEach(type => {
+        let box = existingBoxes[type.value];
+        if (!box) {
+            box = document.createElement('div');
+            box.className = 'company-type-box';
+            box.dataset.type = type.value;
+            if (fallbackIcon) box.appendChild(fallbackIcon.cloneNode(true));
+            ['company-type-title', 'company-type-desc'].forEach(className => {
+                const el = document.createElement('div');
+                el.className = className;
+                box.appendChild(el);
+            });
+        }
+
+        setTranslatableText(box.querySelector('.company-type-title'), type.label);
+        const description = box.querySelector('.company-type-desc');
+        if (description) {
+            setTranslatableText(description, type.description || '');
+        }
+        if (type.redirect_url) {
+            box.dataset.redirectUrl = type.redirect_url;
+        } else {
+            delete box.dataset.redirectUrl;
+        }
+        box.classList.toggle('selected', formState.companyType === type.value);
+        grid.appendChild(box);
+    });
+}
+
+function renderCommissionOptions(commissionTypes) {
+    if (commissionTypes.length === 0) return;
+
+    ['commissionType', 'commissionType2'].forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (!select) return;
+
+        // Keep the "Select commission type" placeholder
+        Array.from(select.options).forEach(option => {
+            if (option.value !== '') option.remove();
+        });
+        commissionTypes.forEach(type => {
+            const option = document.createElement('option');
+            option.value = type.value;
+            setTranslatableText(option, type.label || type.value);
+            select.appendChild(option);
+        });
+        select.value = formState.commissionType || '';
+    });
+}
+
+// English label of a company type, for the summary
+function getCompanyTypeLabel(companyType) {
+    const configType = signupConfig && signupConfig.company_types.find(type => type.value === companyType);
+    if (configType) {
+        return configType.label;
+    }
+    const title = document.querySelector(`.company-type-box[data-type="${CSS.escape(companyType || '')}"] .company-type-title`);
+    return title ? (title.dataset.i18nEn || title.textContent.trim()) : companyType;
+}
+
+// ========================================
+// PROGRAM RECOMMENDATION
+// ========================================
+// Suggest the program whose `recommended_countries` contain the partner's likely country:
+// the country from page 4 if known, then the chosen UI language, then the browser locale.
+
+// Country implied by a UI language when nothing more specific is known
+const LANGUAGE_COUNTRIES = { de: 'DE', fr: 'FR', es: 'ES', it: 'IT' };
+// The program the wizard preselected, as opposed to one the partner clicked
+let autoSelectedProgram = null;
+// `${program}:${country}` the partner chose to keep despite the mismatch warning
+let acknowledgedProgramMismatch = null;
+
+// Most specific first
+function getLikelyCountryCodes() {
+    const codes = [];
+    if (formState.country) codes.push(formState.country);
+    if (LANGUAGE_COUNTRIES[formState.language]) codes.push(LANGUAGE_COUNTRIES[formState.language]);
+
+    const locales = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+    locales.filter(Boolean).forEach(locale => {
+        const [language, region] = String(locale).split('-');
+        if (region && /^[A-Za-z]{2}$/.test(region)) {
+            codes.push(region.toUpperCase());
+        } else if (LANGUAGE_COUNTRIES[language]) {
+            codes.push(LANGUAGE_COUNTRIES[language]);
+        }
+    });
+    return codes;
+}
+
+function findProgramForCountry(countryCode) {
+    if (!signupConfig || !countryCode) return null;
+    return signupConfig.programs.find(program => (program.recommended_countries || []).includes(countryCode)) || null;
+}
+
+function getRecommendedProgram() {
+    for (const countryCode of getLikelyCountryCodes()) {
+        const program = findProgramForCountry(countryCode);
+        if (program) return program;
+    }
+    return null;
+}
+
+// Highlight the recommended program and preselect it unless the partner already picked one
+function applyProgramRecommendation() {
+    const recommended = getRecommendedProgram();
+    const recommendedCurrency = recommended ? recommended.currency : null;
+
+    if (recommendedCurrency && (!formState.program || formState.program === autoSelectedProgram)) {
+        formState.program = recommendedCurrency;
+        autoSelectedProgram = recommendedCurrency;
+        if (loadSignupFlowState()) {
+            persistSignupFlowState();
+        }
+    }
+
+    document.querySelectorAll('.currency-box').forEach(box => {
+        box.classList.toggle('recommended', box.dataset.currency === recommendedCurrency);
+        box.classList.toggle('selected', box.dataset.currency === formState.program);
+    });
+    updateContinueButton(2);
+}
+
+/**
+ * The program recommended for the page 4 country, if it differs from the chosen one and the
+ * partner has not confirmed their choice. Returns { countryCode, recommended } or null.
+ */
+function getProgramCountryMismatch() {
+    const countryCode = formState.country;
+    const recommended = findProgramForCountry(countryCode);
+    if (!formState.program || !recommended || recommended.currency === formState.program) {
+        return null;
+    }
+    if (acknowledgedProgramMismatch === `${formState.program}:${countryCode}`) {
+        return null;
+    }
+    return { countryCode, recommended };
+}
+
+function renderProgramMismatchWarning(mismatch) {
+    const countryName = getCountryName(formState.country, formState.language);
+    return `
+        <div class="program-mismatch-warning" id="programMismatchWarning" role="alert" tabindex="-1">
+            <p>${formatValidationMessage('programCountryMismatch', {
+                country: escapeHtml(countryName),
+                recommended: mismatch.recommended.currency,
+                chosen: escapeHtml(formState.program)
+            })}</p>
+            <div class="program-mismatch-actions">
+                <button type="button" class="btn-primary" data-program-action="switch" data-currency="${mismatch.recommended.currency}">
+                    ${formatValidationMessage('switchProgram', { currency: mismatch.recommended.currency })}
+                </button>
+                <button type="button" class="btn-back" data-program-action="keep">
+                    ${formatValidationMessage('keepProgram', { currency: escapeHtml(formState.program) })}
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+function handleProgramMismatchAction(action, currency) {
+    if (action === 'switch') {
+        formState.program = currency;
+        autoSelectedProgram = null;
+        applyProgramRecommendation();
+    } else {
+        acknowledgedProgramMismatch = `${formState.program}:${formState.country}`;
+    }
+    persistSignupFlowState();
+    generateSummary();
+}
+
+// Company types handled by another signup flow (e.g. Supply) redirect there instead of continuing
+function getCompanyTypeRedirectUrl(companyType) {
+    const box = document.querySelector(`.company-type-box[data-type="${CSS.escape(companyType || '')}"]`);
+    return box ? box.dataset.redirectUrl || null : null;
+}
+
+// ========================================
+// COUNTRY COMBOBOX
+// ========================================
+// `country` and `country2` are ARIA comboboxes with list autocomplete: typing filters the
+// listbox and makes the best match the active option, the arrow keys move it, Enter or a
+// click picks it and Escape closes the list (or clears the input when it is already closed).
+// Focus stays in the input; the active option is exposed through aria-activedescendant.
+
+const COUNTRY_INPUT_IDS = ['country', 'country2'];
+const countryComboboxes = [];
+// Every name of every country (all UI languages) plus its code, normalized once
+let countrySearchIndex = null;
+
+function getCountrySearchIndex() {
+    if (!countrySearchIndex) {
+        countrySearchIndex = new Map(COUNTRIES.map(country => [
+            country.code,
+            [country.code.toLowerCase(), ...Object.values(country.names).map(normalizeCountryName)]
+        ]));
+    }
+    return countrySearchIndex;
+}
+
+// Regional indicator symbols - shown as a flag where the platform has one
+function getCountryFlag(code) {
+    return String.fromCodePoint(...code.split('').map(char => 0x1F1E6 + char.charCodeAt(0) - 65));
+}
+
+// Edits (insert, delete, substitute, swap two neighbours) needed to turn `a` into `b`
+function countTypos(a, b) {
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+// Lower is a better match; null if `term` does not match `query` at all
+function scoreCountryTerm(term, query) {
+    if (term === query) return 0;
+    if (term.startsWith(query)) return 1;
+    const words = term.split(' ');
+    if (words.some(word => word.startsWith(query))) return 2;
+    if (term.includes(query)) return 3;
+
+    // Typos, e.g. "germnay" or "swizerland": compare with the start of the name or of a word
+    const allowedTypos = query.length >= 6 ? 2 : query.length >= 4 ? 1 : 0;
+    if (allowedTypos === 0) return null;
+    const starts = [term, ...words.slice(1)];
+    return starts.some(start => countTypos(query, start.slice(0, query.length)) <= allowedTypos) ? 4 : null;
+}
+
+/**
+ * Countries matching `query` in any UI language, best matches first and named in `language`.
+ * Accents, case and punctuation are ignored; an alias such as "UK" puts its country first.
+ */
+function searchCountries(query, language) {
+    const countries = getCountryList(language);
+    const normalizedQuery = normalizeCountryName(query);
+    if (!normalizedQuery) {
+        return countries;
+    }
+
+    const aliasCode = findCountryCode(query);
+    const scores = new Map();
+    getCountrySearchIndex().forEach((terms, code) => {
+        const termScores = terms.map(term => scoreCountryTerm(term, normalizedQuery)).filter(score => score !== null);
+        if (code === aliasCode) {
+            scores.set(code, -1);
+        } else if (termScores.length > 0) {
+            scores.set(code, Math.min(...termScores));
+        }
+    });
+
+    // Stable sort - equal scores stay alphabetical
+    return countries
+        .filter(country => scores.has(country.code))
+        .sort((a, b) => scores.get(a.code) - scores.get(b.code));
+}
+
+function renderCountryOptions(combobox) {
+    const { input, listbox, status } = combobox;
+    combobox.options = searchCountries(input.value, formState.language);
+    listbox.innerHTML = '';
+
+    combobox.options.forEach(country => {
+        const option = document.createElement('li');
+        option.id = `${listbox.id}-${country.code}`;
+        option.className = 'country-option';
+        option.setAttribute('role', 'option');
+        option.setAttribute('aria-selected', String(country.code === formState.country));
+        option.dataset.code = country.code;
+
+        const flag = document.createElement('span');
+        flag.className = 'country-option-flag';
+        flag.setAttribute('aria-hidden', 'true');
+        flag.textContent = getCountryFlag(country.code);
+
+        option.append(flag, document.createTextNode(country.name));
+        listbox.appendChild(option);
+    });
+
+    if (combobox.options.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'country-option-empty';
+        empty.setAttribute('role', 'presentation');
+        empty.textContent = getValidationMessage('noCountryMatches');
+        listbox.appendChild(empty);
+        status.textContent = getValidationMessage('noCountryMatches');
+    } else {
+        status.textContent = formatValidationMessage('countryMatches', { count: combobox.options.length });
+    }
+
+    // While typing, the best match is active so Enter picks it
+    setActiveCountryOption(combobox, input.value.trim() && combobox.options.length > 0 ? 0 : -1);
+}
+
+function setActiveCountryOption(combobox, index) {
+    const { input, listbox } = combobox;
+    combobox.activeIndex = index;
+    listbox.querySelectorAll('.country-option').forEach((option, optionIndex) => {
+        option.classList.toggle('active', optionIndex === index);
+    });
+
+    const active = index >= 0 ? listbox.children[index] : null;
+    if (active) {
+        input.setAttribute('aria-activedescendant', active.id);
+        active.scrollIntoView({ block: 'nearest' });
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+function openCountryListbox(combobox) {
+    renderCountryOptions(combobox);
+    combobox.listbox.hidden = false;
+    combobox.input.setAttribute('aria-expanded', 'true');
+}
+
+function closeCountryListbox(combobox) {
+    combobox.listbox.hidden = true;
+    combobox.input.setAttribute('aria-expanded', 'false');
+    combobox.input.removeAttribute('aria-activedescendant');
+    combobox.activeIndex = -1;
+}
+
+function selectCountryOption(combobox, code) {
+    combobox.input.value = getCountryName(code, formState.language);
+    closeCountryListbox(combobox);
+    validateCountryInput(combobox.input);
+}
+
+function handleCountryKeydown(combobox, e) {
+    const isOpen = !combobox.listbox.hidden;
+    const lastIndex = combobox.options.length - 1;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            if (!isOpen) {
+                openCountryListbox(combobox);
+                // Alt+Down only opens the list
+                if (e.altKey) return;
+            }
+            setActiveCountryOption(combobox, Math.min(combobox.activeIndex + 1, lastIndex));
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            if (!isOpen) {
+                openCountryListbox(combobox);
+                setActiveCountryOption(combobox, lastIndex);
+                return;
+            }
+            if (e.altKey) {
+                closeCountryListbox(combobox);
+                return;
+            }
+            setActiveCountryOption(combobox, Math.max(combobox.activeIndex - 1, 0));
+            break;
+        case 'Enter':
+            if (isOpen && combobox.activeIndex >= 0) {
+                e.preventDefault();
+                selectCountryOption(combobox, combobox.options[combobox.activeIndex].code);
+            }
+            break;
+        case 'Escape':
+            if (isOpen) {
+                e.preventDefault();
+                closeCountryListbox(combobox);
+            } else if (combobox.input.value) {
+                e.preventDefault();
+                combobox.input.value = '';
+                validateCountryInput(combobox.input);
+            }
+            break;
+        case 'Tab':
+            closeCountryListbox(combobox);
+            break;
+    }
+}
+
+function setupCountryInputs() {
+    COUNTRY_INPUT_IDS.forEach(inputId => {
+        const input = document.getElementById(inputId);
+        const listbox = input ? document.getElementById(input.getAttribute('aria-controls')) : null;
+        const status = document.getElementById(`${inputId}Status`);
+        if (!input || !listbox || !status) return;
+
+        const combobox = { input, listbox, status, options: [], activeIndex: -1 };
+        countryComboboxes.push(combobox);
+
+        input.addEventListener('input', function() {
+            openCountryListbox(combobox);
+            validateCountryInput(input);
+        });
+        input.addEventListener('keydown', e => handleCountryKeydown(combobox, e));
+        input.addEventListener('click', function() {
+            if (combobox.listbox.hidden) {
+                openCountryListbox(combobox);
+            } else {
+                closeCountryListbox(combobox);
+            }
+        });
+        input.addEventListener('blur', function() {
+            closeCountryListbox(combobox);
+            validateCountryInput(input);
+        });
+
+        // Keep focus in the input while an option is clicked
+        listbox.addEventListener('mousedown', e => e.preventDefault());
+        listbox.addEventListener('click', function(e) {
+            const option = e.target.closest('[role="option"]');
+            if (option) {
+                selectCountryOption(combobox, option.dataset.code);
+            }
+        });
+
+        validateCountryInput(input);
+    });
+}
+
+// Re-render open lists in the current UI language
+function refreshCountryComboboxes() {
+    countryComboboxes.forEach(combobox => {
+        if (!combobox.listbox.hidden) {
+            renderCountryOptions(combobox);
+        }
+    });
+}
+
+// Show the chosen country in the current UI language
+function syncCountryInputs() {
+    const name = getCountryName(formState.country, formState.language);
+    COUNTRY_INPUT_IDS.forEach(fieldId => {
+        const input = document.getElementById(fieldId);
+        if (input && name) {
+            input.value = name;
+        }
+    });
+}
+
+function validateCountryInput(input) {
+    if (!input) return false;
+    const value = input.value.trim();
+    if (value === '') {
+        input.setCustomValidity(getValidationMessage('selectCountry'));
+        // Update formState based on which input this is
+        if (input.id === 'country') {
+            formState.country = '';
+        } else if (input.id === 'country2') {
+            formState.country = '';
+        }
+        updateAddressFields();
+        updateContinueButton(4);
+        return false;
+    }
+    const countryCode = findCountryCode(value);
+    if (countryCode) {
+        input.setCustomValidity('');
+        // Update formState based on which input this is
+        if (input.id === 'country' || input.id === 'country2') {
+            formState.country = countryCode;
+        }
+        updateAddressFields();
+        updateContinueButton(4);
+        return true;
+    } else {
+        input.setCustomValidity(getValidationMessage('selectCountry'));
+        // Update formState based on which input this is
+        if (input.id === 'country') {
+            formState.country = '';
+        } else if (input.id === 'country2') {
+            formState.country = '';
+        }
+        updateAddressFields();
+        updateContinueButton(4);
+        return false;
+    }
+}
+
+// ========================================
+// POSTAL ADDRESS
+// ========================================
+// Street, postal code and region, shown under both page 4 layouts. The postal code is checked
+// against the country's format from countries.js (the Lambda checks the same). Skipping the
+// step is explicit - only then are placeholders sent instead of an address.
+
+// Match the postal code field to the chosen country
+function updateAddressFields() {
+    const postalCodeGroup = document.getElementById('postalCodeGroup');
+    const postalCodeHint = document.getElementById('postalCodeHint');
+    const hasPostalCode = !formState.country || usesPostalCode(formState.country);
+
+    if (postalCodeGroup) {
+        postalCodeGroup.style.display = hasPostalCode ? '' : 'none';
+    }
+    if (postalCodeHint) {
+        const format = getPostalCodeFormat(formState.country);
+        postalCodeHint.textContent = format ? formatValidationMessage('postalCodeExample', { example: format.example }) : '';
+    }
+
+    ['streetAddress', 'postalCode', 'region'].forEach(fieldId => {
+        const input = document.getElementById(fieldId);
+        if (input) {
+            input.disabled = formState.skipAddress;
+            if (formState.skipAddress) clearFieldError(input);
+        }
+    });
+}
+
+function isAddressValid() {
+    if (formState.skipAddress) {
+        return true;
+    }
+    if (formState.streetAddress.trim() === '' || !formState.country) {
+        return false;
+    }
+    return !usesPostalCode(formState.country) || isValidPostalCode(formState.country, formState.postalCode);
+}
+
+// Flag a postal code that doesn't fit the country once the partner leaves the field
+function validatePostalCodeInput(input) {
+    if (formState.skipAddress || !formState.country || formState.postalCode.trim() === '') {
+        return;
+    }
+    if (usesPostalCode(formState.country) && !isValidPostalCode(formState.country, formState.postalCode)) {
+        showFieldError(input, getValidationMessage('postalCodeInvalid'));
+    }
+}
+
+// `address` object for finalize_affiliate
+function buildAddressPayload() {
+    const address = {
+        address: ADDRESS_PLACEHOLDER,
+        postal_code: ADDRESS_PLACEHOLDER,
+        city: formState.city || ADDRESS_PLACEHOLDER,
+        country: {
+            code: formState.country
+        }
+    };
+    if (formState.skipAddress) {
+        return address;
+    }
+
+    address.address = formState.streetAddress.trim();
+    if (usesPostalCode(formState.country)) {
+        address.postal_code = formState.postalCode.trim().toUpperCase();
+    } else {
+        delete address.postal_code;
+    }
+    if (formState.region.trim()) {
+        address.state = formState.region.trim();
+    }
+    return address;
+}
+
+// ========================================
+// REFERRAL
+// ========================================
+// A signup link with ?via= / ?parent_id= links the new partner to the partner who shared it.
+// The Lambda looks the code up (GET /referrals/{code}) so page 1 can say who invited them,
+// or warn that the link doesn't match a partner instead of quietly signing them up without one.
+
+// null until looked up: { status: 'found', displayName } or { status: 'not_found' }
+let referralLookup = null;
+
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+async function lookupReferral() {
+    const parentIdField = document.getElementById('parent_id');
+    const code = parentIdField ? parentIdField.value.trim() : '';
+    // Emails work as parent_id, but the lookup doesn't reveal who owns one - no banner for them
+    if (!code || code.includes('@')) return;
+
+    try {
+        const response = await fetch(`${BACKEND_API_URL}/referrals/${encodeURIComponent(code)}`, { method: 'GET' });
+        if (response.ok) {
+            const data = await response.json();
+            referralLookup = { status: 'found', displayName: data.display_name || null };
+        } else if (response.status === 404 || response.status === 400) {
+            referralLookup = { status: 'not_found' };
+        } else {
+            // Lookup unavailable - the Lambda still resolves the code at signup
+            console.warn('Referral lookup failed with status:', response.status);
+            return;
+        }
+    } catch (error) {
+        console.warn('Referral lookup unavailable:', error);
+        return;
+    }
+    renderReferralBanner();
+    generateSummary();
+}
+
+function renderReferralBanner() {
+    const banner = document.getElementById('referralBanner');
+    if (!banner) return;
+
+    if (!referralLookup) {
+        banner.hidden = true;
+        return;
+    }
+    const found = referralLookup.status === 'found';
+    banner.classList.toggle('referral-banner-warning', !found);
+    if (found) {
+        banner.textContent = referralLookup.displayName
+            ? formatValidationMessage('invitedBy', { name: referralLookup.displayName })
+            : getValidationMessage('invitedByPartner');
+    } else {
+        banner.textContent = getValidationMessage('referralNotFound');
+    }
+    banner.hidden = false;
+}
+
+// ========================================
+// EMAIL CHECK
+// ========================================
+// Before Stage A the email goes through the Lambda's quality check (mode 'check_email'):
+// disposable providers and domains that don't accept mail are blocked, likely typos get a
+// suggested correction the partner can take or decline. Stage A runs the same check, so a
+// failed lookup here only lets the partner move on.
+
+const EMAIL_CHECK_TIMEOUT_MS = 4000;
+
+function isEmailConfirmed() {
+    return formState.emailConfirmed !== '' && formState.emailConfirmed === formState.email.trim();
+}
+
+// Returns the check result ({ ok, code, suggestion }), or null if the check couldn't run
+async function fetchEmailCheck(email) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), EMAIL_CHECK_TIMEOUT_MS);
+    try {
+        const response = await fetch(BACKEND_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ mode: 'check_email', email }),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            console.warn('Email check failed with status:', response.status);
+            return null;
+        }
+        return await response.json();
+    } catch (error) {
+        console.warn('Email check unavailable:', error);
+        return null;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// "Did you mean ...?" under the email input, with buttons to take the suggestion or keep the email
+function showEmailSuggestion(input, suggestion) {
+    showFieldError(input, formatValidationMessage('emailTypo', { suggestion }));
+    const errorElement = document.getElementById(`${input.id}Error`);
+    if (!errorElement || !suggestion) return;
+
+    const actions = document.createElement('span');
+    actions.className = 'email-suggestion-actions';
+    actions.innerHTML = `
+        <button type="button" class="email-suggestion-btn" data-email-action="use"></button>
+        <button type="button" class="email-suggestion-btn" data-email-action="keep"></button>
+    `;
+    actions.querySelector('[data-email-action="use"]').textContent = formatValidationMessage('useSuggestedEmail', { suggestion });
+    actions.querySelector('[data-email-action="keep"]').textContent = getValidationMessage('keepEmail');
+    errorElement.appendChild(actions);
+
+    actions.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-email-action]');
+        if (!button) return;
+        if (button.dataset.emailAction === 'use') {
+            input.value = suggestion;
+            formState.email = suggestion;
+        } else {
+            formState.emailConfirmed = formState.email.trim();
+        }
+        clearFieldError(input);
+        updateContinueButton(3);
+        input.focus();
+    });
+}
+
+// Run when leaving page 3 - returns false (and marks the email input) if the email can't be used yet
+async function checkEmailBeforeStageA() {
+    // The affiliate already exists, or the partner already kept this address
+    if (createdAffiliateId || isEmailConfirmed()) {
+        return true;
+    }
+
+    const result = await fetchEmailCheck(formState.email.trim());
+    if (!result || result.ok) {
+        return true;
+    }
+
+    const emailInput = document.getElementById('email');
+    if (result.code === 'email_typo') {
+        showEmailSuggestion(emailInput, result.suggestion);
+    } else {
+        showFieldError(emailInput, getValidationMessage(getFieldErrorMessageKey({ field: 'email', code: result.code })));
+    }
+    emailInput.focus();
+    return false;
+}
+
+// ========================================
+// EMAIL VERIFICATION
+// ========================================
+// When the signup config has `email_verification` on, the partner proves they own the email
+// before page 4: Stage A creates the affiliate, the Lambda emails a 6-digit code
+// (mode 'send_email_code') and the partner enters it ('verify_email_code'). finalize_affiliate
+// refuses unverified affiliates, so without this step the signup can't be finished.
+
+const CODE_RESEND_COOLDOWN_SECONDS = 60;
+let codeResendTimer = null;
+
+function isEmailVerificationRequired() {
+    return !!(signupConfig && signupConfig.email_verification);
+}
+
+function setVerifyEmailStatus(message, isError) {
+    const status = document.getElementById('verifyEmailStatus');
+    if (status) {
+        status.textContent = message;
+        status.classList.toggle('verify-email-status-error', !!isError);
+    }
+}
+
+// Keep "Send a new code" disabled while the Lambda would refuse to send another one
+function startResendCooldown(seconds) {
+    const resendCodeBtn = document.getElementById('resendCodeBtn');
+    if (!resendCodeBtn) return;
+
+    clearInterval(codeResendTimer);
+    let remaining = seconds;
+    resendCodeBtn.disabled = remaining > 0;
+    codeResendTimer = setInterval(() => {
+        remaining -= 1;
+        if (remaining <= 0) {
+            clearInterval(codeResendTimer);
+            resendCodeBtn.disabled = false;
+        }
+    }, 1000);
+}
+
+async function postEmailVerification(payload) {
+    const response = await postWithResumeToken({
+        affiliate_id: createdAffiliateId,
+        email: formState.email,
+        ...payload
+    });
+    let data = {};
+    try {
+        data = await response.json();
+    } catch (e) {
+        console.error('Could not parse email verification response');
+    }
+    return { ok: response.ok, status: response.status, data };
+}
+
+// Ask the Lambda to email a code. Returns false if no code could be sent.
+async function requestEmailCode() {
+    try {
+        const { ok, status, data } = await postEmailVerification({ mode: 'send_email_code' });
+        if (ok) {
+            formState.emailVerified = !!data.verified;
+            startResendCooldown(CODE_RESEND_COOLDOWN_SECONDS);
+            return true;
+        }
+        if (status === 429 && data.code === 'code_limit_reached') {
+            // No more codes for this signup - one sent earlier may still work
+            clearInterval(codeResendTimer);
+            const resendCodeBtn = document.getElementById('resendCodeBtn');
+            if (resendCodeBtn) {
+                resendCodeBtn.disabled = true;
+            }
+            setVerifyEmailStatus(getValidationMessage('codeLimitReached'), true);
+            return true;
+        }
+        if (status === 429) {
+            // An earlier code is still on its way
+            startResendCooldown(data.retry_after || CODE_RESEND_COOLDOWN_SECONDS);
+            setVerifyEmailStatus(getValidationMessage('codeRecentlySent'), false);
+            return true;
+        }
+        console.warn('Could not send verification code:', data.error || status);
+    } catch (error) {
+        console.error('Error sending verification code:', error);
+    }
+    setVerifyEmailStatus(getValidationMessage('codeSendFailed'), true);
+    return false;
+}
+
+function showEmailVerificationStep() {
+    document.querySelectorAll('.form-page').forEach(page => {
+        page.classList.remove('active');
+    });
+    const step = document.getElementById('pageVerifyEmail');
+    if (step) {
+        step.classList.add('active');
+    }
+
+    const subtitle = document.getElementById('verifyEmailSubtitle');
+    if (subtitle) {
+        subtitle.textContent = formatValidationMessage('codeSentTo', { email: formState.email });
+    }
+    const codeInput = document.getElementById('verificationCode');
+    if (codeInput) {
+        codeInput.value = '';
+        clearFieldError(codeInput);
+        codeInput.focus();
+    }
+    updateVerifyButton();
+    scrollToFormTop();
+}
+
+// Leaving page 3: wait for Stage A, send a code and show the code step
+async function startEmailVerification() {
+    showApiLoading();
+    try {
+        if (stageAPromise) {
+            await stageAPromise;
+        }
+
+        if (!createdAffiliateId) {
+            // Stage A rejected the data (shown on its page) or didn't answer
+            if (!showFieldErrorsInWizard(stageAFieldErrors)) {
+                showFieldError(document.getElementById('email'), getValidationMessage('codeSendFailed'));
+            }
+            return;
+        }
+
+        setVerifyEmailStatus('');
+        const sent = await requestEmailCode();
+        if (formState.emailVerified) {
+            // Verified earlier (e.g. before a reload)
+            nextPage();
+            return;
+        }
+        if (sent) {
+            showEmailVerificationStep();
+        } else if (!createdAffiliateId) {
+            // The signup could not be resumed - Stage A runs again once the password is re-entered
+            showFieldErrorsInWizard(STAGE_A_DISCARDED_ERRORS);
+        } else {
+            showFieldError(document.getElementById('email'), getValidationMessage('codeSendFailed'));
+        }
+    } finally {
+        hideApiLoading();
+    }
+}
+
+function updateVerifyButton() {
+    const codeInput = document.getElementById('verificationCode');
+    const continueBtnVerify = document.getElementById('continueBtnVerify');
+    if (codeInput && continueBtnVerify) {
+        continueBtnVerify.disabled = !/^\d{6}$/.test(codeInput.value.trim());
+    }
+}
+
+// Message for a code the Lambda rejected ({ field: 'code', code, attempts_remaining })
+function getCodeErrorMessage(fieldError) {
+    if (fieldError.code === 'code_mismatch') {
+        return formatValidationMessage('codeMismatch', { remaining: fieldError.attempts_remaining });
+    }
+    if (fieldError.code === 'code_expired' || fieldError.code === 'too_many_attempts' || fieldError.code === 'code_missing') {
+        return getValidationMessage('codeExpired');
+    }
+    return getValidationMessage('codeInvalid');
+}
+
+async function submitEmailCode() {
+    const codeInput = document.getElementById('verificationCode');
+    const continueBtnVerify = document.getElementById('continueBtnVerify');
+    if (!codeInput || !continueBtnVerify || continueBtnVerify.disabled) return;
+
+    continueBtnVerify.disabled = true;
+    setVerifyEmailStatus('');
+    try {
+        const { ok, data } = await postEmailVerification({
+            mode: 'verify_email_code',
+            code: codeInput.value.trim()
+        });
+        if (ok && data.verified) {
+            formState.emailVerified = true;
+            clearInterval(codeResendTimer);
+            nextPage();
+            return;
+        }
+
+        if (!createdAffiliateId) {
+            showFieldErrorsInWizard(STAGE_A_DISCARDED_ERRORS);
+            return;
+        }
+
+        const fieldError = Array.isArray(data.fields) && data.fields.find(entry => entry.field === 'code');
+        if (fieldError) {
+            showFieldError(codeInput, getCodeErrorMessage(fieldError));
+        } else {
+            console.warn('Could not verify code:', data.error);
+            setVerifyEmailStatus(getValidationMessage('codeVerifyFailed'), true);
+        }
+        codeInput.focus();
+    } catch (error) {
+        console.error('Error verifying code:', error);
+        setVerifyEmailStatus(getValidationMessage('codeVerifyFailed'), true);
+    } finally {
+        updateVerifyButton();
+    }
+}
+
+function setupEmailVerificationStep() {
+    const codeInput = document.getElementById('verificationCode');
+    if (!codeInput) return;
+
+    codeInput.addEventListener('input', function() {
+        this.value = this.value.replace(/\D/g, '').slice(0, 6);
+        updateVerifyButton();
+    });
+    codeInput.addEventListener('keydown', function(e) {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            submitEmailCode();
+        }
+    });
+
+    document.getElementById('continueBtnVerify').addEventListener('click', submitEmailCode);
+
+    document.getElementById('resendCodeBtn').addEventListener('click', async function() {
+        setVerifyEmailStatus('');
+        clearFieldError(codeInput);
+        if (await requestEmailCode()) {
+            setVerifyEmailStatus(getValidationMessage('codeResent'), false);
+            codeInput.focus();
+        }
+    });
+
+    // Back to page 3 - the partner is still on it as far as the progress bar goes
+    document.getElementById('backBtnVerify').addEventListener('click', function() {
+        showPage(formState.currentPage);
+        updateContinueButton(formState.currentPage);
+        scrollToFormTop();
+    });
+}
+
+// ========================================
+// PAYOUT DETAILS
+// ========================================
+// Optional form on the confirmation page: PayPal or bank account, plus VAT and company
+// registration numbers for business partners. Sent with mode 'set_payout_details', which
+// needs the affiliate ID and resume token - without them the form stays hidden.
+
+// Backend field -> input, and the message shown when its format is rejected
+const PAYOUT_FIELD_INPUTS = {
+    paypal_email: { input: 'paypalEmail', messageKey: 'emailInvalid' },
+    account_holder: { input: 'accountHolder' },
+    iban: { input: 'iban', messageKey: 'ibanInvalid' },
+    swift: { input: 'swift', messageKey: 'swiftInvalid' },
+    vat_number: { input: 'vatNumber', messageKey: 'vatInvalid' },
+    company_registration_number: { input: 'companyRegistrationNumber' }
+};
+// True while the payout details are being saved - prevents double submits
+let payoutInFlight = false;
+
+function getPayoutMethod() {
+    const checked = document.querySelector('input[name="payoutMethod"]:checked');
+    return checked ? checked.value : 'paypal';
+}
+
+function getPayoutInputValue(inputId) {
+    const input = document.getElementById(inputId);
+    return input ? input.value.trim() : '';
+}
+
+// Show the form once the signup has succeeded and we can prove who the partner is
+function updatePayoutForm(status) {
+    const payoutForm = document.getElementById('payoutForm');
+    if (payoutForm) {
+        payoutForm.hidden = status !== 'success' || !createdAffiliateId || !resumeToken;
+    }
+    if (status === 'success') {
+        // The VAT hint depends on the country chosen on page 4
+        updatePayoutFields();
+    }
+}
+
+// Match the visible fields to the chosen method and the business checkbox
+function updatePayoutFields() {
+    const method = getPayoutMethod();
+    const paypalFields = document.getElementById('paypalFields');
+    const bankFields = document.getElementById('bankFields');
+    const businessFields = document.getElementById('businessFields');
+    const isBusiness = document.getElementById('isBusiness');
+    const vatNumberHint = document.getElementById('vatNumberHint');
+
+    if (paypalFields) {
+        paypalFields.style.display = method === 'paypal' ? 'block' : 'none';
+    }
+    if (bankFields) {
+        bankFields.style.display = method === 'bank_transfer' ? 'block' : 'none';
+    }
+    if (businessFields) {
+        businessFields.style.display = isBusiness && isBusiness.checked ? 'block' : 'none';
+    }
+    if (vatNumberHint) {
+        const prefix = getVatPrefix(formState.country);
+        vatNumberHint.textContent = prefix ? formatValidationMessage('vatPrefixHint', { prefix }) : '';
+    }
+}
+
+// Check the visible fields, mark the invalid ones and return whether the form can be sent
+function validatePayoutForm() {
+    const method = getPayoutMethod();
+    const isBusiness = document.getElementById('isBusiness');
+    const checks = [];
+
+    if (method === 'paypal') {
+        const paypalEmail = getPayoutInputValue('paypalEmail');
+        checks.push(['paypalEmail', paypalEmail === '' ? 'fieldRequired' : (!isValidEmail(paypalEmail) ? 'emailInvalid' : null)]);
+    } else {
+        const iban = getPayoutInputValue('iban');
+        const swift = getPayoutInputValue('swift');
+        checks.push(['accountHolder', getPayoutInputValue('accountHolder') === '' ? 'fieldRequired' : null]);
+        checks.push(['iban', iban === '' ? 'fieldRequired' : (!isValidIban(iban) ? 'ibanInvalid' : null)]);
+        checks.push(['swift', swift !== '' && !isValidSwift(swift) ? 'swiftInvalid' : null]);
+    }
+
+    if (isBusiness && isBusiness.checked) {
+        const vatNumber = getPayoutInputValue('vatNumber');
+        checks.push(['vatNumber', vatNumber !== '' && !isValidVatNumber(vatNumber, formState.country) ? 'vatInvalid' : null]);
+    }
+
+    let firstInvalid = null;
+    checks.forEach(([inputId, messageKey]) => {
+        const input = document.getElementById(inputId);
+        if (!input) return;
+        if (messageKey) {
+            showFieldError(input, getValidationMessage(messageKey));
+            firstInvalid = firstInvalid || input;
+        } else {
+            clearFieldError(input);
+        }
+    });
+
+    if (firstInvalid) {
+        firstInvalid.focus();
+    }
+    return !firstInvalid;
+}
+
+// Body for mode 'set_payout_details' - only the chosen method's fields are sent
+function buildPayoutPayload() {
+    const method = getPayoutMethod();
+    const isBusiness = document.getElementById('isBusiness');
+    const payload = {
+        mode: 'set_payout_details',
+        affiliate_id: createdAffiliateId,
+        email: formState.email,
+        resume_token: resumeToken,
+        payout_method: method
+    };
+
+    if (method === 'paypal') {
+        payload.paypal_email = getPayoutInputValue('paypalEmail');
+    } else {
+        payload.account_holder = getPayoutInputValue('accountHolder');
+        payload.iban = getPayoutInputValue('iban');
+        if (getPayoutInputValue('swift')) {
+            payload.swift = getPayoutInputValue('swift');
+        }
+    }
+
+    if (formState.country) {
+        payload.country = formState.country;
+    }
+    if (isBusiness && isBusiness.checked) {
+        if (getPayoutInputValue('vatNumber')) {
+            payload.vat_number = getPayoutInputValue('vatNumber');
+        }
+        if (getPayoutInputValue('companyRegistrationNumber')) {
+            payload.company_registration_number = getPayoutInputValue('companyRegistrationNumber');
+        }
+    }
+    return payload;
+}
+
+// Mark the inputs the backend rejected - returns false if none of them belong to the form
+function showPayoutFieldErrors(fieldErrors) {
+    let firstInput = null;
+    (fieldErrors || []).forEach(fieldError => {
+        const target = PAYOUT_FIELD_INPUTS[fieldError.field];
+        const input = target && document.getElementById(target.input);
+        if (!input) return;
+        let messageKey = target.messageKey || 'fieldInvalid';
+        if (fieldError.code === 'required') messageKey = 'fieldRequired';
+        if (fieldError.code === 'too_long') messageKey = 'fieldTooLong';
+        showFieldError(input, getValidationMessage(messageKey));
+        firstInput = firstInput || input;
+    });
+
+    if (firstInput) {
+        firstInput.focus();
+    }
+    return !!firstInput;
+}
+
+function setPayoutStatus(message, isError) {
+    const payoutStatus = document.getElementById('payoutStatus');
+    if (payoutStatus) {
+        payoutStatus.textContent = message;
+        payoutStatus.classList.toggle('payout-status-error', !!isError);
+    }
+}
+
+async function submitPayoutDetails() {
+    if (payoutInFlight || !validatePayoutForm()) {
+        return;
+    }
+    payoutInFlight = true;
+    setPayoutStatus('');
+
+    const savePayoutBtn = document.getElementById('savePayoutBtn');
+    if (savePayoutBtn) {
+        savePayoutBtn.disabled = true;
+    }
+
+    const payload = buildPayoutPayload();
+    let saved = false;
+    console.log('Saving payout details:', { ...payload, resume_token: '***MASKED***', iban: payload.iban ? '***MASKED***' : undefined });
+
+    try {
+        const response = await postWithResumeToken(payload);
+
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) {
+            console.error('Could not parse payout details response');
+        }
+
+        if (!response.ok) {
+            console.warn('Failed to save payout details:', data.error || response.status);
+            if (!showPayoutFieldErrors(data.fields)) {
+                setPayoutStatus(getValidationMessage('payoutFailed'), true);
+            }
+            return;
+        }
+
+        // Saved - lock the form so the same details aren't sent twice
+        saved = true;
+        document.querySelectorAll('#payoutForm input, #payoutForm button').forEach(element => {
+            element.disabled = true;
+        });
+        setPayoutStatus(getValidationMessage('payoutSaved'));
+    } catch (error) {
+        console.error('Error saving payout details:', error);
+        setPayoutStatus(getValidationMessage('payoutFailed'), true);
+    } finally {
+        payoutInFlight = false;
+        if (savePayoutBtn && !saved) {
+            savePayoutBtn.disabled = false;
+        }
+    }
+}
+
+function setupPayoutForm() {
+    const payoutForm = document.getElementById('payoutForm');
+    if (!payoutForm) return;
+
+    payoutForm.addEventListener('change', function(e) {
+        if (e.target.name === 'payoutMethod' || e.target.id === 'isBusiness') {
+            updatePayoutFields();
+        }
+    });
+    payoutForm.addEventListener('submit', function(e) {
+        e.preventDefault();
+        submitPayoutDetails();
+    });
+    updatePayoutFields();
+}
+
+// Setup Event Listeners
+function setupEventListeners() {
+    // Language Select
+    const languageSelect = document.getElementById('languageSelect');
+    const currentLanguageFlag = document.getElementById('currentLanguageFlag');
+    
+    // Update flag when language changes
+    languageSelect.addEventListener('change', function(e) {
+        formState.language = e.target.value;
+        const selectedOption = e.target.options[e.target.selectedIndex];
+        const flag = selectedOption.getAttribute('data-flag');
+        if (flag && currentLanguageFlag) {
+            currentLanguageFlag.textContent = flag;
+        }
+        applyTranslations(formState.language);
+    });
+    
+    // Initialize flag on page load
+    const initialOption = languageSelect.options[languageSelect.selectedIndex];
+    const initialFlag = initialOption.getAttribute('data-flag');
+    if (initialFlag && currentLanguageFlag) {
+        currentLanguageFlag.textContent = initialFlag;
+    }
+
+    // Page 2: Program Selection (now second step)
+    // Delegated - the boxes are re-rendered once the signup config loads
+    const currencyGrid = document.querySelector('.currency-grid');
+    if (currencyGrid) {
+        currencyGrid.addEventListener('click', function(e) {
+            const box = e.target.closest('.currency-box');
+            if (!box) return;
+            document.querySelectorAll('.currency-box').forEach(b => b.classList.remove('selected'));
+            box.classList.add('selected');
+            formState.program = box.dataset.currency;
+            autoSelectedProgram = null;
+            // Clears a "no longer available" error from showFieldError
+            currencyGrid.dispatchEvent(new Event('change'));
+            updateContinueButton(2);
+            
+            // Auto-advance to next page
+            setTimeout(() => {
+                if (validatePage2()) {
+                    nextPage();
+                }
+            }, 300);
+        });
+    }
+
+    // Terms Checkbox (moved to page 3)
+    document.getElementById('acceptTerms').addEventListener('change', function(e) {
+        formState.acceptTerms = e.target.checked;
+        updateContinueButton(3);
+    });
+
+    // Terms & Conditions Modal
+    const termsLink = document.getElementById('termsLink');
+    const termsModal = document.getElementById('termsModal');
+    const termsModalClose = document.getElementById('termsModalClose');
+    const termsModalOverlay = document.getElementById('termsModalOverlay');
+
+    if (termsLink) {
+        termsLink.addEventListener('click', function(e) {
+            e.preventDefault();
+            openTermsModal();
+        });
+    }
+
+    if (termsModalClose) {
         termsModalClose.addEventListener('click', function() {
             closeTermsModal();
         });
@@ -1441,33 +3295,39 @@ function setupEventListeners() {
     });
 
     // Page 1: Company Type (now first step)
-    document.querySelectorAll('.company-type-box').forEach(box => {
-        box.addEventListener('click', function() {
+    // Delegated - the boxes are re-rendered once the signup config loads
+    const companyTypeGrid = document.querySelector('.company-type-grid');
+    if (companyTypeGrid) {
+        companyTypeGrid.addEventListener('click', function(e) {
+            const box = e.target.closest('.company-type-box');
+            if (!box) return;
             document.querySelectorAll('.company-type-box').forEach(b => b.classList.remove('selected'));
-            this.classList.add('selected');
-            formState.companyType = this.dataset.type;
+            box.classList.add('selected');
+            formState.companyType = box.dataset.type;
             updateContinueButton(1);
             
             // Auto-advance to next page
             setTimeout(() => {
                 if (validatePage1()) {
-                    // Check if Supply was selected - redirect immediately
-                    if (formState.companyType === 'supply') {
-                        window.location.href = 'https://hosts.stasher.com/signup';
+                    // Types handled by another signup (e.g. Supply) redirect immediately
+                    const redirectUrl = getCompanyTypeRedirectUrl(formState.companyType);
+                    if (redirectUrl) {
+                        window.location.href = redirectUrl;
                         return;
                     }
                     nextPage();
                 }
             }, 300);
         });
-    });
+    }
 
     // Continue Button 1 (Company Type)
     document.getElementById('continueBtn1').addEventListener('click', function() {
         if (validatePage1()) {
-            // Check if Supply was selected - redirect immediately
-            if (formState.companyType === 'supply') {
-                window.location.href = 'https://hosts.stasher.com/signup';
+            // Types handled by another signup (e.g. Supply) redirect immediately
+            const redirectUrl = getCompanyTypeRedirectUrl(formState.companyType);
+            if (redirectUrl) {
+                window.location.href = redirectUrl;
                 return;
             }
             nextPage();
@@ -1500,18 +3360,42 @@ function setupEventListeners() {
         const input = document.getElementById(field);
         input.addEventListener('input', function() {
             formState[field] = this.value;
+            if (field === 'email') {
+                showPasswordReenterIfEmailChanged();
+            }
             updateContinueButton(3);
         });
     });
 
     // Continue Button 3
-    document.getElementById('continueBtn3').addEventListener('click', function() {
+    document.getElementById('continueBtn3').addEventListener('click', async function() {
         if (validatePage3()) {
+            // Catch typos and throwaway addresses before Stage A creates an affiliate with them
+            this.disabled = true;
+            const emailUsable = await checkEmailBeforeStageA();
+            updateContinueButton(3);
+            if (!emailUsable) {
+                return;
+            }
+
+            // The affiliate and resume token belong to the old email - create one for the new email
+            if (createdAffiliateId && !isStageAEmail(formState.email)) {
+                discardStageA();
+            }
+
             // Stage A: fire in background — don't block the user moving to page 4
-            stageAPromise = createAffiliateAfterPage3().catch(error => {
-                console.error('Error creating affiliate after Page 3:', error);
-                // Final submission will fall back to legacy behavior
-            });
+            if (!stageAInFlight) {
+                stageAPromise = createAffiliateAfterPage3().catch(error => {
+                    console.error('Error creating affiliate after Page 3:', error);
+                    // Final submission will fall back to legacy behavior
+                });
+            }
+
+            // The code step needs the affiliate Stage A creates, so it waits for it
+            if (isEmailVerificationRequired() && !formState.emailVerified) {
+                await startEmailVerification();
+                return;
+            }
             nextPage();
         }
     });
@@ -1521,6 +3405,9 @@ function setupEventListeners() {
         previousPage();
     });
 
+    // Email verification step (between Page 3 and 4)
+    setupEmailVerificationStep();
+
     // Page 4: Company Details
     setupPage4Listeners();
     setupCountryInputs();
@@ -1547,6 +3434,17 @@ function setupEventListeners() {
         });
     }
 
+    // Program mismatch warning in the summary (re-rendered with it)
+    const summaryContent = document.getElementById('summaryContent');
+    if (summaryContent) {
+        summaryContent.addEventListener('click', function(e) {
+            const actionButton = e.target.closest('[data-program-action]');
+            if (actionButton) {
+                handleProgramMismatchAction(actionButton.dataset.programAction, actionButton.dataset.currency);
+            }
+        });
+    }
+
     // Use event delegation for skip demo link to ensure it works
     document.addEventListener('click', function(e) {
         const skipDemoLink = e.target.closest('#skipDemoLink');
@@ -1570,10 +3468,24 @@ function setupEventListeners() {
     const returnHomeBtn = document.getElementById('returnHomeBtn');
     if (returnHomeBtn) {
         returnHomeBtn.addEventListener('click', function() {
+            // A pending submission still records its outcome when it resolves
+            if (!submissionInFlight) {
+                clearSubmissionOutcome();
+            }
+            hideConfirmationPage();
             goBackToLandingPage();
         });
     }
 
+    const retrySubmissionBtn = document.getElementById('retrySubmissionBtn');
+    if (retrySubmissionBtn) {
+        retrySubmissionBtn.addEventListener('click', function() {
+            handleRetrySubmission();
+        });
+    }
+
+    setupPayoutForm();
+
     document.addEventListener('input', function() {
         if (loadSignupFlowState()) {
             persistSignupFlowState();
@@ -1712,6 +3624,10 @@ function applyTranslations(language) {
 
     translateCheckboxText(language);
     translateFooterText(language);
+    refreshCountryComboboxes();
+    syncCountryInputs();
+    updatePayoutFields();
+    renderReferralBanner();
     generateSummary();
 }
 
@@ -1783,6 +3699,14 @@ function getValidationMessage(key) {
     return entry.en;
 }
 
+// getValidationMessage with {placeholders} filled in
+function formatValidationMessage(key, values) {
+    return Object.entries(values).reduce(
+        (message, [name, value]) => message.split(`{${name}}`).join(value),
+        getValidationMessage(key)
+    );
+}
+
 function getTranslatedTextValue(englishText) {
     if (formState.language === 'de') {
         return TEXT_TRANSLATIONS_DE[englishText] || englishText;
@@ -1798,6 +3722,31 @@ function getTranslatedTextValue(englishText) {
 
 // Setup Page 4 Listeners
 function setupPage4Listeners() {
+    // Postal address (both layouts)
+    ['streetAddress', 'postalCode', 'region'].forEach(field => {
+        const input = document.getElementById(field);
+        if (input) {
+            input.addEventListener('input', function() {
+                formState[field] = this.value;
+                updateContinueButton(4);
+            });
+        }
+    });
+    const postalCodeInput = document.getElementById('postalCode');
+    if (postalCodeInput) {
+        postalCodeInput.addEventListener('blur', function() {
+            validatePostalCodeInput(postalCodeInput);
+        });
+    }
+    const skipAddress = document.getElementById('skipAddress');
+    if (skipAddress) {
+        skipAddress.addEventListener('change', function() {
+            formState.skipAddress = this.checked;
+            updateAddressFields();
+            updateContinueButton(4);
+        });
+    }
+
     // Vacation Rental Fields
     const vacationRentalFields = ['city', 'companyName', 'companyWebsite', 'numberOfProperties'];
     vacationRentalFields.forEach(field => {
@@ -1860,6 +3809,11 @@ function showPage(pageNumber) {
         pageElement.classList.add('active');
     }
 
+    // Recommend a program from what is known about the partner so far
+    if (pageNumber === 2) {
+        applyProgramRecommendation();
+    }
+
     // Show appropriate fields for page 4
     if (pageNumber === 4) {
         showPage4Fields();
@@ -1911,13 +3865,19 @@ function showPage4Fields() {
     const countrySelect = document.getElementById('country');
     const countrySelect2 = document.getElementById('country2');
 
+    const addressFields = document.getElementById('addressFields');
+
     vacationRentalFields.style.display = 'none';
     otherFields.style.display = 'none';
+    if (addressFields) {
+        addressFields.style.display = formState.companyType ? 'block' : 'none';
+    }
+    updateAddressFields();
 
     if (formState.companyType === 'vacation-rental') {
         vacationRentalFields.style.display = 'block';
         if (countrySelect) {
-            countrySelect.value = formState.country || '';
+            countrySelect.value = getCountryName(formState.country, formState.language) || '';
             validateCountryInput(countrySelect);
         }
         // Sync commission type value
@@ -1933,7 +3893,7 @@ function showPage4Fields() {
             commissionType2.value = formState.commissionType;
         }
         if (countrySelect2) {
-            countrySelect2.value = formState.country || '';
+            countrySelect2.value = getCountryName(formState.country, formState.language) || '';
             validateCountryInput(countrySelect2);
         }
     }
@@ -2003,12 +3963,7 @@ function updateContinueButton(pageNumber) {
             button = document.getElementById('continueBtn2');
             break;
         case 3:
-            isValid = formState.firstName.trim() !== '' &&
-                     formState.lastName.trim() !== '' &&
-                     formState.email.trim() !== '' &&
-                     isValidEmail(formState.email) &&
-                     formState.password.length >= 8 &&
-                     formState.acceptTerms;
+            isValid = validatePage3();
             button = document.getElementById('continueBtn3');
             break;
         case 4:
@@ -2024,7 +3979,7 @@ function updateContinueButton(pageNumber) {
                          formState.companyName.trim() !== '' &&
                          formState.commissionType.trim() !== '';
             }
-            isValid = fieldsValid;
+            isValid = fieldsValid && isAddressValid();
             button = document.getElementById('continueBtn4');
             break;
     }
@@ -2050,7 +4005,9 @@ function validatePage3() {
            formState.lastName.trim() !== '' &&
            formState.email.trim() !== '' &&
            isValidEmail(formState.email) &&
-           formState.password.length >= 8 &&
+           // Once Stage A has created the affiliate the password is no longer kept -
+           // unless the email changed since, which needs a new Stage A
+           (isStageAEmail(formState.email) || formState.password.length >= 8) &&
            formState.acceptTerms;
 }
 
@@ -2067,7 +4024,7 @@ function validatePage4() {
                formState.companyName.trim() !== '' &&
                formState.commissionType.trim() !== '';
     }
-    return fieldsValid;
+    return fieldsValid && isAddressValid();
 }
 
 function isValidEmail(email) {
@@ -2078,49 +4035,57 @@ function isValidEmail(email) {
 // Generate Summary
 function generateSummary() {
     const summaryContent = document.getElementById('summaryContent');
-    const companyTypeLabels = {
-        'supply': getTranslatedTextValue('I want to store bags (Supply)'),
-        'vacation-rental': getTranslatedTextValue('Vacation Rental / Airbnb Host'),
-        'pms': getTranslatedTextValue('PMS'),
-        'venue': getTranslatedTextValue('Venue'),
-        'blog': getTranslatedTextValue('Blog'),
-        'tour-operator': getTranslatedTextValue('Tour Operator'),
-        'transportations': getTranslatedTextValue('Transportations'),
-        'other': getTranslatedTextValue('Other')
-    };
 
     let html = `
         <div class="summary-item">
             <span class="summary-label">${getTranslatedTextValue('Program')}:</span>
-            <span>${formState.program}</span>
+            <span>${escapeHtml(formState.program)}</span>
         </div>
         <div class="summary-item">
             <span class="summary-label">${getTranslatedTextValue('Company Type')}:</span>
-            <span>${companyTypeLabels[formState.companyType] || formState.companyType}</span>
+            <span>${escapeHtml(getTranslatedTextValue(getCompanyTypeLabel(formState.companyType)))}</span>
         </div>
         <div class="summary-item">
             <span class="summary-label">${getTranslatedTextValue('Name')}:</span>
-            <span>${formState.firstName} ${formState.lastName}</span>
+            <span>${escapeHtml(`${formState.firstName} ${formState.lastName}`)}</span>
         </div>
         <div class="summary-item">
             <span class="summary-label">${getTranslatedTextValue('Email')}:</span>
-            <span>${formState.email}</span>
+            <span>${escapeHtml(formState.email)}</span>
         </div>
         <div class="summary-item">
             <span class="summary-label">${getTranslatedTextValue('Company Name')}:</span>
-            <span>${formState.companyName}</span>
+            <span>${escapeHtml(formState.companyName)}</span>
         </div>
         <div class="summary-item">
             <span class="summary-label">${getTranslatedTextValue('Location')}:</span>
-            <span>${formState.city}, ${formState.country}</span>
+            <span>${escapeHtml(`${formState.city}, ${getCountryName(formState.country, formState.language) || ''}`)}</span>
+        </div>
+        <div class="summary-item">
+            <span class="summary-label">${getTranslatedTextValue('Address')}:</span>
+            <span>${formState.skipAddress
+                ? getTranslatedTextValue('Skipped')
+                : [formState.streetAddress, formState.postalCode.toUpperCase(), formState.region]
+                    .filter(part => part.trim())
+                    .map(escapeHtml)
+                    .join(', ')}</span>
         </div>
     `;
 
+    if (referralLookup && referralLookup.status === 'found') {
+        html += `
+            <div class="summary-item">
+                <span class="summary-label">${getTranslatedTextValue('Invited by')}:</span>
+                <span>${referralLookup.displayName ? escapeHtml(referralLookup.displayName) : getTranslatedTextValue('A Stasher partner')}</span>
+            </div>
+        `;
+    }
+
     if (formState.companyWebsite) {
         html += `
             <div class="summary-item">
                 <span class="summary-label">${getTranslatedTextValue('Website')}:</span>
-                <span>${formState.companyWebsite}</span>
+                <span>${escapeHtml(formState.companyWebsite)}</span>
             </div>
         `;
     }
@@ -2129,7 +4094,7 @@ function generateSummary() {
         html += `
             <div class="summary-item">
                 <span class="summary-label">${getTranslatedTextValue('Number of Properties')}:</span>
-                <span>${formState.numberOfProperties}</span>
+                <span>${escapeHtml(formState.numberOfProperties)}</span>
             </div>
         `;
     }
@@ -2138,31 +4103,343 @@ function generateSummary() {
         html += `
             <div class="summary-item">
                 <span class="summary-label">${getTranslatedTextValue('Description')}:</span>
-                <span>${formState.companyDescription}</span>
+                <span>${escapeHtml(formState.companyDescription)}</span>
             </div>
         `;
     }
 
+    // Warn before finalize_affiliate enrolls the partner in a program that doesn't fit their country
+    const mismatch = getProgramCountryMismatch();
+    if (mismatch) {
+        html = renderProgramMismatchWarning(mismatch) + html;
+    }
+
     summaryContent.innerHTML = html;
 }
 
 // Handle Skip Demo
 async function handleSkipDemo() {
-    // Show confirmation page immediately — don't wait for the API call
+    // The partner must first switch or keep a program that doesn't fit their country
+    if (getProgramCountryMismatch()) {
+        generateSummary();
+        const warning = document.getElementById('programMismatchWarning');
+        if (warning) {
+            warning.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            warning.focus({ preventScroll: true });
+        }
+        return;
+    }
+
+    // Show confirmation page immediately (pending state) — it switches to the real outcome once the API call resolves
     showConfirmationPage();
+    await submitFinalSignup();
+}
+
+// Final submission state: 'pending', 'success' or 'failed'
+const GENERIC_SUBMISSION_ERROR = 'Something went wrong while creating your affiliate account. Please try again later.';
+const UNCONFIRMED_SUBMISSION_ERROR = "We couldn't confirm your registration. Please try again.";
+const SUBMISSION_STATUS_POLL_INTERVAL_MS = 4000;
+const SUBMISSION_STATUS_MAX_POLLS = 5;
+// True while the final submission is in flight — prevents the retry button from firing it twice
+let submissionInFlight = false;
+
+function renderSubmissionState(status, errorMessage) {
+    const confirmationContent = document.getElementById('confirmationContent');
+    if (confirmationContent) {
+        confirmationContent.dataset.state = status;
+    }
+
+    const errorElement = document.getElementById('confirmationErrorMessage');
+    if (errorElement) {
+        errorElement.textContent = status === 'failed'
+            ? (errorMessage || getTranslatedTextValue(GENERIC_SUBMISSION_ERROR))
+            : '';
+    }
+
+    updatePayoutForm(status);
+}
 
-    // Fire enrollment in background
-    createTapfiliateAffiliate().then(result => {
+function setSubmissionState(status, errorMessage) {
+    // Only unfinished outcomes need to survive a closed tab
+    if (status === 'success') {
+        clearSubmissionOutcome();
+    } else {
+        saveSubmissionOutcome(status, errorMessage);
+    }
+    renderSubmissionState(status, errorMessage);
+}
+
+// Send the final submission and reflect its real outcome on the confirmation page
+async function submitFinalSignup() {
+    if (submissionInFlight) {
+        return;
+    }
+    submissionInFlight = true;
+    setSubmissionState('pending');
+
+    try {
+        const result = await createTapfiliateAffiliate();
         if (result && result.success) {
             console.log('Form submitted successfully to Tapfiliate');
+            setSubmissionState('success');
         } else {
             console.warn('Form submission to Tapfiliate had issues:', result);
+            setSubmissionState('failed', result && result.error);
         }
-    }).catch(error => {
+    } catch (error) {
         console.error('Error submitting form to Tapfiliate:', error);
+        // Rejected input goes back to the wizard page that owns it, everything else is a failed submission
+        if (!showFieldErrorsInWizard(error.fieldErrors)) {
+            setSubmissionState('failed', error.message);
+        }
+    } finally {
+        submissionInFlight = false;
+    }
+}
+
+// Ask the backend what happened to this signup (by its idempotency key)
+// Returns { status } from the signup ledger, or null if the backend can't tell: it has no
+// record of it (404 submission_unknown) or runs without a ledger (503 ledger_disabled)
+async function fetchSubmissionStatus() {
+    const response = await fetch(BACKEND_API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+            mode: 'submission_status',
+            idempotency_key: formState.signupRequestId,
+            email: formState.email
+        })
+    });
+
+    if (response.status === 404) {
+        return null;
+    }
+    if (response.status === 503) {
+        const data = await response.json().catch(() => ({}));
+        if (data.code === 'ledger_disabled') {
+            return null;
+        }
+    }
+    if (!response.ok) {
+        throw new Error(`Submission status check failed with status ${response.status}`);
+    }
+    return response.json();
+}
+
+// Update a recovered outcome from the backend, polling while the submission is still running
+async function refreshSubmissionOutcome(storedError, attempt = 0) {
+    let result;
+    try {
+        result = await fetchSubmissionStatus();
+    } catch (error) {
+        // Keep showing the stored outcome - the partner can still retry or contact us
+        console.warn('Could not check submission status:', error);
+        return;
+    }
+
+    const failedMessage = storedError || getTranslatedTextValue(UNCONFIRMED_SUBMISSION_ERROR);
+
+    if (!result) {
+        // No record is not a failure - the signup may have gone through, keep the stored outcome
+        console.warn('Backend has no record of this submission - keeping the stored outcome');
+    } else if (result.status === 'complete') {
+        setSubmissionState('success');
+    } else if (result.status === 'incomplete') {
+        // The affiliate exists - the backend retry worker finishes the remaining steps
+        setSubmissionState('pending');
+    } else if (result.status === 'in_progress' && attempt < SUBMISSION_STATUS_MAX_POLLS) {
+        setSubmissionState('pending');
+        setTimeout(() => refreshSubmissionOutcome(storedError, attempt + 1), SUBMISSION_STATUS_POLL_INTERVAL_MS);
+    } else {
+        setSubmissionState('failed', failedMessage);
+    }
+}
+
+// If the last visit ended while the submission was pending (or had failed), show its outcome again
+function restoreSubmissionOutcome() {
+    const outcome = loadSubmissionOutcome();
+    if (!outcome || outcome.status === 'success') return false;
+
+    formState.email = outcome.email || '';
+    formState.signupRequestId = outcome.signupRequestId;
+
+    showConfirmationPage();
+    renderSubmissionState(outcome.status, outcome.error);
+    refreshSubmissionOutcome(outcome.error);
+    return true;
+}
+
+function handleRetrySubmission() {
+    // Same visit: the wizard data is still in memory, send it again
+    if (formState.program && formState.firstName) {
+        submitFinalSignup();
+        return;
+    }
+
+    // Recovered after the tab was closed: start the wizard again with the same signup request ID,
+    // so the backend resumes any affiliate it already created instead of rejecting the email
+    clearSubmissionOutcome();
+    hideConfirmationPage();
+    showSignupForm();
+}
+
+// Undo the inline display styles set by showConfirmationPage
+function hideConfirmationPage() {
+    document.querySelectorAll('.form-page').forEach(page => {
+        page.classList.remove('active');
+        page.style.display = '';
     });
 }
 
+// Backend field (see the Lambda's request schemas) -> wizard page and the inputs that hold it.
+// Page 4 has one input per layout (vacation rental / other) — the visible one gets the message.
+const FIELD_ERROR_TARGETS = {
+    first_name: { page: 3, inputs: ['firstName'] },
+    last_name: { page: 3, inputs: ['lastName'] },
+    email: { page: 3, inputs: ['email'] },
+    password: { page: 3, inputs: ['password'] },
+    city: { page: 4, inputs: ['city', 'city2'] },
+    'address.city': { page: 4, inputs: ['city', 'city2'] },
+    street: { page: 4, inputs: ['streetAddress'] },
+    'address.address': { page: 4, inputs: ['streetAddress'] },
+    postal_code: { page: 4, inputs: ['postalCode'] },
+    'address.postal_code': { page: 4, inputs: ['postalCode'] },
+    region: { page: 4, inputs: ['region'] },
+    'address.state': { page: 4, inputs: ['region'] },
+    country: { page: 4, inputs: ['country', 'country2'] },
+    'address.country.code': { page: 4, inputs: ['country', 'country2'] },
+    company: { page: 4, inputs: ['companyName', 'companyName2'] },
+    'company.name': { page: 4, inputs: ['companyName', 'companyName2'] },
+    company_description: { page: 4, inputs: ['companyDescription'] },
+    'company.description': { page: 4, inputs: ['companyDescription'] },
+    'metadata.website': { page: 4, inputs: ['companyWebsite', 'companyWebsite2'] },
+    commission_type: { page: 4, inputs: ['commissionType', 'commissionType2'] },
+    program: { page: 2, inputs: ['currencyGrid'] }
+};
+
+function createSignupError(message, fieldErrors) {
+    const error = new Error(message);
+    error.fieldErrors = fieldErrors || [];
+    return error;
+}
+
+// Pick the VALIDATION_TRANSLATIONS key for a backend field error ({ field, code, message })
+function getFieldErrorMessageKey(fieldError) {
+    const { field, code } = fieldError;
+    if (field === 'email' && code === 'already_exists') return 'emailTaken';
+    if (code === 'email_typo') return 'emailTypo';
+    if (code === 'disposable_email') return 'emailDisposable';
+    if (code === 'email_domain_unreachable') return 'emailDomainUnreachable';
+    if (code === 'not_verified') return 'emailNotVerified';
+    if (field === 'password' && code === 'reenter') return 'passwordReenter';
+    if (code === 'invalid_country') return 'selectCountry';
+    if (code === 'invalid_postal_code') return 'postalCodeInvalid';
+    if (field === 'program') return 'programRetired';
+    if (code === 'required') return 'fieldRequired';
+    if (code === 'too_long') return 'fieldTooLong';
+    if (field === 'email') return 'emailInvalid';
+    if (field === 'password') return code === 'too_short' ? 'passwordTooShort' : 'passwordRejected';
+    return 'fieldInvalid';
+}
+
+function clearFieldError(input) {
+    input.classList.remove('input-error');
+    input.removeAttribute('aria-invalid');
+    input.removeAttribute('aria-describedby');
+    const errorElement = document.getElementById(`${input.id}Error`);
+    if (errorElement) {
+        errorElement.remove();
+    }
+}
+
+function clearFieldErrors() {
+    document.querySelectorAll('.input-error').forEach(clearFieldError);
+}
+
+// Show a message under the input until the partner edits it
+function showFieldError(input, message) {
+    clearFieldError(input);
+
+    const errorElement = document.createElement('small');
+    errorElement.className = 'field-error';
+    errorElement.id = `${input.id}Error`;
+    errorElement.setAttribute('role', 'alert');
+    errorElement.textContent = message;
+    const formGroup = input.closest('.form-group');
+    if (formGroup) {
+        formGroup.appendChild(errorElement);
+    } else {
+        input.insertAdjacentElement('afterend', errorElement);
+    }
+
+    input.classList.add('input-error');
+    input.setAttribute('aria-invalid', 'true');
+    input.setAttribute('aria-describedby', errorElement.id);
+
+    const clearOnEdit = () => {
+        clearFieldError(input);
+        input.removeEventListener('input', clearOnEdit);
+        input.removeEventListener('change', clearOnEdit);
+    };
+    input.addEventListener('input', clearOnEdit);
+    input.addEventListener('change', clearOnEdit);
+}
+
+// Leave the confirmation page and reopen the wizard on a page, keeping everything in formState
+function returnToWizardPage(pageNumber) {
+    clearSubmissionOutcome();
+    hideConfirmationPage();
+
+    const progressContainer = document.getElementById('progressContainer');
+    if (progressContainer) {
+        progressContainer.style.display = 'block';
+    }
+
+    formState.currentPage = pageNumber;
+    showPage(pageNumber);
+    updateProgressBar(pageNumber);
+    updateContinueButton(pageNumber);
+    persistSignupFlowState();
+    scrollToFormTop();
+}
+
+// Take the partner back to the earliest page with a rejected field and mark its inputs.
+// Returns false if no error belongs to a wizard input — the caller shows the generic failure instead.
+function showFieldErrorsInWizard(fieldErrors) {
+    const matched = (fieldErrors || [])
+        .map(fieldError => ({ fieldError, target: FIELD_ERROR_TARGETS[fieldError.field] }))
+        .filter(entry => entry.target);
+    if (matched.length === 0) {
+        return false;
+    }
+
+    const pageNumber = Math.min(...matched.map(entry => entry.target.page));
+    clearFieldErrors();
+    returnToWizardPage(pageNumber);
+
+    let firstInput = null;
+    matched
+        .filter(entry => entry.target.page === pageNumber)
+        .forEach(({ fieldError, target }) => {
+            const inputs = target.inputs.map(id => document.getElementById(id)).filter(Boolean);
+            const input = inputs.find(element => element.offsetParent !== null) || inputs[0];
+            if (!input) return;
+            if (fieldError.code === 'email_typo') {
+                showEmailSuggestion(input, fieldError.suggestion);
+            } else {
+                showFieldError(input, getValidationMessage(getFieldErrorMessageKey(fieldError)));
+            }
+            firstInput = firstInput || input;
+        });
+
+    if (firstInput) {
+        firstInput.focus();
+    }
+    return true;
+}
+
 // Show Confirmation Page
 function showConfirmationPage() {
     console.log('showConfirmationPage called');
@@ -2239,6 +4516,111 @@ function hideApiLoading() {
     }
 }
 
+// True if Stage A has created an affiliate for this email (its resume token is bound to it)
+function isStageAEmail(email) {
+    return !!createdAffiliateId &&
+        String(stageAEmail || '').trim().toLowerCase() === String(email || '').trim().toLowerCase();
+}
+
+// Shown when the Stage A affiliate had to be dropped: page 3 needs the password for a new one
+const STAGE_A_DISCARDED_ERRORS = [{ field: 'password', code: 'reenter' }];
+
+// Forget the Stage A affiliate so the next Continue on page 3 creates one for the current details
+function discardStageA() {
+    console.warn('Discarding Stage A affiliate', createdAffiliateId);
+    createdAffiliateId = null;
+    resumeToken = null;
+    stageAEmail = null;
+    stageAPromise = null;
+    formState.emailVerified = false;
+    // The old key's ledger record belongs to the old email - the new affiliate is a new signup
+    formState.signupRequestId = null;
+    if (loadSignupFlowState()) {
+        persistSignupFlowState();
+    }
+}
+
+// Page 3: the partner edited the email after Stage A - the password is needed again
+function showPasswordReenterIfEmailChanged() {
+    const passwordInput = document.getElementById('password');
+    if (!passwordInput || !createdAffiliateId) return;
+    if (isStageAEmail(formState.email)) {
+        clearFieldError(passwordInput);
+    } else if (!document.getElementById('passwordError')) {
+        showFieldError(passwordInput, getValidationMessage('passwordReenter'));
+    }
+}
+
+// Ask the Lambda for a new resume token. Returns true if one was issued; if the signup can't
+// be resumed any more (the email is no longer the affiliate's) Stage A is discarded.
+async function renewResumeToken() {
+    if (!createdAffiliateId) return false;
+    try {
+        const response = await fetch(BACKEND_API_URL, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                mode: 'renew_resume_token',
+                affiliate_id: createdAffiliateId,
+                email: formState.email,
+                idempotency_key: ensureSignupRequestId()
+            })
+        });
+        let data = {};
+        try {
+            data = await response.json();
+        } catch (e) {
+            console.error('Could not parse resume token response');
+        }
+
+        if (response.ok && data.resume_token) {
+            resumeToken = data.resume_token;
+            stageAEmail = formState.email;
+            if (loadSignupFlowState()) {
+                persistSignupFlowState();
+            }
+            console.log('🔑 Resume token renewed');
+            return true;
+        }
+        console.warn('Could not renew resume token:', data.code || response.status);
+        if (response.status === 401 || response.status === 404) {
+            discardStageA();
+        }
+    } catch (error) {
+        console.error('Error renewing resume token:', error);
+    }
+    return false;
+}
+
+// POST a request that carries the resume token. When the Lambda rejects the token as expired
+// or issued for another email, renew it and send the request once more.
+async function postWithResumeToken(payload) {
+    const send = () => fetch(BACKEND_API_URL, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ ...payload, resume_token: resumeToken })
+    });
+
+    const response = await send();
+    if (response.status !== 401) {
+        return response;
+    }
+    let reason = null;
+    try {
+        reason = (await response.clone().json()).reason;
+    } catch (e) {
+        console.error('Could not parse resume token rejection');
+    }
+    if ((reason !== 'expired' && reason !== 'mismatch') || !(await renewResumeToken())) {
+        return response;
+    }
+    return send();
+}
+
 // Stage A: Create affiliate as soon as Page 3 (personal info) is completed
 async function createAffiliateAfterPage3() {
     // If we've already created an affiliate in this session, skip
@@ -2254,15 +4636,20 @@ async function createAffiliateAfterPage3() {
     // Build minimal payload for Stage A
     const payload = {
         mode: 'create_affiliate_only',
+        idempotency_key: ensureSignupRequestId(),
         first_name: formState.firstName,
         last_name: formState.lastName,
         email: formState.email,
-        password: formState.password,
-        city: 'N/A',  // Will be updated later in Stage B
-        country: 'GB',  // Default, will be updated later in Stage B
-        company: 'N/A'  // Will be updated later in Stage B
+        email_confirmed: isEmailConfirmed(),
+        password: formState.password
+        // City, country, address and company come from page 4 - Stage B sends them
     };
 
+    // The program from page 2 lets the Lambda check the parent link right away
+    if (formState.program) {
+        payload.program = formState.program;
+    }
+
     // Add company_type if available (for custom fields)
     if (formState.companyType) {
         payload.company_type = formState.companyType;
@@ -2276,6 +4663,13 @@ async function createAffiliateAfterPage3() {
     // Add wantsDemoCall if available (for custom fields)
     payload.wantsDemoCall = formState.wantsDemoCall;
 
+    // Pin the referral attribution - reloads and later stages keep the same parent
+    const attribution = getActiveAttribution();
+    if (attribution) {
+        formState.attribution = attribution;
+        payload.attribution = attribution;
+    }
+
     // Add parent_id if present (for MLM functionality)
     if (parentId && parentId !== '' && parentId !== 'null') {
         payload.parent_id = parentId;
@@ -2284,6 +4678,8 @@ async function createAffiliateAfterPage3() {
     console.log('Stage A: Creating affiliate after Page 3 with payload:', JSON.stringify({ ...payload, password: '***MASKED***' }, null, 2));
 
     // Stage A runs silently in the background — no loading overlay so page 4 is immediately usable
+    stageAInFlight = true;
+    stageAFieldErrors = [];
     try {
         const response = await fetch(BACKEND_API_URL, {
             method: 'POST',
@@ -2307,6 +4703,8 @@ async function createAffiliateAfterPage3() {
             try {
                 const errorData = JSON.parse(responseText);
                 errorMessage = errorData.error || errorData.message || errorMessage;
+                // The same data would be rejected again by the legacy fallback — keep the errors for the final submit
+                stageAFieldErrors = Array.isArray(errorData.fields) ? errorData.fields : [];
             } catch (e) {
                 console.error('Stage A: Could not parse error response:', responseText);
             }
@@ -2325,13 +4723,25 @@ async function createAffiliateAfterPage3() {
 
         if (data && data.success && data.affiliate_id) {
             createdAffiliateId = data.affiliate_id;
-            console.log('✅ Stage A: Affiliate created after Page 3 with ID:', createdAffiliateId);
+            resumeToken = data.resume_token || null;
+            stageAEmail = payload.email;
+            // The resume token replaces the password from here on
+            formState.password = '';
+            if (loadSignupFlowState()) {
+                persistSignupFlowState();
+            }
+            console.log(data.resumed
+                ? '♻️ Stage A: Resumed affiliate from an earlier attempt with ID:'
+                : '✅ Stage A: Affiliate created after Page 3 with ID:', createdAffiliateId);
+            logParentResolution(data.parent);
         } else {
             console.warn('Stage A: No affiliate_id returned from backend');
         }
     } catch (error) {
         console.error('Stage A: Error creating affiliate after Page 3:', error);
         // Don't throw - allow fallback to legacy mode
+    } finally {
+        stageAInFlight = false;
     }
 }
 
@@ -2346,19 +4756,16 @@ async function updateCommissionTypeAfterPage4() {
     const payload = {
         mode: 'update_custom_fields',
         affiliate_id: createdAffiliateId,
+        email: formState.email,
+        resume_token: resumeToken,
+        idempotency_key: ensureSignupRequestId(),
         commission_type: formState.commissionType
     };
 
-    console.log('Updating affiliate with commission type:', payload);
+    console.log('Updating affiliate with commission type:', { ...payload, resume_token: '***MASKED***' });
 
     try {
-        const response = await fetch(BACKEND_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payload)
-        });
+        const response = await postWithResumeToken(payload);
 
         if (!response.ok) {
             const errorData = await response.json();
@@ -2376,18 +4783,8 @@ async function updateCommissionTypeAfterPage4() {
 
 // Create affiliate via secure backend endpoint (Stage B or legacy)
 async function createTapfiliateAffiliate() {
-    const companyTypeLabels = {
-        'supply': 'I want to store bags (Supply)',
-        'vacation-rental': 'Vacation Rental / Airbnb Host',
-        'pms': 'PMS',
-        'venue': 'Venue',
-        'blog': 'Blog',
-        'tour-operator': 'Tour Operator',
-        'transportations': 'Transportations',
-        'other': 'Other'
-    };
-
-    const programId = PROGRAM_ID_MAP[formState.program];
+    // The currency - the Lambda maps it to the Tapfiliate program
+    const programId = formState.program;
     if (!programId) {
         throw new Error('Program selection is missing or invalid.');
     }
@@ -2406,15 +4803,11 @@ async function createTapfiliateAffiliate() {
         payloadToSend = {
             mode: 'finalize_affiliate',
             affiliate_id: createdAffiliateId,
+            email: formState.email,
+            resume_token: resumeToken,
+            idempotency_key: ensureSignupRequestId(),
             program: programId,
-            address: {
-                address: 'n/a',
-                postal_code: 'n/a',
-                city: formState.city || 'n/a',
-                country: {
-                    code: COUNTRY_ISO_MAP[formState.country] || 'GB'
-                }
-            },
+            address: buildAddressPayload(),
             company: {
                 name: formState.companyName || 'n/a',
                 description: formState.companyDescription || ''
@@ -2440,20 +4833,38 @@ async function createTapfiliateAffiliate() {
             payloadToSend.metadata = { website: formState.companyWebsite };
         }
 
-        console.log('Stage B: Finalizing existing affiliate with payload:', JSON.stringify(payloadToSend, null, 2));
+        // Campaign attribution pinned by Stage A - written to meta-data next to the website
+        if (formState.attribution) {
+            payloadToSend.attribution = formState.attribution;
+        }
+
+        console.log('Stage B: Finalizing existing affiliate with payload:', JSON.stringify({ ...payloadToSend, resume_token: '***MASKED***' }, null, 2));
+    } else if (stageAFieldErrors.length > 0) {
+        // Stage A was rejected for the data the partner entered — the legacy call would be too
+        throw createSignupError(GENERIC_SUBMISSION_ERROR, stageAFieldErrors);
     } else {
         // Legacy behavior: create affiliate + enroll in one step (fallback if Stage A failed)
         const affiliatePayload = {
+            idempotency_key: ensureSignupRequestId(),
             program: programId,
             first_name: formState.firstName,
             last_name: formState.lastName,
             email: formState.email,
+            email_confirmed: isEmailConfirmed(),
             password: formState.password,
             city: formState.city,
             country: formState.country,
             company: formState.companyName
         };
 
+        // Postal address - left out when skipped, the Lambda sends placeholders instead
+        if (!formState.skipAddress) {
+            const address = buildAddressPayload();
+            affiliatePayload.street = address.address;
+            if (address.postal_code) affiliatePayload.postal_code = address.postal_code;
+            if (address.state) affiliatePayload.region = address.state;
+        }
+
         // Optional fields
         if (formState.companyDescription) {
             affiliatePayload.company_description = formState.companyDescription;
@@ -2481,6 +4892,7 @@ async function createTapfiliateAffiliate() {
         if (parentIdField && parentIdField.value && parentIdField.value.trim() !== '') {
             affiliatePayload.parent_id = parentIdField.value.trim();
         }
+        affiliatePayload.attribution = getActiveAttribution();
 
         // Clean up undefined/null values
         Object.keys(affiliatePayload).forEach((key) => {
@@ -2497,15 +4909,23 @@ async function createTapfiliateAffiliate() {
     }
 
     try {
-        console.log('Sending affiliate data to backend:', JSON.stringify({ ...payloadToSend, password: payloadToSend.password ? '***MASKED***' : undefined }, null, 2));
+        console.log('Sending affiliate data to backend:', JSON.stringify({
+            ...payloadToSend,
+            password: payloadToSend.password ? '***MASKED***' : undefined,
+            resume_token: payloadToSend.resume_token ? '***MASKED***' : undefined
+        }, null, 2));
         
-        const response = await fetch(BACKEND_API_URL, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(payloadToSend)
-        });
+        // Stage B carries the resume token - an expired one is renewed and the request sent again
+        const isStageB = payloadToSend.mode === 'finalize_affiliate';
+        const response = isStageB
+            ? await postWithResumeToken(payloadToSend)
+            : await fetch(BACKEND_API_URL, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(payloadToSend)
+            });
 
         const contentType = response.headers.get('content-type');
         const responseText = await response.text();
@@ -2521,16 +4941,23 @@ async function createTapfiliateAffiliate() {
             }
             
             let errorMessage = 'Something went wrong while creating your affiliate account. Please try again later.';
+            let fieldErrors = [];
+
+            // The token couldn't be renewed and Stage A was dropped - page 3 creates the affiliate again
+            if (isStageB && !createdAffiliateId) {
+                throw createSignupError(errorMessage, STAGE_A_DISCARDED_ERRORS);
+            }
             
             try {
                 const errorData = JSON.parse(responseText);
                 errorMessage = errorData.error || errorData.message || errorMessage;
+                fieldErrors = Array.isArray(errorData.fields) ? errorData.fields : [];
             } catch (e) {
                 // If not JSON, use generic message
                 console.error('Could not parse error response:', responseText);
             }
             
-            throw new Error(errorMessage);
+            throw createSignupError(errorMessage, fieldErrors);
         }
 
         // Parse JSON response
@@ -2541,6 +4968,14 @@ async function createTapfiliateAffiliate() {
             console.error('Could not parse success response:', responseText);
             throw new Error('Invalid response from server');
         }
+
+        // Legacy signups only get their ID and resume token here - the payout form needs both
+        if (!createdAffiliateId && data.affiliate && data.affiliate.id) {
+            createdAffiliateId = data.affiliate.id;
+            resumeToken = data.resume_token || null;
+            stageAEmail = payloadToSend.email;
+        }
+        logParentResolution(data.parent);
         
         return data;
     } catch (error) {
@@ -2565,6 +5000,3 @@ function closeTermsModal() {
         document.body.style.overflow = ''; // Restore scrolling
     }
 }
-
-// Export form state for debugging (optional)
-window.formState = formState;